@@ -0,0 +1,8 @@
+-- Track the lifecycle of queued trades so they can be drained at market open
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'queued';
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS execution_error TEXT;
+
+UPDATE trades SET status = 'executed' WHERE executed = true;
+
+CREATE INDEX IF NOT EXISTS trades_status_idx ON trades (status);
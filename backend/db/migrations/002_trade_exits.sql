@@ -0,0 +1,11 @@
+-- Track entry fills and scheduled exits for each executed trade
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS order_id TEXT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS filled_qty NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS entry_price NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS exit_order_id TEXT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS exit_qty NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS exit_price NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS exit_submitted_at TIMESTAMPTZ;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS exited_at TIMESTAMPTZ;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS realized_pl NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS exit_error TEXT;
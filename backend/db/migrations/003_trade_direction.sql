@@ -0,0 +1,2 @@
+-- Record whether a trade opened a long or a short position
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS direction TEXT NOT NULL DEFAULT 'long';
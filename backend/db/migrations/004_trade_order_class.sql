@@ -0,0 +1,4 @@
+-- Keep the signal confidence and entry order class so queued trades can get a
+-- default bracket and exits can account for bracket legs
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS confidence NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS order_class TEXT NOT NULL DEFAULT 'simple';
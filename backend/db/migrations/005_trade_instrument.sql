@@ -0,0 +1,6 @@
+-- Allow workflow trades to be routed to call or put options
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS instrument TEXT NOT NULL DEFAULT 'stock';
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS target_expiry_date DATE;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS option_symbol TEXT;
+
+CREATE INDEX IF NOT EXISTS trades_option_symbol_idx ON trades (option_symbol);
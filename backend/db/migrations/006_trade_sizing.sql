@@ -0,0 +1,3 @@
+-- Record how each trade's dollar amount was sized
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS sizing_mode TEXT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS sizing_details JSONB;
@@ -0,0 +1,25 @@
+-- Persisted risk limit overrides and the kill switch, one row per trading mode:
+-- id 1 for paper, id 2 for live (SETTINGS_ROW_IDS in routes/trading/risk.js)
+CREATE TABLE IF NOT EXISTS risk_settings (
+  id INT PRIMARY KEY,
+  kill_switch BOOLEAN NOT NULL DEFAULT false,
+  kill_switch_reason TEXT,
+  kill_switch_updated_at TIMESTAMPTZ,
+  max_daily_loss_pct NUMERIC,
+  max_gross_exposure_pct NUMERIC,
+  max_ticker_concentration_pct NUMERIC,
+  blocked_symbols TEXT[]
+);
+
+-- Orders rejected by the pre-trade risk checks
+CREATE TABLE IF NOT EXISTS risk_rejections (
+  id SERIAL PRIMARY KEY,
+  symbol TEXT NOT NULL,
+  notional NUMERIC,
+  source TEXT NOT NULL,
+  reasons TEXT[] NOT NULL,
+  tweet_process_id UUID,
+  rejected_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_rejections_rejected_at ON risk_rejections (rejected_at);
@@ -0,0 +1,5 @@
+-- Tag trades and risk rejections with the trading mode they were placed in, so paper and live never mix
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS trading_mode TEXT NOT NULL DEFAULT 'paper';
+ALTER TABLE risk_rejections ADD COLUMN IF NOT EXISTS trading_mode TEXT NOT NULL DEFAULT 'paper';
+
+CREATE INDEX IF NOT EXISTS idx_trades_trading_mode ON trades (trading_mode);
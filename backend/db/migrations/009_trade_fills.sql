@@ -0,0 +1,4 @@
+-- Record when each trade's entry order filled, and look up trades by post for P&L attribution
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS entry_filled_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_trades_tweet_process_id ON trades (tweet_process_id);
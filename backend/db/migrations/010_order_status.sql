@@ -0,0 +1,6 @@
+-- Track each entry order through its lifecycle, so a trade is only executed once its order fills
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS order_status TEXT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS order_submitted_at TIMESTAMPTZ;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS order_updated_at TIMESTAMPTZ;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS filled_amount NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS order_stuck BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,6 @@
+-- Let authors be paused and soft deleted, keeping their posts and trades for history
+ALTER TABLE subscribed_authors ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active';
+ALTER TABLE subscribed_authors ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+ALTER TABLE subscribed_authors ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_subscribed_authors_platform_id ON subscribed_authors (platform, platform_id);
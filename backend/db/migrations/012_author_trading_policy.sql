@@ -0,0 +1,2 @@
+-- Per-author overrides of how their trade signals are handled; see routes/authors/trading-policy.js
+ALTER TABLE subscribed_authors ADD COLUMN IF NOT EXISTS trading_policy JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,3 @@
+-- Trades held for manual approval record who decided them and why
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS review_note TEXT;
@@ -0,0 +1,15 @@
+-- Every workflow-complete delivery with its raw payload, for debugging retries and bad payloads
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  tweet_process_id TEXT,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  handled_at TIMESTAMPTZ,
+  signature_status TEXT NOT NULL,
+  status_code INT,
+  outcome TEXT,
+  headers JSONB,
+  raw_body TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_tweet_process_id ON webhook_deliveries (tweet_process_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received_at ON webhook_deliveries (received_at);
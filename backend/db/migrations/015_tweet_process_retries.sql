@@ -0,0 +1,7 @@
+-- Track each Dify run of a tweet process so stuck processes can be checked and retried
+ALTER TABLE tweet_processes ADD COLUMN IF NOT EXISTS workflow_run_id TEXT;
+ALTER TABLE tweet_processes ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 0;
+ALTER TABLE tweet_processes ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMPTZ;
+ALTER TABLE tweet_processes ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_tweet_processes_status ON tweet_processes (status);
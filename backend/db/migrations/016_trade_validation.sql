@@ -0,0 +1,15 @@
+-- How many of each analysis result's trades passed schema validation
+ALTER TABLE tweet_processes ADD COLUMN IF NOT EXISTS trades_accepted INT;
+ALTER TABLE tweet_processes ADD COLUMN IF NOT EXISTS trades_rejected INT;
+
+-- Trades from analysis results that failed schema validation, with the reasons
+CREATE TABLE IF NOT EXISTS trade_rejections (
+  id SERIAL PRIMARY KEY,
+  tweet_process_id TEXT NOT NULL,
+  trade_index INT NOT NULL,
+  trade JSONB,
+  errors JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_rejections_tweet_process_id ON trade_rejections (tweet_process_id);
@@ -0,0 +1,5 @@
+-- Dry-run processes go through analysis, sizing and risk checks but never place orders.
+-- They are kept out of trade volume, dashboard counts and author stats.
+ALTER TABLE tweet_processes ADD COLUMN IF NOT EXISTS dry_run BOOLEAN NOT NULL DEFAULT false;
+-- What the trades of a dry-run process would have done, including the order payloads
+ALTER TABLE tweet_processes ADD COLUMN IF NOT EXISTS dry_run_preview JSONB;
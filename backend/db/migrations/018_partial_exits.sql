@@ -0,0 +1,4 @@
+-- What canceled or expired exit orders already sold of a trade's lot, so the next exit
+-- order only sells the rest and realized P&L covers every part of the exit
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS partial_exit_qty NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS partial_exit_value NUMERIC NOT NULL DEFAULT 0;
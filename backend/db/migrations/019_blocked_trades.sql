@@ -0,0 +1,5 @@
+-- Which check stopped a trade: 'schema' (result validation), 'policy' (the author's
+-- trading policy) or 'sizing' (sized to $0)
+ALTER TABLE trade_rejections ADD COLUMN IF NOT EXISTS stage TEXT NOT NULL DEFAULT 'schema';
+-- How many of a process's accepted trades were then blocked by the policy or sized to $0
+ALTER TABLE tweet_processes ADD COLUMN IF NOT EXISTS trades_blocked INT;
@@ -0,0 +1,177 @@
+const DIFY_API_URL = 'https://api.dify.ai/v1';
+
+// How long to wait for the streamed response to report the run ID
+const RUN_ID_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Helper function to build the URL the Dify workflow calls back when it completes
+ * @returns {string} - Completion webhook URL
+ */
+function getCompletionUrl() {
+  const baseUrl = process.env.DEPLOYMENT_URL;
+  return baseUrl.startsWith("localhost")
+    ? `http://${baseUrl}/api/process-tweet/workflow-complete`
+    : `https://${baseUrl}/api/process-tweet/workflow-complete`;
+}
+
+/**
+ * Helper function to read the workflow run ID from Dify's streamed response.
+ * The run keeps going on Dify's side once the stream is closed; its result
+ * arrives through the completion webhook.
+ * @param {Response} response - Streaming response from the workflow run endpoint
+ * @returns {Promise<string|null>} - Workflow run ID, or null if the stream ended without one
+ */
+async function readWorkflowRunId(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const timeout = setTimeout(() => reader.cancel(), RUN_ID_TIMEOUT_MS);
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return null;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) {
+          continue;
+        }
+
+        try {
+          const event = JSON.parse(line.slice(5).trim());
+          if (event.workflow_run_id) {
+            return event.workflow_run_id;
+          }
+        } catch (parseError) {
+          // Ignore partial or non-JSON events
+        }
+      }
+    }
+  } finally {
+    clearTimeout(timeout);
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Parse the body the Dify workflow posts to the completion webhook.
+ * The workflow's result is a JSON string in the `text` field, with `trades` sometimes
+ * encoded as a string of its own.
+ * @param {object} webhookBody - Webhook payload: { text, source, timestamp }
+ * @returns {object} - { tweetProcessId, result } with the normalized analysis result,
+ *   or { error } if the payload is invalid
+ */
+function parseDifyCompletion(webhookBody) {
+  if (!webhookBody.text || !webhookBody.source || !webhookBody.timestamp) {
+    return { error: "Missing required webhook fields: text, source, timestamp" };
+  }
+
+  let body;
+  try {
+    const cleanedText = webhookBody.text.replace(/\\n/g, "").replace(/\\"/g, '"');
+    body = JSON.parse(cleanedText);
+
+    if (body.trades && typeof body.trades === "string") {
+      body.trades = JSON.parse(body.trades);
+    }
+  } catch (parseError) {
+    console.error("JSON parsing error:", parseError);
+    return { error: "Invalid JSON in text field" };
+  }
+
+  const { tweet_process_id, status, error_type, error_message, market_effect, trades } = body;
+
+  if (!tweet_process_id || !status) {
+    return { error: "Missing required fields: tweet_process_id, status" };
+  }
+
+  return {
+    tweetProcessId: tweet_process_id,
+    result: { status, error_type, error_message, market_effect, trades }
+  };
+}
+
+/**
+ * Create the Dify analyzer. Posts are analyzed by the Dify workflow in
+ * tweet-processing-workflow/, which reports its result to the completion webhook.
+ * @returns {object} - Analyzer
+ */
+function createDifyAnalyzer() {
+  return {
+    name: 'dify',
+    setupInstructions: "Add DIFY_API_KEY=your_dify_api_key to your .env file",
+
+    isConfigured() {
+      return Boolean(process.env.DIFY_API_KEY);
+    },
+
+    /**
+     * Start a workflow run. The result arrives later through the completion webhook.
+     * @param {object} request - { tweetProcessId, author, authorContext, authorTrackRecord, tweetContent }
+     * @returns {Promise<object>} - { runId, result: null }
+     */
+    async analyze(request) {
+      const requestBody = {
+        inputs: {
+          author: request.author,
+          tweet_content: request.tweetContent,
+          author_context: request.authorContext,
+          author_track_record: request.authorTrackRecord,
+          tweet_process_id: request.tweetProcessId,
+          completion_url: getCompletionUrl(),
+        },
+        response_mode: "streaming",
+        user: "wsilver",
+      };
+
+      const difyResponse = await fetch(`${DIFY_API_URL}/workflows/run`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.DIFY_API_KEY}`,
+        },
+        body: JSON.stringify(requestBody),
+      });
+
+      if (!difyResponse.ok) {
+        const errorText = await difyResponse.text();
+        console.error("Dify API error response:", errorText);
+        throw new Error(`Dify API error: ${difyResponse.status} - ${errorText}`);
+      }
+
+      return { runId: await readWorkflowRunId(difyResponse), result: null };
+    },
+
+    /**
+     * Get the status of a workflow run
+     * @param {string} runId - Workflow run ID
+     * @returns {Promise<object>} - Run details: { id, status, error, ... };
+     *   status is 'running', 'succeeded', 'failed' or 'stopped'
+     */
+    async getRun(runId) {
+      const response = await fetch(`${DIFY_API_URL}/workflows/run/${encodeURIComponent(runId)}`, {
+        headers: {
+          Authorization: `Bearer ${process.env.DIFY_API_KEY}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Dify API error: ${response.status} - ${errorText}`);
+      }
+
+      return response.json();
+    }
+  };
+}
+
+module.exports = {
+  createDifyAnalyzer,
+  parseDifyCompletion,
+};
@@ -0,0 +1,36 @@
+const ANALYZERS = {
+  dify: () => require('./dify').createDifyAnalyzer(),
+  openai: () => require('./openai').createOpenAIAnalyzer(),
+  rule_based: () => require('./rule-based').createRuleBasedAnalyzer()
+};
+
+let analyzer = null;
+
+/**
+ * Get the analyzer selected by the ANALYZER environment variable.
+ * 'dify' (default) runs the Dify workflow, which reports back through the completion webhook;
+ * 'openai' calls an OpenAI-compatible chat completions API at ANALYZER_OPENAI_BASE_URL;
+ * 'rule_based' applies fixed keyword rules locally, so the pipeline runs without a network.
+ * Every analyzer's analyze(request) returns { runId, result }, where result is the normalized
+ * { status, market_effect, trades } analysis, or null if it arrives later by webhook.
+ * The analyzer is created on first use and shared for the life of the process.
+ * @returns {object} - Analyzer
+ */
+function getAnalyzer() {
+  if (!analyzer) {
+    const name = process.env.ANALYZER || 'dify';
+
+    if (!ANALYZERS[name]) {
+      console.error(`Unknown ANALYZER "${name}", using dify. Valid analyzers: ${Object.keys(ANALYZERS).join(', ')}`);
+    }
+
+    analyzer = (ANALYZERS[name] || ANALYZERS.dify)();
+    console.log(`Using ${analyzer.name} analyzer`);
+  }
+
+  return analyzer;
+}
+
+module.exports = {
+  getAnalyzer,
+};
@@ -0,0 +1,150 @@
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-5-mini';
+// A chat completion that takes longer than this is abandoned so the process does not hang
+const REQUEST_TIMEOUT_MS = 2 * 60 * 1000;
+
+const SYSTEM_PROMPT = `You are an expert financial analyst. Decide whether a social media post is likely to move the stock market and, if so, which trades to make in response.
+
+Respond with a single JSON object and nothing else:
+- "market_effect": "yes" or "no"
+- "trades": an array of 1 to 10 trade objects when market_effect is "yes", otherwise an empty array
+
+Each trade object contains:
+- "stock_ticker": the stock's ticker symbol
+- "timeline": the number of days to hold the position
+- "reasoning": a brief, evidence-backed explanation for the trade
+- "confidence": a number between 0.0 and 1.0
+- "direction": "long" or "short" (optional, default long)
+- "instrument": "stock", "call" or "put" (optional, default stock)`;
+
+/**
+ * Helper function to read the analyzer settings from the environment
+ * @returns {object} - { baseUrl, apiKey, model }
+ */
+function getOpenAIConfig() {
+  return {
+    baseUrl: (process.env.ANALYZER_OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, ''),
+    apiKey: process.env.ANALYZER_OPENAI_API_KEY || process.env.OPENAI_API_KEY,
+    model: process.env.ANALYZER_OPENAI_MODEL || DEFAULT_MODEL
+  };
+}
+
+/**
+ * Helper function to build the user message describing the post
+ * @param {object} request - Analysis request
+ * @returns {string} - User message
+ */
+function buildUserMessage(request) {
+  return [
+    'Analyze the following post and determine an optimal set of trades to make in turn:',
+    '',
+    `Author: ${request.author}`,
+    `Author background: ${request.authorContext || ''}`,
+    `Author track record: ${request.authorTrackRecord || ''}`,
+    `Post content: ${request.tweetContent}`
+  ].join('\n');
+}
+
+/**
+ * Helper function to turn the model's reply into a normalized analysis result
+ * @param {string} content - Message content returned by the model
+ * @returns {object} - Normalized analysis result
+ */
+function parseModelReply(content) {
+  let reply;
+  try {
+    // Some OpenAI-compatible servers wrap JSON replies in a code fence
+    reply = JSON.parse(content.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (parseError) {
+    return { status: 'error', error_type: 'parse_error', error_message: `Model reply is not valid JSON: ${parseError.message}` };
+  }
+
+  if (reply === null || typeof reply !== 'object' || Array.isArray(reply)) {
+    return { status: 'error', error_type: 'invalid_reply', error_message: 'Model reply is not a JSON object' };
+  }
+
+  if (reply.market_effect !== 'yes' && reply.market_effect !== 'no') {
+    return { status: 'error', error_type: 'invalid_reply', error_message: 'Model reply is missing market_effect' };
+  }
+
+  return {
+    status: 'ok',
+    market_effect: reply.market_effect,
+    trades: reply.market_effect === 'yes' && Array.isArray(reply.trades) ? reply.trades : []
+  };
+}
+
+/**
+ * Create an analyzer that calls an OpenAI-compatible chat completions API directly.
+ * ANALYZER_OPENAI_BASE_URL points it at OpenAI or any compatible server (a local
+ * model server, a proxy, ...). Unlike the Dify workflow it has no research tools.
+ * @returns {object} - Analyzer
+ */
+function createOpenAIAnalyzer() {
+  return {
+    name: 'openai',
+    setupInstructions: "Add ANALYZER_OPENAI_API_KEY (and optionally ANALYZER_OPENAI_BASE_URL and ANALYZER_OPENAI_MODEL) to your .env file",
+
+    isConfigured() {
+      const { baseUrl, apiKey } = getOpenAIConfig();
+      // Local servers usually need no key
+      return Boolean(apiKey) || baseUrl !== DEFAULT_BASE_URL;
+    },
+
+    /**
+     * Analyze a post with one chat completion
+     * @param {object} request - { tweetProcessId, author, authorContext, authorTrackRecord, tweetContent }
+     * @returns {Promise<object>} - { runId, result } with the normalized analysis result
+     */
+    async analyze(request) {
+      const { baseUrl, apiKey, model } = getOpenAIConfig();
+
+      let response;
+      try {
+        response = await fetch(`${baseUrl}/chat/completions`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({
+            model,
+            messages: [
+              { role: 'system', content: SYSTEM_PROMPT },
+              { role: 'user', content: buildUserMessage(request) }
+            ],
+            response_format: { type: 'json_object' }
+          }),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+      } catch (error) {
+        if (error.name === 'TimeoutError') {
+          throw new Error(`OpenAI-compatible API did not respond within ${REQUEST_TIMEOUT_MS / 1000} seconds`);
+        }
+        throw error;
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`OpenAI-compatible API error: ${response.status} - ${errorText}`);
+      }
+
+      const completion = await response.json();
+      const content = completion.choices?.[0]?.message?.content;
+
+      if (!content) {
+        throw new Error('OpenAI-compatible API returned no message content');
+      }
+
+      return { runId: completion.id || null, result: parseModelReply(content) };
+    },
+
+    async getRun() {
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIAnalyzer,
+};
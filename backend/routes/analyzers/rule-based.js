@@ -0,0 +1,91 @@
+// Words that push the score of a post up or down; matched as whole words, case-insensitively
+const BULLISH_WORDS = [
+  'beat', 'beats', 'surge', 'surges', 'soar', 'soars', 'record', 'upgrade', 'upgraded', 'buy',
+  'launch', 'launches', 'approval', 'approved', 'partnership', 'growth', 'profit', 'bullish', 'rally'
+];
+const BEARISH_WORDS = [
+  'miss', 'misses', 'plunge', 'plunges', 'crash', 'downgrade', 'downgraded', 'sell', 'lawsuit',
+  'recall', 'ban', 'banned', 'tariff', 'tariffs', 'investigation', 'bankrupt', 'bankruptcy', 'loss', 'bearish', 'fraud'
+];
+
+const DEFAULT_DAYS_TO_HOLD = 5;
+
+/**
+ * Helper function to find the words from a list that appear in a post
+ * @param {Array<string>} words - Post words, lowercased
+ * @param {Array<string>} list - Words to look for
+ * @returns {Array<string>} - Matched words, without duplicates
+ */
+function matchWords(words, list) {
+  return [...new Set(words.filter(word => list.includes(word)))];
+}
+
+/**
+ * Analyze a post with fixed rules: every $CASHTAG is a candidate ticker, and the
+ * bullish and bearish keywords decide the direction. A post without cashtags or with
+ * a neutral score has no market effect. The same post always gives the same result.
+ * @param {string} tweetContent - Post text
+ * @returns {object} - Normalized analysis result
+ */
+function analyzeWithRules(tweetContent) {
+  const tickers = [...new Set((tweetContent.match(/\$[A-Za-z]{1,5}\b/g) || []).map(tag => tag.slice(1).toUpperCase()))];
+  const words = tweetContent.toLowerCase().match(/[a-z]+/g) || [];
+  const bullish = matchWords(words, BULLISH_WORDS);
+  const bearish = matchWords(words, BEARISH_WORDS);
+  const score = bullish.length - bearish.length;
+
+  if (tickers.length === 0 || score === 0) {
+    return { status: 'ok', market_effect: 'no', trades: [] };
+  }
+
+  const parsedDays = parseInt(process.env.ANALYZER_RULES_DAYS_TO_HOLD);
+  const timeline = isNaN(parsedDays) || parsedDays <= 0 ? DEFAULT_DAYS_TO_HOLD : parsedDays;
+  const direction = score > 0 ? 'long' : 'short';
+  const matched = score > 0 ? bullish : bearish;
+
+  return {
+    status: 'ok',
+    market_effect: 'yes',
+    trades: tickers.map(ticker => ({
+      stock_ticker: ticker,
+      timeline,
+      reasoning: `Rule-based: post mentions $${ticker} with ${direction === 'long' ? 'bullish' : 'bearish'} keywords (${matched.join(', ')})`,
+      confidence: Math.min(0.9, 0.5 + 0.1 * Math.abs(score)),
+      direction
+    }))
+  };
+}
+
+/**
+ * Create the rule-based analyzer. It needs no network or credentials, for offline
+ * development and tests.
+ * @returns {object} - Analyzer
+ */
+function createRuleBasedAnalyzer() {
+  return {
+    name: 'rule_based',
+    setupInstructions: null,
+
+    isConfigured() {
+      return true;
+    },
+
+    /**
+     * Analyze a post
+     * @param {object} request - { tweetProcessId, tweetContent }
+     * @returns {Promise<object>} - { runId, result } with the normalized analysis result
+     */
+    async analyze(request) {
+      return { runId: null, result: analyzeWithRules(request.tweetContent) };
+    },
+
+    async getRun() {
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  createRuleBasedAnalyzer,
+  analyzeWithRules,
+};
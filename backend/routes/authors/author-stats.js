@@ -0,0 +1,180 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { getTradingMode } = require('../trading/trading-mode');
+
+// Closed trades at a neutral 50% win rate that every author starts with, so a few
+// lucky or unlucky trades do not swing the credibility score to an extreme
+const DEFAULT_CREDIBILITY_PRIOR_TRADES = 10;
+
+/**
+ * Helper function to read how many neutral trades the credibility score starts from
+ * @returns {number} - Prior trade count
+ */
+function getCredibilityPriorTrades() {
+  const priorTrades = parseFloat(process.env.AUTHOR_CREDIBILITY_PRIOR_TRADES);
+  return isNaN(priorTrades) || priorTrades < 0 ? DEFAULT_CREDIBILITY_PRIOR_TRADES : priorTrades;
+}
+
+/**
+ * Helper function to round a number to a fixed number of decimals
+ * @param {number|null} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number|null} - Rounded value, or null if there is no value
+ */
+function round(value, decimals) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Calculate an author's credibility score from their closed trades.
+ * The score is the author's win rate, shrunk towards 50% by AUTHOR_CREDIBILITY_PRIOR_TRADES
+ * (default 10) neutral trades, on a 0-100 scale. Authors without closed trades score 50.
+ * @param {number} closedTrades - Number of closed trades with a known result
+ * @param {number} winningTrades - Number of those trades that made money
+ * @returns {number} - Credibility score between 0 and 100
+ */
+function calculateCredibilityScore(closedTrades, winningTrades) {
+  const priorTrades = getCredibilityPriorTrades();
+
+  if (closedTrades + priorTrades === 0) {
+    return 50;
+  }
+
+  return Math.round((winningTrades + priorTrades * 0.5) / (closedTrades + priorTrades) * 100);
+}
+
+/**
+ * Helper function to turn an author stats row from the database into the API shape
+ * @param {object} row - Row from getAuthorStats' query
+ * @returns {object} - Author stats
+ */
+function buildAuthorStats(row) {
+  const posts = parseInt(row.posts);
+  const completedPosts = parseInt(row.completed_posts);
+  const marketEffectPosts = parseInt(row.market_effect_posts);
+  const closedTrades = parseInt(row.closed_trades);
+  const winningTrades = parseInt(row.winning_trades);
+
+  return {
+    author_id: row.author_id,
+    name: row.name,
+    platform: row.platform,
+    posts,
+    completed_posts: completedPosts,
+    market_effect_posts: marketEffectPosts,
+    market_effect_rate: completedPosts > 0 ? round(marketEffectPosts / completedPosts, 4) : null,
+    trades_generated: parseInt(row.trades_generated),
+    executed_trades: parseInt(row.executed_trades),
+    closed_trades: closedTrades,
+    winning_trades: winningTrades,
+    win_rate: closedTrades > 0 ? round(winningTrades / closedTrades, 4) : null,
+    average_return_pct: row.average_return === null ? null : round(parseFloat(row.average_return) * 100, 4),
+    realized_pl: round(parseFloat(row.realized_pl), 2),
+    credibility_score: calculateCredibilityScore(closedTrades, winningTrades)
+  };
+}
+
+/**
+ * Get posting and trading analytics for every subscribed author, or for one author
+ * (deleted authors are only included when asked for by ID).
+ * Trade results count closed trades in the trading mode; each trade's return is its
+ * realized P&L over its cost, so it covers the trade's own hold period.
+ * @param {object} options - Options (optional)
+ * @param {string} options.authorId - Only get this author's stats (optional)
+ * @param {string} options.tradingMode - 'paper' or 'live' (default: this deployment's trading mode)
+ * @returns {Promise<Array>} - Author stats
+ */
+async function getAuthorStats({ authorId = null, tradingMode = getTradingMode() } = {}) {
+  const rows = await sql`
+    WITH post_stats AS (
+      SELECT
+        author_id,
+        COUNT(*) AS posts,
+        COUNT(*) FILTER (WHERE status = 'completed') AS completed_posts,
+        COUNT(*) FILTER (WHERE status = 'completed' AND market_effect = true) AS market_effect_posts
+      FROM tweet_processes
+      WHERE dry_run = false
+      GROUP BY author_id
+    ),
+    trade_returns AS (
+      SELECT
+        tp.author_id,
+        t.status,
+        t.executed,
+        t.realized_pl,
+        t.realized_pl / NULLIF(
+          COALESCE(t.filled_amount, t.entry_price * t.filled_qty * CASE WHEN t.instrument = 'stock' THEN 1 ELSE 100 END),
+          0
+        ) AS trade_return
+      FROM trades t
+      JOIN tweet_processes tp ON tp.tweet_process_id = t.tweet_process_id
+      WHERE t.trading_mode = ${tradingMode} AND tp.dry_run = false
+    ),
+    trade_stats AS (
+      SELECT
+        author_id,
+        COUNT(*) AS trades_generated,
+        COUNT(*) FILTER (WHERE executed = true) AS executed_trades,
+        COUNT(*) FILTER (WHERE status = 'closed' AND trade_return IS NOT NULL) AS closed_trades,
+        COUNT(*) FILTER (WHERE status = 'closed' AND trade_return IS NOT NULL AND realized_pl > 0) AS winning_trades,
+        AVG(trade_return) FILTER (WHERE status = 'closed') AS average_return,
+        COALESCE(SUM(realized_pl) FILTER (WHERE status = 'closed'), 0) AS realized_pl
+      FROM trade_returns
+      GROUP BY author_id
+    )
+    SELECT
+      sa.id AS author_id,
+      sa.name,
+      sa.platform,
+      COALESCE(ps.posts, 0) AS posts,
+      COALESCE(ps.completed_posts, 0) AS completed_posts,
+      COALESCE(ps.market_effect_posts, 0) AS market_effect_posts,
+      COALESCE(ts.trades_generated, 0) AS trades_generated,
+      COALESCE(ts.executed_trades, 0) AS executed_trades,
+      COALESCE(ts.closed_trades, 0) AS closed_trades,
+      COALESCE(ts.winning_trades, 0) AS winning_trades,
+      ts.average_return,
+      COALESCE(ts.realized_pl, 0) AS realized_pl
+    FROM subscribed_authors sa
+    LEFT JOIN post_stats ps ON ps.author_id = sa.id
+    LEFT JOIN trade_stats ts ON ts.author_id = sa.id
+    WHERE (${authorId}::uuid IS NULL AND sa.deleted_at IS NULL) OR sa.id = ${authorId}::uuid
+  `;
+
+  return rows.map(buildAuthorStats);
+}
+
+/**
+ * Describe an author's track record for the analysis workflow
+ * @param {object} stats - Author stats from getAuthorStats
+ * @returns {string} - One-paragraph summary of the author's history and credibility score
+ */
+function describeTrackRecord(stats) {
+  const postHistory = stats.completed_posts > 0
+    ? ` ${Math.round(stats.market_effect_rate * 100)}% of their ${stats.completed_posts} analyzed posts were judged market-moving.`
+    : '';
+
+  if (stats.closed_trades === 0) {
+    return `Credibility score ${stats.credibility_score}/100: no closed trades from this author yet, so their reliability is unknown.${postHistory}`;
+  }
+
+  const averageReturn = stats.average_return_pct === null
+    ? 'unknown'
+    : `${stats.average_return_pct >= 0 ? '+' : ''}${stats.average_return_pct.toFixed(2)}%`;
+
+  return `Credibility score ${stats.credibility_score}/100: ${stats.closed_trades} closed trades from this author's posts ` +
+    `won ${Math.round(stats.win_rate * 100)}% of the time, with an average return of ${averageReturn} ` +
+    `over each trade's hold period.${postHistory}`;
+}
+
+module.exports = {
+  getAuthorStats,
+  calculateCredibilityScore,
+  describeTrackRecord,
+};
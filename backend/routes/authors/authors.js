@@ -1,10 +1,111 @@
 const express = require('express');
 const { neon } = require('@neondatabase/serverless');
-const axios = require('axios');
 const router = express.Router();
 
 const sql = neon(process.env.DATABASE_URL);
 
+const { getAuthorStats } = require('./author-stats');
+const { PLATFORMS, resolveAuthorIdentity } = require('./platforms');
+const { POLICY_FIELDS, getDefaultTradingPolicy, validateTradingPolicy, resolvePolicyTickers, getAuthorTradingPolicy, updateAuthorTradingPolicy } = require('./trading-policy');
+const { TRADING_MODES, getTradingMode } = require('../trading/trading-mode');
+
+const AUTHOR_STATUSES = ['active', 'paused'];
+const LEADERBOARD_SORT_FIELDS = ['credibility_score', 'win_rate', 'average_return_pct', 'realized_pl', 'market_effect_rate', 'posts'];
+
+/**
+ * Helper function to add an author on a platform, restoring the author if they were deleted
+ * @param {object} res - Express response
+ * @param {object} author - { platform, username, name, author_context }
+ * @returns {Promise<object>} - Express response
+ */
+async function addAuthor(res, { platform, username, name, author_context }) {
+  const identity = await resolveAuthorIdentity(platform, username);
+
+  if (identity.error) {
+    return res.status(400).json({ error: identity.error });
+  }
+
+  const [existingAuthor] = await sql`
+    SELECT id, deleted_at FROM subscribed_authors
+    WHERE platform = ${platform} AND platform_id = ${identity.platformId}
+  `;
+
+  if (existingAuthor && !existingAuthor.deleted_at) {
+    return res.status(409).json({
+      error: `An author with this ${platform} account already exists.`
+    });
+  }
+
+  // Re-adding a deleted author brings back the same row, so their history stays attached
+  if (existingAuthor) {
+    await sql`
+      UPDATE subscribed_authors
+      SET name = ${name}, author_context = ${author_context}, status = 'active', deleted_at = NULL, updated_at = NOW()
+      WHERE id = ${existingAuthor.id}
+    `;
+
+    return res.status(200).json({
+      success: true,
+      message: "Author restored successfully.",
+      id: existingAuthor.id,
+      platform,
+      platform_id: identity.platformId,
+      username: identity.username
+    });
+  }
+
+  const [newAuthor] = await sql`
+    INSERT INTO subscribed_authors (platform, platform_id, name, author_context)
+    VALUES (${platform}, ${identity.platformId}, ${name}, ${author_context})
+    RETURNING id
+  `;
+
+  return res.status(201).json({
+    success: true,
+    message: "Author added successfully.",
+    id: newAuthor.id,
+    platform,
+    platform_id: identity.platformId,
+    username: identity.username
+  });
+}
+
+/**
+ * Endpoint to add a new author on any supported platform.
+ * @route POST /api/authors
+ * @param {string} platform - 'bluesky' or 'twitter' (required)
+ * @param {string} username - The author's username on the platform (required)
+ * @param {string} name - The author's display name (required)
+ * @param {string} author_context - Descriptive context about the author (required)
+ * @returns {object} 201 - JSON object confirming author creation and the new author's ID.
+ * @returns {object} 200 - JSON object confirming a deleted author was restored.
+ * @returns {object} 400 - Error message for missing required fields, unsupported platform or invalid username.
+ * @returns {object} 409 - Error message if the author already exists.
+ * @returns {object} 500 - Error message for server-side failures.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { platform, username, name, author_context } = req.body;
+
+    if (!platform || !username || !name || !author_context) {
+      return res.status(400).json({
+        error: "Missing required fields: platform, username, name, author_context"
+      });
+    }
+
+    if (!PLATFORMS.includes(platform)) {
+      return res.status(400).json({
+        error: `platform must be one of: ${PLATFORMS.join(', ')}`
+      });
+    }
+
+    await addAuthor(res, { platform, username, name, author_context });
+  } catch (error) {
+    console.error("Error adding new author:", error);
+    res.status(500).json({ error: "Failed to add author." });
+  }
+});
+
 /**
  * Endpoint to add a new author to the subscribed_authors table.
  * @route POST /api/authors/add-bsky-author
@@ -12,6 +113,7 @@ const sql = neon(process.env.DATABASE_URL);
  * @param {string} name - The author's display name.
  * @param {string} author_context - Descriptive context about the author.
  * @returns {object} 201 - JSON object confirming author creation and the new author's ID.
+ * @returns {object} 200 - JSON object confirming a deleted author was restored.
  * @returns {object} 400 - Error message for missing required fields or invalid username.
  * @returns {object} 409 - Error message if the author already exists.
  * @returns {object} 500 - Error message for server-side failures.
@@ -26,49 +128,7 @@ router.post('/add-bsky-author', async (req, res) => {
       });
     }
 
-    const cleanUsername = username.replace(/^@/, '');
-    
-    // Resolve the DID from the username using BlueSky API
-    let bsky_did;
-    try {
-      const response = await axios.get(`https://bsky.social/xrpc/com.atproto.identity.resolveHandle?handle=${encodeURIComponent(cleanUsername)}`);
-      bsky_did = response.data.did;
-      
-      if (!bsky_did) {
-        return res.status(400).json({
-          error: "Could not resolve DID for the provided username"
-        });
-      }
-    } catch (resolveError) {
-      console.error("Error resolving BlueSky handle:", resolveError.response?.data || resolveError.message);
-      return res.status(400).json({
-        error: "Invalid BlueSky username or unable to resolve DID"
-      });
-    }
-    
-    const [existingAuthor] = await sql`
-      SELECT id FROM subscribed_authors WHERE platform_id = ${bsky_did}
-    `;
-
-    if (existingAuthor) {
-      return res.status(409).json({ 
-        error: "An author with this BlueSky account already exists." 
-      });
-    }
-
-    const [newAuthor] = await sql`
-      INSERT INTO subscribed_authors (platform_id, name, author_context)
-      VALUES (${bsky_did}, ${name}, ${author_context})
-      RETURNING id
-    `;
-
-    res.status(201).json({
-      success: true,
-      message: "Author added successfully.",
-      id: newAuthor.id,
-      platform_id: bsky_did,
-      username: cleanUsername
-    });
+    await addAuthor(res, { platform: 'bluesky', username, name, author_context });
   } catch (error) {
     console.error("Error adding new Bsky author:", error);
     res.status(500).json({ error: "Failed to add author." });
@@ -78,14 +138,18 @@ router.post('/add-bsky-author', async (req, res) => {
 /**
  * Endpoint to get all authors from the subscribed_authors table.
  * @route GET /api/authors/all
+ * @param {boolean} include_deleted - Also return deleted authors (optional, default: false)
  * @returns {object} 200 - An array of author objects.
  * @returns {object} 500 - Error message for server-side failures.
  */
 router.get('/all', async (req, res) => {
   try {
+    const includeDeleted = req.query.include_deleted === 'true';
+
     const authors = await sql`
-      SELECT id, platform_id, name, author_context, created_at, platform
+      SELECT id, platform_id, name, author_context, created_at, platform, status, updated_at, deleted_at
       FROM subscribed_authors
+      WHERE ${includeDeleted} OR deleted_at IS NULL
     `;
     
     res.status(200).json(authors);
@@ -96,7 +160,7 @@ router.get('/all', async (req, res) => {
 });
 
 /**
- * Endpoint to get all authors from the subscribed_authors table.
+ * Endpoint to get the active BlueSky authors to listen to.
  * @route GET /api/authors/bluesky
  * @returns {object} 200 - An array of author objects.
  * @returns {object} 500 - Error message for server-side failures.
@@ -104,9 +168,9 @@ router.get('/all', async (req, res) => {
 router.get('/bluesky', async (req, res) => {
   try {
     const authors = await sql`
-      SELECT id, platform_id, name, author_context, created_at, platform
+      SELECT id, platform_id, name, author_context, created_at, platform, status
       FROM subscribed_authors
-      WHERE platform = 'bluesky'
+      WHERE platform = 'bluesky' AND status = 'active' AND deleted_at IS NULL
     `;
     
     res.status(200).json(authors);
@@ -116,6 +180,77 @@ router.get('/bluesky', async (req, res) => {
   }
 });
 
+/**
+ * Endpoint to rank authors by how their posts have performed.
+ * @route GET /api/authors/leaderboard
+ * @param {string} sort_by - Field to rank by (optional, default: credibility_score)
+ * @param {number} min_closed_trades - Only rank authors with at least this many closed trades (optional, default: 0)
+ * @param {number} limit - Maximum number of authors (optional, default: 50, max: 100)
+ * @param {string} trading_mode - 'paper' or 'live' (optional, defaults to this deployment's trading mode)
+ * @returns {object} 200 - Ranked author stats.
+ * @returns {object} 400 - Error message for invalid parameters.
+ * @returns {object} 500 - Error message for server-side failures.
+ */
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const { sort_by = 'credibility_score', min_closed_trades = 0, limit = 50 } = req.query;
+    const tradingMode = req.query.trading_mode || getTradingMode();
+
+    if (!LEADERBOARD_SORT_FIELDS.includes(sort_by)) {
+      return res.status(400).json({
+        error: 'Invalid sort_by parameter',
+        message: `sort_by must be one of: ${LEADERBOARD_SORT_FIELDS.join(', ')}`
+      });
+    }
+
+    const minClosedTrades = parseInt(min_closed_trades);
+    if (isNaN(minClosedTrades) || minClosedTrades < 0) {
+      return res.status(400).json({
+        error: 'Invalid min_closed_trades parameter',
+        message: 'min_closed_trades must be a non-negative number'
+      });
+    }
+
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        error: 'Invalid limit parameter',
+        message: 'Limit must be a number between 1 and 100'
+      });
+    }
+
+    if (!TRADING_MODES.includes(tradingMode)) {
+      return res.status(400).json({
+        error: 'Invalid trading_mode parameter',
+        message: `trading_mode must be one of: ${TRADING_MODES.join(', ')}`
+      });
+    }
+
+    const stats = await getAuthorStats({ tradingMode });
+
+    // Authors without a value for the field (e.g. no closed trades) rank last
+    const leaderboard = stats
+      .filter(author => author.closed_trades >= minClosedTrades)
+      .sort((a, b) => (b[sort_by] ?? -Infinity) - (a[sort_by] ?? -Infinity) || b.closed_trades - a.closed_trades)
+      .slice(0, limitNum)
+      .map((author, index) => ({ rank: index + 1, ...author }));
+
+    res.status(200).json({
+      success: true,
+      sort_by,
+      trading_mode: tradingMode,
+      count: leaderboard.length,
+      data: leaderboard
+    });
+  } catch (error) {
+    console.error("Error fetching author leaderboard:", error);
+    res.status(500).json({
+      error: "Failed to fetch author leaderboard.",
+      message: "Internal server error"
+    });
+  }
+});
+
 /**
  * Endpoint to get a specific author by their ID.
  * @route GET /api/authors/:id
@@ -139,7 +274,7 @@ router.get('/:id', async (req, res) => {
     }
 
     const [author] = await sql`
-      SELECT id, platform_id, name, author_context, created_at, platform
+      SELECT id, platform_id, name, author_context, created_at, platform, status, updated_at, deleted_at
       FROM subscribed_authors
       WHERE id = ${id}
     `;
@@ -164,4 +299,316 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Endpoint to get posting and trading analytics for an author.
+ * @route GET /api/authors/:id/stats
+ * @param {string} id - The author's UUID (required)
+ * @param {string} trading_mode - 'paper' or 'live' (optional, defaults to this deployment's trading mode)
+ * @returns {object} 200 - Author stats: posts, market-effect rate, trades, win rate, average return and credibility score.
+ * @returns {object} 400 - Error message for invalid parameters.
+ * @returns {object} 404 - Error message if author not found.
+ * @returns {object} 500 - Error message for server-side failures.
+ */
+router.get('/:id/stats', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const tradingMode = req.query.trading_mode || getTradingMode();
+
+    // Validate UUID format
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        error: 'Invalid author ID format',
+        message: 'Author ID must be a valid UUID'
+      });
+    }
+
+    if (!TRADING_MODES.includes(tradingMode)) {
+      return res.status(400).json({
+        error: 'Invalid trading_mode parameter',
+        message: `trading_mode must be one of: ${TRADING_MODES.join(', ')}`
+      });
+    }
+
+    const [stats] = await getAuthorStats({ authorId: id, tradingMode });
+
+    if (!stats) {
+      return res.status(404).json({
+        error: 'Author not found',
+        message: `No author found with ID: ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      trading_mode: tradingMode,
+      data: stats
+    });
+  } catch (error) {
+    console.error("Error fetching author stats:", error);
+    res.status(500).json({
+      error: "Failed to fetch author stats.",
+      message: "Internal server error"
+    });
+  }
+});
+
+/**
+ * Endpoint to get an author's trading policy.
+ * @route GET /api/authors/:id/policy
+ * @param {string} id - The author's UUID (required)
+ * @returns {object} 200 - The policy in effect, the author's overrides and the defaults.
+ * @returns {object} 400 - Error message for invalid ID format.
+ * @returns {object} 404 - Error message if author not found.
+ * @returns {object} 500 - Error message for server-side failures.
+ */
+router.get('/:id/policy', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate UUID format
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        error: 'Invalid author ID format',
+        message: 'Author ID must be a valid UUID'
+      });
+    }
+
+    const tradingPolicy = await getAuthorTradingPolicy(id);
+
+    if (!tradingPolicy) {
+      return res.status(404).json({
+        error: 'Author not found',
+        message: `No author found with ID: ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...tradingPolicy,
+        defaults: getDefaultTradingPolicy()
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching author trading policy:", error);
+    res.status(500).json({
+      error: "Failed to fetch author trading policy.",
+      message: "Internal server error"
+    });
+  }
+});
+
+/**
+ * Endpoint to override an author's trading policy. Only the fields sent are changed;
+ * send null for a field to restore its default.
+ * @route PUT /api/authors/:id/policy
+ * @param {string} id - The author's UUID (required)
+ * @param {number} max_dollars_per_trade - Cap on the sized amount of each trade (optional)
+ * @param {number} min_confidence - Ignore signals below this confidence, 0-1 (optional)
+ * @param {Array<string>} allowed_instruments - 'stock' and/or 'options' (optional)
+ * @param {Array<string>} ticker_allowlist - Only act on these tickers (optional)
+ * @param {Array<string>} ticker_denylist - Never act on these tickers (optional)
+ * @param {string} execution_mode - 'auto' to trade signals, 'approval' to hold them for manual approval, 'record_only' to only record them (optional)
+ * @returns {object} 200 - The updated policy.
+ * @returns {object} 400 - Error message for invalid parameters or tickers that do not resolve to an asset.
+ * @returns {object} 404 - Error message if author not found.
+ * @returns {object} 500 - Error message for server-side failures.
+ */
+router.put('/:id/policy', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate UUID format
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        error: 'Invalid author ID format',
+        message: 'Author ID must be a valid UUID'
+      });
+    }
+
+    if (!req.body || Object.keys(req.body).length === 0) {
+      return res.status(400).json({
+        error: 'No policy fields provided',
+        message: `Provide at least one of: ${POLICY_FIELDS.join(', ')}`
+      });
+    }
+
+    const validation = validateTradingPolicy(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: validation.errors.join(', ')
+      });
+    }
+
+    const tickerResolution = await resolvePolicyTickers(req.body);
+    if (!tickerResolution.isValid) {
+      return res.status(400).json({
+        error: 'Unknown tickers',
+        message: tickerResolution.errors.join(', ')
+      });
+    }
+
+    const tradingPolicy = await updateAuthorTradingPolicy(id, tickerResolution.policy);
+
+    if (!tradingPolicy) {
+      return res.status(404).json({
+        error: 'Author not found',
+        message: `No author found with ID: ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Author trading policy updated',
+      data: tradingPolicy
+    });
+  } catch (error) {
+    console.error("Error updating author trading policy:", error);
+    res.status(500).json({
+      error: "Failed to update author trading policy.",
+      message: "Internal server error"
+    });
+  }
+});
+
+/**
+ * Endpoint to update an author's name or context, or pause and resume them.
+ * Paused authors stay subscribed but their posts are not sent to the workflow.
+ * @route PATCH /api/authors/:id
+ * @param {string} id - The author's UUID (required)
+ * @param {string} name - The author's display name (optional)
+ * @param {string} author_context - Descriptive context about the author (optional)
+ * @param {string} status - 'active' or 'paused' (optional)
+ * @returns {object} 200 - The updated author.
+ * @returns {object} 400 - Error message for invalid parameters.
+ * @returns {object} 404 - Error message if author not found.
+ * @returns {object} 500 - Error message for server-side failures.
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, author_context, status } = req.body;
+
+    // Validate UUID format
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        error: 'Invalid author ID format',
+        message: 'Author ID must be a valid UUID'
+      });
+    }
+
+    const errors = [];
+
+    if (name === undefined && author_context === undefined && status === undefined) {
+      errors.push('At least one of name, author_context or status is required');
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+      errors.push('name must be a non-empty string');
+    }
+
+    if (author_context !== undefined && (typeof author_context !== 'string' || author_context.trim().length === 0)) {
+      errors.push('author_context must be a non-empty string');
+    }
+
+    if (status !== undefined && !AUTHOR_STATUSES.includes(status)) {
+      errors.push(`status must be one of: ${AUTHOR_STATUSES.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: errors.join(', ')
+      });
+    }
+
+    const [author] = await sql`
+      UPDATE subscribed_authors
+      SET
+        name = COALESCE(${name ?? null}, name),
+        author_context = COALESCE(${author_context ?? null}, author_context),
+        status = COALESCE(${status ?? null}, status),
+        updated_at = NOW()
+      WHERE id = ${id} AND deleted_at IS NULL
+      RETURNING id, platform_id, name, author_context, created_at, platform, status, updated_at, deleted_at
+    `;
+
+    if (!author) {
+      return res.status(404).json({
+        error: 'Author not found',
+        message: `No author found with ID: ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: author
+    });
+  } catch (error) {
+    console.error("Error updating author:", error);
+    res.status(500).json({
+      error: "Failed to update author.",
+      message: "Internal server error"
+    });
+  }
+});
+
+/**
+ * Endpoint to delete an author. The author is soft deleted: they are hidden from the
+ * author lists and their posts are no longer processed, but their posts and trades are kept.
+ * Adding the same account again restores them.
+ * @route DELETE /api/authors/:id
+ * @param {string} id - The author's UUID (required)
+ * @returns {object} 200 - JSON object confirming the author was deleted.
+ * @returns {object} 400 - Error message for invalid ID format.
+ * @returns {object} 404 - Error message if author not found.
+ * @returns {object} 500 - Error message for server-side failures.
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate UUID format
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        error: 'Invalid author ID format',
+        message: 'Author ID must be a valid UUID'
+      });
+    }
+
+    const [author] = await sql`
+      UPDATE subscribed_authors
+      SET deleted_at = NOW(), updated_at = NOW()
+      WHERE id = ${id} AND deleted_at IS NULL
+      RETURNING id, deleted_at
+    `;
+
+    if (!author) {
+      return res.status(404).json({
+        error: 'Author not found',
+        message: `No author found with ID: ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Author deleted successfully.",
+      id: author.id,
+      deleted_at: author.deleted_at
+    });
+  } catch (error) {
+    console.error("Error deleting author:", error);
+    res.status(500).json({
+      error: "Failed to delete author.",
+      message: "Internal server error"
+    });
+  }
+});
+
 module.exports = router;
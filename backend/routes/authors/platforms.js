@@ -0,0 +1,80 @@
+const axios = require('axios');
+
+/**
+ * Resolve a BlueSky handle to the account's DID
+ * @param {string} username - BlueSky handle, with or without a leading @
+ * @returns {Promise<object>} - { platformId, username } or { error } if the handle cannot be resolved
+ */
+async function resolveBlueskyAuthor(username) {
+  const cleanUsername = username.replace(/^@/, '');
+
+  try {
+    const response = await axios.get(`https://bsky.social/xrpc/com.atproto.identity.resolveHandle?handle=${encodeURIComponent(cleanUsername)}`);
+
+    if (!response.data.did) {
+      return { error: "Could not resolve DID for the provided username" };
+    }
+
+    return { platformId: response.data.did, username: cleanUsername };
+  } catch (resolveError) {
+    console.error("Error resolving BlueSky handle:", resolveError.response?.data || resolveError.message);
+    return { error: "Invalid BlueSky username or unable to resolve DID" };
+  }
+}
+
+/**
+ * Resolve an X (Twitter) username to the account's user ID.
+ * Requires TWITTER_BEARER_TOKEN.
+ * @param {string} username - X username, with or without a leading @
+ * @returns {Promise<object>} - { platformId, username } or { error } if the username cannot be resolved
+ */
+async function resolveTwitterAuthor(username) {
+  const cleanUsername = username.replace(/^@/, '');
+
+  if (!/^[A-Za-z0-9_]{1,15}$/.test(cleanUsername)) {
+    return { error: "X usernames must be 1-15 letters, numbers or underscores" };
+  }
+
+  if (!process.env.TWITTER_BEARER_TOKEN) {
+    return { error: "TWITTER_BEARER_TOKEN is not configured" };
+  }
+
+  try {
+    const response = await axios.get(`https://api.twitter.com/2/users/by/username/${encodeURIComponent(cleanUsername)}`, {
+      headers: { Authorization: `Bearer ${process.env.TWITTER_BEARER_TOKEN}` }
+    });
+
+    if (!response.data.data?.id) {
+      return { error: "Could not resolve a user ID for the provided username" };
+    }
+
+    return { platformId: response.data.data.id, username: response.data.data.username };
+  } catch (resolveError) {
+    console.error("Error resolving X username:", resolveError.response?.data || resolveError.message);
+    return { error: "Invalid X username or unable to resolve user ID" };
+  }
+}
+
+const PLATFORM_RESOLVERS = {
+  bluesky: resolveBlueskyAuthor,
+  twitter: resolveTwitterAuthor
+};
+
+/**
+ * Resolve a username to the platform's stable account ID
+ * @param {string} platform - 'bluesky' or 'twitter'
+ * @param {string} username - Username on that platform
+ * @returns {Promise<object>} - { platformId, username } or { error } if the username cannot be resolved
+ */
+async function resolveAuthorIdentity(platform, username) {
+  if (!PLATFORM_RESOLVERS[platform]) {
+    return { error: `platform must be one of: ${Object.keys(PLATFORM_RESOLVERS).join(', ')}` };
+  }
+
+  return PLATFORM_RESOLVERS[platform](username);
+}
+
+module.exports = {
+  PLATFORMS: Object.keys(PLATFORM_RESOLVERS),
+  resolveAuthorIdentity,
+};
@@ -0,0 +1,248 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { normalizeTicker, resolveTicker } = require('../trading/assets');
+
+const EXECUTION_MODES = ['auto', 'approval', 'record_only'];
+const POLICY_INSTRUMENTS = ['stock', 'options'];
+const POLICY_FIELDS = ['max_dollars_per_trade', 'min_confidence', 'allowed_instruments', 'ticker_allowlist', 'ticker_denylist', 'execution_mode'];
+
+/**
+ * Get the policy applied to authors without overrides.
+ * The execution mode comes from TRADE_EXECUTION_MODE (default: auto).
+ * @returns {object} - Default trading policy
+ */
+function getDefaultTradingPolicy() {
+  const executionMode = process.env.TRADE_EXECUTION_MODE || 'auto';
+
+  return {
+    max_dollars_per_trade: null,
+    min_confidence: null,
+    allowed_instruments: POLICY_INSTRUMENTS,
+    ticker_allowlist: null,
+    ticker_denylist: [],
+    execution_mode: EXECUTION_MODES.includes(executionMode) ? executionMode : 'auto'
+  };
+}
+
+/**
+ * Helper function to check a ticker list field
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value is an array of strings
+ */
+function isTickerList(value) {
+  return Array.isArray(value) && value.every(ticker => typeof ticker === 'string' && ticker.trim().length > 0);
+}
+
+/**
+ * Validate trading policy overrides. Any field may be null to restore its default.
+ * @param {object} policy - Policy fields to set
+ * @returns {object} - Validation result with isValid and errors
+ */
+function validateTradingPolicy(policy) {
+  const errors = [];
+  const { max_dollars_per_trade, min_confidence, allowed_instruments, ticker_allowlist, ticker_denylist, execution_mode } = policy;
+
+  const unknownFields = Object.keys(policy).filter(key => !POLICY_FIELDS.includes(key));
+  if (unknownFields.length > 0) {
+    errors.push(`Unknown policy fields: ${unknownFields.join(', ')}`);
+  }
+
+  if (max_dollars_per_trade != null && (typeof max_dollars_per_trade !== 'number' || max_dollars_per_trade <= 0)) {
+    errors.push('max_dollars_per_trade must be a positive number or null');
+  }
+
+  if (min_confidence != null && (typeof min_confidence !== 'number' || min_confidence < 0 || min_confidence > 1)) {
+    errors.push('min_confidence must be a number between 0 and 1, or null');
+  }
+
+  if (allowed_instruments != null && (!Array.isArray(allowed_instruments) || allowed_instruments.some(instrument => !POLICY_INSTRUMENTS.includes(instrument)))) {
+    errors.push(`allowed_instruments must be an array containing: ${POLICY_INSTRUMENTS.join(', ')}`);
+  }
+
+  if (ticker_allowlist != null && !isTickerList(ticker_allowlist)) {
+    errors.push('ticker_allowlist must be an array of tickers or null');
+  }
+
+  if (ticker_denylist != null && !isTickerList(ticker_denylist)) {
+    errors.push('ticker_denylist must be an array of tickers or null');
+  }
+
+  if (execution_mode != null && !EXECUTION_MODES.includes(execution_mode)) {
+    errors.push(`execution_mode must be one of: ${EXECUTION_MODES.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Resolve the tickers of the allowlist and denylist in validated policy fields against the
+ * broker's asset list, so entries are stored as the symbols trades use (BRK-B is stored as BRK.B)
+ * @param {object} policy - Validated policy fields to set
+ * @returns {Promise<object>} - { isValid, errors, policy } where policy has the resolved symbols
+ */
+async function resolvePolicyTickers(policy) {
+  const errors = [];
+  const resolved = { ...policy };
+
+  for (const key of ['ticker_allowlist', 'ticker_denylist']) {
+    if (policy[key] == null) {
+      continue;
+    }
+
+    resolved[key] = [];
+    for (const ticker of policy[key]) {
+      const resolution = await resolveTicker(normalizeTicker(ticker));
+      if (resolution.resolved) {
+        resolved[key].push(resolution.symbol);
+      } else {
+        errors.push(`${key}: ${resolution.reason}`);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    policy: resolved
+  };
+}
+
+/**
+ * Helper function to fill in the defaults for any policy field that is not overridden
+ * @param {object|null} overrides - Stored policy overrides
+ * @returns {object} - Complete trading policy
+ */
+function resolveTradingPolicy(overrides) {
+  const policy = getDefaultTradingPolicy();
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (POLICY_FIELDS.includes(key) && value !== null) {
+      policy[key] = value;
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * Get an author's trading policy
+ * @param {string} authorId - Author UUID
+ * @returns {Promise<object|null>} - { overrides, policy }, or null if the author does not exist
+ */
+async function getAuthorTradingPolicy(authorId) {
+  const [author] = await sql`
+    SELECT trading_policy FROM subscribed_authors
+    WHERE id = ${authorId} AND deleted_at IS NULL
+  `;
+
+  if (!author) {
+    return null;
+  }
+
+  return {
+    overrides: author.trading_policy || {},
+    policy: resolveTradingPolicy(author.trading_policy)
+  };
+}
+
+/**
+ * Get the trading policy of the author whose post a tweet process analyzed
+ * @param {string} tweetProcessId - Tweet process ID
+ * @returns {Promise<object>} - Complete trading policy (the default policy if the author is unknown)
+ */
+async function getTradingPolicyForTweetProcess(tweetProcessId) {
+  const [author] = await sql`
+    SELECT sa.trading_policy
+    FROM tweet_processes tp
+    JOIN subscribed_authors sa ON sa.id = tp.author_id
+    WHERE tp.tweet_process_id = ${tweetProcessId}
+  `;
+
+  return resolveTradingPolicy(author?.trading_policy);
+}
+
+/**
+ * Override fields of an author's trading policy. Fields set to null are removed,
+ * so they fall back to the default.
+ * @param {string} authorId - Author UUID
+ * @param {object} changes - Validated policy fields to set
+ * @returns {Promise<object|null>} - { overrides, policy }, or null if the author does not exist
+ */
+async function updateAuthorTradingPolicy(authorId, changes) {
+  const current = await getAuthorTradingPolicy(authorId);
+  if (!current) {
+    return null;
+  }
+
+  const overrides = { ...current.overrides };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete overrides[key];
+    } else if (key === 'ticker_allowlist' || key === 'ticker_denylist') {
+      overrides[key] = value.map(normalizeTicker);
+    } else {
+      overrides[key] = value;
+    }
+  }
+
+  await sql`
+    UPDATE subscribed_authors
+    SET trading_policy = ${JSON.stringify(overrides)}::jsonb, updated_at = NOW()
+    WHERE id = ${authorId}
+  `;
+
+  return {
+    overrides,
+    policy: resolveTradingPolicy(overrides)
+  };
+}
+
+/**
+ * Check a workflow trade signal against an author's trading policy
+ * @param {object} policy - Complete trading policy
+ * @param {object} trade - { ticker, instrument, confidence }
+ * @returns {object} - { allowed, reasons }
+ */
+function checkTradingPolicy(policy, trade) {
+  const reasons = [];
+  const ticker = normalizeTicker(trade.ticker);
+  const instrumentGroup = trade.instrument === 'stock' ? 'stock' : 'options';
+
+  if (!policy.allowed_instruments.includes(instrumentGroup)) {
+    reasons.push(`${instrumentGroup} trades are not allowed for this author`);
+  }
+
+  if (policy.min_confidence !== null && trade.confidence < policy.min_confidence) {
+    reasons.push(`Confidence ${trade.confidence} is below the author's minimum of ${policy.min_confidence}`);
+  }
+
+  // Entries saved before they were normalized may still be written like BRK-B
+  if (policy.ticker_allowlist !== null && !policy.ticker_allowlist.map(normalizeTicker).includes(ticker)) {
+    reasons.push(`${ticker} is not on the author's ticker allowlist`);
+  }
+
+  if (policy.ticker_denylist.map(normalizeTicker).includes(ticker)) {
+    reasons.push(`${ticker} is on the author's ticker denylist`);
+  }
+
+  return {
+    allowed: reasons.length === 0,
+    reasons
+  };
+}
+
+module.exports = {
+  POLICY_FIELDS,
+  getDefaultTradingPolicy,
+  validateTradingPolicy,
+  resolvePolicyTickers,
+  getAuthorTradingPolicy,
+  getTradingPolicyForTweetProcess,
+  updateAuthorTradingPolicy,
+  checkTradingPolicy,
+};
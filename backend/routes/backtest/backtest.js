@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+
+const { runBacktest } = require('./engine');
+const { BAR_SOURCES, getBarSource } = require('./bar-sources');
+const { SIZING_MODES, getSizingConfig } = require('../trading/sizing');
+
+const DEFAULT_STARTING_EQUITY = 100000;
+
+/**
+ * Helper function to validate backtest parameters
+ * @param {object} body - Request body
+ * @returns {object} - Validation result with isValid and errors
+ */
+function validateBacktestParams(body) {
+  const errors = [];
+  const { start, end, author_id, bar_source, sizing_mode, starting_equity } = body;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!start || !dateRegex.test(start)) {
+    errors.push('start is required and must be a date in YYYY-MM-DD format');
+  }
+
+  if (!end || !dateRegex.test(end)) {
+    errors.push('end is required and must be a date in YYYY-MM-DD format');
+  } else if (start && end < start) {
+    errors.push('end must not be before start');
+  }
+
+  const uuidRegex = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+  if (author_id !== undefined && !uuidRegex.test(author_id)) {
+    errors.push('author_id must be a valid UUID');
+  }
+
+  if (bar_source !== undefined && !BAR_SOURCES.includes(bar_source)) {
+    errors.push(`bar_source must be one of: ${BAR_SOURCES.join(', ')}`);
+  }
+
+  if (sizing_mode !== undefined && !SIZING_MODES.includes(sizing_mode)) {
+    errors.push(`sizing_mode must be one of: ${SIZING_MODES.join(', ')}`);
+  }
+
+  if (starting_equity !== undefined && (typeof starting_equity !== 'number' || starting_equity <= 0)) {
+    errors.push('starting_equity must be a positive number');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * POST /api/backtest
+ * Replay stored tweet_processes signals against historical daily bars
+ *
+ * @param {string} start - First post date to replay, YYYY-MM-DD (required)
+ * @param {string} end - Last post date to replay, YYYY-MM-DD (required)
+ * @param {string} author_id - Only replay this author's posts (optional)
+ * @param {string} bar_source - 'alpaca' or 'csv' (optional, default: alpaca)
+ * @param {string} sizing_mode - Sizing mode to apply (optional, default: SIZING_MODE)
+ * @param {number} starting_equity - Simulated starting equity (optional, default: 100000)
+ *
+ * @returns {object} 200 - Backtest results: summary, equity curve, per-author breakdown and trades
+ * @returns {object} 400 - Invalid parameters or bar source not configured
+ * @returns {object} 500 - Server error
+ */
+router.post('/', async (req, res) => {
+  try {
+    // Validate parameters
+    const validation = validateBacktestParams(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: validation.errors.join(', ')
+      });
+    }
+
+    const { start, end, author_id, bar_source = 'alpaca', sizing_mode, starting_equity = DEFAULT_STARTING_EQUITY } = req.body;
+
+    const barSource = getBarSource(bar_source);
+    if (!barSource.isConfigured()) {
+      return res.status(400).json({
+        error: 'Bar source not configured',
+        message: bar_source === 'csv'
+          ? 'BACKTEST_CSV_DIR does not exist'
+          : 'Alpaca API credentials not configured'
+      });
+    }
+
+    const sizingConfig = { ...getSizingConfig(), ...(sizing_mode ? { mode: sizing_mode } : {}) };
+
+    const result = await runBacktest({
+      start,
+      end,
+      authorId: author_id || null,
+      barSource,
+      sizingConfig,
+      startingEquity: starting_equity
+    });
+
+    res.status(200).json({
+      success: true,
+      parameters: {
+        start,
+        end,
+        author_id: author_id || null,
+        bar_source,
+        sizing_mode: sizingConfig.mode,
+        starting_equity
+      },
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error running backtest:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to run backtest'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+const { createAlpacaBroker } = require('../trading/broker/alpaca');
+
+const DEFAULT_CSV_DIR = path.join(__dirname, '..', '..', 'data', 'bars');
+
+/**
+ * Helper function to parse a daily bar CSV file.
+ * Expects a header row with date, open, high, low, close and (optionally) volume columns.
+ * @param {string} contents - CSV file contents
+ * @returns {Array} - Bars with t, o, h, l, c and v
+ */
+function parseBarCsv(contents) {
+  const [header, ...rows] = contents.trim().split(/\r?\n/);
+  const columns = header.split(',').map(column => column.trim().toLowerCase());
+  const index = name => columns.indexOf(name);
+
+  return rows
+    .filter(row => row.trim().length > 0)
+    .map(row => {
+      const values = row.split(',').map(value => value.trim());
+      return {
+        t: values[index('date')],
+        o: parseFloat(values[index('open')]),
+        h: parseFloat(values[index('high')]),
+        l: parseFloat(values[index('low')]),
+        c: parseFloat(values[index('close')]),
+        v: index('volume') === -1 ? 0 : parseFloat(values[index('volume')])
+      };
+    });
+}
+
+/**
+ * Create a bar source that reads daily bars from the Alpaca market data API.
+ * Uses Alpaca directly, whichever broker the server trades through. Long ranges span several
+ * pages of limit bars each; the broker follows next_page_token until every page is read.
+ * @returns {object} - Bar source
+ */
+function createAlpacaBarSource() {
+  const alpaca = createAlpacaBroker();
+
+  return {
+    name: 'alpaca',
+
+    isConfigured() {
+      return alpaca.isConfigured();
+    },
+
+    async getDailyBars(symbol, start, end) {
+      return alpaca.getBars(symbol, {
+        timeframe: '1Day',
+        start,
+        end,
+        limit: 10000,
+        adjustment: 'split'
+      });
+    }
+  };
+}
+
+/**
+ * Create a bar source that reads daily bars from <TICKER>.csv files in BACKTEST_CSV_DIR
+ * (default: backend/data/bars), for backtests without credentials or network access.
+ * @returns {object} - Bar source
+ */
+function createCsvBarSource() {
+  const directory = process.env.BACKTEST_CSV_DIR || DEFAULT_CSV_DIR;
+
+  return {
+    name: 'csv',
+
+    isConfigured() {
+      return fs.existsSync(directory);
+    },
+
+    async getDailyBars(symbol, start, end) {
+      const file = path.join(directory, `${symbol.toUpperCase()}.csv`);
+
+      if (!fs.existsSync(file)) {
+        return [];
+      }
+
+      return parseBarCsv(fs.readFileSync(file, 'utf8'))
+        .filter(bar => bar.t.slice(0, 10) >= start && bar.t.slice(0, 10) <= end);
+    }
+  };
+}
+
+const BAR_SOURCES = {
+  alpaca: createAlpacaBarSource,
+  csv: createCsvBarSource
+};
+
+/**
+ * Get a bar source by name
+ * @param {string} name - 'alpaca' or 'csv'
+ * @returns {object|null} - Bar source, or null if the name is not recognized
+ */
+function getBarSource(name) {
+  return BAR_SOURCES[name] ? BAR_SOURCES[name]() : null;
+}
+
+module.exports = {
+  BAR_SOURCES: Object.keys(BAR_SOURCES),
+  getBarSource,
+};
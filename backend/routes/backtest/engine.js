@@ -0,0 +1,478 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { calculateDailyVolatility, sizeTradeForAccount } = require('../trading/sizing');
+const { normalizeDirection, normalizeInstrument } = require('../trading/orders');
+const { normalizeTicker } = require('../trading/assets');
+const { RESULT_SCHEMA, validateTrade } = require('../tweet-workflow/result-schema');
+const { getEasternDate } = require('../trading/market-calendar');
+
+// Regular session boundaries (ET) used to decide which bar price a signal would have filled at
+const SESSION_OPEN = '09:30';
+const SESSION_CLOSE = '16:00';
+
+// Extra calendar days of bars fetched around the signals, to cover weekends and holidays
+const BAR_PADDING_DAYS = 10;
+
+/**
+ * Helper function to add days to a YYYY-MM-DD date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+/**
+ * Helper function to get the New York wall-clock time for a moment in time
+ * @param {Date} date - Moment to convert
+ * @returns {string} - Time in HH:MM format
+ */
+function getEasternTime(date) {
+  return date.toLocaleTimeString('en-GB', { timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+/**
+ * Helper function to round a number to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places (default: 2)
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Helper function to load completed tweet processes with trades in a date range
+ * @param {string} start - First submission date (ET) in YYYY-MM-DD format
+ * @param {string} end - Last submission date (ET) in YYYY-MM-DD format
+ * @param {string|null} authorId - Only load this author's posts (optional)
+ * @returns {Promise<Array>} - Tweet process rows with author names
+ */
+async function loadTweetProcesses(start, end, authorId) {
+  if (authorId) {
+    return sql`
+      SELECT tp.tweet_process_id, tp.author_id, sa.name AS author_name, tp.submitted_at, tp.trades
+      FROM tweet_processes tp
+      LEFT JOIN subscribed_authors sa ON sa.id = tp.author_id
+      WHERE tp.status = 'completed'
+        AND tp.market_effect = true
+        AND tp.dry_run = false
+        AND tp.author_id = ${authorId}
+        AND (tp.submitted_at AT TIME ZONE 'America/New_York')::date BETWEEN ${start} AND ${end}
+      ORDER BY tp.submitted_at ASC
+    `;
+  }
+
+  return sql`
+    SELECT tp.tweet_process_id, tp.author_id, sa.name AS author_name, tp.submitted_at, tp.trades
+    FROM tweet_processes tp
+    LEFT JOIN subscribed_authors sa ON sa.id = tp.author_id
+    WHERE tp.status = 'completed'
+      AND tp.market_effect = true
+      AND tp.dry_run = false
+      AND (tp.submitted_at AT TIME ZONE 'America/New_York')::date BETWEEN ${start} AND ${end}
+    ORDER BY tp.submitted_at ASC
+  `;
+}
+
+/**
+ * Helper function to turn stored tweet processes into signals. Each trade is checked with the
+ * workflow's validateTrade as of the day its post was submitted, with the same per-result limit.
+ * Options trades are not backtested.
+ * @param {Array} processes - Tweet process rows from loadTweetProcesses
+ * @returns {object} - { signals, skipped, total } where total counts every stored trade
+ */
+function buildSignals(processes) {
+  const signals = [];
+  const skipped = [];
+  let total = 0;
+
+  for (const tweetProcess of processes) {
+    let trades = tweetProcess.trades;
+    if (typeof trades === 'string') {
+      try {
+        trades = JSON.parse(trades);
+      } catch (parseError) {
+        skipped.push({ tweet_process_id: tweetProcess.tweet_process_id, ticker: null, reason: 'Stored trades are not valid JSON' });
+        total++;
+        continue;
+      }
+    }
+
+    const submittedAt = new Date(tweetProcess.submitted_at);
+    let validTrades = 0;
+
+    for (const trade of trades || []) {
+      total++;
+      const ticker = typeof trade?.stock_ticker === 'string' ? trade.stock_ticker : null;
+      const skip = reason => skipped.push({ tweet_process_id: tweetProcess.tweet_process_id, ticker, reason });
+
+      const validation = validateTrade(trade, { today: getEasternDate(submittedAt) });
+      if (!validation.isValid) {
+        skip(validation.errors.join('; '));
+        continue;
+      }
+
+      if (validTrades >= RESULT_SCHEMA.maxTrades) {
+        skip(`Exceeds the maximum of ${RESULT_SCHEMA.maxTrades} trades per result`);
+        continue;
+      }
+      validTrades++;
+
+      if (normalizeInstrument(trade) !== 'stock') {
+        skip('Options trades are not backtested');
+        continue;
+      }
+
+      signals.push({
+        tweetProcessId: tweetProcess.tweet_process_id,
+        authorId: tweetProcess.author_id,
+        authorName: tweetProcess.author_name,
+        submittedAt,
+        ticker: normalizeTicker(ticker),
+        direction: normalizeDirection(trade),
+        confidence: trade.confidence,
+        daysToHold: trade.timeline
+      });
+    }
+  }
+
+  return { signals, skipped, total };
+}
+
+/**
+ * Helper function to fetch the daily bars needed for every ticker with signals
+ * @param {object} barSource - Bar source from getBarSource
+ * @param {Array} signals - Signals from buildSignals
+ * @param {object} sizingConfig - Sizing configuration, for the volatility lookback
+ * @returns {Promise<object>} - Bars keyed by ticker, each { date, o, c } ordered oldest first
+ */
+async function loadBars(barSource, signals, sizingConfig) {
+  const today = getEasternDate();
+  const barsByTicker = {};
+
+  for (const ticker of [...new Set(signals.map(signal => signal.ticker))]) {
+    const tickerSignals = signals.filter(signal => signal.ticker === ticker);
+    const firstDate = getEasternDate(tickerSignals[0].submittedAt);
+    const lastExitDate = tickerSignals
+      .map(signal => addDays(getEasternDate(signal.submittedAt), signal.daysToHold))
+      .reduce((latest, date) => (date > latest ? date : latest));
+
+    // Reach back far enough to estimate volatility for volatility-targeted sizing
+    const start = addDays(firstDate, -Math.ceil(sizingConfig.volatilityLookbackDays * 1.6) - BAR_PADDING_DAYS);
+    const end = [addDays(lastExitDate, BAR_PADDING_DAYS), today].sort()[0];
+
+    const bars = await barSource.getDailyBars(ticker, start, end);
+
+    barsByTicker[ticker] = bars
+      .map(bar => ({
+        date: /^\d{4}-\d{2}-\d{2}$/.test(bar.t) ? bar.t : getEasternDate(new Date(bar.t)),
+        o: bar.o,
+        c: bar.c
+      }))
+      .filter(bar => !isNaN(bar.o) && !isNaN(bar.c))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  return barsByTicker;
+}
+
+/**
+ * Helper function to find the bar a signal would have been filled on.
+ * Signals before the open fill at the open, signals during the session fill at that
+ * day's close, and signals after the close fill at the next trading day's open.
+ * @param {Array} bars - Daily bars for the ticker
+ * @param {Date} submittedAt - When the post was submitted
+ * @returns {object|null} - { index, date, price, at } or null if there is no later bar
+ */
+function findEntry(bars, submittedAt) {
+  const signalDate = getEasternDate(submittedAt);
+  const signalTime = getEasternTime(submittedAt);
+
+  for (let index = 0; index < bars.length; index++) {
+    const bar = bars[index];
+
+    if (bar.date === signalDate && signalTime < SESSION_OPEN) {
+      return { index, date: bar.date, price: bar.o, at: 'open' };
+    }
+    if (bar.date === signalDate && signalTime < SESSION_CLOSE) {
+      return { index, date: bar.date, price: bar.c, at: 'close' };
+    }
+    if (bar.date > signalDate) {
+      return { index, date: bar.date, price: bar.o, at: 'open' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Helper function to calculate a position's value at a price
+ * @param {object} position - Open position
+ * @param {number} price - Current price
+ * @returns {number} - Amount invested plus unrealized P&L
+ */
+function positionValue(position, price) {
+  const pnl = (price - position.entryPrice) * position.qty;
+  return position.amount + (position.direction === 'short' ? -pnl : pnl);
+}
+
+/**
+ * Helper function to size a backtest entry against the simulated account.
+ * Falls back to fixed sizing the same way the live workflow does.
+ * @param {object} sizingConfig - Sizing configuration
+ * @param {object} signal - Signal being entered
+ * @param {object} account - { equity, buyingPower, existingExposure }
+ * @param {Array} priorBars - Bars before the entry, for volatility-targeted sizing
+ * @returns {Promise<object>} - { mode, dollarAmount, details }
+ */
+async function sizeEntry(sizingConfig, signal, account, priorBars) {
+  try {
+    const dailyVolatility = sizingConfig.mode === 'volatility_target'
+      ? calculateDailyVolatility(signal.ticker, priorBars.slice(-(sizingConfig.volatilityLookbackDays + 1)))
+      : undefined;
+
+    return await sizeTradeForAccount(sizingConfig, signal.ticker, signal.confidence, { ...account, dailyVolatility });
+  } catch (error) {
+    const sizing = await sizeTradeForAccount({ ...sizingConfig, mode: 'fixed' }, signal.ticker, signal.confidence, account);
+    sizing.details.fallback_from = sizingConfig.mode;
+    sizing.details.fallback_reason = error.message;
+    return sizing;
+  }
+}
+
+/**
+ * Helper function to summarize a set of backtest trades
+ * @param {Array} trades - Backtest trades
+ * @returns {object} - Trade counts, hit rate, average return and realized P&L of closed trades
+ */
+function summarizeTrades(trades) {
+  const closed = trades.filter(trade => trade.status === 'closed');
+  const winners = closed.filter(trade => trade.realized_pl > 0);
+
+  return {
+    trades: trades.length,
+    closed_trades: closed.length,
+    open_trades: trades.length - closed.length,
+    hit_rate: closed.length > 0 ? round(winners.length / closed.length, 4) : null,
+    average_return_pct: closed.length > 0
+      ? round(closed.reduce((sum, trade) => sum + trade.return_pct, 0) / closed.length, 4)
+      : null,
+    realized_pl: round(closed.reduce((sum, trade) => sum + trade.realized_pl, 0))
+  };
+}
+
+/**
+ * Helper function to calculate the largest peak-to-trough fall of an equity curve
+ * @param {Array} equityCurve - [{ date, equity }] ordered oldest first
+ * @returns {number} - Maximum drawdown as a percentage of the peak
+ */
+function calculateMaxDrawdown(equityCurve) {
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+
+  for (const point of equityCurve) {
+    peak = Math.max(peak, point.equity);
+    if (peak > 0) {
+      maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak * 100);
+    }
+  }
+
+  return round(maxDrawdown, 4);
+}
+
+/**
+ * Helper function to build the result row for a backtest trade
+ * @param {object} position - Position that was entered
+ * @param {object} exit - { status, price, date, value }
+ * @returns {object} - Backtest trade
+ */
+function buildTradeResult(position, exit) {
+  const pl = exit.value - position.amount;
+
+  return {
+    tweet_process_id: position.signal.tweetProcessId,
+    author_id: position.signal.authorId,
+    author_name: position.signal.authorName,
+    ticker: position.ticker,
+    direction: position.direction,
+    confidence: position.signal.confidence,
+    days_to_hold: position.signal.daysToHold,
+    dollar_amount: position.amount,
+    sizing_mode: position.sizing.mode,
+    sizing_details: position.sizing.details,
+    entry_date: position.entryDate,
+    entry_price: position.entryPrice,
+    exit_date: exit.date,
+    exit_price: exit.price,
+    status: exit.status,
+    realized_pl: exit.status === 'closed' ? round(pl) : null,
+    unrealized_pl: exit.status === 'open' ? round(pl) : null,
+    return_pct: round(pl / position.amount * 100, 4)
+  };
+}
+
+/**
+ * Replay stored tweet_processes signals against historical daily bars.
+ * Each stock trade is sized with the configured sizing mode against the simulated
+ * account, entered at the bar it would have filled on, and exited at the open of the
+ * first trading day at least days_to_hold days later, like the exit-positions job.
+ * Options trades are skipped because historical option prices are not available.
+ * @param {object} options - Backtest options
+ * @param {string} options.start - First submission date (ET) in YYYY-MM-DD format
+ * @param {string} options.end - Last submission date (ET) in YYYY-MM-DD format
+ * @param {string|null} options.authorId - Only replay this author's posts (optional)
+ * @param {object} options.barSource - Bar source from getBarSource
+ * @param {object} options.sizingConfig - Sizing configuration
+ * @param {number} options.startingEquity - Simulated starting equity
+ * @returns {Promise<object>} - { summary, equity_curve, by_author, trades, skipped }
+ */
+async function runBacktest({ start, end, authorId = null, barSource, sizingConfig, startingEquity }) {
+  const processes = await loadTweetProcesses(start, end, authorId);
+  const { signals, skipped, total } = buildSignals(processes);
+  const barsByTicker = await loadBars(barSource, signals, sizingConfig);
+
+  // Work out when each signal would have been entered
+  const entries = [];
+  for (const signal of signals) {
+    const entry = findEntry(barsByTicker[signal.ticker], signal.submittedAt);
+
+    if (!entry) {
+      skipped.push({ tweet_process_id: signal.tweetProcessId, ticker: signal.ticker, reason: 'No price data after the post' });
+      continue;
+    }
+
+    entries.push({ signal, entry });
+  }
+
+  const dates = [...new Set(Object.values(barsByTicker).flatMap(bars => bars.map(bar => bar.date)))]
+    .filter(date => entries.length > 0 && date >= entries.map(({ entry }) => entry.date).sort()[0])
+    .sort();
+
+  let cash = startingEquity;
+  const openPositions = [];
+  const lastPrices = {};
+  const trades = [];
+  const equityCurve = [];
+
+  const getEquity = () => cash + openPositions.reduce(
+    (sum, position) => sum + positionValue(position, lastPrices[position.ticker] ?? position.entryPrice), 0);
+
+  const enter = async ({ signal, entry }) => {
+    const bars = barsByTicker[signal.ticker];
+    const existingExposure = openPositions
+      .filter(position => position.ticker === signal.ticker)
+      .reduce((sum, position) => sum + Math.abs(positionValue(position, lastPrices[position.ticker] ?? position.entryPrice)), 0);
+
+    const sizing = await sizeEntry(sizingConfig, signal, {
+      equity: getEquity(),
+      buyingPower: cash,
+      existingExposure
+    }, bars.slice(0, entry.index));
+
+    if (sizing.dollarAmount <= 0) {
+      skipped.push({ tweet_process_id: signal.tweetProcessId, ticker: signal.ticker, reason: 'Sized to $0' });
+      return;
+    }
+
+    const position = {
+      signal,
+      ticker: signal.ticker,
+      direction: signal.direction,
+      amount: sizing.dollarAmount,
+      qty: sizing.dollarAmount / entry.price,
+      entryPrice: entry.price,
+      entryDate: entry.date,
+      exitDate: addDays(entry.date, signal.daysToHold),
+      sizing
+    };
+
+    cash -= position.amount;
+    openPositions.push(position);
+  };
+
+  const exit = (position, price, date) => {
+    const value = positionValue(position, price);
+    cash += value;
+    openPositions.splice(openPositions.indexOf(position), 1);
+
+    trades.push(buildTradeResult(position, { status: 'closed', price, date, value }));
+  };
+
+  for (const date of dates) {
+    const barsToday = {};
+    for (const [ticker, bars] of Object.entries(barsByTicker)) {
+      const bar = bars.find(candidate => candidate.date === date);
+      if (bar) {
+        barsToday[ticker] = bar;
+      }
+    }
+
+    // Exits run at the open, before new entries, like the scheduled exit job
+    for (const position of [...openPositions]) {
+      const bar = barsToday[position.ticker];
+      if (bar && date >= position.exitDate) {
+        exit(position, bar.o, date);
+      }
+    }
+
+    for (const fillAt of ['open', 'close']) {
+      for (const pending of entries.filter(({ entry }) => entry.date === date && entry.at === fillAt)) {
+        await enter(pending);
+      }
+    }
+
+    for (const [ticker, bar] of Object.entries(barsToday)) {
+      lastPrices[ticker] = bar.c;
+    }
+
+    equityCurve.push({ date, equity: round(getEquity()) });
+  }
+
+  // Positions still held at the end of the data are marked at the last close
+  for (const position of openPositions) {
+    const price = lastPrices[position.ticker] ?? position.entryPrice;
+    trades.push(buildTradeResult(position, { status: 'open', price, date: null, value: positionValue(position, price) }));
+  }
+
+  trades.sort((a, b) => a.entry_date.localeCompare(b.entry_date));
+
+  const authors = {};
+  for (const trade of trades) {
+    const key = trade.author_id;
+    authors[key] = authors[key] || { author_id: trade.author_id, author_name: trade.author_name, trades: [] };
+    authors[key].trades.push(trade);
+  }
+
+  const endingEquity = round(getEquity());
+
+  return {
+    summary: {
+      starting_equity: startingEquity,
+      ending_equity: endingEquity,
+      total_return_pct: round((endingEquity - startingEquity) / startingEquity * 100, 4),
+      max_drawdown_pct: calculateMaxDrawdown(equityCurve),
+      signals: total,
+      skipped: skipped.length,
+      ...summarizeTrades(trades)
+    },
+    equity_curve: equityCurve,
+    by_author: Object.values(authors).map(({ author_id, author_name, trades: authorTrades }) => ({
+      author_id,
+      author_name,
+      ...summarizeTrades(authorTrades)
+    })),
+    trades,
+    skipped
+  };
+}
+
+module.exports = {
+  runBacktest,
+};
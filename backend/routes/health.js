@@ -4,6 +4,9 @@ const router = express.Router();
 
 const sql = neon(process.env.DATABASE_URL);
 
+const { getTradingMode } = require('./trading/trading-mode');
+const { getBroker } = require('./trading/broker');
+
 /**
  * GET /api/health
  * Health check endpoint
@@ -19,12 +22,16 @@ router.get('/', async (req, res) => {
       status: "healthy",
       timestamp: new Date().toISOString(),
       database: "connected",
+      trading_mode: getTradingMode(),
+      broker: getBroker().name,
     });
   } catch (error) {
     res.status(500).json({
       status: "unhealthy",
       timestamp: new Date().toISOString(),
       database: "disconnected",
+      trading_mode: getTradingMode(),
+      broker: getBroker().name,
       error: "Database connection failed",
     });
   }
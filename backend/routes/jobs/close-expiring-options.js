@@ -0,0 +1,96 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { isMarketOpen } = require('../trading/market-calendar');
+const { listOptionPositions, closeOptionPosition } = require('../trading/options');
+const { getEntryFill } = require('./exit-positions');
+const { getTradingMode } = require('../trading/trading-mode');
+
+const DEFAULT_CLOSE_DAYS_BEFORE_EXPIRY = 1;
+
+/**
+ * Helper function to read how many days before expiration options are closed
+ * @returns {number} - Days before expiration
+ */
+function getCloseDaysBeforeExpiry() {
+  const days = parseInt(process.env.OPTION_CLOSE_DAYS_BEFORE_EXPIRY);
+  return isNaN(days) || days < 0 ? DEFAULT_CLOSE_DAYS_BEFORE_EXPIRY : days;
+}
+
+/**
+ * Helper function to mark the trades holding a contract as exiting, so the
+ * exit job records the fill and realized P&L of the closing order
+ * @param {string} optionSymbol - The full options contract symbol
+ * @param {string} exitOrderId - Alpaca order ID of the closing order
+ * @returns {Promise<void>}
+ */
+async function markTradesExiting(optionSymbol, exitOrderId) {
+  const trades = await sql`
+    SELECT id, instrument, order_id, filled_qty, entry_price, partial_exit_qty
+    FROM trades
+    WHERE option_symbol = ${optionSymbol} AND status = 'executed' AND trading_mode = ${getTradingMode()}
+  `;
+
+  for (const trade of trades) {
+    const entryFill = await getEntryFill(trade);
+
+    await sql`
+      UPDATE trades
+      SET
+        status = 'exiting',
+        exit_order_id = ${exitOrderId},
+        exit_qty = ${entryFill ? entryFill.filledQty - parseFloat(trade.partial_exit_qty) : null},
+        exit_submitted_at = NOW()
+      WHERE id = ${trade.id}
+    `;
+  }
+}
+
+/**
+ * Close every options position that is within the configured number of days of expiration.
+ * @param {number} daysBeforeExpiry - Override for OPTION_CLOSE_DAYS_BEFORE_EXPIRY (optional)
+ * @returns {Promise<object>} - Summary of closed positions
+ */
+async function closeExpiringOptions(daysBeforeExpiry = getCloseDaysBeforeExpiry()) {
+  if (!await isMarketOpen()) {
+    return {
+      skipped: true,
+      reason: 'Market is closed',
+      closed: [],
+      failed: []
+    };
+  }
+
+  const positions = await listOptionPositions();
+  const expiring = positions.filter(position =>
+    position.days_to_expiry !== null && position.days_to_expiry <= daysBeforeExpiry
+  );
+
+  const closed = [];
+  const failed = [];
+
+  for (const position of expiring) {
+    try {
+      const order = await closeOptionPosition(position.symbol);
+      await markTradesExiting(position.symbol, order.id);
+      console.log(`Closed ${position.symbol} ${position.days_to_expiry} days before expiration`);
+      closed.push({ symbol: position.symbol, days_to_expiry: position.days_to_expiry, order_id: order.id });
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      console.error(`Error closing expiring option ${position.symbol}:`, errorMessage);
+      failed.push({ symbol: position.symbol, days_to_expiry: position.days_to_expiry, error: errorMessage });
+    }
+  }
+
+  return {
+    skipped: false,
+    days_before_expiry: daysBeforeExpiry,
+    closed,
+    failed
+  };
+}
+
+module.exports = {
+  closeExpiringOptions,
+};
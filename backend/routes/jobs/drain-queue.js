@@ -0,0 +1,193 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { isMarketOpen } = require('../trading/market-calendar');
+const { placeTradeOrder } = require('../trading/orders');
+const { RISK_REJECTION_ERROR } = require('../trading/risk');
+const { getTradingMode } = require('../trading/trading-mode');
+const { recordEntryOrderStatus } = require('./reconcile-fills');
+
+// Queued signals older than this are dropped instead of being bought late
+const DEFAULT_MAX_QUEUE_AGE_HOURS = 72;
+
+/**
+ * Helper function to read the maximum age of a queued trade
+ * @returns {number} - Maximum age in hours
+ */
+function getMaxQueueAgeHours() {
+  const maxAgeHours = parseInt(process.env.QUEUED_TRADE_MAX_AGE_HOURS);
+  return isNaN(maxAgeHours) || maxAgeHours <= 0 ? DEFAULT_MAX_QUEUE_AGE_HOURS : maxAgeHours;
+}
+
+/**
+ * Helper function to expire stale queued trades.
+ * A trade is stale once it has waited longer than the maximum queue age,
+ * or longer than its own holding period.
+ * @returns {Promise<Array>} - The expired trade rows
+ */
+async function expireStaleTrades() {
+  const maxAgeHours = getMaxQueueAgeHours();
+
+  return sql`
+    UPDATE trades
+    SET
+      status = 'expired',
+      expired_at = NOW()
+    WHERE status = 'queued'
+      AND executed = false
+      AND trading_mode = ${getTradingMode()}
+      AND (
+        queued_at < NOW() - make_interval(hours => ${maxAgeHours}::int)
+        OR queued_at < NOW() - make_interval(days => days_to_hold)
+      )
+    RETURNING id, tweet_process_id, ticker, queued_at
+  `;
+}
+
+/**
+ * Helper function to execute a single queued trade and update its row
+ * @param {object} trade - Trade row from the trades table
+ * @returns {Promise<object>} - Execution result for the trade
+ */
+async function executeQueuedTrade(trade) {
+  // Claim the row so an overlapping run does not place the order twice
+  const [claimed] = await sql`
+    UPDATE trades
+    SET status = 'executing'
+    WHERE id = ${trade.id} AND status = 'queued'
+    RETURNING id
+  `;
+
+  if (!claimed) {
+    return { id: trade.id, ticker: trade.ticker, skipped: true };
+  }
+
+  const dollarAmount = parseFloat(trade.dollar_amount);
+  let orderResult;
+
+  try {
+    orderResult = await placeTradeOrder({
+      instrument: trade.instrument,
+      ticker: trade.ticker,
+      dollarAmount,
+      direction: trade.direction,
+      confidence: trade.confidence === null ? null : parseFloat(trade.confidence),
+      targetExpiryDate: trade.target_expiry_date
+    });
+  } catch (error) {
+    const errorMessage = error.response?.data?.message || error.message;
+    // A risk rejection is final; other failures are retried on the next run
+    const status = error.response?.data?.error === RISK_REJECTION_ERROR ? 'rejected' : 'queued';
+
+    await sql`
+      UPDATE trades
+      SET
+        status = ${status},
+        execution_error = ${errorMessage}
+      WHERE id = ${trade.id}
+    `;
+
+    return { id: trade.id, ticker: trade.ticker, executed: false, status, error: errorMessage };
+  }
+
+  // The broker has accepted the order, so the row must never go back to queued:
+  // store the order first, and leave the row claimed if even that fails
+  let submitted;
+  try {
+    [submitted] = await sql`
+      UPDATE trades
+      SET
+        status = 'submitted',
+        dollar_amount = ${orderResult.requested.dollarAmount ?? dollarAmount},
+        order_id = ${orderResult.order.id},
+        order_class = ${orderResult.order.order_class || 'simple'},
+        order_status = ${orderResult.order.status},
+        order_submitted_at = NOW(),
+        order_updated_at = NOW(),
+        option_symbol = ${orderResult.requested.contract?.symbol ?? null},
+        execution_error = NULL
+      WHERE id = ${trade.id}
+      RETURNING id, instrument, order_submitted_at
+    `;
+  } catch (error) {
+    console.error(`Error recording order ${orderResult.order.id} for queued trade ${trade.id}, leaving it executing:`, error);
+    return {
+      id: trade.id,
+      ticker: trade.ticker,
+      executed: true,
+      status: 'executing',
+      order_id: orderResult.order.id,
+      error: `Order ${orderResult.order.id} was placed but could not be recorded: ${error.message}`
+    };
+  }
+
+  // The trade is only executed once the order fills; the reconcile-fills job follows it from here
+  try {
+    const orderStatus = await recordEntryOrderStatus(submitted, orderResult.order);
+    return { id: trade.id, ticker: trade.ticker, executed: true, status: orderStatus.status, order_status: orderStatus.orderStatus };
+  } catch (error) {
+    console.error(`Error recording the order status of queued trade ${trade.id}:`, error);
+    return { id: trade.id, ticker: trade.ticker, executed: true, status: 'submitted', order_status: orderResult.order.status };
+  }
+}
+
+/**
+ * Execute every queued trade that has not gone stale.
+ * Stale trades are expired first so they are never bought.
+ * @returns {Promise<object>} - Summary of executed, failed and expired trades
+ */
+async function drainQueuedTrades() {
+  if (!await isMarketOpen()) {
+    return {
+      skipped: true,
+      reason: 'Market is closed',
+      executed: [],
+      failed: [],
+      expired: []
+    };
+  }
+
+  const expired = await expireStaleTrades();
+
+  const queuedTrades = await sql`
+    SELECT
+      id, tweet_process_id, ticker, direction, instrument,
+      to_char(target_expiry_date, 'YYYY-MM-DD') AS target_expiry_date,
+      dollar_amount, confidence, days_to_hold, queued_at
+    FROM trades
+    WHERE status = 'queued' AND executed = false AND trading_mode = ${getTradingMode()}
+    ORDER BY queued_at ASC
+  `;
+
+  const executed = [];
+  const failed = [];
+
+  for (const trade of queuedTrades) {
+    const result = await executeQueuedTrade(trade);
+
+    if (result.skipped) {
+      continue;
+    }
+
+    if (result.executed) {
+      console.log(`Executed queued trade ${trade.id} for ${trade.ticker}`);
+      executed.push(result);
+    } else {
+      console.error(`Failed to execute queued trade ${trade.id} for ${trade.ticker}:`, result.error);
+      failed.push(result);
+    }
+  }
+
+  return {
+    skipped: false,
+    executed,
+    failed,
+    expired
+  };
+}
+
+module.exports = {
+  drainQueuedTrades,
+  executeQueuedTrade,
+};
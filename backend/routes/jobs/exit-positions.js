@@ -0,0 +1,422 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { isMarketOpen } = require('../trading/market-calendar');
+const { getBroker } = require('../trading/broker');
+const { getTradingMode } = require('../trading/trading-mode');
+const { FAILED_ORDER_STATUSES, summarizeOrderFill, getEntryTradeStatus } = require('../trading/order-status');
+
+// How often and how many times to check that canceled bracket legs have released their shares
+const LEG_CANCEL_POLL_MS = 250;
+const LEG_CANCEL_POLL_ATTEMPTS = 8;
+
+/**
+ * Helper function to fetch how much of a position is held in one direction, and how much of it
+ * can be closed now. Shares held by open orders (such as legs whose cancel is still pending)
+ * are held but not available.
+ * @param {string} symbol - Position symbol
+ * @param {string} direction - 'long' or 'short'
+ * @returns {Promise<object>} - { heldQty, availableQty }, both 0 if there is no position in that direction
+ */
+async function getPositionQuantities(symbol, direction) {
+  try {
+    const position = await getBroker().getPosition(symbol);
+
+    if (position.side !== direction) {
+      return { heldQty: 0, availableQty: 0 };
+    }
+    return {
+      heldQty: Math.abs(parseFloat(position.qty)),
+      availableQty: Math.abs(parseFloat(position.qty_available))
+    };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return { heldQty: 0, availableQty: 0 };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper function to load the filled quantity and price of a trade's entry order.
+ * The values are stored on the trade row the first time they are seen. An order that was
+ * canceled or expired after a partial fill counts as filled for the quantity it got.
+ * @param {object} trade - Trade row from the trades table
+ * @returns {Promise<object|null>} - { filledQty, entryPrice }, or null if the entry has not filled
+ */
+async function getEntryFill(trade) {
+  if (trade.filled_qty && trade.entry_price) {
+    return {
+      filledQty: parseFloat(trade.filled_qty),
+      entryPrice: parseFloat(trade.entry_price)
+    };
+  }
+
+  const order = await getBroker().getOrder(trade.order_id);
+
+  if (getEntryTradeStatus(order) !== 'executed') {
+    return null;
+  }
+
+  const fill = summarizeOrderFill(order, trade.instrument);
+
+  await sql`
+    UPDATE trades
+    SET
+      filled_qty = ${fill.filledQty},
+      entry_price = ${fill.avgPrice},
+      entry_filled_at = ${order.filled_at || order.updated_at || null},
+      filled_amount = ${fill.filledAmount},
+      order_status = ${order.status},
+      order_updated_at = NOW()
+    WHERE id = ${trade.id}
+  `;
+
+  return { filledQty: fill.filledQty, entryPrice: fill.avgPrice };
+}
+
+/**
+ * Helper function to calculate realized P&L for a closed lot
+ * @param {string} direction - 'long' or 'short'
+ * @param {number} entryPrice - Average entry fill price
+ * @param {number} exitPrice - Average exit fill price
+ * @param {number} qty - Quantity closed
+ * @param {string} instrument - 'stock', 'call' or 'put'
+ * @returns {number} - Realized profit (negative for a loss)
+ */
+function calculateRealizedPL(direction, entryPrice, exitPrice, qty, instrument = 'stock') {
+  const priceChange = exitPrice - entryPrice;
+  // Option prices are quoted per share, and each contract covers 100 shares
+  const multiplier = instrument === 'stock' ? 1 : 100;
+  return (direction === 'short' ? -priceChange : priceChange) * qty * multiplier;
+}
+
+/**
+ * Helper function to add an exit fill to the part of a lot that earlier exit orders
+ * already sold before they were canceled or expired
+ * @param {object} trade - Trade row with partial_exit_qty and partial_exit_value
+ * @param {number} qty - Quantity of the new fill
+ * @param {number} price - Average price of the new fill
+ * @returns {object} - { qty, avgPrice } for every part of the exit; avgPrice is null if nothing was sold
+ */
+function combineExitFills(trade, qty, price) {
+  const earlierQty = parseFloat(trade.partial_exit_qty) || 0;
+  const earlierValue = parseFloat(trade.partial_exit_value) || 0;
+  const totalQty = earlierQty + qty;
+
+  return {
+    qty: totalQty,
+    avgPrice: totalQty > 0 ? (earlierValue + qty * price) / totalQty : null
+  };
+}
+
+/**
+ * Helper function to get the symbol a trade's position is held under
+ * @param {object} trade - Trade row from the trades table
+ * @returns {string} - Option contract symbol for options trades, ticker otherwise
+ */
+function getPositionSymbol(trade) {
+  return (trade.option_symbol || trade.ticker).toUpperCase();
+}
+
+/**
+ * Helper function to record the exit of a lot that a bracket leg closed
+ * @param {object} trade - Trade row from the trades table
+ * @param {object} entryFill - { filledQty, entryPrice }
+ * @param {object} leg - Filled bracket leg order
+ * @returns {Promise<object>} - Exit result
+ */
+async function recordBracketExit(trade, entryFill, leg) {
+  const exitPrice = parseFloat(leg.filled_avg_price);
+  const exitQty = parseFloat(leg.filled_qty);
+  const realizedPL = calculateRealizedPL(trade.direction, entryFill.entryPrice, exitPrice, exitQty, trade.instrument);
+
+  await sql`
+    UPDATE trades
+    SET
+      status = 'closed',
+      exit_order_id = ${leg.id},
+      exit_price = ${exitPrice},
+      exit_qty = ${exitQty},
+      realized_pl = ${realizedPL},
+      exited_at = ${leg.filled_at}
+    WHERE id = ${trade.id}
+  `;
+  return { id: trade.id, ticker: trade.ticker, submitted: false, reason: 'Closed by bracket leg', realized_pl: realizedPL };
+}
+
+/**
+ * Helper function to wait for canceled orders to end. A cancel is only a request: until the
+ * broker confirms it, the order still holds the position's shares.
+ * @param {Array<string>} orderIds - IDs of the orders being canceled
+ * @returns {Promise<Array|null>} - The ended orders, or null if any is still open after the last check
+ */
+async function waitForCanceledOrders(orderIds) {
+  for (let attempt = 0; attempt < LEG_CANCEL_POLL_ATTEMPTS; attempt++) {
+    const orders = await Promise.all(orderIds.map(orderId => getBroker().getOrder(orderId)));
+    if (orders.every(order => order.status === 'filled' || FAILED_ORDER_STATUSES.includes(order.status))) {
+      return orders;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, LEG_CANCEL_POLL_MS));
+  }
+
+  return null;
+}
+
+/**
+ * Helper function to resolve the bracket legs attached to a trade's entry order.
+ * If a leg already filled, the lot was closed by the bracket and the exit is recorded from it.
+ * Otherwise the open legs are canceled so the scheduled exit can sell the lot. If the broker
+ * has not confirmed the cancels yet, the trade is left executed and the next run tries again.
+ * @param {object} trade - Trade row from the trades table
+ * @param {object} entryFill - { filledQty, entryPrice }
+ * @returns {Promise<object|null>} - Exit result if a leg closed the lot or the legs are still
+ *   being canceled, null once the lot is free to sell
+ */
+async function resolveBracketLegs(trade, entryFill) {
+  const entryOrder = await getBroker().getOrder(trade.order_id, { nested: true });
+  const legs = entryOrder.legs || [];
+
+  const filledLeg = legs.find(leg => leg.status === 'filled');
+  if (filledLeg) {
+    return recordBracketExit(trade, entryFill, filledLeg);
+  }
+
+  const openLegs = legs.filter(leg => !FAILED_ORDER_STATUSES.includes(leg.status));
+  for (const leg of openLegs) {
+    await getBroker().cancelOrder(leg.id);
+  }
+
+  if (openLegs.length === 0) {
+    return null;
+  }
+
+  const endedLegs = await waitForCanceledOrders(openLegs.map(leg => leg.id));
+  if (!endedLegs) {
+    await sql`
+      UPDATE trades SET exit_error = 'Bracket legs are still being canceled' WHERE id = ${trade.id}
+    `;
+    return { id: trade.id, ticker: trade.ticker, submitted: false, reason: 'Bracket legs are still being canceled' };
+  }
+
+  // A leg can fill before its cancel goes through
+  const legFilledDuringCancel = endedLegs.find(leg => leg.status === 'filled');
+  if (legFilledDuringCancel) {
+    return recordBracketExit(trade, entryFill, legFilledDuringCancel);
+  }
+
+  return null;
+}
+
+/**
+ * Helper function to submit the exit order for one executed trade.
+ * Only the trade's own lot is sold (or covered, for shorts), so other trades
+ * on the same ticker keep their schedule.
+ * @param {object} trade - Trade row from the trades table
+ * @returns {Promise<object>} - Exit result for the trade
+ */
+async function submitExit(trade) {
+  const entryFill = await getEntryFill(trade);
+
+  if (!entryFill) {
+    return { id: trade.id, ticker: trade.ticker, submitted: false, reason: 'Entry order not filled' };
+  }
+
+  if (trade.order_class && trade.order_class !== 'simple') {
+    const bracketResult = await resolveBracketLegs(trade, entryFill);
+    if (bracketResult) {
+      return bracketResult;
+    }
+  }
+
+  // Only the part of the lot that earlier exit orders did not sell is left to close
+  const remainingQty = entryFill.filledQty - (parseFloat(trade.partial_exit_qty) || 0);
+  const { heldQty, availableQty } = await getPositionQuantities(getPositionSymbol(trade), trade.direction);
+
+  if (remainingQty <= 0 || heldQty <= 0) {
+    const earlierExit = combineExitFills(trade, 0, 0);
+    const realizedPL = earlierExit.qty > 0
+      ? calculateRealizedPL(trade.direction, entryFill.entryPrice, earlierExit.avgPrice, earlierExit.qty, trade.instrument)
+      : null;
+
+    await sql`
+      UPDATE trades
+      SET
+        status = 'closed',
+        exited_at = NOW(),
+        exit_price = ${earlierExit.avgPrice},
+        exit_qty = ${earlierExit.qty > 0 ? earlierExit.qty : null},
+        realized_pl = ${realizedPL},
+        exit_error = 'Position no longer open'
+      WHERE id = ${trade.id}
+    `;
+    return { id: trade.id, ticker: trade.ticker, submitted: false, reason: 'Position no longer open' };
+  }
+
+  // The position is still open but other orders hold its shares for now; try again on the next run
+  const exitQty = Math.min(remainingQty, availableQty);
+  if (exitQty <= 0) {
+    await sql`
+      UPDATE trades SET exit_error = 'Position shares are held by open orders' WHERE id = ${trade.id}
+    `;
+    return { id: trade.id, ticker: trade.ticker, submitted: false, reason: 'Position shares are held by open orders' };
+  }
+
+  const orderPayload = {
+    symbol: getPositionSymbol(trade),
+    qty: exitQty.toString(),
+    side: trade.direction === 'short' ? 'buy' : 'sell',
+    type: 'market',
+    time_in_force: 'day'
+  };
+
+  const exitOrder = await getBroker().submitOrder(orderPayload);
+
+  await sql`
+    UPDATE trades
+    SET
+      status = 'exiting',
+      exit_order_id = ${exitOrder.id},
+      exit_qty = ${exitQty},
+      exit_submitted_at = NOW(),
+      exit_error = NULL
+    WHERE id = ${trade.id}
+  `;
+
+  return { id: trade.id, ticker: trade.ticker, submitted: true, qty: exitQty, exit_order_id: exitOrder.id };
+}
+
+/**
+ * Helper function to record fills for exit orders that were previously submitted.
+ * An exit order that ends after a partial fill leaves the sold quantity on the trade,
+ * so the next exit order only sells the rest of the lot.
+ * @returns {Promise<Array>} - Settlement results for each exiting trade
+ */
+async function settleExitOrders() {
+  const exitingTrades = await sql`
+    SELECT id, ticker, direction, instrument, entry_price, exit_order_id, exit_qty, partial_exit_qty, partial_exit_value
+    FROM trades
+    WHERE status = 'exiting' AND exit_order_id IS NOT NULL AND trading_mode = ${getTradingMode()}
+    ORDER BY id ASC
+  `;
+
+  const results = [];
+  // Partial fills of an exit order shared by several lots, still to be shared out between them
+  const unallocatedFills = new Map();
+
+  for (const trade of exitingTrades) {
+    try {
+      const order = await getBroker().getOrder(trade.exit_order_id);
+
+      if (order.status === 'filled') {
+        // An exit order can close several lots at once, so prefer this lot's own quantity
+        const orderQty = trade.exit_qty ? parseFloat(trade.exit_qty) : parseFloat(order.filled_qty);
+        const exit = combineExitFills(trade, orderQty, parseFloat(order.filled_avg_price));
+        const realizedPL = calculateRealizedPL(trade.direction, parseFloat(trade.entry_price), exit.avgPrice, exit.qty, trade.instrument);
+
+        await sql`
+          UPDATE trades
+          SET
+            status = 'closed',
+            exit_price = ${exit.avgPrice},
+            exit_qty = ${exit.qty},
+            realized_pl = ${realizedPL},
+            exited_at = ${order.filled_at}
+          WHERE id = ${trade.id}
+        `;
+        results.push({ id: trade.id, ticker: trade.ticker, closed: true, exit_price: exit.avgPrice, realized_pl: realizedPL });
+      } else if (FAILED_ORDER_STATUSES.includes(order.status)) {
+        if (!unallocatedFills.has(order.id)) {
+          unallocatedFills.set(order.id, summarizeOrderFill(order, trade.instrument).filledQty);
+        }
+
+        // Keep what the order did sell of this lot; the rest is shared out to the other lots it covered
+        const unallocatedQty = unallocatedFills.get(order.id);
+        const soldQty = trade.exit_qty ? Math.min(unallocatedQty, parseFloat(trade.exit_qty)) : unallocatedQty;
+        unallocatedFills.set(order.id, unallocatedQty - soldQty);
+        const soldValue = soldQty > 0 ? soldQty * parseFloat(order.filled_avg_price) : 0;
+
+        // Put the trade back so the next run submits a fresh exit order for the rest of the lot
+        await sql`
+          UPDATE trades
+          SET
+            status = 'executed',
+            exit_order_id = NULL,
+            exit_submitted_at = NULL,
+            partial_exit_qty = partial_exit_qty + ${soldQty},
+            partial_exit_value = partial_exit_value + ${soldValue},
+            exit_error = ${`Exit order ${order.status}`}
+          WHERE id = ${trade.id}
+        `;
+        results.push({ id: trade.id, ticker: trade.ticker, closed: false, reason: `Exit order ${order.status}`, partially_exited_qty: soldQty });
+      }
+    } catch (error) {
+      console.error(`Error settling exit order for trade ${trade.id}:`, error.response?.data || error.message);
+      results.push({ id: trade.id, ticker: trade.ticker, closed: false, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Close every executed trade whose holding period has passed and
+ * record fills for exit orders submitted on earlier runs.
+ * @returns {Promise<object>} - Summary of submitted and settled exits
+ */
+async function exitExpiredPositions() {
+  const settled = await settleExitOrders();
+
+  if (!await isMarketOpen()) {
+    return {
+      skipped: true,
+      reason: 'Market is closed',
+      submitted: [],
+      settled
+    };
+  }
+
+  const dueTrades = await sql`
+    SELECT id, ticker, direction, instrument, option_symbol, order_id, order_class, filled_qty, entry_price, executed_at, days_to_hold,
+      partial_exit_qty, partial_exit_value
+    FROM trades
+    WHERE status = 'executed'
+      AND order_id IS NOT NULL
+      AND trading_mode = ${getTradingMode()}
+      AND executed_at + make_interval(days => days_to_hold) <= NOW()
+    ORDER BY executed_at ASC
+  `;
+
+  const submitted = [];
+
+  for (const trade of dueTrades) {
+    try {
+      submitted.push(await submitExit(trade));
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      console.error(`Error submitting exit for trade ${trade.id}:`, errorMessage);
+
+      await sql`
+        UPDATE trades SET exit_error = ${errorMessage} WHERE id = ${trade.id}
+      `;
+      submitted.push({ id: trade.id, ticker: trade.ticker, submitted: false, error: errorMessage });
+    }
+  }
+
+  return {
+    skipped: false,
+    submitted,
+    settled
+  };
+}
+
+module.exports = {
+  exitExpiredPositions,
+  settleExitOrders,
+  getEntryFill,
+  calculateRealizedPL,
+  combineExitFills,
+  getPositionSymbol,
+};
@@ -0,0 +1,42 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { getTradingMode } = require('../trading/trading-mode');
+
+/**
+ * Helper function to read how long a trade may wait for approval
+ * @returns {number|null} - Maximum age in hours, or null if pending trades never expire
+ */
+function getMaxApprovalAgeHours() {
+  const maxAgeHours = parseFloat(process.env.PENDING_APPROVAL_MAX_AGE_HOURS);
+  return isNaN(maxAgeHours) || maxAgeHours <= 0 ? null : maxAgeHours;
+}
+
+/**
+ * Expire trades that have waited for approval longer than PENDING_APPROVAL_MAX_AGE_HOURS,
+ * or longer than their own holding period. Nothing expires on age alone when the
+ * variable is unset.
+ * @returns {Promise<Array>} - The expired trade rows
+ */
+async function expirePendingApprovals() {
+  const maxAgeHours = getMaxApprovalAgeHours();
+
+  return sql`
+    UPDATE trades
+    SET
+      status = 'expired',
+      expired_at = NOW()
+    WHERE status = 'pending_approval'
+      AND trading_mode = ${getTradingMode()}
+      AND (
+        (${maxAgeHours}::float8 IS NOT NULL AND queued_at < NOW() - make_interval(secs => ${maxAgeHours}::float8 * 3600))
+        OR queued_at < NOW() - make_interval(days => days_to_hold)
+      )
+    RETURNING id, tweet_process_id, ticker, queued_at
+  `;
+}
+
+module.exports = {
+  expirePendingApprovals,
+};
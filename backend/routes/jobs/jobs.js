@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+
+const { drainQueuedTrades } = require('./drain-queue');
+const { exitExpiredPositions } = require('./exit-positions');
+const { closeExpiringOptions } = require('./close-expiring-options');
+const { reconcileFills } = require('./reconcile-fills');
+const { expirePendingApprovals } = require('./expire-approvals');
+const { recoverStuckProcesses } = require('./tweet-process-watchdog');
+
+/**
+ * POST /api/jobs/drain-queue
+ * Execute trades that were queued while the market was closed.
+ * Intended to be called by a scheduler shortly after market open.
+ *
+ * @returns {object} 200 - Queue drained (or skipped because the market is closed)
+ * @returns {object} 500 - Server error
+ */
+router.post('/drain-queue', async (req, res) => {
+  try {
+    const result = await drainQueuedTrades();
+
+    res.status(200).json({
+      success: true,
+      skipped: result.skipped,
+      reason: result.reason || null,
+      executed_count: result.executed.length,
+      failed_count: result.failed.length,
+      expired_count: result.expired.length,
+      executed: result.executed,
+      failed: result.failed,
+      expired: result.expired
+    });
+  } catch (error) {
+    console.error('Error draining trade queue:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to drain trade queue'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/exit-positions
+ * Sell the lot of every executed trade whose days_to_hold has passed,
+ * and record fill price and realized P&L for exits submitted earlier.
+ * Intended to be called by a scheduler during market hours.
+ *
+ * @returns {object} 200 - Exits submitted and settled
+ * @returns {object} 500 - Server error
+ */
+router.post('/exit-positions', async (req, res) => {
+  try {
+    const result = await exitExpiredPositions();
+
+    res.status(200).json({
+      success: true,
+      skipped: result.skipped,
+      reason: result.reason || null,
+      submitted_count: result.submitted.filter(exit => exit.submitted).length,
+      settled_count: result.settled.filter(exit => exit.closed).length,
+      submitted: result.submitted,
+      settled: result.settled
+    });
+  } catch (error) {
+    console.error('Error exiting positions:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to exit positions'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/close-expiring-options
+ * Close options positions that are close to expiration.
+ * Intended to be called by a scheduler during market hours.
+ *
+ * @param {number} days_before_expiry - Close contracts expiring within this many days (optional, default: OPTION_CLOSE_DAYS_BEFORE_EXPIRY or 1)
+ *
+ * @returns {object} 200 - Expiring options closed
+ * @returns {object} 400 - Invalid parameters
+ * @returns {object} 500 - Server error
+ */
+router.post('/close-expiring-options', async (req, res) => {
+  try {
+    const { days_before_expiry } = req.body;
+
+    if (days_before_expiry !== undefined && (!Number.isInteger(days_before_expiry) || days_before_expiry < 0)) {
+      return res.status(400).json({
+        error: 'Invalid days_before_expiry parameter',
+        message: 'days_before_expiry must be a non-negative integer'
+      });
+    }
+
+    const result = await closeExpiringOptions(days_before_expiry);
+
+    res.status(200).json({
+      success: true,
+      skipped: result.skipped,
+      reason: result.reason || null,
+      days_before_expiry: result.days_before_expiry ?? null,
+      closed_count: result.closed.length,
+      failed_count: result.failed.length,
+      closed: result.closed,
+      failed: result.failed
+    });
+  } catch (error) {
+    console.error('Error closing expiring options:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to close expiring options'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/reconcile-fills
+ * Follow each submitted trade's entry order until it fills (executed) or ends unfilled (canceled),
+ * flag orders that stay unfilled longer than ORDER_STUCK_MINUTES, record entry fills
+ * onto executed trades, and settle exit orders that have filled.
+ * Safe to call at any time; fills are recorded even while the market is closed.
+ *
+ * @returns {object} 200 - Fills reconciled
+ * @returns {object} 500 - Server error
+ */
+router.post('/reconcile-fills', async (req, res) => {
+  try {
+    const result = await reconcileFills();
+
+    res.status(200).json({
+      success: true,
+      filled_count: result.filled.length,
+      canceled_count: result.canceled.length,
+      pending_count: result.pending.length,
+      stuck_count: result.pending.filter(trade => trade.stuck).length,
+      failed_count: result.failed.length,
+      settled_count: result.settled.filter(exit => exit.closed).length,
+      filled: result.filled,
+      canceled: result.canceled,
+      pending: result.pending,
+      failed: result.failed,
+      settled: result.settled
+    });
+  } catch (error) {
+    console.error('Error reconciling fills:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reconcile fills'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/expire-approvals
+ * Expire trades that have waited for manual approval longer than
+ * PENDING_APPROVAL_MAX_AGE_HOURS or their own holding period.
+ *
+ * @returns {object} 200 - Pending trades expired
+ * @returns {object} 500 - Server error
+ */
+router.post('/expire-approvals', async (req, res) => {
+  try {
+    const expired = await expirePendingApprovals();
+
+    res.status(200).json({
+      success: true,
+      expired_count: expired.length,
+      expired
+    });
+  } catch (error) {
+    console.error('Error expiring pending approvals:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to expire pending approvals'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/tweet-process-watchdog
+ * Find tweet processes stuck in 'submitted', check their Dify runs, and retry them
+ * with backoff or mark them 'error' once they run out of attempts.
+ * Intended to be called by a scheduler every few minutes.
+ *
+ * @returns {object} 200 - Stuck processes handled
+ * @returns {object} 500 - Server error
+ */
+router.post('/tweet-process-watchdog', async (req, res) => {
+  try {
+    const result = await recoverStuckProcesses();
+
+    res.status(200).json({
+      success: true,
+      retried_count: result.retried.length,
+      running_count: result.running.length,
+      errored_count: result.errored.length,
+      failed_count: result.failed.length,
+      retried: result.retried,
+      running: result.running,
+      errored: result.errored,
+      failed: result.failed
+    });
+  } catch (error) {
+    console.error('Error running tweet process watchdog:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to run tweet process watchdog'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { getEntryFill, settleExitOrders } = require('./exit-positions');
+const { getBroker } = require('../trading/broker');
+const { getTradingMode } = require('../trading/trading-mode');
+const { summarizeOrderFill, getEntryTradeStatus } = require('../trading/order-status');
+
+const DEFAULT_ORDER_STUCK_MINUTES = 30;
+
+/**
+ * Helper function to read how long an entry order may stay unfilled before it is flagged
+ * @returns {number} - Minutes
+ */
+function getOrderStuckMinutes() {
+  const minutes = parseFloat(process.env.ORDER_STUCK_MINUTES);
+  return isNaN(minutes) || minutes <= 0 ? DEFAULT_ORDER_STUCK_MINUTES : minutes;
+}
+
+/**
+ * Record the latest state of a trade's entry order on its row.
+ * Filled orders (including partial fills that ended) make the trade 'executed' with its
+ * filled quantity, average price and cost; orders that ended without a fill make it
+ * 'canceled'; working orders keep it 'submitted', flagged as stuck once they have waited
+ * longer than ORDER_STUCK_MINUTES (default 30).
+ * @param {object} trade - { id, instrument, order_submitted_at } from the trades table
+ * @param {object} order - Entry order from the broker
+ * @returns {Promise<object>} - { status, orderStatus, stuck, filledQty, avgPrice, filledAmount }
+ */
+async function recordEntryOrderStatus(trade, order) {
+  const status = getEntryTradeStatus(order);
+  const fill = summarizeOrderFill(order, trade.instrument);
+
+  if (status === 'executed') {
+    const executedAt = order.filled_at || order.updated_at || new Date().toISOString();
+
+    await sql`
+      UPDATE trades
+      SET
+        status = 'executed',
+        executed = true,
+        executed_at = ${executedAt},
+        order_status = ${order.status},
+        order_updated_at = NOW(),
+        order_stuck = false,
+        filled_qty = ${fill.filledQty},
+        entry_price = ${fill.avgPrice},
+        entry_filled_at = ${executedAt},
+        filled_amount = ${fill.filledAmount}
+      WHERE id = ${trade.id}
+    `;
+    return { status, orderStatus: order.status, stuck: false, ...fill };
+  }
+
+  if (status === 'canceled') {
+    await sql`
+      UPDATE trades
+      SET
+        status = 'canceled',
+        executed = false,
+        order_status = ${order.status},
+        order_updated_at = NOW(),
+        order_stuck = false,
+        execution_error = ${`Entry order ${order.status}`}
+      WHERE id = ${trade.id}
+    `;
+    return { status, orderStatus: order.status, stuck: false, ...fill };
+  }
+
+  const submittedAt = trade.order_submitted_at ? new Date(trade.order_submitted_at) : new Date();
+  const stuck = Date.now() - submittedAt.getTime() > getOrderStuckMinutes() * 60 * 1000;
+
+  await sql`
+    UPDATE trades
+    SET
+      status = 'submitted',
+      order_status = ${order.status},
+      order_updated_at = NOW(),
+      order_stuck = ${stuck},
+      filled_qty = ${fill.filledQty > 0 ? fill.filledQty : null},
+      entry_price = ${fill.avgPrice},
+      filled_amount = ${fill.filledAmount}
+    WHERE id = ${trade.id}
+  `;
+  return { status, orderStatus: order.status, stuck, ...fill };
+}
+
+/**
+ * Reconcile trades with their broker orders:
+ * - submitted trades are moved to executed or canceled once their entry order fills or ends,
+ *   and flagged when the order stays unfilled too long
+ * - executed trades recorded before fills were tracked get their entry fill
+ * - exit orders that have filled are settled
+ * Fills are recorded whether or not the market is open.
+ * @returns {Promise<object>} - { filled, canceled, pending, failed, settled }
+ */
+async function reconcileFills() {
+  const submittedTrades = await sql`
+    SELECT id, ticker, instrument, order_id, order_submitted_at
+    FROM trades
+    WHERE status = 'submitted'
+      AND order_id IS NOT NULL
+      AND trading_mode = ${getTradingMode()}
+    ORDER BY order_submitted_at ASC
+  `;
+
+  const unfilledTrades = await sql`
+    SELECT id, ticker, instrument, order_id, filled_qty, entry_price
+    FROM trades
+    WHERE status IN ('executed', 'exiting')
+      AND order_id IS NOT NULL
+      AND (filled_qty IS NULL OR entry_price IS NULL)
+      AND trading_mode = ${getTradingMode()}
+    ORDER BY executed_at ASC
+  `;
+
+  const filled = [];
+  const canceled = [];
+  const pending = [];
+  const failed = [];
+
+  for (const trade of submittedTrades) {
+    try {
+      const order = await getBroker().getOrder(trade.order_id);
+      const result = await recordEntryOrderStatus(trade, order);
+      const summary = { id: trade.id, ticker: trade.ticker, order_id: trade.order_id, order_status: result.orderStatus };
+
+      if (result.status === 'executed') {
+        filled.push({ ...summary, filled_qty: result.filledQty, entry_price: result.avgPrice, filled_amount: result.filledAmount });
+      } else if (result.status === 'canceled') {
+        canceled.push(summary);
+      } else {
+        if (result.stuck) {
+          console.error(`Entry order ${trade.order_id} for trade ${trade.id} is still ${result.orderStatus}`);
+        }
+        pending.push({ ...summary, filled_qty: result.filledQty, stuck: result.stuck });
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      console.error(`Error reconciling entry order for trade ${trade.id}:`, errorMessage);
+      failed.push({ id: trade.id, ticker: trade.ticker, error: errorMessage });
+    }
+  }
+
+  for (const trade of unfilledTrades) {
+    try {
+      const entryFill = await getEntryFill(trade);
+
+      if (entryFill) {
+        filled.push({ id: trade.id, ticker: trade.ticker, order_id: trade.order_id, filled_qty: entryFill.filledQty, entry_price: entryFill.entryPrice });
+      } else {
+        pending.push({ id: trade.id, ticker: trade.ticker, order_id: trade.order_id });
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message;
+      console.error(`Error reconciling entry fill for trade ${trade.id}:`, errorMessage);
+      failed.push({ id: trade.id, ticker: trade.ticker, error: errorMessage });
+    }
+  }
+
+  const settled = await settleExitOrders();
+
+  return { filled, canceled, pending, failed, settled };
+}
+
+module.exports = {
+  reconcileFills,
+  recordEntryOrderStatus,
+};
@@ -0,0 +1,144 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { startWorkflowRun, getWorkflowRun } = require('../tweet-workflow/workflow-runs');
+
+const DEFAULT_TIMEOUT_MINUTES = 15;
+const DEFAULT_MAX_ATTEMPTS = 3;
+// Posts older than this are not analyzed again, so trades are never made on stale news
+const DEFAULT_MAX_AGE_HOURS = 24;
+
+/**
+ * Helper function to read a positive number from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value to use when the variable is unset or invalid
+ * @returns {number} - Setting value
+ */
+function readPositiveSetting(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value <= 0 ? defaultValue : value;
+}
+
+/**
+ * Helper function to mark a tweet process as failed
+ * @param {string} tweetProcessId - Tweet process ID
+ * @param {string} reason - Why the process failed
+ * @returns {Promise<void>}
+ */
+async function markProcessError(tweetProcessId, reason) {
+  await sql`
+    UPDATE tweet_processes
+    SET status = 'error', error = ${reason}, completed_at = NOW()
+    WHERE tweet_process_id = ${tweetProcessId} AND status = 'submitted'
+  `;
+}
+
+/**
+ * Helper function to explain why a process has not completed, checking its analysis run
+ * if it has one and the analyzer tracks runs
+ * @param {object} tweetProcess - Tweet process row
+ * @returns {Promise<object>} - { running } if the run is still going, otherwise { reason }
+ */
+async function diagnoseProcess(tweetProcess) {
+  if (!tweetProcess.workflow_run_id) {
+    return { reason: tweetProcess.last_error || 'Workflow run was never started' };
+  }
+
+  const run = await getWorkflowRun(tweetProcess.workflow_run_id);
+
+  if (!run) {
+    return { reason: tweetProcess.last_error || 'No analysis result was recorded' };
+  }
+
+  if (run.status === 'running') {
+    return { running: true };
+  }
+
+  if (run.status === 'succeeded') {
+    return { reason: 'Workflow run succeeded but its completion webhook never arrived' };
+  }
+
+  return { reason: `Workflow run ${run.status}${run.error ? `: ${run.error}` : ''}` };
+}
+
+/**
+ * Find tweet processes stuck in 'submitted' and retry or fail them.
+ * A process is checked once TWEET_PROCESS_TIMEOUT_MINUTES (default 15) have passed since
+ * its last attempt, doubling after each attempt. Runs the analyzer reports as still going
+ * are left alone. Others are started again until TWEET_PROCESS_MAX_ATTEMPTS (default 3)
+ * is reached, then marked 'error' with the reason. Processes older than TWEET_PROCESS_MAX_AGE_HOURS
+ * (default 24), or whose author is paused or deleted, are marked 'error' without a retry.
+ * @returns {Promise<object>} - { retried, running, errored, failed }
+ */
+async function recoverStuckProcesses() {
+  const timeoutMinutes = readPositiveSetting('TWEET_PROCESS_TIMEOUT_MINUTES', DEFAULT_TIMEOUT_MINUTES);
+  const maxAttempts = readPositiveSetting('TWEET_PROCESS_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+  const maxAgeHours = readPositiveSetting('TWEET_PROCESS_MAX_AGE_HOURS', DEFAULT_MAX_AGE_HOURS);
+
+  const stuckProcesses = await sql`
+    SELECT
+      tp.tweet_process_id, tp.author_id, tp.tweet_content, tp.submitted_at,
+      tp.workflow_run_id, tp.attempts, tp.last_error,
+      tp.submitted_at < NOW() - make_interval(secs => ${maxAgeHours}::float8 * 3600) AS too_old,
+      sa.status AS author_status, sa.deleted_at AS author_deleted_at
+    FROM tweet_processes tp
+    LEFT JOIN subscribed_authors sa ON sa.id = tp.author_id
+    WHERE tp.status = 'submitted'
+      AND COALESCE(tp.last_attempt_at, tp.submitted_at)
+        < NOW() - make_interval(secs => ${timeoutMinutes}::float8 * 60 * power(2, GREATEST(tp.attempts, 1) - 1))
+    ORDER BY tp.submitted_at ASC
+  `;
+
+  const retried = [];
+  const running = [];
+  const errored = [];
+  const failed = [];
+
+  for (const tweetProcess of stuckProcesses) {
+    const { tweet_process_id, workflow_run_id, attempts } = tweetProcess;
+
+    try {
+      if (tweetProcess.author_status !== 'active' || tweetProcess.author_deleted_at) {
+        const reason = 'Author is paused or deleted';
+        await markProcessError(tweet_process_id, reason);
+        errored.push({ tweet_process_id, attempts, reason });
+        continue;
+      }
+
+      const diagnosis = await diagnoseProcess(tweetProcess);
+
+      if (diagnosis.running) {
+        running.push({ tweet_process_id, workflow_run_id, attempts });
+        continue;
+      }
+
+      if (attempts >= maxAttempts || tweetProcess.too_old) {
+        const reason = tweetProcess.too_old
+          ? `${diagnosis.reason}; gave up after ${maxAgeHours} hours`
+          : `${diagnosis.reason}; gave up after ${attempts} attempts`;
+        await markProcessError(tweet_process_id, reason);
+        console.error(`Tweet process ${tweet_process_id} failed: ${reason}`);
+        errored.push({ tweet_process_id, attempts, reason });
+        continue;
+      }
+
+      try {
+        const run = await startWorkflowRun(tweetProcess);
+        retried.push({ tweet_process_id, attempts: attempts + 1, reason: diagnosis.reason, workflow_run_id: run.workflowRunId, outcome: run.outcome });
+      } catch (runError) {
+        // The attempt is counted, so the next run backs off further before trying again
+        retried.push({ tweet_process_id, attempts: attempts + 1, reason: diagnosis.reason, error: runError.message });
+      }
+    } catch (error) {
+      console.error(`Error checking stuck tweet process ${tweet_process_id}:`, error.message);
+      failed.push({ tweet_process_id, error: error.message });
+    }
+  }
+
+  return { retried, running, errored, failed };
+}
+
+module.exports = {
+  recoverStuckProcesses,
+};
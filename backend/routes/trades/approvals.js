@@ -0,0 +1,282 @@
+const express = require('express');
+const { neon } = require('@neondatabase/serverless');
+const router = express.Router();
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { isMarketOpen } = require('../trading/market-calendar');
+const { getTradingMode } = require('../trading/trading-mode');
+const { executeQueuedTrade } = require('../jobs/drain-queue');
+const { verifyTicker } = require('../trading/assets');
+const { capTradeAmount } = require('../trading/sizing');
+const { getTradingPolicyForTweetProcess } = require('../authors/trading-policy');
+
+/**
+ * Helper function to validate the edits sent with an approval
+ * @param {object} body - Request body
+ * @returns {object} - Validation result with isValid and errors
+ */
+function validateApprovalEdits(body) {
+  const errors = [];
+  const { dollar_amount, ticker, note } = body;
+
+  if (dollar_amount !== undefined && (typeof dollar_amount !== 'number' || dollar_amount <= 0)) {
+    errors.push('dollar_amount must be a positive number');
+  }
+
+  if (ticker !== undefined && (typeof ticker !== 'string' || ticker.trim() === '')) {
+    errors.push('ticker must be a non-empty string');
+  }
+
+  if (note !== undefined && typeof note !== 'string') {
+    errors.push('note must be a string');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Helper function to check the amount a pending trade would be approved with against the
+ * author's max_dollars_per_trade and the sizing caps (per-ticker limit and buying power)
+ * @param {object} pendingTrade - Pending trade: { tweet_process_id }
+ * @param {string} ticker - Ticker the trade would be approved with
+ * @param {number} dollarAmount - Amount the trade would be approved with
+ * @returns {Promise<object>} - { allowed, reason, maxDollarAmount }
+ */
+async function checkApprovedAmount(pendingTrade, ticker, dollarAmount) {
+  const policy = await getTradingPolicyForTweetProcess(pendingTrade.tweet_process_id);
+  if (policy.max_dollars_per_trade !== null && dollarAmount > policy.max_dollars_per_trade) {
+    return {
+      allowed: false,
+      reason: `dollar_amount ${dollarAmount} is above the author's max_dollars_per_trade of ${policy.max_dollars_per_trade}`,
+      maxDollarAmount: policy.max_dollars_per_trade
+    };
+  }
+
+  const capped = await capTradeAmount(ticker, dollarAmount);
+  if (capped.dollarAmount < dollarAmount) {
+    const caps = capped.details.caps_applied.length > 0 ? capped.details.caps_applied.join(' and ') : 'minimum order';
+    return {
+      allowed: false,
+      reason: `dollar_amount ${dollarAmount} for ${ticker} is above the ${caps} sizing cap; at most ${capped.dollarAmount} can be approved`,
+      maxDollarAmount: capped.dollarAmount
+    };
+  }
+
+  return { allowed: true, reason: null, maxDollarAmount: null };
+}
+
+/**
+ * GET /api/trades/approvals
+ * Get trades waiting for manual approval in this deployment's trading mode, oldest first
+ *
+ * @returns {object} 200 - Pending trades retrieved successfully
+ * @returns {object} 500 - Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const trades = await sql`
+      SELECT
+        t.id, t.tweet_process_id, tp.author_id, sa.name AS author_name, tp.tweet_content,
+        t.ticker, t.instrument, t.target_expiry_date, t.direction, t.dollar_amount,
+        t.confidence, t.days_to_hold, t.reasoning, t.sizing_mode, t.sizing_details, t.queued_at
+      FROM trades t
+      LEFT JOIN tweet_processes tp ON tp.tweet_process_id = t.tweet_process_id
+      LEFT JOIN subscribed_authors sa ON sa.id = tp.author_id
+      WHERE t.status = 'pending_approval' AND t.trading_mode = ${getTradingMode()}
+      ORDER BY t.queued_at ASC
+    `;
+
+    res.status(200).json({
+      success: true,
+      count: trades.length,
+      trades
+    });
+
+  } catch (error) {
+    console.error('Error fetching pending trades:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch pending trades'
+    });
+  }
+});
+
+/**
+ * POST /api/trades/approvals/:id/approve
+ * Approve a pending trade. It then follows the normal path: placed now if the market
+ * is open (subject to the risk checks), otherwise queued for the drain-queue job.
+ *
+ * @param {string} id - Trade ID (required)
+ * @param {number} dollar_amount - Replace the sized amount; it must be within the author's
+ *   max_dollars_per_trade and the sizing caps (optional)
+ * @param {string} ticker - Replace the ticker; it must resolve to a tradable asset (optional)
+ * @param {string} note - Reviewer's note (optional)
+ *
+ * @returns {object} 200 - Trade approved, with the execution result if it was placed
+ * @returns {object} 400 - Invalid parameters, or an amount above the author's limit or the sizing caps
+ * @returns {object} 404 - No pending trade with this ID
+ * @returns {object} 500 - Server error
+ */
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const validation = validateApprovalEdits(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: validation.errors.join(', ')
+      });
+    }
+
+    const { id } = req.params;
+    const { dollar_amount, note } = req.body;
+
+    // Edits are checked against the pending trade: a replacement ticker is resolved like a
+    // workflow ticker, and the amount must stay within the author's limit and the sizing caps
+    let ticker = null;
+    if (req.body.ticker !== undefined || dollar_amount !== undefined) {
+      const [pendingTrade] = await sql`
+        SELECT tweet_process_id, ticker, direction, instrument, dollar_amount FROM trades
+        WHERE id = ${id} AND status = 'pending_approval' AND trading_mode = ${getTradingMode()}
+      `;
+
+      if (pendingTrade) {
+        if (req.body.ticker !== undefined) {
+          const tickerCheck = await verifyTicker(req.body.ticker, {
+            direction: pendingTrade.direction,
+            instrument: pendingTrade.instrument,
+            fractional: pendingTrade.direction === 'long'
+          });
+          if (!tickerCheck.verified) {
+            return res.status(400).json({
+              error: 'Invalid ticker',
+              message: tickerCheck.reasons.join('; ')
+            });
+          }
+          ticker = tickerCheck.symbol;
+        }
+
+        const amountCheck = await checkApprovedAmount(
+          pendingTrade,
+          ticker ?? pendingTrade.ticker,
+          dollar_amount ?? parseFloat(pendingTrade.dollar_amount)
+        );
+        if (!amountCheck.allowed) {
+          return res.status(400).json({
+            error: 'Amount not allowed',
+            message: amountCheck.reason,
+            max_dollar_amount: amountCheck.maxDollarAmount
+          });
+        }
+      }
+    }
+
+    const [trade] = await sql`
+      UPDATE trades
+      SET
+        status = 'queued',
+        dollar_amount = COALESCE(${dollar_amount ?? null}, dollar_amount),
+        ticker = COALESCE(${ticker}, ticker),
+        queued_at = NOW(),
+        reviewed_at = NOW(),
+        review_note = ${note ?? null}
+      WHERE id = ${id} AND status = 'pending_approval' AND trading_mode = ${getTradingMode()}
+      RETURNING
+        id, tweet_process_id, ticker, direction, instrument,
+        to_char(target_expiry_date, 'YYYY-MM-DD') AS target_expiry_date,
+        dollar_amount, confidence, days_to_hold, queued_at
+    `;
+
+    if (!trade) {
+      return res.status(404).json({
+        error: 'Trade not found',
+        message: `No trade pending approval with ID: ${id}`
+      });
+    }
+
+    if (!await isMarketOpen()) {
+      return res.status(200).json({
+        success: true,
+        message: 'Trade approved and queued until the market opens',
+        id: trade.id,
+        status: 'queued'
+      });
+    }
+
+    const result = await executeQueuedTrade(trade);
+
+    res.status(200).json({
+      success: true,
+      message: result.executed ? 'Trade approved and placed' : 'Trade approved but could not be placed',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error approving trade:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to approve trade'
+    });
+  }
+});
+
+/**
+ * POST /api/trades/approvals/:id/reject
+ * Reject a pending trade
+ *
+ * @param {string} id - Trade ID (required)
+ * @param {string} reason - Why the trade was rejected (required)
+ *
+ * @returns {object} 200 - Trade rejected
+ * @returns {object} 400 - Missing reason
+ * @returns {object} 404 - No pending trade with this ID
+ * @returns {object} 500 - Server error
+ */
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (typeof reason !== 'string' || reason.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'reason is required'
+      });
+    }
+
+    const [trade] = await sql`
+      UPDATE trades
+      SET
+        status = 'rejected',
+        reviewed_at = NOW(),
+        review_note = ${reason.trim()}
+      WHERE id = ${id} AND status = 'pending_approval' AND trading_mode = ${getTradingMode()}
+      RETURNING id, ticker, status, reviewed_at, review_note
+    `;
+
+    if (!trade) {
+      return res.status(404).json({
+        error: 'Trade not found',
+        message: `No trade pending approval with ID: ${id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Trade rejected',
+      data: trade
+    });
+
+  } catch (error) {
+    console.error('Error rejecting trade:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reject trade'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { getBroker } = require('../trading/broker');
+const { getCurrentStockPrice, getOptionContractPrice } = require('../trading/market');
+const { parseOptionSymbol } = require('../trading/options');
+const { calculateRealizedPL, getPositionSymbol } = require('../jobs/exit-positions');
+
+/**
+ * Helper function to round a dollar amount to cents
+ * @param {number|null} value - Amount to round
+ * @returns {number|null} - Rounded amount, or null if there is no amount
+ */
+function roundAmount(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Helper function to get the current price of every symbol with an open lot.
+ * Prices come from the broker's positions, falling back to the latest quote
+ * for symbols the account no longer holds.
+ * @param {Array<string>} symbols - Stock tickers and option contract symbols
+ * @returns {Promise<object>} - Prices keyed by symbol (null if no price could be found)
+ */
+async function getCurrentPrices(symbols) {
+  const prices = {};
+  if (symbols.length === 0) {
+    return prices;
+  }
+
+  try {
+    const positions = await getBroker().listPositions();
+    for (const position of positions) {
+      prices[position.symbol] = parseFloat(position.current_price);
+    }
+  } catch (error) {
+    console.error('Error fetching positions for P&L, using latest quotes:', error.message);
+  }
+
+  for (const symbol of symbols.filter(symbol => prices[symbol] === undefined)) {
+    try {
+      prices[symbol] = parseOptionSymbol(symbol)
+        ? await getOptionContractPrice(symbol)
+        : await getCurrentStockPrice(symbol);
+    } catch (error) {
+      prices[symbol] = null;
+    }
+  }
+
+  return prices;
+}
+
+/**
+ * Helper function to calculate the P&L of one trade's lot.
+ * An open lot that earlier exit orders partly sold has realized P&L on the part sold
+ * (partial_exit_qty at the average price in partial_exit_value) and unrealized P&L and
+ * cost basis on the rest.
+ * @param {object} trade - Trade row joined with its author
+ * @param {object} prices - Current prices keyed by symbol
+ * @returns {object} - Trade P&L
+ */
+function buildTradePnL(trade, prices) {
+  const symbol = getPositionSymbol(trade);
+  const multiplier = trade.instrument === 'stock' ? 1 : 100;
+  const qty = trade.filled_qty === null ? null : parseFloat(trade.filled_qty);
+  const entryPrice = trade.entry_price === null ? null : parseFloat(trade.entry_price);
+  const partialExitQty = parseFloat(trade.partial_exit_qty) || 0;
+  const partialExitValue = parseFloat(trade.partial_exit_value) || 0;
+
+  let lot = 'unfilled';
+  let openQty = null;
+  let currentPrice = null;
+  let realizedPL = null;
+  let unrealizedPL = null;
+
+  if (trade.status === 'closed') {
+    lot = 'closed';
+    realizedPL = trade.realized_pl === null ? null : parseFloat(trade.realized_pl);
+  } else if (qty !== null && entryPrice !== null) {
+    lot = 'open';
+    openQty = Math.max(qty - partialExitQty, 0);
+
+    if (partialExitQty > 0) {
+      realizedPL = calculateRealizedPL(trade.direction, entryPrice, partialExitValue / partialExitQty, partialExitQty, trade.instrument);
+    }
+
+    currentPrice = prices[symbol] ?? null;
+    unrealizedPL = currentPrice === null
+      ? null
+      : calculateRealizedPL(trade.direction, entryPrice, currentPrice, openQty, trade.instrument);
+  }
+
+  return {
+    id: trade.id,
+    tweet_process_id: trade.tweet_process_id,
+    author_id: trade.author_id,
+    author_name: trade.author_name,
+    ticker: trade.ticker,
+    symbol,
+    instrument: trade.instrument,
+    direction: trade.direction,
+    status: trade.status,
+    lot,
+    order_id: trade.order_id,
+    filled_qty: qty,
+    partial_exit_qty: partialExitQty,
+    open_qty: openQty,
+    entry_price: entryPrice,
+    entry_filled_at: trade.entry_filled_at,
+    // An open lot's cost basis only covers the part still held
+    cost_basis: qty !== null && entryPrice !== null ? roundAmount((openQty ?? qty) * entryPrice * multiplier) : null,
+    current_price: currentPrice,
+    exit_price: trade.exit_price === null ? null : parseFloat(trade.exit_price),
+    exited_at: trade.exited_at,
+    realized_pl: roundAmount(realizedPL),
+    unrealized_pl: roundAmount(unrealizedPL),
+    total_pl: roundAmount((realizedPL ?? 0) + (unrealizedPL ?? 0))
+  };
+}
+
+/**
+ * Get the P&L of every trade that reached the broker in a trading mode, covering
+ * closed lots (realized P&L from the recorded exit) and open lots (unrealized P&L
+ * at the current price, plus realized P&L on any part already sold). Trades whose entry fill has not been reconciled yet are
+ * returned with lot 'unfilled' and no P&L.
+ * @param {string} tradingMode - 'paper' or 'live'
+ * @returns {Promise<Array>} - Trade P&L rows, newest first
+ */
+async function getTradePnL(tradingMode) {
+  const trades = await sql`
+    SELECT
+      t.id, t.tweet_process_id, tp.author_id, sa.name AS author_name,
+      t.ticker, t.instrument, t.option_symbol, t.direction, t.status,
+      t.order_id, t.filled_qty, t.entry_price, t.entry_filled_at,
+      t.exit_price, t.exited_at, t.realized_pl, t.partial_exit_qty, t.partial_exit_value
+    FROM trades t
+    LEFT JOIN tweet_processes tp ON tp.tweet_process_id = t.tweet_process_id
+    LEFT JOIN subscribed_authors sa ON sa.id = tp.author_id
+    WHERE t.trading_mode = ${tradingMode}
+      AND t.status IN ('submitted', 'executed', 'exiting', 'closed')
+    ORDER BY t.executed_at DESC NULLS LAST
+  `;
+
+  const openSymbols = trades
+    .filter(trade => trade.status !== 'closed' && trade.filled_qty !== null && trade.entry_price !== null)
+    .map(trade => getPositionSymbol(trade));
+
+  const prices = await getCurrentPrices([...new Set(openSymbols)]);
+
+  return trades.map(trade => buildTradePnL(trade, prices));
+}
+
+/**
+ * Helper function to create an empty P&L group
+ * @param {object} fields - Fields that identify the group
+ * @returns {object} - Group with zeroed counts and P&L
+ */
+function createGroup(fields) {
+  return {
+    ...fields,
+    trades: 0,
+    open_lots: 0,
+    closed_lots: 0,
+    unfilled_lots: 0,
+    winners: 0,
+    losers: 0,
+    open_cost_basis: 0,
+    realized_pl: 0,
+    unrealized_pl: 0,
+    total_pl: 0
+  };
+}
+
+/**
+ * Roll trade P&L up into groups
+ * @param {Array} tradePnL - Trade P&L rows from getTradePnL
+ * @param {Array<string>} keys - Fields that identify a group, e.g. ['author_id', 'author_name']; none for a single total
+ * @returns {Array} - One row per group with lot counts, cost basis and P&L, best total P&L first
+ */
+function rollUpPnL(tradePnL, keys) {
+  const groups = new Map();
+
+  for (const trade of tradePnL) {
+    const groupKey = keys.map(key => trade[key]).join('|');
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, createGroup(Object.fromEntries(keys.map(key => [key, trade[key]]))));
+    }
+
+    const group = groups.get(groupKey);
+    group.trades++;
+    group[`${trade.lot}_lots`]++;
+
+    if (trade.lot === 'open') {
+      group.open_cost_basis += trade.cost_basis ?? 0;
+    }
+
+    if (trade.lot === 'closed' && trade.realized_pl > 0) {
+      group.winners++;
+    } else if (trade.lot === 'closed' && trade.realized_pl < 0) {
+      group.losers++;
+    }
+
+    group.realized_pl += trade.realized_pl ?? 0;
+    group.unrealized_pl += trade.unrealized_pl ?? 0;
+    group.total_pl += trade.total_pl ?? 0;
+  }
+
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      open_cost_basis: roundAmount(group.open_cost_basis),
+      realized_pl: roundAmount(group.realized_pl),
+      unrealized_pl: roundAmount(group.unrealized_pl),
+      total_pl: roundAmount(group.total_pl)
+    }))
+    .sort((a, b) => b.total_pl - a.total_pl);
+}
+
+/**
+ * Total the P&L of a set of trades
+ * @param {Array} tradePnL - Trade P&L rows from getTradePnL
+ * @returns {object} - Lot counts, cost basis and P&L across all the trades
+ */
+function summarizePnL(tradePnL) {
+  return rollUpPnL(tradePnL, [])[0] || createGroup({});
+}
+
+module.exports = {
+  getTradePnL,
+  rollUpPnL,
+  summarizePnL,
+};
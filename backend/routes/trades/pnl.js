@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+
+const { getTradePnL, rollUpPnL, summarizePnL } = require('./attribution');
+const { TRADING_MODES, getTradingMode } = require('../trading/trading-mode');
+
+/**
+ * Helper function to read the trading_mode query parameter
+ * @param {object} query - Request query
+ * @returns {string|null} - Trading mode (default: this deployment's), or null if the value is invalid
+ */
+function readTradingMode(query) {
+  const tradingMode = query.trading_mode || getTradingMode();
+  return TRADING_MODES.includes(tradingMode) ? tradingMode : null;
+}
+
+/**
+ * Helper function to send the error returned for an invalid trading_mode parameter
+ * @param {object} res - Express response
+ * @returns {object} - Express response
+ */
+function sendInvalidTradingMode(res) {
+  return res.status(400).json({
+    error: 'Invalid trading_mode parameter',
+    message: `trading_mode must be one of: ${TRADING_MODES.join(', ')}`
+  });
+}
+
+/**
+ * GET /api/trades/pnl
+ * Get realized and unrealized P&L for every trade that reached the broker
+ *
+ * @param {string} trading_mode - 'paper' or 'live' (optional, defaults to this deployment's trading mode)
+ * @param {string} tweet_process_id - Filter by tweet process ID (optional)
+ * @param {string} author_id - Filter by author ID (optional)
+ * @param {string} ticker - Filter by ticker symbol (optional)
+ *
+ * @returns {object} 200 - Trade P&L retrieved successfully
+ * @returns {object} 400 - Invalid parameters
+ * @returns {object} 500 - Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tradingMode = readTradingMode(req.query);
+    if (!tradingMode) {
+      return sendInvalidTradingMode(res);
+    }
+
+    const { tweet_process_id, author_id, ticker } = req.query;
+
+    const trades = (await getTradePnL(tradingMode)).filter(trade =>
+      (!tweet_process_id || trade.tweet_process_id === tweet_process_id) &&
+      (!author_id || trade.author_id === author_id) &&
+      (!ticker || trade.ticker.toUpperCase() === ticker.toUpperCase())
+    );
+
+    res.status(200).json({
+      success: true,
+      trading_mode: tradingMode,
+      totals: summarizePnL(trades),
+      count: trades.length,
+      trades
+    });
+
+  } catch (error) {
+    console.error('Error fetching trade P&L:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch trade P&L'
+    });
+  }
+});
+
+/**
+ * GET /api/trades/pnl/tweets
+ * Get P&L rolled up by the post that generated the trades
+ *
+ * @param {string} trading_mode - 'paper' or 'live' (optional, defaults to this deployment's trading mode)
+ *
+ * @returns {object} 200 - P&L by tweet retrieved successfully
+ * @returns {object} 400 - Invalid parameters
+ * @returns {object} 500 - Server error
+ */
+router.get('/tweets', async (req, res) => {
+  try {
+    const tradingMode = readTradingMode(req.query);
+    if (!tradingMode) {
+      return sendInvalidTradingMode(res);
+    }
+
+    const trades = await getTradePnL(tradingMode);
+    const tweets = rollUpPnL(trades, ['tweet_process_id', 'author_id', 'author_name']);
+
+    res.status(200).json({
+      success: true,
+      trading_mode: tradingMode,
+      totals: summarizePnL(trades),
+      count: tweets.length,
+      tweets
+    });
+
+  } catch (error) {
+    console.error('Error fetching P&L by tweet:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch P&L by tweet'
+    });
+  }
+});
+
+/**
+ * GET /api/trades/pnl/authors
+ * Get P&L rolled up by author
+ *
+ * @param {string} trading_mode - 'paper' or 'live' (optional, defaults to this deployment's trading mode)
+ *
+ * @returns {object} 200 - P&L by author retrieved successfully
+ * @returns {object} 400 - Invalid parameters
+ * @returns {object} 500 - Server error
+ */
+router.get('/authors', async (req, res) => {
+  try {
+    const tradingMode = readTradingMode(req.query);
+    if (!tradingMode) {
+      return sendInvalidTradingMode(res);
+    }
+
+    const trades = await getTradePnL(tradingMode);
+    const authors = rollUpPnL(trades, ['author_id', 'author_name']);
+
+    res.status(200).json({
+      success: true,
+      trading_mode: tradingMode,
+      totals: summarizePnL(trades),
+      count: authors.length,
+      authors
+    });
+
+  } catch (error) {
+    console.error('Error fetching P&L by author:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch P&L by author'
+    });
+  }
+});
+
+/**
+ * GET /api/trades/pnl/tickers
+ * Get P&L rolled up by ticker, counting options trades under their underlying
+ *
+ * @param {string} trading_mode - 'paper' or 'live' (optional, defaults to this deployment's trading mode)
+ *
+ * @returns {object} 200 - P&L by ticker retrieved successfully
+ * @returns {object} 400 - Invalid parameters
+ * @returns {object} 500 - Server error
+ */
+router.get('/tickers', async (req, res) => {
+  try {
+    const tradingMode = readTradingMode(req.query);
+    if (!tradingMode) {
+      return sendInvalidTradingMode(res);
+    }
+
+    const trades = await getTradePnL(tradingMode);
+    const tickers = rollUpPnL(trades, ['ticker']);
+
+    res.status(200).json({
+      success: true,
+      trading_mode: tradingMode,
+      totals: summarizePnL(trades),
+      count: tickers.length,
+      tickers
+    });
+
+  } catch (error) {
+    console.error('Error fetching P&L by ticker:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch P&L by ticker'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@ const router = express.Router();
 
 const sql = neon(process.env.DATABASE_URL);
 
+const { TRADING_MODES, getTradingMode } = require('../trading/trading-mode');
+
 /**
  * GET /api/trades
  * Get all trades
@@ -18,12 +20,39 @@ router.get('/', async (req, res) => {
         id,
         tweet_process_id,
         ticker,
+        instrument,
+        option_symbol,
+        target_expiry_date,
+        direction,
         dollar_amount,
         reasoning,
         queued_at,
         executed,
         executed_at,
-        days_to_hold
+        days_to_hold,
+        status,
+        expired_at,
+        execution_error,
+        reviewed_at,
+        review_note,
+        order_id,
+        order_class,
+        order_status,
+        order_submitted_at,
+        order_stuck,
+        confidence,
+        sizing_mode,
+        sizing_details,
+        filled_qty,
+        entry_price,
+        entry_filled_at,
+        filled_amount,
+        exit_order_id,
+        exit_qty,
+        exit_price,
+        exited_at,
+        realized_pl,
+        trading_mode
       FROM trades
       ORDER BY queued_at DESC
     `;
@@ -49,6 +78,7 @@ router.get('/', async (req, res) => {
  * 
  * @param {boolean} executed - Filter by execution status (optional)
  * @param {string} ticker - Filter by ticker symbol (optional)
+ * @param {string} trading_mode - 'paper' or 'live' (optional, defaults to this deployment's trading mode)
  * 
  * @returns {object} 200 - Trades count retrieved successfully
  * @returns {object} 400 - Invalid parameters
@@ -57,6 +87,7 @@ router.get('/', async (req, res) => {
 router.get('/count', async (req, res) => {
   try {
     const { executed, ticker } = req.query;
+    const tradingMode = req.query.trading_mode || getTradingMode();
 
     // Validate executed if provided
     let executedFilter = null;
@@ -81,31 +112,44 @@ router.get('/count', async (req, res) => {
       });
     }
 
-    // Build the count query based on filters
+    // Paper and live trades are never counted together
+    if (!TRADING_MODES.includes(tradingMode)) {
+      return res.status(400).json({
+        error: 'Invalid trading_mode parameter',
+        message: `trading_mode must be one of: ${TRADING_MODES.join(', ')}`
+      });
+    }
+
+    // Build the count query based on filters; trades tied to dry-run processes are never counted
     let countResult;
 
     if (executedFilter !== null && ticker) {
       // Both filters
       countResult = await sql`
         SELECT COUNT(*) as total FROM trades 
-        WHERE executed = ${executedFilter} AND ticker = ${ticker}
+        WHERE executed = ${executedFilter} AND ticker = ${ticker} AND trading_mode = ${tradingMode}
+          AND NOT EXISTS (SELECT 1 FROM tweet_processes tp WHERE tp.tweet_process_id = trades.tweet_process_id AND tp.dry_run)
       `;
     } else if (executedFilter !== null) {
       // Only executed filter
       countResult = await sql`
         SELECT COUNT(*) as total FROM trades 
-        WHERE executed = ${executedFilter}
+        WHERE executed = ${executedFilter} AND trading_mode = ${tradingMode}
+          AND NOT EXISTS (SELECT 1 FROM tweet_processes tp WHERE tp.tweet_process_id = trades.tweet_process_id AND tp.dry_run)
       `;
     } else if (ticker) {
       // Only ticker filter
       countResult = await sql`
         SELECT COUNT(*) as total FROM trades 
-        WHERE ticker = ${ticker}
+        WHERE ticker = ${ticker} AND trading_mode = ${tradingMode}
+          AND NOT EXISTS (SELECT 1 FROM tweet_processes tp WHERE tp.tweet_process_id = trades.tweet_process_id AND tp.dry_run)
       `;
     } else {
       // No filters - get total count
       countResult = await sql`
         SELECT COUNT(*) as total FROM trades
+        WHERE trading_mode = ${tradingMode}
+          AND NOT EXISTS (SELECT 1 FROM tweet_processes tp WHERE tp.tweet_process_id = trades.tweet_process_id AND tp.dry_run)
       `;
     }
 
@@ -118,7 +162,8 @@ router.get('/count', async (req, res) => {
       },
       filters: {
         executed: executedFilter,
-        ticker: ticker || null
+        ticker: ticker || null,
+        trading_mode: tradingMode
       }
     });
 
@@ -133,10 +178,11 @@ router.get('/count', async (req, res) => {
 
 /**
  * GET /api/trades/volume
- * Get the total dollar volume of all executed trades
+ * Get the total dollar volume of all executed trades, using the filled cost where it is known
  * 
  * @param {boolean} executed - Filter by execution status (optional, defaults to true for executed trades)
  * @param {string} ticker - Filter by ticker symbol (optional)
+ * @param {string} trading_mode - 'paper' or 'live' (optional, defaults to this deployment's trading mode)
  * 
  * @returns {object} 200 - Volume data retrieved successfully
  * @returns {object} 400 - Invalid parameters
@@ -145,6 +191,7 @@ router.get('/count', async (req, res) => {
 router.get('/volume', async (req, res) => {
   try {
     const { executed, ticker } = req.query;
+    const tradingMode = req.query.trading_mode || getTradingMode();
 
     // Default to executed trades only if not specified
     let executedFilter = null;
@@ -169,7 +216,15 @@ router.get('/volume', async (req, res) => {
       });
     }
 
-    // Build the volume query based on filters
+    // Paper and live trades are never counted together
+    if (!TRADING_MODES.includes(tradingMode)) {
+      return res.status(400).json({
+        error: 'Invalid trading_mode parameter',
+        message: `trading_mode must be one of: ${TRADING_MODES.join(', ')}`
+      });
+    }
+
+    // Build the volume query based on filters; trades tied to dry-run processes are never counted
     let volumeResult;
 
     
@@ -178,33 +233,38 @@ router.get('/volume', async (req, res) => {
       // Filter by both execution status and ticker
       volumeResult = await sql`
         SELECT 
-          COALESCE(SUM(dollar_amount), 0) as total_volume,
+          COALESCE(SUM(COALESCE(filled_amount, dollar_amount)), 0) as total_volume,
           COUNT(*) as trade_count
         FROM trades 
-        WHERE executed = ${executedFilter} AND ticker = ${ticker}
+        WHERE executed = ${executedFilter} AND ticker = ${ticker} AND trading_mode = ${tradingMode}
+          AND NOT EXISTS (SELECT 1 FROM tweet_processes tp WHERE tp.tweet_process_id = trades.tweet_process_id AND tp.dry_run)
       `;
     } else if (executedFilter !== null) {
       volumeResult = await sql`
         SELECT 
-          COALESCE(SUM(dollar_amount), 0) as total_volume,
+          COALESCE(SUM(COALESCE(filled_amount, dollar_amount)), 0) as total_volume,
           COUNT(*) as trade_count
         FROM trades 
-        WHERE executed = ${executedFilter}
+        WHERE executed = ${executedFilter} AND trading_mode = ${tradingMode}
+          AND NOT EXISTS (SELECT 1 FROM tweet_processes tp WHERE tp.tweet_process_id = trades.tweet_process_id AND tp.dry_run)
       `;
     } else if (ticker) {
       volumeResult = await sql`
         SELECT 
-          COALESCE(SUM(dollar_amount), 0) as total_volume,
+          COALESCE(SUM(COALESCE(filled_amount, dollar_amount)), 0) as total_volume,
           COUNT(*) as trade_count
         FROM trades 
-        WHERE ticker = ${ticker}
+        WHERE ticker = ${ticker} AND trading_mode = ${tradingMode}
+          AND NOT EXISTS (SELECT 1 FROM tweet_processes tp WHERE tp.tweet_process_id = trades.tweet_process_id AND tp.dry_run)
       `;
     } else {
       volumeResult = await sql`
         SELECT 
-          COALESCE(SUM(dollar_amount), 0) as total_volume,
+          COALESCE(SUM(COALESCE(filled_amount, dollar_amount)), 0) as total_volume,
           COUNT(*) as trade_count
         FROM trades
+        WHERE trading_mode = ${tradingMode}
+          AND NOT EXISTS (SELECT 1 FROM tweet_processes tp WHERE tp.tweet_process_id = trades.tweet_process_id AND tp.dry_run)
       `;
     }
 
@@ -220,7 +280,8 @@ router.get('/volume', async (req, res) => {
       },
       filters: {
         executed: executedFilter,
-        ticker: ticker || null
+        ticker: ticker || null,
+        trading_mode: tradingMode
       }
     });
 
@@ -259,12 +320,39 @@ router.get('/:tweet_process_id', async (req, res) => {
         id,
         tweet_process_id,
         ticker,
+        instrument,
+        option_symbol,
+        target_expiry_date,
+        direction,
         dollar_amount,
         reasoning,
         queued_at,
         executed,
         executed_at,
-        days_to_hold
+        days_to_hold,
+        status,
+        expired_at,
+        execution_error,
+        reviewed_at,
+        review_note,
+        order_id,
+        order_class,
+        order_status,
+        order_submitted_at,
+        order_stuck,
+        confidence,
+        sizing_mode,
+        sizing_details,
+        filled_qty,
+        entry_price,
+        entry_filled_at,
+        filled_amount,
+        exit_order_id,
+        exit_qty,
+        exit_price,
+        exited_at,
+        realized_pl,
+        trading_mode
       FROM trades
       WHERE tweet_process_id = ${tweet_process_id}
       ORDER BY queued_at DESC
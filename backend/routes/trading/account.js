@@ -1,21 +1,9 @@
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
 
-const { isMarketOpen } = require('./market');
-
-const ALPACA_BASE_URL = 'https://paper-api.alpaca.markets/v2';
-const ALPACA_API_KEY = process.env.ALPACA_API_KEY;
-const ALPACA_SECRET_KEY = process.env.ALPACA_SECRET_KEY;
-
-const alpacaClient = axios.create({
-  baseURL: ALPACA_BASE_URL,
-  headers: {
-    'APCA-API-KEY-ID': ALPACA_API_KEY,
-    'APCA-API-SECRET-KEY': ALPACA_SECRET_KEY,
-    'Content-Type': 'application/json'
-  }
-});
+const { getMarketStatus, describeMarketClosed } = require('./market-calendar');
+const { getBroker } = require('./broker');
+const { listOptionPositions, closeOptionPosition } = require('./options');
 
 /**
  * GET /api/trading/account/orders
@@ -34,10 +22,10 @@ router.get('/orders', async (req, res) => {
   try {
     const { status = 'open', limit = 50, symbols, side } = req.query;
 
-    if (!ALPACA_API_KEY || !ALPACA_SECRET_KEY) {
+    if (!getBroker().isConfigured()) {
       return res.status(500).json({
         error: 'Configuration error',
-        message: 'Alpaca API credentials not configured'
+        message: 'Broker credentials not configured'
       });
     }
 
@@ -57,13 +45,13 @@ router.get('/orders', async (req, res) => {
       });
     }
 
-    const queryParams = new URLSearchParams({
+    const queryParams = {
       status,
       limit: limitNum.toString()
-    });
+    };
 
     if (symbols) {
-      queryParams.append('symbols', symbols);
+      queryParams.symbols = symbols;
     }
 
     if (side) {
@@ -74,12 +62,12 @@ router.get('/orders', async (req, res) => {
           message: `Side must be one of: ${validSides.join(', ')}`
         });
       }
-      queryParams.append('side', side);
+      queryParams.side = side;
     }
 
-    const response = await alpacaClient.get(`/orders?${queryParams.toString()}`);
+    const brokerOrders = await getBroker().listOrders(queryParams);
 
-    const orders = response.data.map(order => {
+    const orders = brokerOrders.map(order => {
       let amount = null;
       
       if (order.notional) {
@@ -139,16 +127,16 @@ router.get('/orders', async (req, res) => {
  */
 router.get('/positions', async (req, res) => {
   try {
-    if (!ALPACA_API_KEY || !ALPACA_SECRET_KEY) {
+    if (!getBroker().isConfigured()) {
       return res.status(500).json({
         error: 'Configuration error',
-        message: 'Alpaca API credentials not configured'
+        message: 'Broker credentials not configured'
       });
     }
 
-    const response = await alpacaClient.get('/positions');
+    const brokerPositions = await getBroker().listPositions();
 
-    const positions = response.data.map(position => ({
+    const positions = brokerPositions.map(position => ({
       asset_id: position.asset_id,
       symbol: position.symbol,
       exchange: position.exchange,
@@ -207,6 +195,39 @@ router.get('/positions', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/trading/account/market-status
+ * Get the current market session and the next open and close
+ *
+ * @param {boolean} extended_hours - Count pre-market and after-hours as open (optional, default: false)
+ *
+ * @returns {object} 200 - Market status retrieved successfully
+ * @returns {object} 500 - Server error
+ */
+router.get('/market-status', async (req, res) => {
+  try {
+    const status = await getMarketStatus({ extendedHours: req.query.extended_hours === 'true' });
+
+    res.status(200).json({
+      success: true,
+      market: {
+        is_open: status.isOpen,
+        session: status.session,
+        extended_hours: status.extendedHours,
+        next_open: status.nextOpen,
+        next_close: status.nextClose,
+        source: status.source
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching market status:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch market status'
+    });
+  }
+});
+
 /**
  * DELETE /api/trading/account/positions/:symbol
  * Close a position by symbol and percentage
@@ -220,10 +241,11 @@ router.get('/positions', async (req, res) => {
  * @returns {object} 500 - Server error
  */
 router.delete('/close-positions/:symbol', async (req, res) => {
-  if (!isMarketOpen()) {
+  const marketStatus = await getMarketStatus();
+  if (!marketStatus.isOpen) {
     return res.status(400).json({
       error: 'Market is closed',
-      message: 'Trading is only allowed during market hours (Monday-Friday, 9:30 AM - 4:00 PM ET)'
+      message: describeMarketClosed(marketStatus)
     });
   }
   
@@ -245,23 +267,21 @@ router.delete('/close-positions/:symbol', async (req, res) => {
       });
     }
 
-    if (!ALPACA_API_KEY || !ALPACA_SECRET_KEY) {
+    if (!getBroker().isConfigured()) {
       return res.status(500).json({
         error: 'Configuration error',
-        message: 'Alpaca API credentials not configured'
+        message: 'Broker credentials not configured'
       });
     }
 
-    const response = await alpacaClient.delete(`/positions/${encodeURIComponent(symbol)}`, {
-      data: {
-        percentage: percentage.toString()
-      }
+    const order = await getBroker().closePosition(symbol, {
+      percentage: percentage.toString()
     });
 
     res.status(200).json({
       success: true,
       message: `Position closed for ${symbol} (${percentage}%)`,
-      order: response.data,
+      order: order,
       requested: {
         symbol: symbol,
         percentage: percentage
@@ -307,33 +327,32 @@ router.delete('/close-positions/:symbol', async (req, res) => {
  * @returns {object} 500 - Server error
  */
 router.delete('/close-all-positions', async (req, res) => {
-  if (!isMarketOpen()) {
+  const marketStatus = await getMarketStatus();
+  if (!marketStatus.isOpen) {
     return res.status(400).json({
       error: 'Market is closed',
-      message: 'Trading is only allowed during market hours (Monday-Friday, 9:30 AM - 4:00 PM ET)'
+      message: describeMarketClosed(marketStatus)
     });
   }
   
   try {
     const { cancel_orders = false } = req.body;
 
-    if (!ALPACA_API_KEY || !ALPACA_SECRET_KEY) {
+    if (!getBroker().isConfigured()) {
       return res.status(500).json({
         error: 'Configuration error',
-        message: 'Alpaca API credentials not configured'
+        message: 'Broker credentials not configured'
       });
     }
 
-    const response = await alpacaClient.delete('/positions', {
-      data: {
-        cancel_orders: cancel_orders
-      }
+    const results = await getBroker().closeAllPositions({
+      cancel_orders: cancel_orders
     });
 
     res.status(207).json({
       success: true,
       message: 'All positions closed successfully',
-      results: response.data,
+      results: results,
       requested: {
         cancel_orders: cancel_orders
       }
@@ -360,4 +379,165 @@ router.delete('/close-all-positions', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/trading/account/options/positions
+ * Get open options positions with contract details, Greeks and days to expiry
+ * 
+ * @param {string} underlying - Filter by underlying ticker (optional)
+ * 
+ * @returns {object} 200 - Options positions retrieved successfully
+ * @returns {object} 500 - Server error
+ */
+router.get('/options/positions', async (req, res) => {
+  try {
+    const { underlying } = req.query;
+
+    if (!getBroker().isConfigured()) {
+      return res.status(500).json({
+        error: 'Configuration error',
+        message: 'Broker credentials not configured'
+      });
+    }
+
+    let positions = await listOptionPositions();
+
+    if (underlying) {
+      positions = positions.filter(position => position.underlying === underlying.toUpperCase());
+    }
+
+    res.status(200).json({
+      success: true,
+      count: positions.length,
+      positions: positions
+    });
+
+  } catch (error) {
+    console.error('Error fetching options positions:', error);
+
+    if (error.response) {
+      const statusCode = error.response.status;
+      const errorData = error.response.data;
+
+      return res.status(statusCode).json({
+        error: 'Alpaca API error',
+        message: errorData.message || 'Failed to fetch options positions',
+        details: errorData
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch options positions'
+    });
+  }
+});
+
+/**
+ * DELETE /api/trading/account/options/close/:underlying/:type
+ * Close every options position on an underlying for one option type
+ * 
+ * @param {string} underlying - Underlying ticker (required)
+ * @param {string} type - Option type: 'call' or 'put' (required)
+ * @param {string} expiration_date - Only close contracts expiring on this date, YYYY-MM-DD (optional)
+ * @param {number} percentage - Percentage of each position to close (optional, default: 100)
+ * 
+ * @returns {object} 207 - Multi-status response with results for each contract
+ * @returns {object} 400 - Invalid parameters or market closed
+ * @returns {object} 404 - No matching options positions
+ * @returns {object} 500 - Server error
+ */
+router.delete('/options/close/:underlying/:type', async (req, res) => {
+  const marketStatus = await getMarketStatus();
+  if (!marketStatus.isOpen) {
+    return res.status(400).json({
+      error: 'Market is closed',
+      message: describeMarketClosed(marketStatus)
+    });
+  }
+
+  try {
+    const { underlying, type } = req.params;
+    const { expiration_date, percentage = 100 } = req.body;
+
+    if (type !== 'call' && type !== 'put') {
+      return res.status(400).json({
+        error: 'Invalid option type',
+        message: 'Type must be either "call" or "put"'
+      });
+    }
+
+    if (!percentage || percentage < 0 || percentage > 100) {
+      return res.status(400).json({
+        error: 'Invalid percentage parameter',
+        message: 'Percentage must be between 0 and 100'
+      });
+    }
+
+    if (!getBroker().isConfigured()) {
+      return res.status(500).json({
+        error: 'Configuration error',
+        message: 'Broker credentials not configured'
+      });
+    }
+
+    const positions = (await listOptionPositions()).filter(position =>
+      position.underlying === underlying.toUpperCase() &&
+      position.type === type &&
+      (!expiration_date || position.expiration_date === expiration_date)
+    );
+
+    if (positions.length === 0) {
+      return res.status(404).json({
+        error: 'Position not found',
+        message: `No open ${type} positions found for ${underlying.toUpperCase()}`
+      });
+    }
+
+    const results = [];
+    for (const position of positions) {
+      try {
+        const order = await closeOptionPosition(position.symbol, percentage);
+        results.push({ symbol: position.symbol, success: true, order });
+      } catch (closeError) {
+        results.push({
+          symbol: position.symbol,
+          success: false,
+          message: closeError.response?.data?.message || closeError.message
+        });
+      }
+    }
+
+    res.status(207).json({
+      success: results.every(result => result.success),
+      message: `Closed ${results.filter(result => result.success).length} of ${results.length} ${type} positions for ${underlying.toUpperCase()}`,
+      results: results,
+      requested: {
+        underlying: underlying.toUpperCase(),
+        type: type,
+        expiration_date: expiration_date || null,
+        percentage: percentage
+      }
+    });
+
+  } catch (error) {
+    console.error('Error closing options positions:', error);
+
+    if (error.response) {
+      const statusCode = error.response.status;
+      const errorData = error.response.data;
+
+      return res.status(statusCode).json({
+        error: 'Alpaca API error',
+        message: errorData.message || 'Failed to close options positions',
+        details: errorData
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to close options positions'
+    });
+  }
+});
+
 module.exports = router;
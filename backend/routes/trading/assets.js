@@ -0,0 +1,249 @@
+const { getBroker } = require('./broker');
+const ASSET_SNAPSHOT = require('./asset-snapshot.json');
+
+const DEFAULT_CACHE_TTL_HOURS = 12;
+// After a failed refresh, wait this long before asking the broker again
+const REFRESH_RETRY_MS = 5 * 60 * 1000;
+// A name shorter than this only matches a company name exactly, never as its leading words
+const MIN_PREFIX_WORDS = 2;
+
+// Share descriptions and corporate suffixes dropped from company names before comparing them,
+// so "Tesla" matches "Tesla, Inc." and "Alibaba" matches its American Depositary Shares
+const NAME_DESCRIPTIONS = /\b(american depositary shares|new york registry shares|common stock|ordinary shares|class [a-c]|series \d)\b/g;
+const NAME_SUFFIXES = [
+  'the', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited', 'plc',
+  'holding', 'holdings', 'group', 'sa', 'nv', 'ag', 'se'
+];
+
+let assetCache = null;
+
+/**
+ * Helper function to normalize a ticker as written in a post or by a model:
+ * strips a leading $, upper-cases it, and writes share classes the way Alpaca does,
+ * so BRK-B, BRK/B and "BRK B" all become BRK.B
+ * @param {string} ticker - Ticker as given
+ * @returns {string} - Normalized ticker
+ */
+function normalizeTicker(ticker) {
+  return ticker
+    .trim()
+    .replace(/^\$/, '')
+    .toUpperCase()
+    .replace(/^([A-Z]{1,5})[\s\-/.]([A-Z]{1,2})$/, '$1.$2');
+}
+
+/**
+ * Helper function to reduce a company name to the words that identify it
+ * @param {string} name - Company name
+ * @returns {string} - Lower-case name without punctuation or corporate suffixes
+ */
+function normalizeCompanyName(name) {
+  return name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(NAME_DESCRIPTIONS, ' ')
+    .split(' ')
+    .filter(word => word && !NAME_SUFFIXES.includes(word))
+    .join(' ');
+}
+
+/**
+ * Helper function to build the lookup tables for a list of assets
+ * @param {Array} assets - Assets in Alpaca's format
+ * @param {string} source - 'broker' or 'snapshot'
+ * @returns {object} - { source, loadedAt, bySymbol, names }
+ */
+function buildAssetIndex(assets, source) {
+  const usable = assets.filter(asset => asset.class === 'us_equity' || asset.class === undefined);
+
+  return {
+    source,
+    loadedAt: Date.now(),
+    bySymbol: new Map(usable.map(asset => [asset.symbol.toUpperCase(), asset])),
+    names: usable.map(asset => ({ asset, normalizedName: normalizeCompanyName(asset.name || '') }))
+  };
+}
+
+/**
+ * Helper function to get the asset list, refreshed from the broker every
+ * ASSET_CACHE_TTL_HOURS (default 12). If the broker cannot be reached, the last list
+ * loaded is kept, or the bundled snapshot of widely traded US equities is used.
+ * @returns {Promise<object>} - Asset index from buildAssetIndex
+ */
+async function getAssetIndex() {
+  const ttlHours = parseFloat(process.env.ASSET_CACHE_TTL_HOURS) || DEFAULT_CACHE_TTL_HOURS;
+  const now = Date.now();
+
+  if (assetCache && now < assetCache.expiresAt) {
+    return assetCache.index;
+  }
+
+  try {
+    const assets = await getBroker().listAssets({ status: 'active', asset_class: 'us_equity' });
+    assetCache = { index: buildAssetIndex(assets, 'broker'), expiresAt: now + ttlHours * 60 * 60 * 1000 };
+    console.log(`Loaded ${assetCache.index.bySymbol.size} assets from the broker`);
+  } catch (error) {
+    console.error('Error loading assets from the broker, using the cached list:', error.response?.data || error.message);
+    const index = assetCache?.index.source === 'broker' ? assetCache.index : buildAssetIndex(ASSET_SNAPSHOT, 'snapshot');
+    assetCache = { index, expiresAt: now + REFRESH_RETRY_MS };
+  }
+
+  return assetCache.index;
+}
+
+/**
+ * Helper function to find the assets whose company name matches a name from a post.
+ * A name matches exactly, or as the leading words of a longer company name when it has
+ * at least MIN_PREFIX_WORDS words, so a single generic word such as "General" or "Bank"
+ * does not pick a company.
+ * @param {object} index - Asset index
+ * @param {string} name - Company name as given
+ * @returns {Array} - Matching assets
+ */
+function findAssetsByName(index, name) {
+  const normalized = normalizeCompanyName(name);
+  if (!normalized) {
+    return [];
+  }
+
+  const exact = index.names.filter(entry => entry.normalizedName === normalized);
+  if (exact.length > 0) {
+    return exact.map(entry => entry.asset);
+  }
+
+  if (normalized.split(' ').length < MIN_PREFIX_WORDS) {
+    return [];
+  }
+
+  const matches = index.names.filter(entry => entry.normalizedName.startsWith(`${normalized} `));
+
+  return matches.map(entry => entry.asset);
+}
+
+/**
+ * Helper function to look up a single symbol at the broker, for symbols missing from the
+ * bundled snapshot while the full asset list cannot be loaded
+ * @param {string} symbol - Normalized ticker
+ * @returns {Promise<object|null>} - Asset, or null if the broker does not know the symbol
+ */
+async function fetchAsset(symbol) {
+  try {
+    return await getBroker().getAsset(symbol);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolve a ticker or company name to the broker's asset.
+ * Tickers are normalized first (see normalizeTicker) and looked up as symbols; anything
+ * else is matched against company names, so "Apple" or "Tesla, Inc." resolve too.
+ * A name that matches several assets (such as both share classes of a company) is not resolved.
+ * @param {string} input - Ticker or company name
+ * @returns {Promise<object>} - { resolved: true, symbol, asset, matchedBy } where matchedBy is
+ *   'symbol' or 'name', or { resolved: false, reason }
+ */
+async function resolveTicker(input) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    return { resolved: false, reason: 'Ticker must be a non-empty string' };
+  }
+
+  const index = await getAssetIndex();
+  const symbol = normalizeTicker(input);
+  const asset = index.bySymbol.get(symbol);
+  const nameMatches = findAssetsByName(index, input);
+
+  // Tickers are written in capitals; anything else is read as a company name first,
+  // so a lower-case company name that happens to spell another symbol resolves to the company
+  const writtenAsTicker = input === input.toUpperCase();
+
+  if (asset && (writtenAsTicker || nameMatches.length === 0)) {
+    return { resolved: true, symbol: asset.symbol, asset, matchedBy: 'symbol' };
+  }
+
+  if (nameMatches.length === 1) {
+    const [match] = nameMatches;
+    return { resolved: true, symbol: match.symbol, asset: match, matchedBy: 'name' };
+  }
+
+  if (nameMatches.length > 1) {
+    return {
+      resolved: false,
+      reason: `"${input}" matches several assets: ${nameMatches.map(match => match.symbol).join(', ')}`
+    };
+  }
+
+  if (index.source === 'snapshot' && /^[A-Z]{1,5}(\.[A-Z]{1,2})?$/.test(symbol)) {
+    try {
+      const fetched = await fetchAsset(symbol);
+      if (fetched) {
+        return { resolved: true, symbol: fetched.symbol, asset: fetched, matchedBy: 'symbol' };
+      }
+    } catch (error) {
+      return { resolved: false, reason: `${symbol} could not be verified: the broker's asset list is unavailable` };
+    }
+  }
+
+  return { resolved: false, reason: `"${input}" is not a known ticker or company name` };
+}
+
+/**
+ * Check that an asset can be traded the way a trade needs.
+ * Every trade needs a tradable asset; dollar-amount stock buys need a fractionable one,
+ * and short sales need a shortable, easy to borrow one.
+ * @param {object} asset - Asset in Alpaca's format
+ * @param {object} trade - { direction: 'long'|'short', instrument: 'stock'|'call'|'put', fractional }
+ * @returns {object} - { allowed, reasons }
+ */
+function checkAssetForTrade(asset, { direction = 'long', instrument = 'stock', fractional = false } = {}) {
+  const reasons = [];
+
+  if (!asset.tradable || (asset.status && asset.status !== 'active')) {
+    reasons.push(`${asset.symbol} is not tradable`);
+  } else if (instrument === 'stock' && direction === 'short') {
+    if (!asset.shortable) {
+      reasons.push(`${asset.symbol} is not shortable`);
+    } else if (!asset.easy_to_borrow) {
+      reasons.push(`${asset.symbol} is not easy to borrow`);
+    }
+  } else if (instrument === 'stock' && fractional && !asset.fractionable) {
+    reasons.push(`${asset.symbol} is not fractionable, so it cannot be bought by dollar amount`);
+  }
+
+  return {
+    allowed: reasons.length === 0,
+    reasons
+  };
+}
+
+/**
+ * Resolve a ticker and check that its asset can be traded the way a trade needs
+ * @param {string} input - Ticker or company name
+ * @param {object} trade - { direction, instrument, fractional } (see checkAssetForTrade)
+ * @returns {Promise<object>} - { verified: true, symbol, asset, matchedBy } or { verified: false, reasons }
+ */
+async function verifyTicker(input, trade) {
+  const resolution = await resolveTicker(input);
+  if (!resolution.resolved) {
+    return { verified: false, reasons: [resolution.reason] };
+  }
+
+  const assetCheck = checkAssetForTrade(resolution.asset, trade);
+  if (!assetCheck.allowed) {
+    return { verified: false, reasons: assetCheck.reasons };
+  }
+
+  return { verified: true, symbol: resolution.symbol, asset: resolution.asset, matchedBy: resolution.matchedBy };
+}
+
+module.exports = {
+  normalizeTicker,
+  resolveTicker,
+  checkAssetForTrade,
+  verifyTicker,
+};
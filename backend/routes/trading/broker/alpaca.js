@@ -0,0 +1,145 @@
+const axios = require('axios');
+
+const { getTradingMode } = require('../trading-mode');
+
+const ALPACA_TRADING_URLS = {
+  paper: 'https://paper-api.alpaca.markets/v2',
+  live: 'https://api.alpaca.markets/v2'
+};
+const ALPACA_DATA_URL = 'https://data.alpaca.markets/v2';
+const ALPACA_OPTIONS_DATA_URL = 'https://data.alpaca.markets/v1beta1';
+
+/**
+ * Helper function to create an Alpaca API client
+ * @param {string} baseURL - API base URL
+ * @returns {object} - Axios instance with Alpaca credentials
+ */
+function createClient(baseURL) {
+  return axios.create({
+    baseURL,
+    headers: {
+      'APCA-API-KEY-ID': process.env.ALPACA_API_KEY,
+      'APCA-API-SECRET-KEY': process.env.ALPACA_SECRET_KEY,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+/**
+ * Create a broker backed by the Alpaca trading and market data APIs.
+ * Orders go to the paper or live account depending on the trading mode.
+ * Every method resolves with Alpaca's response body and rejects with the axios error,
+ * so callers can read error.response.status and error.response.data.
+ * @returns {object} - Broker
+ */
+function createAlpacaBroker() {
+  const tradingClient = createClient(ALPACA_TRADING_URLS[getTradingMode()]);
+  const dataClient = createClient(ALPACA_DATA_URL);
+  const optionsDataClient = createClient(ALPACA_OPTIONS_DATA_URL);
+
+  return {
+    name: 'alpaca',
+
+    isConfigured() {
+      return Boolean(process.env.ALPACA_API_KEY && process.env.ALPACA_SECRET_KEY);
+    },
+
+    async getAccount() {
+      const response = await tradingClient.get('/account');
+      return response.data;
+    },
+
+    async listPositions() {
+      const response = await tradingClient.get('/positions');
+      return response.data;
+    },
+
+    async getPosition(symbol) {
+      const response = await tradingClient.get(`/positions/${encodeURIComponent(symbol.toUpperCase())}`);
+      return response.data;
+    },
+
+    async closePosition(symbol, params = {}) {
+      const response = await tradingClient.delete(`/positions/${encodeURIComponent(symbol.toUpperCase())}`, { params });
+      return response.data;
+    },
+
+    async closeAllPositions(params = {}) {
+      const response = await tradingClient.delete('/positions', { params });
+      return response.data;
+    },
+
+    async submitOrder(order) {
+      const response = await tradingClient.post('/orders', order);
+      return response.data;
+    },
+
+    async getOrder(orderId, params = {}) {
+      const response = await tradingClient.get(`/orders/${orderId}`, { params });
+      return response.data;
+    },
+
+    async listOrders(params = {}) {
+      const response = await tradingClient.get('/orders', { params });
+      return response.data;
+    },
+
+    async cancelOrder(orderId) {
+      await tradingClient.delete(`/orders/${orderId}`);
+    },
+
+    async getAsset(symbol) {
+      const response = await tradingClient.get(`/assets/${encodeURIComponent(symbol.toUpperCase())}`);
+      return response.data;
+    },
+
+    async listAssets(params = {}) {
+      const response = await tradingClient.get('/assets', { params });
+      return response.data;
+    },
+
+    async getClock() {
+      const response = await tradingClient.get('/clock');
+      return response.data;
+    },
+
+    async getCalendar(params) {
+      const response = await tradingClient.get('/calendar', { params });
+      return response.data;
+    },
+
+    async getLatestTrade(symbol) {
+      const response = await dataClient.get('/stocks/trades/latest', { params: { symbols: symbol.toUpperCase() } });
+      return response.data.trades[symbol.toUpperCase()] ?? null;
+    },
+
+    async getBars(symbol, params) {
+      // The bars endpoint returns at most params.limit bars per page; follow next_page_token to get them all
+      let bars = [];
+      let pageToken = null;
+
+      do {
+        const pageParams = pageToken ? { ...params, page_token: pageToken } : params;
+        const response = await dataClient.get(`/stocks/${encodeURIComponent(symbol.toUpperCase())}/bars`, { params: pageParams });
+        bars = bars.concat(response.data.bars || []);
+        pageToken = response.data.next_page_token;
+      } while (pageToken);
+
+      return bars;
+    },
+
+    async listOptionContracts(params) {
+      const response = await tradingClient.get('/options/contracts', { params });
+      return response.data;
+    },
+
+    async getOptionSnapshots(symbols) {
+      const response = await optionsDataClient.get('/options/snapshots', { params: { symbols: symbols.join(',') } });
+      return response.data.snapshots || {};
+    }
+  };
+}
+
+module.exports = {
+  createAlpacaBroker,
+};
@@ -0,0 +1,32 @@
+const BROKERS = {
+  alpaca: () => require('./alpaca').createAlpacaBroker(),
+  simulated: () => require('./simulated').createSimulatedBroker()
+};
+
+let broker = null;
+
+/**
+ * Get the broker selected by the BROKER environment variable.
+ * 'alpaca' (default) trades through Alpaca; 'simulated' fills orders in memory against
+ * the SIM_PRICES / SIM_PRICE_FILE price feed, so the stack runs without credentials or a network.
+ * The broker is created on first use and shared for the life of the process.
+ * @returns {object} - Broker
+ */
+function getBroker() {
+  if (!broker) {
+    const name = process.env.BROKER || 'alpaca';
+
+    if (!BROKERS[name]) {
+      console.error(`Unknown BROKER "${name}", using alpaca. Valid brokers: ${Object.keys(BROKERS).join(', ')}`);
+    }
+
+    broker = (BROKERS[name] || BROKERS.alpaca)();
+    console.log(`Using ${broker.name} broker`);
+  }
+
+  return broker;
+}
+
+module.exports = {
+  getBroker,
+};
@@ -0,0 +1,792 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const { parseOptionSymbol } = require('../options');
+const ASSET_SNAPSHOT = require('../asset-snapshot.json');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const OPTION_MULTIPLIER = 100;
+
+const OPEN_ORDER_STATUSES = ['new', 'accepted', 'held', 'partially_filled'];
+const CLOSED_ORDER_STATUSES = ['filled', 'canceled', 'expired', 'rejected'];
+
+/**
+ * Helper function to read a numeric setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value to use when the variable is unset or invalid
+ * @returns {number} - Setting value
+ */
+function readNumberSetting(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Helper function to build an error shaped like an axios error from Alpaca,
+ * so the route error handlers treat simulated and real failures the same way
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a response property
+ */
+function createBrokerError(status, message) {
+  const error = new Error(message);
+  error.response = { status, data: { code: status, message } };
+  return error;
+}
+
+/**
+ * Helper function to round a number to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Helper function to create a repeatable random number generator from a string
+ * @param {string} seed - Seed text, e.g. a ticker
+ * @returns {Function} - Generator returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = crypto.createHash('md5').update(seed).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Helper function to approximate the standard normal cumulative distribution
+ * @param {number} x - Value
+ * @returns {number} - Probability that a standard normal variable is at most x
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const density = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return x >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Helper function to read the configured price feed.
+ * SIM_PRICES holds a JSON object of prices; SIM_PRICE_FILE points to a JSON file with the
+ * same shape, which is re-read on every lookup so prices can be changed while running.
+ * @returns {object} - Prices keyed by upper-case ticker
+ */
+function readPriceFeed() {
+  let prices = {};
+
+  try {
+    if (process.env.SIM_PRICES) {
+      prices = { ...prices, ...JSON.parse(process.env.SIM_PRICES) };
+    }
+    if (process.env.SIM_PRICE_FILE) {
+      prices = { ...prices, ...JSON.parse(fs.readFileSync(process.env.SIM_PRICE_FILE, 'utf8')) };
+    }
+  } catch (error) {
+    console.error('Error reading simulated price feed:', error.message);
+  }
+
+  return Object.fromEntries(
+    Object.entries(prices).map(([symbol, price]) => [symbol.toUpperCase(), parseFloat(price)])
+  );
+}
+
+/**
+ * Helper function to build a simulated asset. Every simulated asset can be traded,
+ * shorted and bought in fractions.
+ * @param {string} symbol - Upper-case ticker
+ * @param {string} name - Company name (optional, default: the ticker)
+ * @returns {object} - Asset in Alpaca's format
+ */
+function buildAsset(symbol, name = symbol) {
+  return {
+    id: symbol,
+    class: 'us_equity',
+    exchange: 'SIM',
+    symbol,
+    name,
+    status: 'active',
+    tradable: true,
+    marginable: true,
+    shortable: true,
+    easy_to_borrow: true,
+    fractionable: true
+  };
+}
+
+/**
+ * Helper function to get the strike spacing used for a simulated options chain
+ * @param {number} price - Underlying price
+ * @returns {number} - Distance between strikes
+ */
+function getStrikeStep(price) {
+  if (price < 25) return 0.5;
+  if (price < 100) return 1;
+  if (price < 250) return 2.5;
+  return 5;
+}
+
+/**
+ * Helper function to build an OCC options symbol
+ * @param {string} underlying - Underlying ticker
+ * @param {string} expirationDate - Expiration date in YYYY-MM-DD format
+ * @param {string} type - 'call' or 'put'
+ * @param {number} strike - Strike price
+ * @returns {string} - Contract symbol, e.g. AAPL250117C00150000
+ */
+function buildOptionSymbol(underlying, expirationDate, type, strike) {
+  const [year, month, day] = expirationDate.split('-');
+  const strikeCode = Math.round(strike * 1000).toString().padStart(8, '0');
+  return `${underlying}${year.slice(2)}${month}${day}${type === 'call' ? 'C' : 'P'}${strikeCode}`;
+}
+
+/**
+ * Create an in-memory broker that fills orders against a configurable price feed.
+ * It mirrors the Alpaca response shapes so it can stand in for the Alpaca broker in
+ * development and tests. The simulated market is always open. State is lost on restart.
+ * @returns {object} - Broker
+ */
+function createSimulatedBroker() {
+  const defaultPrice = readNumberSetting('SIM_DEFAULT_PRICE', 100);
+  const volatility = readNumberSetting('SIM_VOLATILITY', 0.3);
+
+  const state = {
+    cash: readNumberSetting('SIM_STARTING_CASH', 100000),
+    lastEquity: null,
+    equityDate: null,
+    positions: new Map(),
+    orders: [],
+    priceOverrides: {}
+  };
+
+  /**
+   * Helper function to get the simulated price of a stock
+   * @param {string} symbol - Stock ticker
+   * @returns {number} - Price
+   */
+  function getStockPrice(symbol) {
+    const upper = symbol.toUpperCase();
+    return state.priceOverrides[upper] ?? readPriceFeed()[upper] ?? defaultPrice;
+  }
+
+  /**
+   * Helper function to price an options contract with Black-Scholes at zero interest
+   * @param {object} contract - Parsed contract from parseOptionSymbol
+   * @returns {object} - { price, delta, gamma, theta, vega }
+   */
+  function priceOption(contract) {
+    const spot = getStockPrice(contract.underlying);
+    const strike = contract.strike_price;
+    const years = Math.max(new Date(`${contract.expiration_date}T21:00:00Z`) - Date.now(), MS_PER_DAY / 24) / (365 * MS_PER_DAY);
+    const stdDev = volatility * Math.sqrt(years);
+    const d1 = (Math.log(spot / strike) + 0.5 * volatility * volatility * years) / stdDev;
+    const d2 = d1 - stdDev;
+    const density = Math.exp(-d1 * d1 / 2) / Math.sqrt(2 * Math.PI);
+
+    const price = contract.type === 'call'
+      ? spot * normalCdf(d1) - strike * normalCdf(d2)
+      : strike * normalCdf(-d2) - spot * normalCdf(-d1);
+
+    return {
+      price: Math.max(0.01, round(price, 2)),
+      delta: round(contract.type === 'call' ? normalCdf(d1) : normalCdf(d1) - 1, 4),
+      gamma: round(density / (spot * stdDev), 4),
+      theta: round(-(spot * density * volatility) / (2 * Math.sqrt(years)) / 365, 4),
+      vega: round(spot * density * Math.sqrt(years) / 100, 4)
+    };
+  }
+
+  /**
+   * Helper function to get the simulated price of a stock or options contract
+   * @param {string} symbol - Stock ticker or contract symbol
+   * @returns {number} - Price
+   */
+  function getPrice(symbol) {
+    const contract = parseOptionSymbol(symbol.toUpperCase());
+    return contract ? priceOption(contract).price : getStockPrice(symbol);
+  }
+
+  /**
+   * Helper function to describe a position the way Alpaca does
+   * @param {object} position - Stored position { symbol, qty, avg_entry_price, asset_class }
+   * @returns {object} - Position
+   */
+  function formatPosition(position) {
+    const multiplier = position.asset_class === 'us_option' ? OPTION_MULTIPLIER : 1;
+    const currentPrice = getPrice(position.symbol);
+    const marketValue = position.qty * currentPrice * multiplier;
+    const costBasis = position.qty * position.avg_entry_price * multiplier;
+    const unrealizedPL = marketValue - costBasis;
+    const unrealizedPLPC = costBasis !== 0 ? unrealizedPL / Math.abs(costBasis) : 0;
+
+    return {
+      asset_id: position.symbol,
+      symbol: position.symbol,
+      exchange: 'SIM',
+      asset_class: position.asset_class,
+      avg_entry_price: position.avg_entry_price.toString(),
+      qty: position.qty.toString(),
+      qty_available: position.qty.toString(),
+      side: position.qty > 0 ? 'long' : 'short',
+      market_value: marketValue.toFixed(2),
+      cost_basis: costBasis.toFixed(2),
+      unrealized_pl: unrealizedPL.toFixed(2),
+      unrealized_plpc: unrealizedPLPC.toString(),
+      unrealized_intraday_pl: unrealizedPL.toFixed(2),
+      unrealized_intraday_plpc: unrealizedPLPC.toString(),
+      current_price: currentPrice.toString(),
+      lastday_price: currentPrice.toString(),
+      change_today: '0',
+      asset_marginable: position.asset_class === 'us_equity'
+    };
+  }
+
+  /**
+   * Helper function to apply a fill to the cash balance and positions
+   * @param {string} symbol - Symbol that filled
+   * @param {string} assetClass - 'us_equity' or 'us_option'
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} qty - Filled quantity
+   * @param {number} price - Fill price
+   */
+  function applyFill(symbol, assetClass, side, qty, price) {
+    const multiplier = assetClass === 'us_option' ? OPTION_MULTIPLIER : 1;
+    const signedQty = side === 'buy' ? qty : -qty;
+    const existing = state.positions.get(symbol);
+
+    state.cash -= signedQty * price * multiplier;
+
+    if (!existing) {
+      state.positions.set(symbol, { symbol, qty: signedQty, avg_entry_price: price, asset_class: assetClass });
+      return;
+    }
+
+    const newQty = round(existing.qty + signedQty, 9);
+
+    if (newQty === 0) {
+      state.positions.delete(symbol);
+    } else if (Math.sign(existing.qty) === Math.sign(signedQty)) {
+      existing.avg_entry_price = (existing.qty * existing.avg_entry_price + signedQty * price) / newQty;
+      existing.qty = newQty;
+    } else if (Math.sign(newQty) !== Math.sign(existing.qty)) {
+      // The fill flipped the position, so the remainder was opened at this price
+      existing.qty = newQty;
+      existing.avg_entry_price = price;
+    } else {
+      existing.qty = newQty;
+    }
+  }
+
+  /**
+   * Helper function to find an order, including bracket legs, by ID
+   * @param {string} orderId - Order ID
+   * @returns {object|null} - Stored order
+   */
+  function findOrder(orderId) {
+    for (const order of state.orders) {
+      if (order.id === orderId) {
+        return order;
+      }
+      const leg = (order.legs || []).find(candidate => candidate.id === orderId);
+      if (leg) {
+        return leg;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Helper function to fill an order if its price conditions are met at the current price
+   * @param {object} order - Stored order with status new or accepted
+   * @returns {boolean} - True if the order filled
+   */
+  function tryFill(order) {
+    const price = getPrice(order.symbol);
+    const isBuy = order.side === 'buy';
+    const limitPrice = order.limit_price !== null ? parseFloat(order.limit_price) : null;
+    const stopPrice = order.stop_price !== null ? parseFloat(order.stop_price) : null;
+
+    if (order.type === 'trailing_stop') {
+      order.hwm = isBuy ? Math.min(order.hwm ?? price, price) : Math.max(order.hwm ?? price, price);
+      const trail = order.trail_price !== null
+        ? parseFloat(order.trail_price)
+        : order.hwm * parseFloat(order.trail_percent) / 100;
+      const triggered = isBuy ? price >= order.hwm + trail : price <= order.hwm - trail;
+      if (!triggered) {
+        return false;
+      }
+    }
+
+    if ((order.type === 'stop' || order.type === 'stop_limit') && !order.stop_triggered) {
+      order.stop_triggered = isBuy ? price >= stopPrice : price <= stopPrice;
+      if (!order.stop_triggered) {
+        return false;
+      }
+    }
+
+    if (limitPrice !== null && (isBuy ? price > limitPrice : price < limitPrice)) {
+      return false;
+    }
+
+    const qty = order.qty !== null ? parseFloat(order.qty) : round(parseFloat(order.notional) / price, 9);
+    const now = new Date().toISOString();
+
+    applyFill(order.symbol, order.asset_class, order.side, qty, price);
+
+    order.status = 'filled';
+    order.filled_qty = qty.toString();
+    order.filled_avg_price = price.toString();
+    order.filled_at = now;
+    order.updated_at = now;
+
+    return true;
+  }
+
+  /**
+   * Helper function to fill any open orders whose conditions are now met,
+   * activating bracket legs once their parent fills and canceling the other leg once one fills
+   */
+  function processOpenOrders() {
+    for (const order of state.orders) {
+      if (['new', 'accepted'].includes(order.status)) {
+        tryFill(order);
+      }
+
+      if (order.status !== 'filled' || !order.legs) {
+        continue;
+      }
+
+      for (const leg of order.legs) {
+        if (leg.status === 'held') {
+          leg.status = 'new';
+        }
+      }
+
+      for (const leg of order.legs) {
+        if (leg.status === 'new' && tryFill(leg)) {
+          for (const sibling of order.legs) {
+            if (sibling !== leg && OPEN_ORDER_STATUSES.includes(sibling.status)) {
+              sibling.status = 'canceled';
+              sibling.canceled_at = new Date().toISOString();
+            }
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Helper function to create a stored order in Alpaca's shape
+   * @param {object} fields - Order fields
+   * @returns {object} - Stored order
+   */
+  function buildOrder(fields) {
+    const now = new Date().toISOString();
+    const symbol = fields.symbol.toUpperCase();
+
+    return {
+      id: crypto.randomUUID(),
+      client_order_id: fields.client_order_id || crypto.randomUUID(),
+      created_at: now,
+      updated_at: now,
+      submitted_at: now,
+      filled_at: null,
+      canceled_at: null,
+      symbol,
+      asset_class: parseOptionSymbol(symbol) ? 'us_option' : 'us_equity',
+      qty: fields.qty !== undefined ? fields.qty.toString() : null,
+      notional: fields.notional !== undefined ? fields.notional.toString() : null,
+      filled_qty: '0',
+      filled_avg_price: null,
+      order_class: fields.order_class || 'simple',
+      type: fields.type || 'market',
+      side: fields.side,
+      time_in_force: fields.time_in_force || 'day',
+      limit_price: fields.limit_price !== undefined ? fields.limit_price.toString() : null,
+      stop_price: fields.stop_price !== undefined ? fields.stop_price.toString() : null,
+      trail_price: fields.trail_price !== undefined ? fields.trail_price.toString() : null,
+      trail_percent: fields.trail_percent !== undefined ? fields.trail_percent.toString() : null,
+      extended_hours: Boolean(fields.extended_hours),
+      status: 'accepted',
+      legs: null
+    };
+  }
+
+  /**
+   * Helper function to copy an order for a response, without bracket legs unless nested
+   * @param {object} order - Stored order
+   * @param {boolean} nested - Include bracket legs
+   * @returns {object} - Order copy
+   */
+  function formatOrder(order, nested = true) {
+    const { hwm, stop_triggered, ...copy } = order;
+    copy.legs = nested && order.legs ? order.legs.map(leg => formatOrder(leg)) : null;
+    return copy;
+  }
+
+  /**
+   * Helper function to calculate account equity and roll the previous day's equity
+   * @returns {object} - { equity, longMarketValue, shortMarketValue }
+   */
+  function getEquity() {
+    let longMarketValue = 0;
+    let shortMarketValue = 0;
+
+    for (const position of state.positions.values()) {
+      const marketValue = parseFloat(formatPosition(position).market_value);
+      if (marketValue >= 0) {
+        longMarketValue += marketValue;
+      } else {
+        shortMarketValue += marketValue;
+      }
+    }
+
+    const equity = state.cash + longMarketValue + shortMarketValue;
+    const today = new Date().toISOString().split('T')[0];
+    if (state.equityDate !== today) {
+      state.lastEquity = equity;
+      state.equityDate = today;
+    }
+
+    return { equity, longMarketValue, shortMarketValue };
+  }
+
+  return {
+    name: 'simulated',
+
+    isConfigured() {
+      return true;
+    },
+
+    /**
+     * Set the price used for a symbol until the process restarts, overriding the price feed
+     * @param {string} symbol - Stock ticker
+     * @param {number} price - Price
+     */
+    setPrice(symbol, price) {
+      state.priceOverrides[symbol.toUpperCase()] = price;
+    },
+
+    async getAccount() {
+      processOpenOrders();
+      const { equity, longMarketValue, shortMarketValue } = getEquity();
+
+      return {
+        id: 'simulated-account',
+        account_number: 'SIM',
+        status: 'ACTIVE',
+        currency: 'USD',
+        cash: state.cash.toFixed(2),
+        equity: equity.toFixed(2),
+        last_equity: state.lastEquity.toFixed(2),
+        portfolio_value: equity.toFixed(2),
+        long_market_value: longMarketValue.toFixed(2),
+        short_market_value: shortMarketValue.toFixed(2),
+        buying_power: Math.max(0, state.cash).toFixed(2)
+      };
+    },
+
+    async listPositions() {
+      processOpenOrders();
+      return [...state.positions.values()].map(formatPosition);
+    },
+
+    async getPosition(symbol) {
+      processOpenOrders();
+      const position = state.positions.get(symbol.toUpperCase());
+      if (!position) {
+        throw createBrokerError(404, 'position does not exist');
+      }
+      return formatPosition(position);
+    },
+
+    async closePosition(symbol, params = {}) {
+      processOpenOrders();
+      const position = state.positions.get(symbol.toUpperCase());
+      if (!position) {
+        throw createBrokerError(404, 'position does not exist');
+      }
+
+      let qty = Math.abs(position.qty);
+      if (params.qty !== undefined) {
+        qty = Math.min(qty, parseFloat(params.qty));
+      } else if (params.percentage !== undefined) {
+        qty = round(qty * parseFloat(params.percentage) / 100, 9);
+      }
+
+      return this.submitOrder({
+        symbol: position.symbol,
+        qty,
+        side: position.qty > 0 ? 'sell' : 'buy',
+        type: 'market',
+        time_in_force: 'day'
+      });
+    },
+
+    async closeAllPositions(params = {}) {
+      if (params.cancel_orders === true || params.cancel_orders === 'true') {
+        for (const order of state.orders) {
+          if (OPEN_ORDER_STATUSES.includes(order.status)) {
+            order.status = 'canceled';
+            order.canceled_at = new Date().toISOString();
+          }
+        }
+      }
+
+      const results = [];
+      for (const symbol of [...state.positions.keys()]) {
+        const order = await this.closePosition(symbol);
+        results.push({ symbol, status: 200, body: order });
+      }
+      return results;
+    },
+
+    async submitOrder(fields) {
+      if (!fields.symbol || !['buy', 'sell'].includes(fields.side)) {
+        throw createBrokerError(422, 'symbol and side (buy or sell) are required');
+      }
+      if ((fields.qty === undefined) === (fields.notional === undefined)) {
+        throw createBrokerError(422, 'exactly one of qty or notional is required');
+      }
+
+      const order = buildOrder(fields);
+      const price = getPrice(order.symbol);
+      const multiplier = order.asset_class === 'us_option' ? OPTION_MULTIPLIER : 1;
+      const cost = order.qty !== null ? parseFloat(order.qty) * price * multiplier : parseFloat(order.notional);
+      const position = state.positions.get(order.symbol);
+      const opensLong = order.side === 'buy' && !(position && position.qty < 0);
+
+      if (opensLong && cost > state.cash) {
+        throw createBrokerError(403, 'insufficient buying power');
+      }
+
+      if (fields.take_profit || fields.stop_loss) {
+        const exitSide = order.side === 'buy' ? 'sell' : 'buy';
+        const legs = [];
+
+        if (fields.take_profit) {
+          legs.push(buildOrder({ symbol: order.symbol, qty: order.qty, side: exitSide, type: 'limit', time_in_force: order.time_in_force, limit_price: fields.take_profit.limit_price }));
+        }
+        if (fields.stop_loss) {
+          legs.push(buildOrder({
+            symbol: order.symbol,
+            qty: order.qty,
+            side: exitSide,
+            type: fields.stop_loss.limit_price !== undefined ? 'stop_limit' : 'stop',
+            time_in_force: order.time_in_force,
+            stop_price: fields.stop_loss.stop_price,
+            limit_price: fields.stop_loss.limit_price
+          }));
+        }
+
+        order.legs = legs.map(leg => ({ ...leg, order_class: order.order_class, status: 'held' }));
+      }
+
+      state.orders.push(order);
+      processOpenOrders();
+
+      return formatOrder(order);
+    },
+
+    async getOrder(orderId, params = {}) {
+      processOpenOrders();
+      const order = findOrder(orderId);
+      if (!order) {
+        throw createBrokerError(404, 'order not found');
+      }
+      return formatOrder(order, params.nested === true || params.nested === 'true');
+    },
+
+    async listOrders(params = {}) {
+      processOpenOrders();
+      const { status = 'open', limit = 50, symbols, side } = params;
+      const symbolList = symbols ? symbols.split(',').map(symbol => symbol.trim().toUpperCase()) : null;
+      const statuses = status === 'open' ? OPEN_ORDER_STATUSES : status === 'closed' ? CLOSED_ORDER_STATUSES : null;
+
+      return state.orders
+        .filter(order => !statuses || statuses.includes(order.status))
+        .filter(order => !symbolList || symbolList.includes(order.symbol))
+        .filter(order => !side || order.side === side)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, parseInt(limit))
+        .map(order => formatOrder(order, params.nested === true || params.nested === 'true'));
+    },
+
+    async cancelOrder(orderId) {
+      const order = findOrder(orderId);
+      if (!order) {
+        throw createBrokerError(404, 'order not found');
+      }
+      if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+        throw createBrokerError(422, `order is ${order.status} and cannot be canceled`);
+      }
+      order.status = 'canceled';
+      order.canceled_at = new Date().toISOString();
+    },
+
+    async getAsset(symbol) {
+      return buildAsset(symbol.toUpperCase());
+    },
+
+    /**
+     * List the tradable assets: the bundled asset snapshot plus every symbol in the price feed
+     * @returns {Promise<Array>} - Assets in Alpaca's format
+     */
+    async listAssets() {
+      const feedSymbols = Object.keys(readPriceFeed());
+      const snapshotSymbols = new Set(ASSET_SNAPSHOT.map(asset => asset.symbol));
+
+      return [
+        ...ASSET_SNAPSHOT.map(asset => ({ ...buildAsset(asset.symbol, asset.name), exchange: asset.exchange })),
+        ...feedSymbols.filter(symbol => !snapshotSymbols.has(symbol)).map(symbol => buildAsset(symbol))
+      ];
+    },
+
+    async getClock() {
+      const now = new Date();
+      const tomorrow = new Date(now.getTime() + MS_PER_DAY);
+      return {
+        timestamp: now.toISOString(),
+        is_open: true,
+        next_open: tomorrow.toISOString(),
+        next_close: tomorrow.toISOString()
+      };
+    },
+
+    async getCalendar({ start, end }) {
+      const days = [];
+      for (let date = new Date(`${start}T00:00:00Z`); date <= new Date(`${end}T00:00:00Z`); date = new Date(date.getTime() + MS_PER_DAY)) {
+        days.push({
+          date: date.toISOString().split('T')[0],
+          open: '00:00',
+          close: '23:59',
+          session_open: '0000',
+          session_close: '2359'
+        });
+      }
+      return days;
+    },
+
+    async getLatestTrade(symbol) {
+      return { t: new Date().toISOString(), p: getStockPrice(symbol), s: 100 };
+    },
+
+    async getBars(symbol, params = {}) {
+      // A repeatable random walk that ends at the current price
+      const random = createSeededRandom(symbol.toUpperCase());
+      const dailyVolatility = volatility / Math.sqrt(252);
+      const start = params.start ? new Date(`${params.start}T00:00:00Z`) : new Date(Date.now() - 30 * MS_PER_DAY);
+      const dates = [];
+
+      for (let date = new Date(start); date <= new Date(); date = new Date(date.getTime() + MS_PER_DAY)) {
+        if (date.getUTCDay() !== 0 && date.getUTCDay() !== 6) {
+          dates.push(date.toISOString().split('T')[0]);
+        }
+      }
+
+      const bars = [];
+      let close = getStockPrice(symbol);
+      for (let i = dates.length - 1; i >= 0; i--) {
+        const open = close / Math.exp((random() - 0.5) * 2 * Math.sqrt(3) * dailyVolatility);
+        bars.unshift({
+          t: `${dates[i]}T04:00:00Z`,
+          o: round(open, 2),
+          h: round(Math.max(open, close) * (1 + random() * dailyVolatility), 2),
+          l: round(Math.min(open, close) * (1 - random() * dailyVolatility), 2),
+          c: round(close, 2),
+          v: Math.round(1000000 * (0.5 + random()))
+        });
+        close = open;
+      }
+
+      return params.limit ? bars.slice(-params.limit) : bars;
+    },
+
+    async listOptionContracts(params) {
+      const underlying = params.underlying_symbols.toUpperCase();
+      const spot = getStockPrice(underlying);
+      const step = getStrikeStep(spot);
+      const types = params.type ? [params.type] : ['call', 'put'];
+      const contracts = [];
+
+      // Weekly contracts expire on Fridays
+      const lastDate = new Date(`${params.expiration_date_lte}T00:00:00Z`);
+      for (let date = new Date(`${params.expiration_date_gte}T00:00:00Z`); date <= lastDate; date = new Date(date.getTime() + MS_PER_DAY)) {
+        if (date.getUTCDay() !== 5) {
+          continue;
+        }
+        const expirationDate = date.toISOString().split('T')[0];
+
+        for (let strike = Math.ceil(spot * 0.7 / step) * step; strike <= spot * 1.3; strike += step) {
+          for (const type of types) {
+            const symbol = buildOptionSymbol(underlying, expirationDate, type, strike);
+            const random = createSeededRandom(symbol);
+            contracts.push({
+              id: symbol,
+              symbol,
+              name: `${underlying} ${expirationDate} ${type === 'call' ? 'Call' : 'Put'} ${strike}`,
+              status: 'active',
+              tradable: true,
+              expiration_date: expirationDate,
+              root_symbol: underlying,
+              underlying_symbol: underlying,
+              type,
+              style: 'american',
+              strike_price: strike.toString(),
+              size: '100',
+              open_interest: Math.round(5000 * random() * Math.exp(-Math.abs(strike - spot) / spot * 10)).toString(),
+              open_interest_date: new Date().toISOString().split('T')[0],
+              close_price: priceOption(parseOptionSymbol(symbol)).price.toString()
+            });
+          }
+        }
+      }
+
+      const offset = params.page_token ? parseInt(params.page_token) : 0;
+      const limit = params.limit ? parseInt(params.limit) : 100;
+      const nextOffset = offset + limit;
+
+      return {
+        option_contracts: contracts.slice(offset, nextOffset),
+        next_page_token: nextOffset < contracts.length ? nextOffset.toString() : null
+      };
+    },
+
+    async getOptionSnapshots(symbols) {
+      const snapshots = {};
+      const now = new Date().toISOString();
+
+      for (const symbol of symbols) {
+        const contract = parseOptionSymbol(symbol.toUpperCase());
+        if (!contract) {
+          continue;
+        }
+
+        const { price, delta, gamma, theta, vega } = priceOption(contract);
+        const halfSpread = Math.max(0.01, round(price * 0.01, 2));
+
+        snapshots[symbol] = {
+          latestTrade: { t: now, p: price },
+          latestQuote: { t: now, bp: round(Math.max(0.01, price - halfSpread), 2), ap: round(price + halfSpread, 2) },
+          greeks: { delta, gamma, theta, vega, rho: 0 },
+          impliedVolatility: volatility
+        };
+      }
+
+      return snapshots;
+    }
+  };
+}
+
+module.exports = {
+  createSimulatedBroker,
+};
@@ -0,0 +1,260 @@
+const { getOptionSnapshots } = require('../market');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const STRATEGIES = ['nearest_expiry', 'nearest_atm', 'target_delta', 'max_open_interest', 'tightest_spread'];
+
+// Strategies that need live quotes or Greeks from the snapshots endpoint
+const SNAPSHOT_STRATEGIES = ['target_delta', 'tightest_spread'];
+
+const DEFAULT_SELECTION = {
+  strategy: 'nearest_expiry',
+  min_moneyness_pct: -25,
+  max_moneyness_pct: 25,
+  min_open_interest: 0,
+  max_spread_pct: null,
+  target_delta: 0.5,
+  expiry_weight: 0.1,
+  max_candidates: 20
+};
+
+/**
+ * Helper function to validate contract selection parameters and fill in defaults.
+ * The default strategy can be changed with OPTION_SELECTION_STRATEGY.
+ * @param {object} selection - Selection parameters from the request body (optional; anything but an object is invalid)
+ * @param {string} selection.strategy - nearest_expiry, nearest_atm, target_delta, max_open_interest or tightest_spread
+ * @param {number} selection.min_moneyness_pct - Lowest strike allowed, as percent from spot (default: -25)
+ * @param {number} selection.max_moneyness_pct - Highest strike allowed, as percent from spot (default: 25)
+ * @param {number} selection.min_open_interest - Minimum open interest (default: 0)
+ * @param {number} selection.max_spread_pct - Maximum bid/ask spread as percent of mid (optional)
+ * @param {number} selection.target_delta - Absolute delta to aim for with target_delta (default: 0.5)
+ * @param {number} selection.expiry_weight - Score penalty per 30 days from the target expiry (default: 0.1)
+ * @param {number} selection.max_candidates - Number of ranked candidates to return (default: 20)
+ * @returns {object} - Validation result with the resolved selection options
+ */
+function validateSelectionParams(selection = {}) {
+  if (selection === null || typeof selection !== 'object' || Array.isArray(selection)) {
+    return { isValid: false, errors: ['Selection must be an object'], options: null };
+  }
+
+  const errors = [];
+  const provided = Object.fromEntries(
+    Object.entries(selection).filter(([, value]) => value !== undefined)
+  );
+  const options = {
+    ...DEFAULT_SELECTION,
+    strategy: process.env.OPTION_SELECTION_STRATEGY || DEFAULT_SELECTION.strategy,
+    ...provided
+  };
+
+  if (!STRATEGIES.includes(options.strategy)) {
+    errors.push(`Selection strategy must be one of: ${STRATEGIES.join(', ')}`);
+  }
+
+  for (const key of ['min_moneyness_pct', 'max_moneyness_pct', 'min_open_interest', 'target_delta', 'expiry_weight']) {
+    if (typeof options[key] !== 'number' || !Number.isFinite(options[key])) {
+      errors.push(`${key} must be a number`);
+    }
+  }
+
+  if (options.min_moneyness_pct > options.max_moneyness_pct) {
+    errors.push('min_moneyness_pct must not be greater than max_moneyness_pct');
+  }
+
+  if (options.min_open_interest < 0) {
+    errors.push('min_open_interest must not be negative');
+  }
+
+  if (options.max_spread_pct !== null && (typeof options.max_spread_pct !== 'number' || options.max_spread_pct <= 0)) {
+    errors.push('max_spread_pct must be a positive number');
+  }
+
+  if (options.target_delta <= 0 || options.target_delta >= 1) {
+    errors.push('target_delta must be between 0 and 1');
+  }
+
+  if (!Number.isInteger(options.max_candidates) || options.max_candidates < 1) {
+    errors.push('max_candidates must be a positive integer');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    options
+  };
+}
+
+/**
+ * Helper function to describe a contract with the metrics used for filtering and scoring
+ * @param {object} contract - Options contract from Alpaca
+ * @param {object} snapshot - Options snapshot for the contract (optional)
+ * @param {string} targetExpirationDate - Target expiration date
+ * @param {number} currentPrice - Current stock price
+ * @returns {object} - Candidate with metrics
+ */
+function describeCandidate(contract, snapshot, targetExpirationDate, currentPrice) {
+  const strikePrice = parseFloat(contract.strike_price);
+  const bid = snapshot?.latestQuote?.bp ?? null;
+  const ask = snapshot?.latestQuote?.ap ?? null;
+  const mid = bid !== null && ask !== null ? (bid + ask) / 2 : null;
+
+  return {
+    symbol: contract.symbol,
+    expiration_date: contract.expiration_date,
+    strike_price: strikePrice,
+    moneyness_pct: ((strikePrice - currentPrice) / currentPrice) * 100,
+    days_from_target: Math.abs(new Date(contract.expiration_date) - new Date(targetExpirationDate)) / MS_PER_DAY,
+    open_interest: contract.open_interest ? parseInt(contract.open_interest) : 0,
+    bid,
+    ask,
+    spread_pct: mid ? ((ask - bid) / mid) * 100 : null,
+    delta: snapshot?.greeks?.delta ?? null,
+    contract
+  };
+}
+
+/**
+ * Helper function to find the first filter a candidate fails
+ * @param {object} candidate - Candidate with metrics
+ * @param {object} options - Resolved selection options
+ * @returns {string|null} - Rejection reason, or null if the candidate is eligible
+ */
+function getRejectionReason(candidate, options) {
+  if (candidate.moneyness_pct < options.min_moneyness_pct || candidate.moneyness_pct > options.max_moneyness_pct) {
+    return 'outside_moneyness_band';
+  }
+
+  if (candidate.open_interest < options.min_open_interest) {
+    return 'below_min_open_interest';
+  }
+
+  if (options.max_spread_pct !== null && (candidate.spread_pct === null || candidate.spread_pct > options.max_spread_pct)) {
+    return 'spread_too_wide';
+  }
+
+  if (options.strategy === 'target_delta' && candidate.delta === null) {
+    return 'missing_delta';
+  }
+
+  if (options.strategy === 'tightest_spread' && candidate.spread_pct === null) {
+    return 'missing_quote';
+  }
+
+  return null;
+}
+
+/**
+ * Helper function to score a candidate for a strategy. Higher scores are better.
+ * Every strategy except nearest_expiry subtracts a penalty for distance from the target expiry.
+ * @param {object} candidate - Candidate with metrics
+ * @param {object} options - Resolved selection options
+ * @param {number} maxOpenInterest - Largest open interest among eligible candidates
+ * @returns {number} - Score
+ */
+function scoreCandidate(candidate, options, maxOpenInterest) {
+  const strikeDistance = Math.abs(candidate.moneyness_pct) / 100;
+
+  if (options.strategy === 'nearest_expiry') {
+    // Expiry first, then strike distance as a tie-breaker
+    return -candidate.days_from_target - Math.min(strikeDistance, 0.99);
+  }
+
+  let metric;
+  switch (options.strategy) {
+    case 'nearest_atm':
+      metric = 1 - strikeDistance;
+      break;
+    case 'target_delta':
+      metric = 1 - Math.abs(Math.abs(candidate.delta) - options.target_delta);
+      break;
+    case 'max_open_interest':
+      metric = maxOpenInterest > 0 ? candidate.open_interest / maxOpenInterest : 0;
+      break;
+    case 'tightest_spread':
+      metric = 1 - candidate.spread_pct / 100;
+      break;
+  }
+
+  return metric - options.expiry_weight * (candidate.days_from_target / 30);
+}
+
+/**
+ * Helper function to select the best options contract
+ * @param {array} contracts - Array of options contracts
+ * @param {string} targetExpirationDate - Target expiration date
+ * @param {number} currentPrice - Current stock price
+ * @param {object} options - Resolved selection options from validateSelectionParams
+ * @returns {Promise<object>} - { contract, strategy, candidates, rejected_counts }
+ */
+async function selectBestContract(contracts, targetExpirationDate, currentPrice, options = validateSelectionParams().options) {
+  if (!contracts || contracts.length === 0) {
+    throw new Error('No contracts available for selection');
+  }
+
+  // Only fetch quotes for contracts inside the moneyness band
+  const inBand = contracts.filter(contract => {
+    const moneynessPct = ((parseFloat(contract.strike_price) - currentPrice) / currentPrice) * 100;
+    return moneynessPct >= options.min_moneyness_pct && moneynessPct <= options.max_moneyness_pct;
+  });
+
+  const needsSnapshots = SNAPSHOT_STRATEGIES.includes(options.strategy) || options.max_spread_pct !== null;
+  const snapshots = needsSnapshots
+    ? await getOptionSnapshots(inBand.map(contract => contract.symbol))
+    : {};
+
+  const candidates = contracts.map(contract =>
+    describeCandidate(contract, snapshots[contract.symbol], targetExpirationDate, currentPrice)
+  );
+
+  const rejectedCounts = {};
+  let eligible = [];
+
+  for (const candidate of candidates) {
+    const reason = getRejectionReason(candidate, options);
+    if (reason) {
+      rejectedCounts[reason] = (rejectedCounts[reason] || 0) + 1;
+    } else {
+      eligible.push(candidate);
+    }
+  }
+
+  if (eligible.length === 0) {
+    const usesDefaultFilters = options.strategy === 'nearest_expiry' &&
+      options.min_open_interest === 0 &&
+      options.max_spread_pct === null;
+
+    // The original behavior: if no contract is near the money, consider all of them
+    if (!usesDefaultFilters) {
+      throw new Error(`No contracts passed the ${options.strategy} selection filters`);
+    }
+    eligible = candidates;
+  }
+
+  const maxOpenInterest = Math.max(...eligible.map(candidate => candidate.open_interest));
+
+  const ranked = eligible
+    .map(candidate => ({ ...candidate, score: scoreCandidate(candidate, options, maxOpenInterest) }))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    contract: ranked[0].contract,
+    strategy: options.strategy,
+    filters: {
+      min_moneyness_pct: options.min_moneyness_pct,
+      max_moneyness_pct: options.max_moneyness_pct,
+      min_open_interest: options.min_open_interest,
+      max_spread_pct: options.max_spread_pct,
+      target_delta: options.strategy === 'target_delta' ? options.target_delta : null,
+      expiry_weight: options.expiry_weight
+    },
+    eligible_count: ranked.length,
+    rejected_counts: rejectedCounts,
+    candidates: ranked.slice(0, options.max_candidates).map(({ contract, ...candidate }) => candidate)
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  validateSelectionParams,
+  selectBestContract,
+};
@@ -1,21 +1,13 @@
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
 
-const { isMarketOpen, getCurrentStockPrice, findContracts, getOptionContractPrice } = require('../market');
-
-const ALPACA_BASE_URL = 'https://paper-api.alpaca.markets/v2';
-const ALPACA_API_KEY = process.env.ALPACA_API_KEY;
-const ALPACA_SECRET_KEY = process.env.ALPACA_SECRET_KEY;
-
-const alpacaClient = axios.create({
-  baseURL: ALPACA_BASE_URL,
-  headers: {
-    'APCA-API-KEY-ID': ALPACA_API_KEY,
-    'APCA-API-SECRET-KEY': ALPACA_SECRET_KEY,
-    'Content-Type': 'application/json'
-  }
-});
+const { getCurrentStockPrice, findContracts, getOptionContractPrice } = require('../market');
+const { getMarketStatus, describeMarketClosed } = require('../market-calendar');
+const { getBroker } = require('../broker');
+const { validateOrderTypeParams, pickOrderTypeParams } = require('./order-types');
+const { validateSelectionParams, selectBestContract } = require('./contract-selection');
+const { RISK_REJECTION_ERROR, enforceOrderRisk } = require('../risk');
+const { verifyTicker } = require('../assets');
 
 /**
  * Helper function to validate and format target expiration date
@@ -40,47 +32,6 @@ function validateTargetExpirationDate(targetExpiryDate) {
   return targetExpiryDate;
 }
 
-/**
- * Helper function to select the best options contract
- * @param {array} contracts - Array of options contracts
- * @param {string} targetExpirationDate - Target expiration date
- * @param {number} currentPrice - Current stock price
- * @returns {object} - Best options contract
- */
-function selectBestContract(contracts, targetExpirationDate, currentPrice) {
-  if (!contracts || contracts.length === 0) {
-    throw new Error('No contracts available for selection');
-  }
-
-  // Filter out contracts with more than 25% away from current price
-  const reasonableContracts = contracts.filter(contract => {
-    const strikePrice = parseFloat(contract.strike_price);
-    const priceDiff = Math.abs(strikePrice - currentPrice);
-    const priceDiffPercent = (priceDiff / currentPrice) * 100;
-    return priceDiffPercent <= 25; // within 25% of current price
-  });
-  // if no reasonable contracts, use all contracts
-  const contractsToSort = reasonableContracts.length > 0 ? reasonableContracts : contracts;
-
-  const sortedContracts = contractsToSort.sort((a, b) => {
-    // Primary sort: expiration date proximity to target
-    const dateDiffA = Math.abs(new Date(a.expiration_date) - new Date(targetExpirationDate));
-    const dateDiffB = Math.abs(new Date(b.expiration_date) - new Date(targetExpirationDate));
-    
-    if (dateDiffA !== dateDiffB) {
-      return dateDiffA - dateDiffB;
-    }
-    
-    // Secondary sort: strike price proximity to current price (but less weight)
-    const priceDiffA = Math.abs(parseFloat(a.strike_price) - currentPrice);
-    const priceDiffB = Math.abs(parseFloat(b.strike_price) - currentPrice);
-    
-    return priceDiffA - priceDiffB;
-  });
-
-  return sortedContracts[0];
-}
-
 /**
  * Helper function to validate common parameters
  * @param {object} params - Parameters to validate
@@ -108,8 +59,8 @@ function validateCommonParams(params) {
     }
   }
 
-  if (!ALPACA_API_KEY || !ALPACA_SECRET_KEY) {
-    errors.push('Alpaca API credentials not configured');
+  if (!getBroker().isConfigured()) {
+    errors.push('Broker credentials not configured');
   }
 
   return {
@@ -119,14 +70,23 @@ function validateCommonParams(params) {
 }
 
 /**
- * Helper function to create an options order
+ * Helper function to select the contract for an options order and build the payload to submit
  * @param {string} ticker - Stock symbol
  * @param {number} amount - Dollar amount to invest
  * @param {string} targetExpiryDate - Target expiration date in YYYY-MM-DD format
  * @param {string} optionType - 'call' or 'put'
- * @returns {object} - Order result
+ * @param {object} orderTypeFields - Validated order type fields (optional, default: market/day)
+ * @param {object} selectionOptions - Resolved contract selection options (optional, default strategy)
+ * @returns {Promise<object>} - { orderPayload, requested, selection }
  */
-async function createOptionsOrder(ticker, amount, targetExpiryDate, optionType) {
+async function buildOptionsOrder(
+  ticker,
+  amount,
+  targetExpiryDate,
+  optionType,
+  orderTypeFields = { type: 'market', time_in_force: 'day' },
+  selectionOptions = validateSelectionParams().options
+) {
   const currentPrice = await getCurrentStockPrice(ticker);
 
   const searchEndDate = new Date(targetExpiryDate);
@@ -144,9 +104,13 @@ async function createOptionsOrder(ticker, amount, targetExpiryDate, optionType)
     throw new Error(`No ${optionType} options contracts found for ${ticker} near ${targetExpiryDate}`);
   }
 
-  const bestContract = selectBestContract(contracts, targetExpiryDate, currentPrice);
+  const selection = await selectBestContract(contracts, targetExpiryDate, currentPrice, selectionOptions);
+  const bestContract = selection.contract;
 
-  const contractPrice = await getOptionContractPrice(bestContract.symbol);
+  // Size limit orders at the limit price, since that is the most each contract can cost
+  const contractPrice = orderTypeFields.limit_price
+    ? parseFloat(orderTypeFields.limit_price)
+    : await getOptionContractPrice(bestContract.symbol);
   
   const costPerOption = contractPrice * 100; 
 
@@ -164,19 +128,17 @@ async function createOptionsOrder(ticker, amount, targetExpiryDate, optionType)
     symbol: bestContract.symbol,
     qty: quantity,
     side: 'buy',
-    type: 'market',
-    time_in_force: 'day',
+    ...orderTypeFields,
   };
 
-  const response = await alpacaClient.post('/orders', orderPayload);
-
   return {
-    order: response.data,
+    orderPayload,
     requested: {
       ticker: ticker.toUpperCase(),
       amount: amount,
       target_expiry_date: targetExpiryDate,
       quantity: quantity,
+      order_type: orderTypeFields.type,
       contract: {
         symbol: bestContract.symbol,
         name: bestContract.name,
@@ -185,10 +147,46 @@ async function createOptionsOrder(ticker, amount, targetExpiryDate, optionType)
         type: bestContract.type,
         close_price: bestContract.close_price
       }
+    },
+    selection: {
+      strategy: selection.strategy,
+      filters: selection.filters,
+      eligible_count: selection.eligible_count,
+      rejected_counts: selection.rejected_counts,
+      candidates: selection.candidates
     }
   };
 }
 
+/**
+ * Helper function to create an options order
+ * @param {string} ticker - Stock symbol
+ * @param {number} amount - Dollar amount to invest
+ * @param {string} targetExpiryDate - Target expiration date in YYYY-MM-DD format
+ * @param {string} optionType - 'call' or 'put'
+ * @param {object} orderTypeFields - Validated order type fields (optional, default: market/day)
+ * @param {object} selectionOptions - Resolved contract selection options (optional, default strategy)
+ * @returns {object} - Order result
+ */
+async function createOptionsOrder(ticker, amount, targetExpiryDate, optionType, orderTypeFields, selectionOptions) {
+  const { orderPayload, requested, selection } = await buildOptionsOrder(
+    ticker,
+    amount,
+    targetExpiryDate,
+    optionType,
+    orderTypeFields,
+    selectionOptions
+  );
+
+  const order = await getBroker().submitOrder(orderPayload);
+
+  return {
+    order: order,
+    requested,
+    selection
+  };
+}
+
 /**
  * POST /api/trading/execute/option/buy/:type
  * Create a buy order for options (call or put)
@@ -197,22 +195,37 @@ async function createOptionsOrder(ticker, amount, targetExpiryDate, optionType)
  * @param {string} ticker - Stock symbol/ticker (required)
  * @param {number} amount - Dollar amount to invest (required)
  * @param {string} target_expiry_date - Target expiration date in YYYY-MM-DD format (required)
+ * @param {string} order_type - market or limit (optional, default: market)
+ * @param {number} limit_price - Per-share limit price for limit orders (optional)
+ * @param {string} time_in_force - Only day is supported for options (optional, default: day)
+ * @param {object} selection - Contract selection options (optional): strategy (nearest_expiry, nearest_atm,
+ *   target_delta, max_open_interest, tightest_spread), min_moneyness_pct, max_moneyness_pct,
+ *   min_open_interest, max_spread_pct, target_delta, expiry_weight, max_candidates
+ * @param {boolean} risk_checked - The caller already ran and recorded the risk checks, so a rejection
+ *   here is not recorded again (optional, default: false)
+ * @param {boolean} dry_run - Run every check and select the contract, then return the order payload
+ *   without submitting it, even while the market is closed (optional, default: false)
  * 
- * @returns {object} 200 - Order created successfully
- * @returns {object} 400 - Invalid parameters
+ * @returns {object} 200 - Order created successfully, or the order payload of a dry run
+ * @returns {object} 400 - Invalid parameters or unknown or untradable ticker
+ * @returns {object} 403 - Rejected by the risk checks
  * @returns {object} 500 - Server error
  */
 router.post('/buy/:type', async (req, res) => {
-  if (!isMarketOpen()) {
+  const dryRun = req.body.dry_run === true;
+  const recordRejection = !dryRun && req.body.risk_checked !== true;
+
+  const marketStatus = await getMarketStatus();
+  if (!marketStatus.isOpen && !dryRun) {
     return res.status(400).json({
       error: 'Market is closed',
-      message: 'Trading is only allowed during market hours (Monday-Friday, 9:30 AM - 4:00 PM ET)'
+      message: describeMarketClosed(marketStatus)
     });
   }
 
   try {
     const { type } = req.params;
-    const { ticker, amount, target_expiry_date } = req.body;
+    const { amount, target_expiry_date } = req.body;
 
     if (!type || (type !== 'call' && type !== 'put')) {
       return res.status(400).json({
@@ -221,7 +234,7 @@ router.post('/buy/:type', async (req, res) => {
       });
     }
 
-    const validation = validateCommonParams({ ticker, amount, target_expiry_date });
+    const validation = validateCommonParams({ ticker: req.body.ticker, amount, target_expiry_date });
     if (!validation.isValid) {
       return res.status(400).json({
         error: 'Invalid parameters',
@@ -229,13 +242,78 @@ router.post('/buy/:type', async (req, res) => {
       });
     }
 
-    const result = await createOptionsOrder(ticker, amount, target_expiry_date, type);
+    const tickerCheck = await verifyTicker(req.body.ticker, { instrument: type });
+    if (!tickerCheck.verified) {
+      return res.status(400).json({
+        error: 'Invalid ticker',
+        message: tickerCheck.reasons.join('; ')
+      });
+    }
+    const ticker = tickerCheck.symbol;
+
+    const orderTypeValidation = validateOrderTypeParams(pickOrderTypeParams(req.body), {
+      side: 'buy',
+      assetClass: 'us_option'
+    });
+    if (!orderTypeValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid order type parameters',
+        message: orderTypeValidation.errors.join(', ')
+      });
+    }
+
+    const selectionValidation = validateSelectionParams(req.body.selection);
+    if (!selectionValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid selection parameters',
+        message: selectionValidation.errors.join(', ')
+      });
+    }
+
+    const riskCheck = await enforceOrderRisk({ symbol: ticker, notional: amount, source: `option_${type}`, recordRejection });
+    if (!riskCheck.approved) {
+      return res.status(403).json({
+        error: RISK_REJECTION_ERROR,
+        message: riskCheck.reasons.join('; '),
+        reasons: riskCheck.reasons
+      });
+    }
+
+    if (dryRun) {
+      const preview = await buildOptionsOrder(
+        ticker,
+        amount,
+        target_expiry_date,
+        type,
+        orderTypeValidation.fields,
+        selectionValidation.options
+      );
+
+      return res.status(200).json({
+        success: true,
+        dry_run: true,
+        message: `Dry run: ${type} option buy order for ${ticker} was not submitted`,
+        order_payload: preview.orderPayload,
+        requested: preview.requested,
+        selection: preview.selection
+      });
+    }
+
+    const result = await createOptionsOrder(
+      ticker,
+      amount,
+      target_expiry_date,
+      type,
+      orderTypeValidation.fields,
+      selectionValidation.options
+    );
 
     res.status(200).json({
       success: true,
       message: `${type.charAt(0).toUpperCase() + type.slice(1)} option buy order created for ${ticker}`,
       order: result.order,
-      requested: result.requested
+      requested: result.requested,
+      selection: result.selection
     });
 
   } catch (error) {
@@ -0,0 +1,240 @@
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop_limit', 'trailing_stop'];
+const TIME_IN_FORCE_VALUES = ['day', 'gtc', 'ioc', 'opg'];
+
+/**
+ * Helper function to check that a value is a positive number
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value is a finite number greater than 0
+ */
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Helper function to validate the bracket legs of an order
+ * @param {object} takeProfit - { limit_price }
+ * @param {object} stopLoss - { stop_price, limit_price? }
+ * @param {string} side - 'buy' or 'sell'
+ * @returns {Array<string>} - Validation errors
+ */
+function validateBracketLegs(takeProfit, stopLoss, side) {
+  const errors = [];
+
+  if (takeProfit !== undefined && !isPositiveNumber(takeProfit?.limit_price)) {
+    errors.push('take_profit.limit_price must be a positive number');
+  }
+
+  if (stopLoss !== undefined) {
+    if (!isPositiveNumber(stopLoss?.stop_price)) {
+      errors.push('stop_loss.stop_price must be a positive number');
+    }
+    if (stopLoss?.limit_price !== undefined && !isPositiveNumber(stopLoss.limit_price)) {
+      errors.push('stop_loss.limit_price must be a positive number');
+    }
+  }
+
+  if (errors.length === 0 && takeProfit && stopLoss) {
+    const profitAboveStop = takeProfit.limit_price > stopLoss.stop_price;
+    if (side === 'buy' && !profitAboveStop) {
+      errors.push('take_profit.limit_price must be above stop_loss.stop_price for a buy');
+    }
+    if (side === 'sell' && profitAboveStop) {
+      errors.push('take_profit.limit_price must be below stop_loss.stop_price for a sell');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Helper function to validate order type parameters and build the matching
+ * Alpaca order fields. Market/day orders are the default.
+ * @param {object} params - Order type parameters from the request body
+ * @param {string} params.order_type - market, limit, stop, stop_limit or trailing_stop (optional, default: market)
+ * @param {number} params.limit_price - Limit price (limit and stop_limit)
+ * @param {number} params.stop_price - Stop price (stop and stop_limit)
+ * @param {number} params.trail_price - Trailing dollar offset (trailing_stop)
+ * @param {number} params.trail_percent - Trailing percent offset (trailing_stop)
+ * @param {string} params.time_in_force - day, gtc, ioc or opg (optional, default: day)
+ * @param {object} params.take_profit - Take profit leg: { limit_price }
+ * @param {object} params.stop_loss - Stop loss leg: { stop_price, limit_price? }
+ * @param {boolean} params.extended_hours - Allow filling in pre-market and after-hours (limit/day orders only)
+ * @param {object} context - Details of the order the fields apply to
+ * @param {string} context.side - 'buy' or 'sell'
+ * @param {boolean} context.fractional - True for notional or fractional quantity orders
+ * @param {string} context.assetClass - 'us_equity' or 'us_option'
+ * @returns {object} - Validation result with the order fields to merge into the payload
+ */
+function validateOrderTypeParams(params, context) {
+  const {
+    order_type: type = 'market',
+    limit_price,
+    stop_price,
+    trail_price,
+    trail_percent,
+    time_in_force = 'day',
+    take_profit,
+    stop_loss,
+    extended_hours
+  } = params;
+  const { side, fractional = false, assetClass = 'us_equity' } = context;
+  const errors = [];
+
+  if (!ORDER_TYPES.includes(type)) {
+    errors.push(`Order type must be one of: ${ORDER_TYPES.join(', ')}`);
+  }
+
+  if (!TIME_IN_FORCE_VALUES.includes(time_in_force)) {
+    errors.push(`time_in_force must be one of: ${TIME_IN_FORCE_VALUES.join(', ')}`);
+  }
+
+  const needsLimit = type === 'limit' || type === 'stop_limit';
+  const needsStop = type === 'stop' || type === 'stop_limit';
+
+  if (needsLimit && !isPositiveNumber(limit_price)) {
+    errors.push(`limit_price is required for ${type} orders and must be a positive number`);
+  }
+  if (!needsLimit && limit_price !== undefined) {
+    errors.push(`limit_price is not allowed for ${type} orders`);
+  }
+
+  if (needsStop && !isPositiveNumber(stop_price)) {
+    errors.push(`stop_price is required for ${type} orders and must be a positive number`);
+  }
+  if (!needsStop && stop_price !== undefined) {
+    errors.push(`stop_price is not allowed for ${type} orders`);
+  }
+
+  if (type === 'trailing_stop') {
+    if ((trail_price === undefined) === (trail_percent === undefined)) {
+      errors.push('trailing_stop orders require exactly one of trail_price or trail_percent');
+    } else if (trail_price !== undefined && !isPositiveNumber(trail_price)) {
+      errors.push('trail_price must be a positive number');
+    } else if (trail_percent !== undefined && (!isPositiveNumber(trail_percent) || trail_percent >= 100)) {
+      errors.push('trail_percent must be between 0 and 100');
+    }
+    if (!['day', 'gtc'].includes(time_in_force)) {
+      errors.push('trailing_stop orders only support day or gtc time_in_force');
+    }
+  } else if (trail_price !== undefined || trail_percent !== undefined) {
+    errors.push(`trail_price and trail_percent are only allowed for trailing_stop orders`);
+  }
+
+  if (['ioc', 'opg'].includes(time_in_force) && !['market', 'limit'].includes(type)) {
+    errors.push(`${time_in_force} time_in_force is only supported for market and limit orders`);
+  }
+
+  const hasBracket = take_profit !== undefined || stop_loss !== undefined;
+
+  if (hasBracket) {
+    if (!['market', 'limit'].includes(type)) {
+      errors.push('Bracket legs can only be attached to market or limit orders');
+    }
+    if (!['day', 'gtc'].includes(time_in_force)) {
+      errors.push('Bracket orders only support day or gtc time_in_force');
+    }
+    if (fractional) {
+      errors.push('Bracket orders require a whole-share qty, not a dollar amount');
+    }
+    errors.push(...validateBracketLegs(take_profit, stop_loss, side));
+  }
+
+  if (fractional) {
+    if (time_in_force !== 'day') {
+      errors.push('Dollar amount and fractional orders only support day time_in_force');
+    }
+    if (type === 'trailing_stop') {
+      errors.push('trailing_stop orders require a whole-share qty, not a dollar amount');
+    }
+  }
+
+  if (extended_hours !== undefined && typeof extended_hours !== 'boolean') {
+    errors.push('extended_hours must be true or false');
+  }
+
+  if (extended_hours === true) {
+    // Alpaca only fills limit day orders outside the regular session
+    if (type !== 'limit' || time_in_force !== 'day') {
+      errors.push('extended_hours orders must be limit orders with day time_in_force');
+    }
+    if (hasBracket) {
+      errors.push('Bracket legs are not supported for extended_hours orders');
+    }
+  }
+
+  if (assetClass === 'us_option') {
+    if (!['market', 'limit'].includes(type)) {
+      errors.push('Option orders only support market and limit types');
+    }
+    if (time_in_force !== 'day') {
+      errors.push('Option orders only support day time_in_force');
+    }
+    if (hasBracket) {
+      errors.push('Bracket legs are not supported for option orders');
+    }
+    if (extended_hours === true) {
+      errors.push('Option orders cannot trade in extended hours');
+    }
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, fields: null };
+  }
+
+  const fields = { type, time_in_force };
+
+  if (limit_price !== undefined) {
+    fields.limit_price = limit_price.toString();
+  }
+  if (stop_price !== undefined) {
+    fields.stop_price = stop_price.toString();
+  }
+  if (trail_price !== undefined) {
+    fields.trail_price = trail_price.toString();
+  }
+  if (trail_percent !== undefined) {
+    fields.trail_percent = trail_percent.toString();
+  }
+  if (extended_hours === true) {
+    fields.extended_hours = true;
+  }
+
+  if (hasBracket) {
+    // Alpaca needs both legs for a bracket; a single leg is a one-triggers-other order
+    fields.order_class = take_profit && stop_loss ? 'bracket' : 'oto';
+    if (take_profit) {
+      fields.take_profit = { limit_price: take_profit.limit_price.toString() };
+    }
+    if (stop_loss) {
+      fields.stop_loss = { stop_price: stop_loss.stop_price.toString() };
+      if (stop_loss.limit_price !== undefined) {
+        fields.stop_loss.limit_price = stop_loss.limit_price.toString();
+      }
+    }
+  }
+
+  return { isValid: true, errors, fields };
+}
+
+/**
+ * Helper function to pick the order type parameters out of a request body
+ * @param {object} body - Request body
+ * @returns {object} - Only the order type parameters that were provided
+ */
+function pickOrderTypeParams(body) {
+  const keys = ['order_type', 'limit_price', 'stop_price', 'trail_price', 'trail_percent', 'time_in_force', 'take_profit', 'stop_loss', 'extended_hours'];
+  const params = {};
+
+  for (const key of keys) {
+    if (body[key] !== undefined) {
+      params[key] = body[key];
+    }
+  }
+
+  return params;
+}
+
+module.exports = {
+  validateOrderTypeParams,
+  pickOrderTypeParams,
+};
@@ -1,41 +1,39 @@
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
 
-const { isMarketOpen } = require('../market');
-
-const ALPACA_BASE_URL = 'https://paper-api.alpaca.markets/v2';
-const ALPACA_API_KEY = process.env.ALPACA_API_KEY;
-const ALPACA_SECRET_KEY = process.env.ALPACA_SECRET_KEY;
-
-const alpacaClient = axios.create({
-  baseURL: ALPACA_BASE_URL,
-  headers: {
-    'APCA-API-KEY-ID': ALPACA_API_KEY,
-    'APCA-API-SECRET-KEY': ALPACA_SECRET_KEY,
-    'Content-Type': 'application/json'
-  }
-});
+const { getCurrentStockPrice } = require('../market');
+const { getMarketStatus, describeMarketClosed } = require('../market-calendar');
+const { getBroker } = require('../broker');
+const { validateOrderTypeParams, pickOrderTypeParams } = require('./order-types');
+const { RISK_REJECTION_ERROR, enforceOrderRisk } = require('../risk');
+const { verifyTicker } = require('../assets');
 
 /**
  * Helper function to validate stock order parameters
  * @param {string} ticker - Stock ticker symbol
- * @param {number} dollarAmount - Dollar amount to invest
+ * @param {number} dollarAmount - Dollar amount to trade (optional if qty is given)
+ * @param {number} qty - Number of shares to trade (optional if dollarAmount is given)
  * @returns {object} - Validation result
  */
-function validateStockOrderParams(ticker, dollarAmount) {
+function validateStockOrderParams(ticker, dollarAmount, qty) {
   const errors = [];
 
   if (!ticker || typeof ticker !== 'string' || ticker.length === 0) {
     errors.push('Ticker must be a non-empty string');
   }
 
-  if (!dollarAmount || dollarAmount <= 0) {
+  if (dollarAmount !== undefined && qty !== undefined) {
+    errors.push('Provide either dollarAmount or qty, not both');
+  } else if (qty !== undefined) {
+    if (!qty || qty <= 0) {
+      errors.push('Quantity must be greater than 0');
+    }
+  } else if (!dollarAmount || dollarAmount <= 0) {
     errors.push('Dollar amount must be greater than 0');
   }
 
-  if (!ALPACA_API_KEY || !ALPACA_SECRET_KEY) {
-    errors.push('Alpaca API credentials not configured');
+  if (!getBroker().isConfigured()) {
+    errors.push('Broker credentials not configured');
   }
 
   return {
@@ -44,31 +42,79 @@ function validateStockOrderParams(ticker, dollarAmount) {
   };
 }
 
+/**
+ * Helper function to build the size fields of an order payload
+ * @param {number} dollarAmount - Dollar amount to trade
+ * @param {number} qty - Number of shares to trade
+ * @returns {object} - Either { notional } or { qty }
+ */
+function buildSizeFields(dollarAmount, qty) {
+  return qty !== undefined
+    ? { qty: qty.toString() }
+    : { notional: dollarAmount.toString() };
+}
+
+/**
+ * Helper function to get the signed quantity currently held for a symbol
+ * @param {string} ticker - Stock ticker symbol
+ * @returns {Promise<number>} - Position quantity (negative when short), 0 if there is no position
+ */
+async function getPositionQty(ticker) {
+  try {
+    const position = await getBroker().getPosition(ticker);
+    return parseFloat(position.qty);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return 0;
+    }
+    throw error;
+  }
+}
+
 /**
  * POST /api/trading/execute/stock/buy
  * Create a buy order for stocks
  * 
  * @param {string} ticker - Stock symbol/ticker (required)
- * @param {number} dollarAmount - Dollar amount to invest (required)
+ * @param {number} dollarAmount - Dollar amount to invest (required unless qty is given)
+ * @param {number} qty - Number of shares to buy (required unless dollarAmount is given)
+ * @param {string} order_type - market, limit, stop, stop_limit or trailing_stop (optional, default: market)
+ * @param {number} limit_price - Limit price for limit and stop_limit orders (optional)
+ * @param {number} stop_price - Stop price for stop and stop_limit orders (optional)
+ * @param {number} trail_price - Dollar trail for trailing_stop orders (optional)
+ * @param {number} trail_percent - Percent trail for trailing_stop orders (optional)
+ * @param {string} time_in_force - day, gtc, ioc or opg (optional, default: day)
+ * @param {object} take_profit - Bracket take profit leg { limit_price } (optional, whole-share qty only)
+ * @param {object} stop_loss - Bracket stop loss leg { stop_price, limit_price? } (optional, whole-share qty only)
+ * @param {boolean} extended_hours - Allow pre-market and after-hours trading (optional, limit/day orders only)
+ * @param {boolean} risk_checked - The caller already ran and recorded the risk checks, so a rejection
+ *   here is not recorded again (optional, default: false)
+ * @param {boolean} dry_run - Run every check and return the order payload without submitting it,
+ *   even while the market is closed (optional, default: false)
  * 
- * @returns {object} 200 - Order created successfully
- * @returns {object} 400 - Invalid parameters or market closed
+ * @returns {object} 200 - Order created successfully, or the order payload of a dry run
+ * @returns {object} 400 - Invalid parameters, unknown or untradable ticker, short position open or market closed
+ * @returns {object} 403 - Rejected by the risk checks
  * @returns {object} 500 - Server error
  */
 router.post('/buy', async (req, res) => {
+  const dryRun = req.body.dry_run === true;
+  const recordRejection = !dryRun && req.body.risk_checked !== true;
+
   // Check if market is currently open
-  if (!isMarketOpen()) {
+  const marketStatus = await getMarketStatus({ extendedHours: req.body.extended_hours === true });
+  if (!marketStatus.isOpen && !dryRun) {
     return res.status(400).json({
       error: 'Market is closed',
-      message: 'Trading is only allowed during market hours (Monday-Friday, 9:30 AM - 4:00 PM ET)'
+      message: describeMarketClosed(marketStatus)
     });
   }
 
   try {
-    const { ticker, dollarAmount } = req.body;
+    const { dollarAmount, qty } = req.body;
 
     // Validate parameters
-    const validation = validateStockOrderParams(ticker, dollarAmount);
+    const validation = validateStockOrderParams(req.body.ticker, dollarAmount, qty);
     if (!validation.isValid) {
       return res.status(400).json({
         error: 'Invalid parameters',
@@ -76,25 +122,79 @@ router.post('/buy', async (req, res) => {
       });
     }
 
-    // Create simple market order using notional (dollar amount)
+    const tickerCheck = await verifyTicker(req.body.ticker, { direction: 'long', fractional: qty === undefined || !Number.isInteger(qty) });
+    if (!tickerCheck.verified) {
+      return res.status(400).json({
+        error: 'Invalid ticker',
+        message: tickerCheck.reasons.join('; ')
+      });
+    }
+    const ticker = tickerCheck.symbol;
+
+    const orderTypeValidation = validateOrderTypeParams(pickOrderTypeParams(req.body), {
+      side: 'buy',
+      fractional: qty === undefined || !Number.isInteger(qty)
+    });
+    if (!orderTypeValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid order type parameters',
+        message: orderTypeValidation.errors.join(', ')
+      });
+    }
+
+    // Buying while short would only cover the short position, which another lot may hold
+    const positionQty = await getPositionQty(ticker);
+    if (positionQty < 0) {
+      return res.status(400).json({
+        error: 'Short position open',
+        message: `Close the short position in ${ticker.toUpperCase()} before buying`
+      });
+    }
+
+    const notional = dollarAmount !== undefined
+      ? dollarAmount
+      : qty * (req.body.limit_price || await getCurrentStockPrice(ticker));
+
+    const riskCheck = await enforceOrderRisk({ symbol: ticker, notional, source: 'stock_buy', recordRejection });
+    if (!riskCheck.approved) {
+      return res.status(403).json({
+        error: RISK_REJECTION_ERROR,
+        message: riskCheck.reasons.join('; '),
+        reasons: riskCheck.reasons
+      });
+    }
+
+    // Create the order using notional (dollar amount) or quantity
     const orderPayload = {
       symbol: ticker.toUpperCase(),
-      notional: dollarAmount.toString(),
+      ...buildSizeFields(dollarAmount, qty),
       side: 'buy',
-      type: 'market',
-      time_in_force: 'day'
+      ...orderTypeValidation.fields
+    };
+
+    const requested = {
+      ticker: ticker.toUpperCase(),
+      dollarAmount: dollarAmount ?? null,
+      qty: qty ?? null
     };
 
-    const response = await alpacaClient.post('/orders', orderPayload);
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dry_run: true,
+        message: `Dry run: stock buy order for ${ticker.toUpperCase()} was not submitted`,
+        order_payload: orderPayload,
+        requested
+      });
+    }
+
+    const order = await getBroker().submitOrder(orderPayload);
 
     res.status(200).json({
       success: true,
       message: `Stock buy order created for ${ticker.toUpperCase()}`,
-      order: response.data,
-      requested: {
-        ticker: ticker.toUpperCase(),
-        dollarAmount: dollarAmount
-      }
+      order: order,
+      requested
     });
 
   } catch (error) {
@@ -118,4 +218,280 @@ router.post('/buy', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/trading/execute/stock/sell
+ * Create a sell order that reduces an existing long position
+ * 
+ * @param {string} ticker - Stock symbol/ticker (required)
+ * @param {number} dollarAmount - Dollar amount to sell (required unless qty is given)
+ * @param {number} qty - Number of shares to sell (required unless dollarAmount is given)
+ * @param {string} order_type - market, limit, stop, stop_limit or trailing_stop (optional, default: market)
+ * @param {number} limit_price - Limit price for limit and stop_limit orders (optional)
+ * @param {number} stop_price - Stop price for stop and stop_limit orders (optional)
+ * @param {number} trail_price - Dollar trail for trailing_stop orders (optional)
+ * @param {number} trail_percent - Percent trail for trailing_stop orders (optional)
+ * @param {string} time_in_force - day, gtc, ioc or opg (optional, default: day)
+ * @param {object} take_profit - Bracket take profit leg { limit_price } (optional, whole-share qty only)
+ * @param {object} stop_loss - Bracket stop loss leg { stop_price, limit_price? } (optional, whole-share qty only)
+ * @param {boolean} extended_hours - Allow pre-market and after-hours trading (optional, limit/day orders only)
+ * 
+ * @returns {object} 200 - Order created successfully
+ * @returns {object} 400 - Invalid parameters, unknown or untradable ticker, no long position or market closed
+ * @returns {object} 500 - Server error
+ */
+router.post('/sell', async (req, res) => {
+  const marketStatus = await getMarketStatus({ extendedHours: req.body.extended_hours === true });
+  if (!marketStatus.isOpen) {
+    return res.status(400).json({
+      error: 'Market is closed',
+      message: describeMarketClosed(marketStatus)
+    });
+  }
+
+  try {
+    const { dollarAmount, qty } = req.body;
+
+    const validation = validateStockOrderParams(req.body.ticker, dollarAmount, qty);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: validation.errors.join(', ')
+      });
+    }
+
+    const tickerCheck = await verifyTicker(req.body.ticker, { direction: 'long' });
+    if (!tickerCheck.verified) {
+      return res.status(400).json({
+        error: 'Invalid ticker',
+        message: tickerCheck.reasons.join('; ')
+      });
+    }
+    const ticker = tickerCheck.symbol;
+
+    const orderTypeValidation = validateOrderTypeParams(pickOrderTypeParams(req.body), {
+      side: 'sell',
+      fractional: qty === undefined || !Number.isInteger(qty)
+    });
+    if (!orderTypeValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid order type parameters',
+        message: orderTypeValidation.errors.join(', ')
+      });
+    }
+
+    // A plain sell must never open a short position
+    const positionQty = await getPositionQty(ticker);
+    if (positionQty <= 0) {
+      return res.status(400).json({
+        error: 'No long position',
+        message: `No long position to sell for ${ticker.toUpperCase()}. Use /short to open a short position.`
+      });
+    }
+
+    if (qty !== undefined && qty > positionQty) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: `Quantity ${qty} exceeds the ${positionQty} shares held`
+      });
+    }
+
+    const orderPayload = {
+      symbol: ticker.toUpperCase(),
+      ...buildSizeFields(dollarAmount, qty),
+      side: 'sell',
+      ...orderTypeValidation.fields
+    };
+
+    const order = await getBroker().submitOrder(orderPayload);
+
+    res.status(200).json({
+      success: true,
+      message: `Stock sell order created for ${ticker.toUpperCase()}`,
+      order: order,
+      requested: {
+        ticker: ticker.toUpperCase(),
+        dollarAmount: dollarAmount ?? null,
+        qty: qty ?? null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating stock sell order:', error);
+
+    if (error.response) {
+      const statusCode = error.response.status;
+      const errorData = error.response.data;
+
+      return res.status(statusCode).json({
+        error: 'Alpaca API error',
+        message: errorData.message || 'Failed to create stock sell order',
+        details: errorData
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message || 'Failed to create stock sell order'
+    });
+  }
+});
+
+/**
+ * POST /api/trading/execute/stock/short
+ * Create a short sell order. Short sales must be whole shares, so a
+ * dollarAmount is converted to the largest whole quantity at the current price.
+ * 
+ * @param {string} ticker - Stock symbol/ticker (required)
+ * @param {number} dollarAmount - Dollar amount to short (required unless qty is given)
+ * @param {number} qty - Whole number of shares to short (required unless dollarAmount is given)
+ * @param {string} order_type - market, limit, stop, stop_limit or trailing_stop (optional, default: market)
+ * @param {number} limit_price - Limit price for limit and stop_limit orders (optional)
+ * @param {number} stop_price - Stop price for stop and stop_limit orders (optional)
+ * @param {number} trail_price - Dollar trail for trailing_stop orders (optional)
+ * @param {number} trail_percent - Percent trail for trailing_stop orders (optional)
+ * @param {string} time_in_force - day, gtc, ioc or opg (optional, default: day)
+ * @param {object} take_profit - Bracket take profit leg { limit_price } (optional, whole-share qty only)
+ * @param {object} stop_loss - Bracket stop loss leg { stop_price, limit_price? } (optional, whole-share qty only)
+ * @param {boolean} extended_hours - Allow pre-market and after-hours trading (optional, limit/day orders only)
+ * @param {boolean} risk_checked - The caller already ran and recorded the risk checks, so a rejection
+ *   here is not recorded again (optional, default: false)
+ * @param {boolean} dry_run - Run every check and return the order payload without submitting it,
+ *   even while the market is closed (optional, default: false)
+ * 
+ * @returns {object} 200 - Order created successfully, or the order payload of a dry run
+ * @returns {object} 400 - Invalid parameters, unknown ticker, asset not shortable or market closed
+ * @returns {object} 403 - Rejected by the risk checks
+ * @returns {object} 500 - Server error
+ */
+router.post('/short', async (req, res) => {
+  const dryRun = req.body.dry_run === true;
+  const recordRejection = !dryRun && req.body.risk_checked !== true;
+
+  const marketStatus = await getMarketStatus({ extendedHours: req.body.extended_hours === true });
+  if (!marketStatus.isOpen && !dryRun) {
+    return res.status(400).json({
+      error: 'Market is closed',
+      message: describeMarketClosed(marketStatus)
+    });
+  }
+
+  try {
+    const { dollarAmount, qty } = req.body;
+
+    const validation = validateStockOrderParams(req.body.ticker, dollarAmount, qty);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: validation.errors.join(', ')
+      });
+    }
+
+    const tickerCheck = await verifyTicker(req.body.ticker, { direction: 'short' });
+    if (!tickerCheck.verified) {
+      return res.status(400).json({
+        error: 'Invalid ticker',
+        message: tickerCheck.reasons.join('; ')
+      });
+    }
+    const ticker = tickerCheck.symbol;
+
+    const orderTypeValidation = validateOrderTypeParams(pickOrderTypeParams(req.body), {
+      side: 'sell',
+      fractional: false
+    });
+    if (!orderTypeValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid order type parameters',
+        message: orderTypeValidation.errors.join(', ')
+      });
+    }
+
+    if (qty !== undefined && !Number.isInteger(qty)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'Short sales require a whole number of shares'
+      });
+    }
+
+    // Selling while long would only reduce the long position
+    const positionQty = await getPositionQty(ticker);
+    if (positionQty > 0) {
+      return res.status(400).json({
+        error: 'Long position open',
+        message: `Close the long position in ${ticker.toUpperCase()} before opening a short`
+      });
+    }
+
+    const currentPrice = await getCurrentStockPrice(ticker);
+    const shortQty = qty !== undefined ? qty : Math.floor(dollarAmount / currentPrice);
+
+    if (shortQty <= 0) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: `Dollar amount $${dollarAmount} is less than one share of ${ticker.toUpperCase()} at $${currentPrice}`
+      });
+    }
+
+    const riskCheck = await enforceOrderRisk({ symbol: ticker, notional: shortQty * currentPrice, source: 'stock_short', recordRejection });
+    if (!riskCheck.approved) {
+      return res.status(403).json({
+        error: RISK_REJECTION_ERROR,
+        message: riskCheck.reasons.join('; '),
+        reasons: riskCheck.reasons
+      });
+    }
+
+    const orderPayload = {
+      symbol: ticker.toUpperCase(),
+      qty: shortQty.toString(),
+      side: 'sell',
+      ...orderTypeValidation.fields
+    };
+
+    const requested = {
+      ticker: ticker.toUpperCase(),
+      dollarAmount: shortQty * currentPrice,
+      qty: shortQty
+    };
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dry_run: true,
+        message: `Dry run: stock short order for ${ticker.toUpperCase()} was not submitted`,
+        order_payload: orderPayload,
+        requested
+      });
+    }
+
+    const order = await getBroker().submitOrder(orderPayload);
+
+    res.status(200).json({
+      success: true,
+      message: `Stock short order created for ${ticker.toUpperCase()}`,
+      order: order,
+      requested
+    });
+
+  } catch (error) {
+    console.error('Error creating stock short order:', error);
+
+    if (error.response) {
+      const statusCode = error.response.status;
+      const errorData = error.response.data;
+
+      return res.status(statusCode).json({
+        error: 'Alpaca API error',
+        message: errorData.message || 'Failed to create stock short order',
+        details: errorData
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message || 'Failed to create stock short order'
+    });
+  }
+});
+
 module.exports = router;
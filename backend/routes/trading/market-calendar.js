@@ -0,0 +1,269 @@
+const { getBroker } = require('./broker');
+const { MARKET_HOLIDAYS, EARLY_CLOSES } = require('./market-holidays');
+
+const CLOCK_CACHE_MS = 60 * 1000;
+const CALENDAR_CACHE_MS = 6 * 60 * 60 * 1000;
+const CALENDAR_WINDOW_DAYS = 14;
+
+// Regular and extended session times (ET) used by the bundled fallback calendar
+const FALLBACK_HOURS = {
+  open: '09:30',
+  close: '16:00',
+  sessionOpen: '04:00',
+  sessionClose: '20:00',
+  earlySessionClose: '17:00'
+};
+
+let clockCache = null;
+let calendarCache = null;
+
+/**
+ * Get the date in New York for a moment in time
+ * @param {Date} date - Moment to convert (default: now)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function getEasternDate(date = new Date()) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * Helper function to add days to a YYYY-MM-DD date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+/**
+ * Helper function to convert a New York wall-clock time to a Date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM or HHMM format
+ * @returns {Date} - The matching moment in time
+ */
+function easternTimeToDate(date, time) {
+  const [year, month, day] = date.split('-').map(Number);
+  const digits = time.replace(':', '');
+  const asUtc = Date.UTC(year, month - 1, day, parseInt(digits.slice(0, 2)), parseInt(digits.slice(2, 4)));
+
+  // Shift by New York's UTC offset on that date so daylight saving time is handled
+  const utcWall = new Date(new Date(asUtc).toLocaleString('en-US', { timeZone: 'UTC' }));
+  const easternWall = new Date(new Date(asUtc).toLocaleString('en-US', { timeZone: 'America/New_York' }));
+
+  return new Date(asUtc + (utcWall - easternWall));
+}
+
+/**
+ * Helper function to build a trading day with its session boundaries
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {object} hours - { open, close, sessionOpen, sessionClose } as ET wall-clock times
+ * @returns {object} - { date, open, close, session_open, session_close } with Date boundaries
+ */
+function buildTradingDay(date, hours) {
+  return {
+    date,
+    open: easternTimeToDate(date, hours.open),
+    close: easternTimeToDate(date, hours.close),
+    session_open: easternTimeToDate(date, hours.sessionOpen),
+    session_close: easternTimeToDate(date, hours.sessionClose)
+  };
+}
+
+/**
+ * Helper function to build trading days from the bundled holiday table
+ * @param {string} start - First date in YYYY-MM-DD format
+ * @param {string} end - Last date in YYYY-MM-DD format
+ * @returns {Array} - Trading days between start and end
+ */
+function buildFallbackCalendar(start, end) {
+  const days = [];
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const dayOfWeek = new Date(`${date}T12:00:00Z`).getUTCDay();
+    if (dayOfWeek === 0 || dayOfWeek === 6 || MARKET_HOLIDAYS[date]) {
+      continue;
+    }
+
+    const earlyClose = EARLY_CLOSES[date];
+    days.push(buildTradingDay(date, {
+      open: FALLBACK_HOURS.open,
+      close: earlyClose || FALLBACK_HOURS.close,
+      sessionOpen: FALLBACK_HOURS.sessionOpen,
+      sessionClose: earlyClose ? FALLBACK_HOURS.earlySessionClose : FALLBACK_HOURS.sessionClose
+    }));
+  }
+
+  return days;
+}
+
+/**
+ * Helper function to get the trading calendar for the next two weeks.
+ * The broker's calendar is cached for six hours; if it cannot be reached, a still-valid
+ * cached copy is reused, otherwise the bundled holiday table is used.
+ * @param {Date} now - Current time
+ * @returns {Promise<object>} - { source, start, end, days }
+ */
+async function getCalendar(now) {
+  const start = getEasternDate(now);
+  const end = addDays(start, CALENDAR_WINDOW_DAYS);
+  const cacheTtl = calendarCache?.source === 'broker' ? CALENDAR_CACHE_MS : CLOCK_CACHE_MS;
+
+  if (calendarCache && calendarCache.start <= start && calendarCache.end >= end &&
+      Date.now() - calendarCache.fetchedAt < cacheTtl) {
+    return calendarCache;
+  }
+
+  try {
+    const days = await getBroker().getCalendar({ start, end });
+
+    calendarCache = {
+      source: 'broker',
+      start,
+      end,
+      days: days.map(day => buildTradingDay(day.date, {
+        open: day.open,
+        close: day.close,
+        sessionOpen: day.session_open,
+        sessionClose: day.session_close
+      })),
+      fetchedAt: Date.now()
+    };
+  } catch (error) {
+    console.error('Error fetching market calendar:', error.message);
+
+    if (calendarCache?.source === 'broker' && calendarCache.start <= start && calendarCache.end > start) {
+      return calendarCache;
+    }
+
+    console.log('Using bundled market holiday calendar');
+    calendarCache = {
+      source: 'fallback',
+      start,
+      end,
+      days: buildFallbackCalendar(start, end),
+      fetchedAt: Date.now()
+    };
+  }
+
+  return calendarCache;
+}
+
+/**
+ * Helper function to get the broker's market clock.
+ * The clock is cached for a minute, and never past its next open or close.
+ * @returns {Promise<object|null>} - { is_open, next_open, next_close }, or null if it cannot be reached
+ */
+async function getClock() {
+  const now = Date.now();
+
+  if (clockCache && now - clockCache.fetchedAt < CLOCK_CACHE_MS && now < clockCache.expiresAt) {
+    return clockCache.clock;
+  }
+
+  try {
+    const brokerClock = await getBroker().getClock();
+    const clock = {
+      is_open: brokerClock.is_open,
+      next_open: new Date(brokerClock.next_open),
+      next_close: new Date(brokerClock.next_close)
+    };
+
+    clockCache = {
+      clock,
+      fetchedAt: now,
+      expiresAt: Math.min(clock.next_open.getTime(), clock.next_close.getTime())
+    };
+
+    return clock;
+  } catch (error) {
+    console.error('Error fetching market clock:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the current market session and the next open and close.
+ * Uses the broker's clock and calendar, falling back to the bundled holiday table.
+ * @param {object} options - Status options (optional)
+ * @param {boolean} options.extendedHours - Count pre-market and after-hours as open (default: false)
+ * @returns {Promise<object>} - { isOpen, session, extendedHours, nextOpen, nextClose, source }
+ */
+async function getMarketStatus({ extendedHours = false } = {}) {
+  const now = new Date();
+  const [clock, calendar] = await Promise.all([getClock(), getCalendar(now)]);
+  const today = calendar.days.find(day => day.date === getEasternDate(now));
+
+  const regularOpen = clock
+    ? clock.is_open
+    : Boolean(today && now >= today.open && now < today.close);
+
+  let session = regularOpen ? 'regular' : 'closed';
+  if (!regularOpen && today) {
+    if (now >= today.session_open && now < today.open) {
+      session = 'pre_market';
+    } else if (now >= today.close && now < today.session_close) {
+      session = 'after_hours';
+    }
+  }
+
+  return {
+    isOpen: session === 'regular' || (extendedHours && session !== 'closed'),
+    session,
+    extendedHours,
+    nextOpen: clock ? clock.next_open : calendar.days.find(day => day.open > now)?.open ?? null,
+    nextClose: clock ? clock.next_close : calendar.days.find(day => day.close > now)?.close ?? null,
+    source: clock ? 'broker' : calendar.source
+  };
+}
+
+/**
+ * Helper function to check if the market is open for trading
+ * @param {object} options - Status options (optional)
+ * @param {boolean} options.extendedHours - Count pre-market and after-hours as open (default: false)
+ * @returns {Promise<boolean>} - True if market is open, false otherwise
+ */
+async function isMarketOpen(options) {
+  const status = await getMarketStatus(options);
+  return status.isOpen;
+}
+
+/**
+ * Get the start of the next regular trading session
+ * @returns {Promise<Date|null>} - Next open
+ */
+async function getNextOpen() {
+  const status = await getMarketStatus();
+  return status.nextOpen;
+}
+
+/**
+ * Get the end of the current or next regular trading session
+ * @returns {Promise<Date|null>} - Next close
+ */
+async function getNextClose() {
+  const status = await getMarketStatus();
+  return status.nextClose;
+}
+
+/**
+ * Helper function to build the error message returned when the market is closed
+ * @param {object} status - Market status from getMarketStatus
+ * @returns {string} - Error message
+ */
+function describeMarketClosed(status) {
+  const hours = status.extendedHours ? 'extended market hours (4:00 AM - 8:00 PM ET)' : 'market hours';
+  const nextOpen = status.nextOpen ? ` The market next opens at ${status.nextOpen.toISOString()}.` : '';
+  return `Trading is only allowed during ${hours}.${nextOpen}`;
+}
+
+module.exports = {
+  getMarketStatus,
+  isMarketOpen,
+  getNextOpen,
+  getNextClose,
+  describeMarketClosed,
+  getEasternDate,
+};
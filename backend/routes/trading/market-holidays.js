@@ -0,0 +1,50 @@
+// NYSE full-day closures, used when Alpaca's calendar cannot be reached.
+// Extend this table each year from https://www.nyse.com/markets/hours-calendars
+const MARKET_HOLIDAYS = {
+  '2025-01-01': "New Year's Day",
+  '2025-01-09': 'National Day of Mourning for President Carter',
+  '2025-01-20': 'Martin Luther King, Jr. Day',
+  '2025-02-17': "Washington's Birthday",
+  '2025-04-18': 'Good Friday',
+  '2025-05-26': 'Memorial Day',
+  '2025-06-19': 'Juneteenth National Independence Day',
+  '2025-07-04': 'Independence Day',
+  '2025-09-01': 'Labor Day',
+  '2025-11-27': 'Thanksgiving Day',
+  '2025-12-25': 'Christmas Day',
+  '2026-01-01': "New Year's Day",
+  '2026-01-19': 'Martin Luther King, Jr. Day',
+  '2026-02-16': "Washington's Birthday",
+  '2026-04-03': 'Good Friday',
+  '2026-05-25': 'Memorial Day',
+  '2026-06-19': 'Juneteenth National Independence Day',
+  '2026-07-03': 'Independence Day (observed)',
+  '2026-09-07': 'Labor Day',
+  '2026-11-26': 'Thanksgiving Day',
+  '2026-12-25': 'Christmas Day',
+  '2027-01-01': "New Year's Day",
+  '2027-01-18': 'Martin Luther King, Jr. Day',
+  '2027-02-15': "Washington's Birthday",
+  '2027-03-26': 'Good Friday',
+  '2027-05-31': 'Memorial Day',
+  '2027-06-18': 'Juneteenth National Independence Day (observed)',
+  '2027-07-05': 'Independence Day (observed)',
+  '2027-09-06': 'Labor Day',
+  '2027-11-25': 'Thanksgiving Day',
+  '2027-12-24': 'Christmas Day (observed)'
+};
+
+// Days the regular session closes at 1:00 PM ET
+const EARLY_CLOSES = {
+  '2025-07-03': '13:00',
+  '2025-11-28': '13:00',
+  '2025-12-24': '13:00',
+  '2026-11-27': '13:00',
+  '2026-12-24': '13:00',
+  '2027-11-26': '13:00'
+};
+
+module.exports = {
+  MARKET_HOLIDAYS,
+  EARLY_CLOSES,
+};
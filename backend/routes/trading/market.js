@@ -1,51 +1,4 @@
-const axios = require('axios');
-
-const dataApiClientV2 = axios.create({
-  baseURL: 'https://data.alpaca.markets/v2',
-  headers: {
-    'APCA-API-KEY-ID': process.env.ALPACA_API_KEY,
-    'APCA-API-SECRET-KEY': process.env.ALPACA_SECRET_KEY,
-  }
-});
-
-const dataApiClientV1 = axios.create({
-  baseURL: 'https://data.alpaca.markets/v1beta1',
-  headers: {
-    'APCA-API-KEY-ID': process.env.ALPACA_API_KEY,
-    'APCA-API-SECRET-KEY': process.env.ALPACA_SECRET_KEY,
-  }
-});
-
-const paperApiClient = axios.create({
-  baseURL: 'https://paper-api.alpaca.markets/v2',
-  headers: {
-    'APCA-API-KEY-ID': process.env.ALPACA_API_KEY,
-    'APCA-API-SECRET-KEY': process.env.ALPACA_SECRET_KEY,
-  }
-});
-
-/**
- * Helper function to check if current time is within US stock market hours
- * Market hours: Monday-Friday, 9:30 AM - 4:00 PM ET
- * @returns {boolean} - True if market is open, false otherwise
- */
-function isMarketOpen() {
-  const now = new Date();
-  const etTime = new Date(now.toLocaleString("en-US", {timeZone: "America/New_York"}));
-  const dayOfWeek = etTime.getDay();
-  if (dayOfWeek < 1 || dayOfWeek > 5) {
-    return false;
-  }
-  const hours = etTime.getHours();
-  const minutes = etTime.getMinutes();
-  const timeInMinutes = hours * 60 + minutes;
-  
-  // Market hours: 9:30 AM (570 minutes) to 4:00 PM (960 minutes)
-  const marketOpenMinutes = 9 * 60 + 30; // 9:30 AM
-  const marketCloseMinutes = 16 * 60; // 4:00 PM
-  
-  return timeInMinutes >= marketOpenMinutes && timeInMinutes < marketCloseMinutes;
-}
+const { getBroker } = require('./broker');
 
 /**
  * Fetches the current price of the underlying stock.
@@ -54,8 +7,8 @@ function isMarketOpen() {
  */
 async function getCurrentStockPrice(symbol) {
   try {
-    const response = await dataApiClientV2.get(`/stocks/trades/latest?symbols=${symbol.toUpperCase()}`);
-    const price = response.data.trades[symbol.toUpperCase()]?.p;
+    const trade = await getBroker().getLatestTrade(symbol);
+    const price = trade?.p;
     if (!price) throw new Error(`No quote found for ${symbol}`);
     return price;
   } catch (error) {
@@ -64,6 +17,33 @@ async function getCurrentStockPrice(symbol) {
   }
 }
 
+/**
+ * Fetches recent daily bars for a stock.
+ * @param {string} symbol - The stock ticker.
+ * @param {number} days - Number of most recent daily bars to return.
+ * @returns {Promise<Array>} - Bars ordered oldest first, each with o, h, l, c, v and t.
+ */
+async function getDailyBars(symbol, days) {
+  try {
+    // Request a wider calendar window so weekends and holidays still leave enough trading days
+    const start = new Date();
+    start.setDate(start.getDate() - Math.ceil(days * 1.6) - 7);
+
+    const params = {
+      timeframe: '1Day',
+      start: start.toISOString().split('T')[0],
+      limit: 1000,
+      adjustment: 'split'
+    };
+
+    const bars = await getBroker().getBars(symbol, params);
+    return bars.slice(-days);
+  } catch (error) {
+    console.error(`Error fetching daily bars for ${symbol}:`, error.message);
+    throw new Error('Unable to fetch daily bars.');
+  }
+}
+
 /**
  * Fetches available options contracts within a given date range.
  * This function now uses the /options/contracts endpoint for clean, structured data.
@@ -90,12 +70,12 @@ async function findContracts(symbol, expirationDateGte, expirationDateLte, type)
         params.page_token = pageToken;
       }
       
-      const response = await paperApiClient.get(`/options/contracts`, { params });
+      const page = await getBroker().listOptionContracts(params);
       
-      if (response.data.option_contracts) {
-          contracts = contracts.concat(response.data.option_contracts);
+      if (page.option_contracts) {
+          contracts = contracts.concat(page.option_contracts);
       }
-      pageToken = response.data.next_page_token;
+      pageToken = page.next_page_token;
 
     } while (pageToken);
 
@@ -114,14 +94,10 @@ async function findContracts(symbol, expirationDateGte, expirationDateLte, type)
 async function getOptionContractPrice(optionSymbol) {
   try {
 
-    const params = {
-      symbols: optionSymbol
-    };
-
-    const response = await dataApiClientV1.get(`/options/snapshots`, { params });
+    const snapshots = await getBroker().getOptionSnapshots([optionSymbol]);
 
     // try ask price, then defer to latest trade price
-    const price = response.data.snapshots[optionSymbol].latestQuote.ap ?? response.data.snapshots[optionSymbol].latestTrade.p;
+    const price = snapshots[optionSymbol].latestQuote.ap ?? snapshots[optionSymbol].latestTrade.p;
     
     return price; 
   } catch (error) {
@@ -130,9 +106,36 @@ async function getOptionContractPrice(optionSymbol) {
   }
 }
 
+/**
+ * Gets snapshots (latest quote, latest trade and Greeks) for several options contracts.
+ * @param {Array<string>} optionSymbols - Full symbols of the options contracts.
+ * @returns {Promise<object>} - Snapshots keyed by contract symbol.
+ */
+async function getOptionSnapshots(optionSymbols) {
+  if (!optionSymbols || optionSymbols.length === 0) {
+    return {};
+  }
+
+  try {
+    let snapshots = {};
+
+    // The snapshots endpoint accepts at most 100 symbols per request
+    for (let i = 0; i < optionSymbols.length; i += 100) {
+      const batch = await getBroker().getOptionSnapshots(optionSymbols.slice(i, i + 100));
+      snapshots = { ...snapshots, ...batch };
+    }
+
+    return snapshots;
+  } catch (error) {
+    console.error(`Error fetching snapshots for ${optionSymbols.length} contracts:`, error.message);
+    throw new Error('Unable to fetch options snapshots.');
+  }
+}
+
 module.exports = {
-  isMarketOpen,
   getCurrentStockPrice,
+  getDailyBars,
   findContracts,
   getOptionContractPrice,
+  getOptionSnapshots,
 };
\ No newline at end of file
@@ -0,0 +1,93 @@
+const { getOptionSnapshots } = require('./market');
+const { getBroker } = require('./broker');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses an OCC options symbol, e.g. AAPL250117C00150000.
+ * @param {string} symbol - The full options contract symbol.
+ * @returns {object|null} - { underlying, expiration_date, type, strike_price }, or null if not an options symbol.
+ */
+function parseOptionSymbol(symbol) {
+  const match = /^([A-Z.]{1,6})(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/.exec(symbol || '');
+
+  if (!match) {
+    return null;
+  }
+
+  const [, underlying, yy, mm, dd, typeCode, strike] = match;
+
+  return {
+    underlying,
+    expiration_date: `20${yy}-${mm}-${dd}`,
+    type: typeCode === 'C' ? 'call' : 'put',
+    strike_price: parseInt(strike, 10) / 1000
+  };
+}
+
+/**
+ * Calculates the number of calendar days until an expiration date, in US Eastern time.
+ * @param {string} expirationDate - Expiration date in YYYY-MM-DD format.
+ * @returns {number} - Days until expiration (0 on expiration day).
+ */
+function getDaysToExpiry(expirationDate) {
+  const todayEt = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+  return Math.round((new Date(expirationDate) - new Date(todayEt)) / MS_PER_DAY);
+}
+
+/**
+ * Lists open options positions with their contract details, Greeks and days to expiry.
+ * @returns {Promise<Array>} - Options positions.
+ */
+async function listOptionPositions() {
+  const positions = await getBroker().listPositions();
+  const optionPositions = positions.filter(position => position.asset_class === 'us_option');
+
+  const snapshots = await getOptionSnapshots(optionPositions.map(position => position.symbol));
+
+  return optionPositions.map(position => {
+    const contract = parseOptionSymbol(position.symbol);
+    const snapshot = snapshots[position.symbol] || {};
+
+    return {
+      symbol: position.symbol,
+      underlying: contract?.underlying ?? null,
+      type: contract?.type ?? null,
+      strike_price: contract?.strike_price ?? null,
+      expiration_date: contract?.expiration_date ?? null,
+      days_to_expiry: contract ? getDaysToExpiry(contract.expiration_date) : null,
+      qty: parseFloat(position.qty),
+      qty_available: parseFloat(position.qty_available),
+      side: position.side,
+      avg_entry_price: parseFloat(position.avg_entry_price),
+      current_price: parseFloat(position.current_price),
+      market_value: parseFloat(position.market_value),
+      cost_basis: parseFloat(position.cost_basis),
+      unrealized_pl: parseFloat(position.unrealized_pl),
+      unrealized_plpc: parseFloat(position.unrealized_plpc),
+      implied_volatility: snapshot.impliedVolatility ?? null,
+      greeks: snapshot.greeks ?? null,
+      bid: snapshot.latestQuote?.bp ?? null,
+      ask: snapshot.latestQuote?.ap ?? null
+    };
+  });
+}
+
+/**
+ * Closes an options position by its full contract symbol.
+ * @param {string} symbol - The full options contract symbol.
+ * @param {number} percentage - Percentage of the position to close (default: 100).
+ * @returns {Promise<object>} - The closing order.
+ */
+async function closeOptionPosition(symbol, percentage = 100) {
+  return getBroker().closePosition(symbol, {
+    percentage: percentage.toString()
+  });
+}
+
+module.exports = {
+  parseOptionSymbol,
+  getDaysToExpiry,
+  listOptionPositions,
+  closeOptionPosition,
+};
@@ -0,0 +1,46 @@
+// Broker order statuses after which an order will never fill any further
+const FAILED_ORDER_STATUSES = ['canceled', 'expired', 'rejected'];
+
+/**
+ * Summarize how much of an order has filled
+ * @param {object} order - Order from the broker
+ * @param {string} instrument - 'stock', 'call' or 'put'
+ * @returns {object} - { filledQty, avgPrice, filledAmount }; avgPrice and filledAmount are null until something fills
+ */
+function summarizeOrderFill(order, instrument = 'stock') {
+  const filledQty = parseFloat(order.filled_qty) || 0;
+  const avgPrice = filledQty > 0 ? parseFloat(order.filled_avg_price) : null;
+  // Option prices are quoted per share, and each contract covers 100 shares
+  const multiplier = instrument === 'stock' ? 1 : 100;
+
+  return {
+    filledQty,
+    avgPrice,
+    filledAmount: avgPrice === null ? null : Math.round(filledQty * avgPrice * multiplier * 100) / 100
+  };
+}
+
+/**
+ * Get the trade status that matches the state of its entry order.
+ * A trade is only 'executed' once its order has filled; an order that was canceled,
+ * expired or rejected after a partial fill counts as executed for the quantity it got.
+ * @param {object} order - Entry order from the broker
+ * @returns {string} - 'executed', 'canceled' (ended without a fill) or 'submitted' (still working)
+ */
+function getEntryTradeStatus(order) {
+  if (order.status === 'filled') {
+    return 'executed';
+  }
+
+  if (FAILED_ORDER_STATUSES.includes(order.status)) {
+    return parseFloat(order.filled_qty) > 0 ? 'executed' : 'canceled';
+  }
+
+  return 'submitted';
+}
+
+module.exports = {
+  FAILED_ORDER_STATUSES,
+  summarizeOrderFill,
+  getEntryTradeStatus,
+};
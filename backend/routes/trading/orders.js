@@ -0,0 +1,282 @@
+const axios = require('axios');
+
+const { getCurrentStockPrice } = require('./market');
+
+/**
+ * Helper function to build the URL of one of this API's own endpoints
+ * @param {string} path - Path of the endpoint, starting with /api
+ * @returns {string} - Absolute URL for the endpoint
+ */
+function buildInternalUrl(path) {
+  const baseUrl = process.env.DEPLOYMENT_URL;
+
+  return baseUrl.startsWith("localhost")
+    ? `http://${baseUrl}${path}`
+    : `https://${baseUrl}${path}`;
+}
+
+/**
+ * Helper function to build the body of an internal stock order request.
+ * When orderOptions carries a qty the dollar amount is left out, since the
+ * execute routes accept one or the other.
+ * @param {string} ticker - Stock ticker symbol
+ * @param {number} dollarAmount - Dollar amount to trade
+ * @param {object} orderOptions - Extra order fields (qty, order type, bracket legs)
+ * @returns {object} - Request body
+ */
+function buildStockOrderBody(ticker, dollarAmount, orderOptions) {
+  return orderOptions.qty !== undefined
+    ? { ticker, ...orderOptions }
+    : { ticker, dollarAmount, ...orderOptions };
+}
+
+/**
+ * Helper function to execute a stock buy order via API call
+ * @param {string} ticker - Stock ticker symbol
+ * @param {number} dollarAmount - Dollar amount to invest
+ * @param {object} orderOptions - Extra order fields (optional)
+ * @returns {Promise<object>} - API response
+ */
+async function executeBuyOrder(ticker, dollarAmount, orderOptions = {}) {
+  try {
+    const response = await axios.post(
+      buildInternalUrl('/api/trading/execute/stock/buy'),
+      buildStockOrderBody(ticker, dollarAmount, orderOptions),
+      {
+        headers: {
+          'Authorization': `Bearer ${process.env.ADMIN_API_KEY}`
+        }
+      }
+    );
+    
+    return response.data;
+  } catch (error) {
+    console.error(`Error executing buy order for ${ticker}:`, error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Helper function to execute a stock short order via API call
+ * @param {string} ticker - Stock ticker symbol
+ * @param {number} dollarAmount - Dollar amount to short
+ * @param {object} orderOptions - Extra order fields (optional)
+ * @returns {Promise<object>} - API response
+ */
+async function executeShortOrder(ticker, dollarAmount, orderOptions = {}) {
+  try {
+    const response = await axios.post(
+      buildInternalUrl('/api/trading/execute/stock/short'),
+      buildStockOrderBody(ticker, dollarAmount, orderOptions),
+      {
+        headers: {
+          'Authorization': `Bearer ${process.env.ADMIN_API_KEY}`
+        }
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error(`Error executing short order for ${ticker}:`, error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Helper function to open a position in the given direction
+ * @param {string} direction - 'long' or 'short'
+ * @param {string} ticker - Stock ticker symbol
+ * @param {number} dollarAmount - Dollar amount to trade
+ * @param {object} orderOptions - Extra order fields (optional)
+ * @returns {Promise<object>} - API response
+ */
+async function executeEntryOrder(direction, ticker, dollarAmount, orderOptions = {}) {
+  return direction === 'short'
+    ? executeShortOrder(ticker, dollarAmount, orderOptions)
+    : executeBuyOrder(ticker, dollarAmount, orderOptions);
+}
+
+/**
+ * Helper function to execute an options buy order via API call
+ * @param {string} ticker - Underlying stock ticker symbol
+ * @param {number} amount - Dollar amount to invest
+ * @param {string} targetExpiryDate - Target expiration date in YYYY-MM-DD format
+ * @param {string} optionType - 'call' or 'put'
+ * @param {object} orderOptions - Extra order fields (optional)
+ * @returns {Promise<object>} - API response
+ */
+async function executeOptionOrder(ticker, amount, targetExpiryDate, optionType, orderOptions = {}) {
+  try {
+    const response = await axios.post(
+      buildInternalUrl(`/api/trading/execute/option/buy/${optionType}`), {
+        ticker,
+        amount,
+        target_expiry_date: targetExpiryDate,
+        ...orderOptions
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${process.env.ADMIN_API_KEY}`
+        }
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error(`Error executing ${optionType} option order for ${ticker}:`, error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Helper function to round a price to the increment Alpaca accepts
+ * @param {number} price - Price to round
+ * @returns {number} - Price rounded to cents, or to 4 decimals below $1
+ */
+function roundPrice(price) {
+  const decimals = price >= 1 ? 2 : 4;
+  return parseFloat(price.toFixed(decimals));
+}
+
+/**
+ * Helper function to derive a default bracket for a workflow trade.
+ * The stop loss distance widens with confidence, and the take profit keeps a
+ * fixed reward-to-risk ratio over it. Enabled with DEFAULT_BRACKET_ENABLED=true.
+ * @param {string} ticker - Stock ticker symbol
+ * @param {string} direction - 'long' or 'short'
+ * @param {number} dollarAmount - Dollar amount to trade
+ * @param {number} confidence - Trade confidence between 0 and 1
+ * @returns {Promise<object|null>} - { qty, take_profit, stop_loss }, or null if no bracket applies
+ */
+async function buildDefaultBracket(ticker, direction, dollarAmount, confidence) {
+  if (process.env.DEFAULT_BRACKET_ENABLED !== 'true' || !confidence) {
+    return null;
+  }
+
+  const baseStopLossPct = parseFloat(process.env.BRACKET_STOP_LOSS_PCT) || 5;
+  const rewardRatio = parseFloat(process.env.BRACKET_REWARD_RATIO) || 2;
+
+  try {
+    const price = await getCurrentStockPrice(ticker);
+
+    // Brackets cannot be placed on fractional quantities
+    const qty = Math.floor(dollarAmount / price);
+    if (qty < 1) {
+      return null;
+    }
+
+    const stopLossPct = baseStopLossPct * (1 + confidence);
+    const takeProfitPct = stopLossPct * rewardRatio;
+    const sign = direction === 'short' ? -1 : 1;
+
+    return {
+      qty,
+      take_profit: { limit_price: roundPrice(price * (1 + sign * takeProfitPct / 100)) },
+      stop_loss: { stop_price: roundPrice(price * (1 - sign * stopLossPct / 100)) }
+    };
+  } catch (error) {
+    console.error(`Error building default bracket for ${ticker}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Helper function to place the entry order for a workflow trade.
+ * Options trades go through the contract selection pipeline; stock trades
+ * get a default bracket when one applies.
+ * @param {object} trade - Trade to place
+ * @param {string} trade.instrument - 'stock', 'call' or 'put'
+ * @param {string} trade.ticker - Stock ticker symbol
+ * @param {number} trade.dollarAmount - Dollar amount to trade
+ * @param {string} trade.direction - 'long' or 'short' (stock only)
+ * @param {number} trade.confidence - Trade confidence between 0 and 1
+ * @param {string} trade.targetExpiryDate - Target expiration date in YYYY-MM-DD format (options only)
+ * @param {object} options - (optional)
+ * @param {boolean} options.dryRun - Build the order without submitting it, and get back its
+ *   order_payload instead of the order
+ * @param {boolean} options.riskChecked - The caller already ran and recorded the risk checks, so the
+ *   execute route does not record a rejection again
+ * @returns {Promise<object>} - API response
+ */
+async function placeTradeOrder(trade, { dryRun = false, riskChecked = false } = {}) {
+  const { instrument = 'stock', ticker, dollarAmount, direction, confidence, targetExpiryDate } = trade;
+  const requestOptions = {
+    ...(dryRun ? { dry_run: true } : {}),
+    ...(riskChecked ? { risk_checked: true } : {})
+  };
+
+  if (instrument === 'call' || instrument === 'put') {
+    return executeOptionOrder(ticker, dollarAmount, targetExpiryDate, instrument, requestOptions);
+  }
+
+  const bracket = await buildDefaultBracket(ticker, direction, dollarAmount, confidence);
+  return executeEntryOrder(direction, ticker, dollarAmount, { ...bracket, ...requestOptions });
+}
+
+/**
+ * Helper function to normalize the direction of a workflow trade.
+ * Accepts either a direction ('long'/'short'/'bullish'/'bearish') or a 'buy' side.
+ * A 'sell' is not a short: it would only reduce a long position, which workflow trades
+ * never do, so it is not recognized.
+ * @param {object} trade - Trade object from the workflow
+ * @returns {string|null} - 'long', 'short', or null if the value is not recognized
+ */
+function normalizeDirection(trade) {
+  const value = trade.direction ?? trade.side;
+
+  if (value === undefined || value === null || value === '') {
+    return 'long';
+  }
+
+  const normalized = String(value).toLowerCase();
+
+  if (['long', 'buy', 'bullish'].includes(normalized)) {
+    return 'long';
+  }
+
+  if (['short', 'bearish'].includes(normalized)) {
+    return 'short';
+  }
+
+  return null;
+}
+
+/**
+ * Helper function to normalize the instrument of a workflow trade
+ * @param {object} trade - Trade object from the workflow
+ * @returns {string|null} - 'stock', 'call', 'put', or null if the value is not recognized
+ */
+function normalizeInstrument(trade) {
+  if (trade.instrument === undefined || trade.instrument === null || trade.instrument === '') {
+    return 'stock';
+  }
+
+  const normalized = String(trade.instrument).toLowerCase();
+  return ['stock', 'call', 'put'].includes(normalized) ? normalized : null;
+}
+
+/**
+ * Helper function to derive an option target expiry date from a trade's timeline.
+ * Expiries closer than OPTION_MIN_DAYS_TO_EXPIRY (default 7) are pushed out to that minimum.
+ * @param {number} timeline - Number of days the trade is expected to play out over
+ * @returns {string} - Target expiration date in YYYY-MM-DD format
+ */
+function deriveTargetExpiryDate(timeline) {
+  const minDaysToExpiry = parseInt(process.env.OPTION_MIN_DAYS_TO_EXPIRY) || 7;
+  const targetDate = new Date();
+  targetDate.setDate(targetDate.getDate() + Math.max(timeline, minDaysToExpiry));
+  return targetDate.toISOString().split('T')[0];
+}
+
+module.exports = {
+  buildInternalUrl,
+  executeBuyOrder,
+  executeShortOrder,
+  executeEntryOrder,
+  executeOptionOrder,
+  placeTradeOrder,
+  buildDefaultBracket,
+  normalizeDirection,
+  normalizeInstrument,
+  deriveTargetExpiryDate,
+};
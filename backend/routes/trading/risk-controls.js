@@ -0,0 +1,190 @@
+const express = require('express');
+const { neon } = require('@neondatabase/serverless');
+const router = express.Router();
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { getRiskSettings, setKillSwitch, updateRiskLimits } = require('./risk');
+const { getTradingMode } = require('./trading-mode');
+
+const LIMIT_KEYS = ['max_daily_loss_pct', 'max_gross_exposure_pct', 'max_ticker_concentration_pct'];
+
+/**
+ * GET /api/trading/risk
+ * Get the kill switch state and the risk limits in effect for this deployment's trading mode
+ *
+ * @returns {object} 200 - Risk settings retrieved successfully
+ * @returns {object} 500 - Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const settings = await getRiskSettings();
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Error fetching risk settings:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch risk settings'
+    });
+  }
+});
+
+/**
+ * POST /api/trading/risk/kill-switch
+ * Turn the kill switch on or off. While it is on, all new orders are rejected.
+ *
+ * @param {boolean} enabled - Whether to halt new orders (required)
+ * @param {string} reason - Why the switch is being changed (optional)
+ *
+ * @returns {object} 200 - Kill switch updated successfully
+ * @returns {object} 400 - Invalid parameters
+ * @returns {object} 500 - Server error
+ */
+router.post('/kill-switch', async (req, res) => {
+  try {
+    const { enabled, reason } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid enabled parameter',
+        message: 'Enabled must be true or false'
+      });
+    }
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid reason parameter',
+        message: 'Reason must be a string'
+      });
+    }
+
+    const settings = await setKillSwitch(enabled, reason);
+    console.log(`Kill switch turned ${enabled ? 'on' : 'off'}${reason ? `: ${reason}` : ''}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Kill switch turned ${enabled ? 'on' : 'off'}`,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Error updating kill switch:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update kill switch'
+    });
+  }
+});
+
+/**
+ * PUT /api/trading/risk/limits
+ * Override risk limits. Send null for a limit to fall back to its environment default.
+ *
+ * @param {number} max_daily_loss_pct - Halt new orders once the day's loss reaches this percent of equity (optional)
+ * @param {number} max_gross_exposure_pct - Maximum gross exposure as percent of equity (optional)
+ * @param {number} max_ticker_concentration_pct - Maximum exposure to one ticker as percent of equity (optional)
+ * @param {Array<string>} blocked_symbols - Tickers that may not be traded (optional)
+ *
+ * @returns {object} 200 - Limits updated successfully
+ * @returns {object} 400 - Invalid parameters
+ * @returns {object} 500 - Server error
+ */
+router.put('/limits', async (req, res) => {
+  try {
+    const limits = {};
+
+    for (const key of LIMIT_KEYS) {
+      if (req.body[key] === undefined) {
+        continue;
+      }
+      if (req.body[key] !== null && (typeof req.body[key] !== 'number' || req.body[key] <= 0)) {
+        return res.status(400).json({
+          error: `Invalid ${key} parameter`,
+          message: `${key} must be a positive number or null`
+        });
+      }
+      limits[key] = req.body[key];
+    }
+
+    const { blocked_symbols } = req.body;
+    if (blocked_symbols !== undefined) {
+      if (blocked_symbols !== null && (!Array.isArray(blocked_symbols) || blocked_symbols.some(symbol => typeof symbol !== 'string'))) {
+        return res.status(400).json({
+          error: 'Invalid blocked_symbols parameter',
+          message: 'blocked_symbols must be an array of tickers or null'
+        });
+      }
+      limits.blocked_symbols = blocked_symbols && blocked_symbols.map(symbol => symbol.trim().toUpperCase());
+    }
+
+    if (Object.keys(limits).length === 0) {
+      return res.status(400).json({
+        error: 'No limits provided',
+        message: `Provide at least one of: ${[...LIMIT_KEYS, 'blocked_symbols'].join(', ')}`
+      });
+    }
+
+    const settings = await updateRiskLimits(limits);
+
+    res.status(200).json({
+      success: true,
+      message: 'Risk limits updated',
+      data: settings
+    });
+  } catch (error) {
+    console.error('Error updating risk limits:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update risk limits'
+    });
+  }
+});
+
+/**
+ * GET /api/trading/risk/rejections
+ * Get orders in this deployment's trading mode that were rejected by the risk checks
+ *
+ * @param {number} limit - Maximum number of results (optional, default: 50, max: 500)
+ *
+ * @returns {object} 200 - Rejections retrieved successfully
+ * @returns {object} 400 - Invalid parameters
+ * @returns {object} 500 - Server error
+ */
+router.get('/rejections', async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 500) {
+      return res.status(400).json({
+        error: 'Invalid limit parameter',
+        message: 'Limit must be a number between 1 and 500'
+      });
+    }
+
+    const rejections = await sql`
+      SELECT id, symbol, notional, source, reasons, tweet_process_id, trading_mode, rejected_at
+      FROM risk_rejections
+      WHERE trading_mode = ${getTradingMode()}
+      ORDER BY rejected_at DESC
+      LIMIT ${limitNum}
+    `;
+
+    res.status(200).json({
+      success: true,
+      count: rejections.length,
+      rejections: rejections
+    });
+  } catch (error) {
+    console.error('Error fetching risk rejections:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch risk rejections'
+    });
+  }
+});
+
+module.exports = router;
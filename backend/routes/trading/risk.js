@@ -0,0 +1,250 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { parseOptionSymbol } = require('./options');
+const { getBroker } = require('./broker');
+const { getTradingMode } = require('./trading-mode');
+
+// Error name returned by the execute routes when an order fails the risk checks
+const RISK_REJECTION_ERROR = 'Risk check failed';
+
+// Live accounts get tighter defaults; the RISK_* environment variables still override them
+const DEFAULT_LIMITS = {
+  paper: { max_daily_loss_pct: 5, max_gross_exposure_pct: 100, max_ticker_concentration_pct: 20 },
+  live: { max_daily_loss_pct: 2, max_gross_exposure_pct: 50, max_ticker_concentration_pct: 10 }
+};
+
+// Each trading mode has its own risk_settings row, so paper overrides never loosen live limits
+const SETTINGS_ROW_IDS = { paper: 1, live: 2 };
+
+/**
+ * Helper function to read a numeric limit from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value to use when the variable is unset or invalid
+ * @returns {number} - Limit value
+ */
+function readLimitSetting(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Helper function to read the default limits for the trading mode from the environment
+ * @returns {object} - Default risk limits
+ */
+function getDefaultLimits() {
+  const defaults = DEFAULT_LIMITS[getTradingMode()];
+
+  return {
+    max_daily_loss_pct: readLimitSetting('RISK_MAX_DAILY_LOSS_PCT', defaults.max_daily_loss_pct),
+    max_gross_exposure_pct: readLimitSetting('RISK_MAX_GROSS_EXPOSURE_PCT', defaults.max_gross_exposure_pct),
+    max_ticker_concentration_pct: readLimitSetting('RISK_MAX_TICKER_CONCENTRATION_PCT', defaults.max_ticker_concentration_pct),
+    blocked_symbols: (process.env.RISK_BLOCKED_SYMBOLS || '')
+      .split(',')
+      .map(symbol => symbol.trim().toUpperCase())
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Get the risk settings in effect for the trading mode: environment defaults overridden
+ * by any values stored in the risk_settings table, plus the kill switch state.
+ * @returns {Promise<object>} - Risk settings
+ */
+async function getRiskSettings() {
+  const tradingMode = getTradingMode();
+  const defaults = getDefaultLimits();
+
+  const [stored] = await sql`
+    SELECT
+      kill_switch, kill_switch_reason, kill_switch_updated_at,
+      max_daily_loss_pct, max_gross_exposure_pct, max_ticker_concentration_pct, blocked_symbols
+    FROM risk_settings
+    WHERE id = ${SETTINGS_ROW_IDS[tradingMode]}
+  `;
+
+  return {
+    trading_mode: tradingMode,
+    kill_switch: stored?.kill_switch ?? false,
+    kill_switch_reason: stored?.kill_switch_reason ?? null,
+    kill_switch_updated_at: stored?.kill_switch_updated_at ?? null,
+    limits: {
+      max_daily_loss_pct: stored?.max_daily_loss_pct != null ? parseFloat(stored.max_daily_loss_pct) : defaults.max_daily_loss_pct,
+      max_gross_exposure_pct: stored?.max_gross_exposure_pct != null ? parseFloat(stored.max_gross_exposure_pct) : defaults.max_gross_exposure_pct,
+      max_ticker_concentration_pct: stored?.max_ticker_concentration_pct != null ? parseFloat(stored.max_ticker_concentration_pct) : defaults.max_ticker_concentration_pct,
+      blocked_symbols: stored?.blocked_symbols ?? defaults.blocked_symbols
+    }
+  };
+}
+
+/**
+ * Turn the kill switch on or off. While it is on, every new order is rejected.
+ * @param {boolean} enabled - Whether new orders are halted
+ * @param {string} reason - Why the switch was changed (optional)
+ * @returns {Promise<object>} - Updated risk settings
+ */
+async function setKillSwitch(enabled, reason) {
+  await sql`
+    INSERT INTO risk_settings (id, kill_switch, kill_switch_reason, kill_switch_updated_at)
+    VALUES (${SETTINGS_ROW_IDS[getTradingMode()]}, ${enabled}, ${reason || null}, NOW())
+    ON CONFLICT (id) DO UPDATE SET
+      kill_switch = EXCLUDED.kill_switch,
+      kill_switch_reason = EXCLUDED.kill_switch_reason,
+      kill_switch_updated_at = EXCLUDED.kill_switch_updated_at
+  `;
+
+  return getRiskSettings();
+}
+
+/**
+ * Store limit overrides. A null value removes the override so the environment default applies.
+ * @param {object} limits - Limits to store; keys that are not provided are left unchanged
+ * @returns {Promise<object>} - Updated risk settings
+ */
+async function updateRiskLimits(limits) {
+  const settingsId = SETTINGS_ROW_IDS[getTradingMode()];
+  const [current] = await sql`
+    SELECT max_daily_loss_pct, max_gross_exposure_pct, max_ticker_concentration_pct, blocked_symbols
+    FROM risk_settings
+    WHERE id = ${settingsId}
+  `;
+
+  const merged = { ...current, ...limits };
+
+  await sql`
+    INSERT INTO risk_settings (
+      id, max_daily_loss_pct, max_gross_exposure_pct, max_ticker_concentration_pct, blocked_symbols
+    ) VALUES (
+      ${settingsId}, ${merged.max_daily_loss_pct ?? null}, ${merged.max_gross_exposure_pct ?? null},
+      ${merged.max_ticker_concentration_pct ?? null}, ${merged.blocked_symbols ?? null}
+    )
+    ON CONFLICT (id) DO UPDATE SET
+      max_daily_loss_pct = EXCLUDED.max_daily_loss_pct,
+      max_gross_exposure_pct = EXCLUDED.max_gross_exposure_pct,
+      max_ticker_concentration_pct = EXCLUDED.max_ticker_concentration_pct,
+      blocked_symbols = EXCLUDED.blocked_symbols
+  `;
+
+  return getRiskSettings();
+}
+
+/**
+ * Helper function to get the underlying ticker of a stock or options symbol
+ * @param {string} symbol - Stock ticker or options contract symbol
+ * @returns {string} - Underlying ticker
+ */
+function getUnderlying(symbol) {
+  const upper = symbol.toUpperCase();
+  return parseOptionSymbol(upper)?.underlying ?? upper;
+}
+
+/**
+ * Check a new order against the kill switch and risk limits.
+ * Only orders that open or add to a position are checked; closing orders reduce risk.
+ * @param {object} order - Order to check
+ * @param {string} order.symbol - Stock ticker or underlying of an options order
+ * @param {number} order.notional - Dollar value of the order
+ * @returns {Promise<object>} - { approved, reasons, settings }
+ */
+async function checkOrderRisk(order) {
+  const symbol = getUnderlying(order.symbol);
+  const notional = Math.abs(order.notional);
+  const settings = await getRiskSettings();
+  const { limits } = settings;
+  const reasons = [];
+
+  if (settings.kill_switch) {
+    reasons.push(`Kill switch is on${settings.kill_switch_reason ? `: ${settings.kill_switch_reason}` : ''}`);
+    return { approved: false, reasons, settings };
+  }
+
+  if (limits.blocked_symbols.includes(symbol)) {
+    reasons.push(`${symbol} is on the blocked symbol list`);
+  }
+
+  const [account, positions] = await Promise.all([
+    getBroker().getAccount(),
+    getBroker().listPositions()
+  ]);
+
+  const equity = parseFloat(account.equity);
+  const lastEquity = parseFloat(account.last_equity);
+
+  const dailyLossPct = lastEquity > 0 ? ((lastEquity - equity) / lastEquity) * 100 : 0;
+  if (dailyLossPct >= limits.max_daily_loss_pct) {
+    reasons.push(`Daily loss of ${dailyLossPct.toFixed(2)}% has reached the ${limits.max_daily_loss_pct}% limit`);
+  }
+
+  const grossExposure = positions.reduce((sum, position) => sum + Math.abs(parseFloat(position.market_value)), 0);
+  const maxGrossExposure = equity * (limits.max_gross_exposure_pct / 100);
+  if (grossExposure + notional > maxGrossExposure) {
+    reasons.push(`Gross exposure would be $${(grossExposure + notional).toFixed(2)}, above the $${maxGrossExposure.toFixed(2)} limit (${limits.max_gross_exposure_pct}% of equity)`);
+  }
+
+  const tickerExposure = positions
+    .filter(position => getUnderlying(position.symbol) === symbol)
+    .reduce((sum, position) => sum + Math.abs(parseFloat(position.market_value)), 0);
+  const maxTickerExposure = equity * (limits.max_ticker_concentration_pct / 100);
+  if (tickerExposure + notional > maxTickerExposure) {
+    reasons.push(`${symbol} exposure would be $${(tickerExposure + notional).toFixed(2)}, above the $${maxTickerExposure.toFixed(2)} limit (${limits.max_ticker_concentration_pct}% of equity)`);
+  }
+
+  return { approved: reasons.length === 0, reasons, settings };
+}
+
+/**
+ * Record an order that failed the risk checks.
+ * @param {object} rejection - Rejected order details
+ * @param {string} rejection.symbol - Order symbol
+ * @param {number} rejection.notional - Dollar value of the order
+ * @param {string} rejection.source - Where the order came from (e.g. 'stock_buy', 'workflow')
+ * @param {Array<string>} rejection.reasons - Why the order was rejected
+ * @param {string} rejection.tweetProcessId - Tweet process that generated the order (optional)
+ * @returns {Promise<void>}
+ */
+async function logRiskRejection(rejection) {
+  const { symbol, notional, source, reasons, tweetProcessId = null } = rejection;
+
+  try {
+    await sql`
+      INSERT INTO risk_rejections (symbol, notional, source, reasons, tweet_process_id, trading_mode)
+      VALUES (${symbol.toUpperCase()}, ${notional}, ${source}, ${reasons}, ${tweetProcessId}, ${getTradingMode()})
+    `;
+    console.log(`Risk check rejected ${source} order for ${symbol}: ${reasons.join('; ')}`);
+  } catch (error) {
+    console.error(`Error logging risk rejection for ${symbol}:`, error);
+  }
+}
+
+/**
+ * Check a new order against the risk limits and record it if it is rejected.
+ * @param {object} order - Order to check
+ * @param {string} order.symbol - Stock ticker or underlying of an options order
+ * @param {number} order.notional - Dollar value of the order
+ * @param {string} order.source - Where the order came from
+ * @param {string} order.tweetProcessId - Tweet process that generated the order (optional)
+ * @param {boolean} order.recordRejection - Record a rejection in risk_rejections (optional, default: true);
+ *   false for dry runs and for orders whose rejection was already recorded by an earlier check
+ * @returns {Promise<object>} - { approved, reasons }
+ */
+async function enforceOrderRisk(order) {
+  const { recordRejection = true, ...orderToCheck } = order;
+  const { approved, reasons } = await checkOrderRisk(orderToCheck);
+
+  if (!approved && recordRejection) {
+    await logRiskRejection({ ...order, reasons });
+  }
+
+  return { approved, reasons };
+}
+
+module.exports = {
+  RISK_REJECTION_ERROR,
+  getRiskSettings,
+  setKillSwitch,
+  updateRiskLimits,
+  checkOrderRisk,
+  enforceOrderRisk,
+  logRiskRejection,
+};
@@ -0,0 +1,271 @@
+const { getDailyBars } = require('./market');
+const { parseOptionSymbol } = require('./options');
+const { getBroker } = require('./broker');
+
+const SIZING_MODES = ['fixed', 'fixed_fractional', 'kelly', 'volatility_target'];
+
+// Alpaca rejects notional orders below $1
+const MIN_ORDER_AMOUNT = 1;
+
+/**
+ * Helper function to read a numeric setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value to use when the variable is unset or invalid
+ * @returns {number} - Setting value
+ */
+function readNumberSetting(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Helper function to read the sizing configuration from the environment
+ * @returns {object} - Sizing configuration
+ */
+function getSizingConfig() {
+  const mode = process.env.SIZING_MODE || 'fixed';
+
+  return {
+    mode: SIZING_MODES.includes(mode) ? mode : 'fixed',
+    fixedBaseAmount: readNumberSetting('SIZING_FIXED_BASE_AMOUNT', 1000),
+    equityFraction: readNumberSetting('SIZING_EQUITY_FRACTION', 0.02),
+    kellyPayoffRatio: readNumberSetting('SIZING_KELLY_PAYOFF_RATIO', 1),
+    kellyMultiplier: readNumberSetting('SIZING_KELLY_MULTIPLIER', 0.25),
+    targetDailyRiskPct: readNumberSetting('SIZING_TARGET_DAILY_RISK_PCT', 0.5),
+    volatilityLookbackDays: readNumberSetting('SIZING_VOL_LOOKBACK_DAYS', 20),
+    maxPerTickerPct: readNumberSetting('SIZING_MAX_PER_TICKER_PCT', 10)
+  };
+}
+
+/**
+ * Calculate the daily volatility of a stock from daily bars
+ * @param {string} ticker - Stock ticker symbol
+ * @param {Array} bars - Daily bars ordered oldest first, each with a close (c)
+ * @returns {number} - Standard deviation of daily log returns
+ */
+function calculateDailyVolatility(ticker, bars) {
+  if (bars.length < 3) {
+    throw new Error(`Not enough daily bars to estimate volatility for ${ticker}`);
+  }
+
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) {
+    returns.push(Math.log(bars[i].c / bars[i - 1].c));
+  }
+
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+
+  return Math.sqrt(variance);
+}
+
+/**
+ * Helper function to calculate the daily volatility of a stock from recent closes
+ * @param {string} ticker - Stock ticker symbol
+ * @param {number} lookbackDays - Number of daily returns to use
+ * @returns {Promise<number>} - Standard deviation of daily log returns
+ */
+async function getDailyVolatility(ticker, lookbackDays) {
+  const bars = await getDailyBars(ticker, lookbackDays + 1);
+  return calculateDailyVolatility(ticker, bars);
+}
+
+/**
+ * Helper function to sum the market value already held in a ticker,
+ * including options positions on it as the underlying
+ * @param {Array} positions - Positions from Alpaca
+ * @param {string} ticker - Stock ticker symbol
+ * @returns {number} - Absolute market value held
+ */
+function getTickerExposure(positions, ticker) {
+  const symbol = ticker.toUpperCase();
+
+  return positions
+    .filter(position => position.symbol === symbol || parseOptionSymbol(position.symbol)?.underlying === symbol)
+    .reduce((sum, position) => sum + Math.abs(parseFloat(position.market_value)), 0);
+}
+
+/**
+ * Helper function to calculate the uncapped dollar amount for a sizing mode
+ * @param {object} config - Sizing configuration
+ * @param {object} inputs - { ticker, confidence, equity, dailyVolatility }; dailyVolatility is fetched when not given
+ * @param {object} details - Details object that the calculation inputs are recorded on
+ * @returns {Promise<number>} - Dollar amount before caps
+ */
+async function calculateBaseAmount(config, inputs, details) {
+  const { ticker, confidence, equity } = inputs;
+
+  switch (config.mode) {
+    case 'fixed_fractional':
+      details.equity_fraction = config.equityFraction;
+      return equity * config.equityFraction * confidence;
+
+    case 'kelly': {
+      // Kelly fraction f = p - (1 - p) / b, treating confidence as the win probability
+      const kellyFraction = confidence - (1 - confidence) / config.kellyPayoffRatio;
+      details.kelly_payoff_ratio = config.kellyPayoffRatio;
+      details.kelly_multiplier = config.kellyMultiplier;
+      details.kelly_fraction = kellyFraction;
+      return equity * Math.max(0, kellyFraction) * config.kellyMultiplier;
+    }
+
+    case 'volatility_target': {
+      const dailyVolatility = inputs.dailyVolatility ?? await getDailyVolatility(ticker, config.volatilityLookbackDays);
+      details.daily_volatility = dailyVolatility;
+      details.target_daily_risk_pct = config.targetDailyRiskPct;
+      details.volatility_lookback_days = config.volatilityLookbackDays;
+      // Size so a one-standard-deviation daily move risks the target share of equity
+      return (equity * (config.targetDailyRiskPct / 100) / dailyVolatility) * confidence;
+    }
+
+    case 'fixed':
+    default:
+      details.fixed_base_amount = config.fixedBaseAmount;
+      return config.fixedBaseAmount * confidence;
+  }
+}
+
+/**
+ * Size a trade against a given account state, then cap it by the per-ticker limit
+ * and the available buying power. The caps apply in every mode, so the account is required.
+ * @param {object} config - Sizing configuration from getSizingConfig
+ * @param {string} ticker - Stock ticker symbol
+ * @param {number} confidence - Trade confidence between 0 and 1
+ * @param {object} account - { equity, buyingPower, existingExposure, dailyVolatility }
+ * @returns {Promise<object>} - { mode, dollarAmount, details }
+ */
+async function sizeTradeForAccount(config, ticker, confidence, account = {}) {
+  const details = { confidence, caps_applied: [] };
+  const { equity, buyingPower, existingExposure = 0, dailyVolatility } = account;
+
+  if (!Number.isFinite(equity) || !Number.isFinite(buyingPower)) {
+    throw new Error('Sizing needs the account equity and buying power');
+  }
+
+  let dollarAmount = await calculateBaseAmount(config, { ticker, confidence, equity, dailyVolatility }, details);
+  details.base_amount = dollarAmount;
+
+  dollarAmount = applySizingCaps(config, dollarAmount, { equity, buyingPower, existingExposure }, details);
+
+  return { mode: config.mode, dollarAmount, details };
+}
+
+/**
+ * Helper function to cap a dollar amount by the per-ticker limit and the available buying power.
+ * Amounts below the minimum order amount become $0.
+ * @param {object} config - Sizing configuration from getSizingConfig
+ * @param {number} dollarAmount - Amount to cap
+ * @param {object} account - { equity, buyingPower, existingExposure }
+ * @param {object} details - Details object that the caps are recorded on (needs caps_applied)
+ * @returns {number} - Capped amount
+ */
+function applySizingCaps(config, dollarAmount, account, details) {
+  const { equity, buyingPower, existingExposure } = account;
+
+  details.equity = equity;
+  details.buying_power = buyingPower;
+
+  const tickerLimit = equity * (config.maxPerTickerPct / 100);
+  const tickerRoom = Math.max(0, tickerLimit - existingExposure);
+  details.existing_exposure = existingExposure;
+  details.max_per_ticker_pct = config.maxPerTickerPct;
+
+  if (dollarAmount > tickerRoom) {
+    dollarAmount = tickerRoom;
+    details.caps_applied.push('max_per_ticker');
+  }
+
+  if (dollarAmount > buyingPower) {
+    dollarAmount = buyingPower;
+    details.caps_applied.push('buying_power');
+  }
+
+  dollarAmount = Math.floor(dollarAmount * 100) / 100;
+
+  if (dollarAmount < MIN_ORDER_AMOUNT) {
+    details.below_minimum = true;
+    dollarAmount = 0;
+  }
+
+  return dollarAmount;
+}
+
+/**
+ * Helper function to read the account state the sizing caps need
+ * @param {string} ticker - Stock ticker symbol
+ * @returns {Promise<object>} - { equity, buyingPower, existingExposure }
+ */
+async function readSizingAccount(ticker) {
+  const [brokerAccount, positions] = await Promise.all([
+    getBroker().getAccount(),
+    getBroker().listPositions()
+  ]);
+
+  return {
+    equity: parseFloat(brokerAccount.equity),
+    buyingPower: parseFloat(brokerAccount.buying_power),
+    existingExposure: getTickerExposure(positions, ticker)
+  };
+}
+
+/**
+ * Size a trade using the mode set by SIZING_MODE, then cap it by the
+ * per-ticker limit and the available buying power.
+ * If the mode's own inputs (such as volatility) cannot be read, the trade falls back to
+ * fixed sizing with the same caps. If the account cannot be read, the caps cannot be
+ * checked, so the trade is sized to $0 and details.account_unavailable says why.
+ * @param {string} ticker - Stock ticker symbol
+ * @param {number} confidence - Trade confidence between 0 and 1
+ * @returns {Promise<object>} - { mode, dollarAmount, details }
+ */
+async function sizeTrade(ticker, confidence) {
+  const config = getSizingConfig();
+  let account;
+
+  try {
+    account = await readSizingAccount(ticker);
+  } catch (error) {
+    console.error(`Error reading the account to size ${ticker}, sizing it to $0:`, error.message);
+
+    return {
+      mode: config.mode,
+      dollarAmount: 0,
+      details: { confidence, caps_applied: [], account_unavailable: error.message }
+    };
+  }
+
+  try {
+    return await sizeTradeForAccount(config, ticker, confidence, account);
+  } catch (error) {
+    console.error(`Error sizing trade for ${ticker} with ${config.mode}, falling back to fixed sizing:`, error.message);
+
+    const sizing = await sizeTradeForAccount({ ...config, mode: 'fixed' }, ticker, confidence, account);
+    sizing.details.fallback_from = config.mode;
+    sizing.details.fallback_reason = error.message;
+    return sizing;
+  }
+}
+
+/**
+ * Cap a dollar amount set by hand, such as one edited when a trade is approved, by the same
+ * per-ticker limit and buying power caps that sizeTrade applies
+ * @param {string} ticker - Stock ticker symbol
+ * @param {number} dollarAmount - Requested amount
+ * @returns {Promise<object>} - { dollarAmount, details } with the capped amount
+ */
+async function capTradeAmount(ticker, dollarAmount) {
+  const account = await readSizingAccount(ticker);
+  const details = { requested_amount: dollarAmount, caps_applied: [] };
+  const cappedAmount = applySizingCaps(getSizingConfig(), dollarAmount, account, details);
+
+  return { dollarAmount: cappedAmount, details };
+}
+
+module.exports = {
+  SIZING_MODES,
+  getSizingConfig,
+  calculateDailyVolatility,
+  sizeTradeForAccount,
+  sizeTrade,
+  capTradeAmount,
+};
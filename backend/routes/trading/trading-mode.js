@@ -0,0 +1,41 @@
+const TRADING_MODES = ['paper', 'live'];
+
+/**
+ * Get the trading mode of this deployment, set by TRADING_MODE.
+ * Anything other than 'live' trades on the paper account.
+ * @returns {string} - 'paper' or 'live'
+ */
+function getTradingMode() {
+  return process.env.TRADING_MODE === 'live' ? 'live' : 'paper';
+}
+
+/**
+ * Check that the trading mode settings are safe to start with.
+ * Live trading must be confirmed with LIVE_TRADING_CONFIRMED=true and must use the Alpaca broker.
+ * @returns {Array<string>} - Configuration errors, empty if the settings are valid
+ */
+function validateTradingMode() {
+  const errors = [];
+  const requestedMode = process.env.TRADING_MODE;
+
+  if (requestedMode !== undefined && !TRADING_MODES.includes(requestedMode)) {
+    errors.push(`TRADING_MODE must be one of: ${TRADING_MODES.join(', ')}`);
+  }
+
+  if (requestedMode === 'live') {
+    if (process.env.LIVE_TRADING_CONFIRMED !== 'true') {
+      errors.push('TRADING_MODE=live places real orders and requires LIVE_TRADING_CONFIRMED=true');
+    }
+    if ((process.env.BROKER || 'alpaca') !== 'alpaca') {
+      errors.push('TRADING_MODE=live requires BROKER=alpaca');
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  TRADING_MODES,
+  getTradingMode,
+  validateTradingMode,
+};
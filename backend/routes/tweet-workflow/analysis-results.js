@@ -0,0 +1,550 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { isMarketOpen } = require('../trading/market-calendar');
+const { sizeTrade } = require('../trading/sizing');
+const { placeTradeOrder, normalizeDirection, normalizeInstrument, deriveTargetExpiryDate } = require('../trading/orders');
+const { enforceOrderRisk } = require('../trading/risk');
+const { getTradingMode } = require('../trading/trading-mode');
+const { summarizeOrderFill, getEntryTradeStatus } = require('../trading/order-status');
+const { getTradingPolicyForTweetProcess, checkTradingPolicy } = require('../authors/trading-policy');
+const { validateAnalysisResult, screenTrades } = require('./result-schema');
+
+/**
+ * Helper function to queue a trade in the database
+ * @param {string} tweetProcessId - The tweet process ID
+ * @param {object} trade - Trade to queue
+ * @param {string} trade.ticker - Stock ticker symbol
+ * @param {number} trade.dollarAmount - Dollar amount to invest
+ * @param {number} trade.daysToHold - Number of days to hold the position
+ * @param {string} trade.reasoning - Trade reasoning
+ * @param {string} trade.direction - 'long' or 'short'
+ * @param {number} trade.confidence - Trade confidence between 0 and 1
+ * @param {string} trade.instrument - 'stock', 'call' or 'put'
+ * @param {string} trade.targetExpiryDate - Option target expiration date, YYYY-MM-DD (options only)
+ * @param {object} trade.sizing - Sizing result from sizeTrade: { mode, details }
+ * @param {string} status - 'queued', 'pending_approval' for signals awaiting manual approval,
+ *   or 'recorded' for signals that are only recorded (default: queued)
+ * @returns {Promise<void>}
+ */
+async function queueTrade(tweetProcessId, trade, status = 'queued') {
+  const { ticker, dollarAmount, daysToHold, reasoning, direction, confidence, instrument, targetExpiryDate, sizing } = trade;
+
+  try {
+    await sql`
+      INSERT INTO trades (
+        tweet_process_id, ticker, dollar_amount, days_to_hold, reasoning, direction, confidence,
+        instrument, target_expiry_date, sizing_mode, sizing_details, trading_mode, status
+      ) VALUES (
+        ${tweetProcessId}, ${ticker}, ${dollarAmount}, ${daysToHold}, ${reasoning}, ${direction}, ${confidence},
+        ${instrument}, ${targetExpiryDate}, ${sizing.mode}, ${JSON.stringify(sizing.details)}, ${getTradingMode()}, ${status}
+      )
+    `;
+    console.log(`Successfully ${status} trade for ${ticker}`);
+  } catch (error) {
+    console.error(`Error queuing trade for ${ticker}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function to log a trade whose order was placed.
+ * The trade is only marked executed if the order has already filled; otherwise it stays
+ * 'submitted' until the reconcile-fills job sees the order fill or end.
+ * @param {string} tweetProcessId - The tweet process ID
+ * @param {object} trade - Trade that was placed (same fields as queueTrade)
+ * @param {object} orderResult - Response from the execute endpoint
+ * @returns {Promise<void>}
+ */
+async function logPlacedTrade(tweetProcessId, trade, orderResult) {
+  const { ticker, dollarAmount, daysToHold, reasoning, direction, confidence, instrument, targetExpiryDate, sizing } = trade;
+  const { order } = orderResult;
+  // Amount requested from the order confirmation, falling back to the sized amount for qty orders
+  const amountRequested = orderResult.requested.dollarAmount ?? dollarAmount;
+  const orderClass = order.order_class || 'simple';
+  const optionSymbol = orderResult.requested.contract?.symbol ?? null;
+  const status = getEntryTradeStatus(order);
+  const fill = summarizeOrderFill(order, instrument);
+  const executedAt = status === 'executed' ? order.filled_at || new Date().toISOString() : null;
+
+  try {
+    await sql`
+      INSERT INTO trades (
+        tweet_process_id, ticker, dollar_amount, reasoning, days_to_hold, executed, executed_at, status,
+        order_id, order_class, order_status, order_submitted_at, order_updated_at,
+        filled_qty, entry_price, entry_filled_at, filled_amount, execution_error,
+        direction, confidence, instrument, target_expiry_date, option_symbol,
+        sizing_mode, sizing_details, trading_mode
+      ) VALUES (
+        ${tweetProcessId}, ${ticker}, ${amountRequested}, ${reasoning}, ${daysToHold}, ${status === 'executed'}, ${executedAt}, ${status},
+        ${order.id}, ${orderClass}, ${order.status}, NOW(), NOW(),
+        ${status === 'executed' ? fill.filledQty : null}, ${status === 'executed' ? fill.avgPrice : null}, ${executedAt}, ${fill.filledAmount},
+        ${status === 'canceled' ? `Entry order ${order.status}` : null},
+        ${direction}, ${confidence}, ${instrument}, ${targetExpiryDate}, ${optionSymbol},
+        ${sizing.mode}, ${JSON.stringify(sizing.details)}, ${getTradingMode()}
+      )
+    `;
+    console.log(`Successfully logged ${status} trade for ${ticker}`);
+  } catch (error) {
+    console.error(`Error logging placed trade for ${ticker}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Helper function to check a screened trade against its author's trading policy and size it.
+ * The size is capped at the author's max_dollars_per_trade.
+ * @param {object} policy - Resolved trading policy of the post's author
+ * @param {object} trade - Trade from the analysis result
+ * @returns {Promise<object>} - { policyCheck, sizing, tradeToPlace }; sizing is null when the
+ *   policy blocks the trade, and tradeToPlace is null when the trade is blocked or sized to $0
+ */
+async function prepareTrade(policy, trade) {
+  const { timeline, reasoning, confidence, stock_ticker } = trade;
+  const instrument = normalizeInstrument(trade);
+  // Options are always bought; a put is the bearish contract
+  const direction = instrument === 'stock' ? normalizeDirection(trade) : 'long';
+
+  const policyCheck = checkTradingPolicy(policy, { ticker: stock_ticker, instrument, confidence });
+  if (!policyCheck.allowed) {
+    return { policyCheck, sizing: null, tradeToPlace: null };
+  }
+
+  let sizing = await sizeTrade(stock_ticker, confidence);
+  if (sizing.dollarAmount <= 0) {
+    return { policyCheck, sizing, tradeToPlace: null };
+  }
+
+  if (policy.max_dollars_per_trade !== null && sizing.dollarAmount > policy.max_dollars_per_trade) {
+    sizing = {
+      ...sizing,
+      dollarAmount: policy.max_dollars_per_trade,
+      details: { ...sizing.details, uncapped_amount: sizing.dollarAmount, author_max_dollars_per_trade: policy.max_dollars_per_trade }
+    };
+  }
+
+  return {
+    policyCheck,
+    sizing,
+    tradeToPlace: {
+      ticker: stock_ticker,
+      dollarAmount: sizing.dollarAmount,
+      sizing,
+      daysToHold: timeline,
+      reasoning,
+      direction,
+      confidence,
+      instrument,
+      targetExpiryDate: instrument === 'stock'
+        ? null
+        : trade.target_expiry_date || deriveTargetExpiryDate(timeline)
+    }
+  };
+}
+
+/**
+ * Helper function to explain why a trade was sized to $0
+ * @param {object} sizing - Sizing result from sizeTrade
+ * @returns {Array<string>} - Reasons
+ */
+function describeZeroSizing(sizing) {
+  const { details } = sizing;
+
+  if (details.account_unavailable) {
+    return [`Account could not be read for sizing: ${details.account_unavailable}`];
+  }
+
+  if (details.below_minimum) {
+    const caps = details.caps_applied.length > 0 ? ` after the ${details.caps_applied.join(' and ')} caps` : '';
+    return [`Sized below the minimum order amount${caps}`];
+  }
+
+  return ['Sized to $0'];
+}
+
+/**
+ * Helper function to process trades and insert into trades_queued table.
+ * Trades must already have passed the result schema (see screenTrades).
+ * Each trade is checked against the trading policy of the post's author first.
+ * Trades the policy blocks or that are sized to $0 are not placed; they are returned so
+ * they can be stored with the schema rejections.
+ * @param {string} tweet_process_id - The tweet process ID
+ * @param {array} trades - Array of trade objects
+ * @returns {Promise<Array>} - Blocked trades: { position, trade, errors, stage }, where position
+ *   is the trade's index in trades and stage is 'policy' or 'sizing'
+ */
+async function processTrades(tweet_process_id, trades) {
+  const blocked = [];
+
+  try {
+    const policy = await getTradingPolicyForTweetProcess(tweet_process_id);
+
+    for (const [position, trade] of trades.entries()) {
+      const { stock_ticker } = trade;
+
+      const { policyCheck, sizing, tradeToPlace } = await prepareTrade(policy, trade);
+      if (!policyCheck.allowed) {
+        blocked.push({ position, trade, errors: policyCheck.reasons, stage: 'policy' });
+        continue;
+      }
+
+      if (!tradeToPlace) {
+        blocked.push({ position, trade, errors: describeZeroSizing(sizing), stage: 'sizing' });
+        continue;
+      }
+
+      if (policy.execution_mode === 'record_only') {
+        try {
+          await queueTrade(tweet_process_id, tradeToPlace, 'recorded');
+        } catch (recordError) {
+          console.error(`Error recording trade for ${stock_ticker}:`, recordError);
+        }
+        continue;
+      }
+
+      // Trades awaiting approval are risk checked and placed once approved
+      if (policy.execution_mode === 'approval') {
+        try {
+          await queueTrade(tweet_process_id, tradeToPlace, 'pending_approval');
+        } catch (queueError) {
+          console.error(`Error holding trade for approval for ${stock_ticker}:`, queueError);
+        }
+        continue;
+      }
+
+      try {
+        const riskCheck = await enforceOrderRisk({
+          symbol: stock_ticker,
+          notional: sizing.dollarAmount,
+          source: 'workflow',
+          tweetProcessId: tweet_process_id
+        });
+        if (!riskCheck.approved) {
+          continue;
+        }
+      } catch (riskError) {
+        // The execute routes run the same checks again before any order is sent
+        console.error(`Error running risk checks for ${stock_ticker}:`, riskError.message);
+      }
+
+      if (await isMarketOpen()) {
+        try {
+          // The execute route checks the order again but does not record a second rejection
+          const orderResult = await placeTradeOrder(tradeToPlace, { riskChecked: true });
+          console.log(`Successfully placed order for ${stock_ticker}:`, orderResult);
+          
+          try {
+            await logPlacedTrade(tweet_process_id, tradeToPlace, orderResult);
+          } catch (logError) {
+            console.error(`Error logging placed trade for ${stock_ticker}:`, logError);
+          }
+        } catch (orderError) {
+          console.error(`Error executing trade for ${stock_ticker}:`, orderError);
+          // If execution fails, fall back to queuing
+          try {
+            await queueTrade(tweet_process_id, tradeToPlace);
+            console.log(`Fallback: Successfully queued trade for ${stock_ticker} after execution failed`);
+          } catch (queueError) {
+            console.error(`Error queuing trade for ${stock_ticker} after execution failed:`, queueError);
+          }
+        }
+      } else {
+        try {
+          // Market is closed, queue the trade
+          await queueTrade(tweet_process_id, tradeToPlace);
+          console.log(`Market closed: Successfully queued trade for ${stock_ticker}`);
+        } catch (queueError) {
+          console.error(`Error queuing trade for ${stock_ticker}:`, queueError);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error processing trades:', error);
+  }
+
+  return blocked;
+}
+
+/**
+ * Helper function to work out what processTrades would do with the trades of a dry-run
+ * process. Each trade gets the same policy check, sizing and risk checks, and the execute
+ * routes build the order it would be submitted with, without submitting it. Nothing is
+ * queued or placed, and risk rejections are not recorded.
+ * @param {string} tweetProcessId - The tweet process ID
+ * @param {Array} trades - Trades that passed screenTrades
+ * @returns {Promise<object>} - { market_open, execution_mode, trades }, where each trade preview
+ *   has an action: 'blocked' (trading policy), 'skipped' (sized to $0), 'record', 'hold_for_approval',
+ *   'reject' (risk checks), 'place' or 'queue' (market closed)
+ */
+async function previewTrades(tweetProcessId, trades) {
+  const policy = await getTradingPolicyForTweetProcess(tweetProcessId);
+  const marketOpen = await isMarketOpen();
+  const previews = [];
+
+  for (const trade of trades) {
+    const { policyCheck, sizing, tradeToPlace } = await prepareTrade(policy, trade);
+    const preview = {
+      ticker: trade.stock_ticker,
+      action: null,
+      policy_check: { allowed: policyCheck.allowed, reasons: policyCheck.reasons },
+      sizing: sizing ? { mode: sizing.mode, dollar_amount: sizing.dollarAmount, details: sizing.details } : null,
+      trade: null,
+      risk_check: null,
+      order: null,
+      order_error: null
+    };
+    previews.push(preview);
+
+    if (!policyCheck.allowed) {
+      preview.action = 'blocked';
+      continue;
+    }
+
+    if (!tradeToPlace) {
+      preview.action = 'skipped';
+      continue;
+    }
+
+    preview.trade = {
+      ticker: tradeToPlace.ticker,
+      dollar_amount: tradeToPlace.dollarAmount,
+      days_to_hold: tradeToPlace.daysToHold,
+      direction: tradeToPlace.direction,
+      confidence: tradeToPlace.confidence,
+      instrument: tradeToPlace.instrument,
+      target_expiry_date: tradeToPlace.targetExpiryDate
+    };
+
+    if (policy.execution_mode === 'record_only') {
+      preview.action = 'record';
+      continue;
+    }
+
+    // Trades held for approval are risk checked and placed once approved, so both are still shown
+    try {
+      preview.risk_check = await enforceOrderRisk({
+        symbol: tradeToPlace.ticker,
+        notional: tradeToPlace.dollarAmount,
+        source: 'workflow',
+        tweetProcessId,
+        recordRejection: false
+      });
+    } catch (riskError) {
+      preview.risk_check = { approved: null, reasons: [], error: riskError.message };
+    }
+
+    if (policy.execution_mode === 'approval') {
+      preview.action = 'hold_for_approval';
+    } else if (preview.risk_check.approved === false) {
+      preview.action = 'reject';
+      continue;
+    } else {
+      preview.action = marketOpen ? 'place' : 'queue';
+    }
+
+    try {
+      const orderPreview = await placeTradeOrder(tradeToPlace, { dryRun: true });
+      preview.order = {
+        payload: orderPreview.order_payload,
+        requested: orderPreview.requested,
+        selection: orderPreview.selection ?? null
+      };
+    } catch (orderError) {
+      preview.order_error = orderError.response?.data?.message || orderError.message;
+    }
+  }
+
+  return {
+    market_open: marketOpen,
+    execution_mode: policy.execution_mode,
+    trades: previews
+  };
+}
+
+/**
+ * Helper function to end a tweet process in error
+ * @param {string} tweetProcessId - The tweet process ID
+ * @param {string} error - Why the analysis failed
+ * @returns {Promise<void>}
+ */
+async function markProcessError(tweetProcessId, error) {
+  await sql`
+    UPDATE tweet_processes
+    SET
+      status = 'error',
+      error = ${error},
+      completed_at = NOW()
+    WHERE tweet_process_id = ${tweetProcessId} AND status <> 'completed'
+  `;
+}
+
+/**
+ * Helper function to store the trades of a result that were not processed
+ * @param {string} tweetProcessId - The tweet process ID
+ * @param {Array} rejected - Rejections: { index, trade, errors }
+ * @param {string} stage - Check that stopped them: 'schema' (screenTrades), 'policy' or 'sizing'
+ *   (default: schema)
+ * @returns {Promise<void>}
+ */
+async function recordTradeRejections(tweetProcessId, rejected, stage = 'schema') {
+  for (const { index, trade, errors } of rejected) {
+    console.error(`Rejected trade ${index} of tweet process ${tweetProcessId} (${stage}):`, errors.join('; '));
+    await sql`
+      INSERT INTO trade_rejections (tweet_process_id, trade_index, trade, errors, stage)
+      VALUES (${tweetProcessId}, ${index}, ${JSON.stringify(trade ?? null)}, ${JSON.stringify(errors)}, ${stage})
+    `;
+  }
+}
+
+/**
+ * Helper function to store the trades processTrades blocked and count them on the process
+ * @param {string} tweetProcessId - The tweet process ID
+ * @param {Array} trades - The result's trades, as the analyzer gave them
+ * @param {Array} rejected - Rejections from screenTrades
+ * @param {Array} blocked - Blocked trades returned by processTrades
+ * @returns {Promise<void>}
+ */
+async function recordBlockedTrades(tweetProcessId, trades, rejected, blocked) {
+  // Accepted trades keep their order, so their indexes are the ones screenTrades did not reject
+  const rejectedIndexes = new Set(rejected.map(rejection => rejection.index));
+  const acceptedIndexes = trades.map((_, index) => index).filter(index => !rejectedIndexes.has(index));
+
+  for (const stage of ['policy', 'sizing']) {
+    const stageBlocked = blocked
+      .filter(block => block.stage === stage)
+      .map(({ position, trade, errors }) => ({ index: acceptedIndexes[position], trade, errors }));
+    await recordTradeRejections(tweetProcessId, stageBlocked, stage);
+  }
+
+  await sql`
+    UPDATE tweet_processes
+    SET trades_blocked = ${blocked.length}
+    WHERE tweet_process_id = ${tweetProcessId}
+  `;
+}
+
+/**
+ * Helper function to build the preview of a dry-run process and store it on its row
+ * @param {string} tweetProcessId - The tweet process ID
+ * @param {object} result - Normalized analysis result
+ * @param {Array} accepted - Trades that passed screenTrades
+ * @param {Array} rejected - Rejections from screenTrades: { index, trade, errors }
+ * @returns {Promise<object>} - The stored preview
+ */
+async function recordDryRunPreview(tweetProcessId, result, accepted, rejected) {
+  let dryRunPreview;
+  try {
+    dryRunPreview = {
+      analysis: result,
+      rejected_trades: rejected,
+      ...await previewTrades(tweetProcessId, accepted)
+    };
+  } catch (error) {
+    console.error(`Error building dry-run preview for ${tweetProcessId}:`, error);
+    dryRunPreview = { analysis: result, rejected_trades: rejected, error: error.message };
+  }
+
+  await sql`
+    UPDATE tweet_processes
+    SET dry_run_preview = ${JSON.stringify(dryRunPreview)}
+    WHERE tweet_process_id = ${tweetProcessId}
+  `;
+
+  return dryRunPreview;
+}
+
+/**
+ * Record an analyzer's result on its tweet process and process the resulting trades.
+ * Every analyzer normalizes its output into the same result:
+ * { status: 'ok' | 'error', market_effect: 'yes' | 'no', trades, error_type, error_message }.
+ * The result is held to the schema in result-schema.js, and each ticker must resolve to a
+ * tradable broker asset. Trades that fail are stored in trade_rejections with their errors
+ * instead of being processed, and the process records
+ * how many trades were accepted and rejected.
+ * Only the call that moves the process to completed runs its trades, so a result that
+ * arrives twice never places orders twice.
+ * The trades of a dry-run process are never queued or placed: what would have happened to
+ * them is stored in its dry_run_preview instead (see previewTrades).
+ * Accepted trades that the author's trading policy blocks or that are sized to $0 are stored
+ * in trade_rejections too, and counted in trades_blocked.
+ * @param {string} tweetProcessId - The tweet process ID
+ * @param {object} result - Normalized analysis result
+ * @returns {Promise<object>} - { outcome, error, tradesAccepted, tradesRejected, tradesBlocked, dryRunPreview };
+ *   outcome is 'completed', 'duplicate', 'not_found', 'analysis_error' (the analyzer reported
+ *   an error) or 'invalid' (the result does not match the schema)
+ */
+async function recordAnalysisResult(tweetProcessId, result) {
+  const [tweetProcess] = await sql`
+    SELECT tweet_process_id, status, dry_run FROM tweet_processes
+    WHERE tweet_process_id = ${tweetProcessId}
+  `;
+
+  if (!tweetProcess) {
+    return { outcome: 'not_found', error: "No submitted process found for this tweet_process_id" };
+  }
+
+  if (tweetProcess.status === 'completed') {
+    return { outcome: 'duplicate' };
+  }
+
+  const validation = validateAnalysisResult(result);
+  if (!validation.isValid) {
+    const error = `Invalid analysis result: ${validation.errors.join(', ')}`;
+    await markProcessError(tweetProcessId, error);
+    return { outcome: 'invalid', error };
+  }
+
+  const { status, error_type, error_message, market_effect, trades } = result;
+
+  if (status !== "ok") {
+    const error = `${error_type || "missing type"}: ${error_message || "missing message"}`;
+    await markProcessError(tweetProcessId, error);
+    return { outcome: 'analysis_error', error: `Error: ${error}` };
+  }
+
+  const { accepted, rejected } = market_effect === "yes" ? await screenTrades(trades) : { accepted: [], rejected: [] };
+
+  const [completedProcess] = await sql`
+    UPDATE tweet_processes
+    SET
+      status = 'completed',
+      market_effect = ${market_effect === "yes"},
+      trades = ${trades ? JSON.stringify(trades) : null},
+      trades_accepted = ${accepted.length},
+      trades_rejected = ${rejected.length},
+      error = NULL,
+      completed_at = NOW()
+    WHERE tweet_process_id = ${tweetProcessId} AND status <> 'completed'
+    RETURNING tweet_process_id
+  `;
+
+  if (!completedProcess) {
+    return { outcome: 'duplicate' };
+  }
+
+  try {
+    await recordTradeRejections(tweetProcessId, rejected);
+  } catch (error) {
+    console.error(`Error recording trade rejections for ${tweetProcessId}:`, error);
+  }
+
+  if (tweetProcess.dry_run) {
+    const dryRunPreview = await recordDryRunPreview(tweetProcessId, result, accepted, rejected);
+    return { outcome: 'completed', tradesAccepted: accepted.length, tradesRejected: rejected.length, dryRunPreview };
+  }
+
+  const blocked = accepted.length > 0 ? await processTrades(tweetProcessId, accepted) : [];
+
+  try {
+    await recordBlockedTrades(tweetProcessId, trades || [], rejected, blocked);
+  } catch (error) {
+    console.error(`Error recording blocked trades for ${tweetProcessId}:`, error);
+  }
+
+  return { outcome: 'completed', tradesAccepted: accepted.length, tradesRejected: rejected.length, tradesBlocked: blocked.length };
+}
+
+module.exports = {
+  recordAnalysisResult,
+};
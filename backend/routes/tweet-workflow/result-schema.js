@@ -0,0 +1,160 @@
+const { normalizeDirection, normalizeInstrument } = require('../trading/orders');
+const { verifyTicker } = require('../trading/assets');
+const { getEasternDate } = require('../trading/market-calendar');
+
+// Limits every analysis result is held to before any of its trades can become an order
+const RESULT_SCHEMA = {
+  maxTrades: 10,
+  minTimelineDays: 1,
+  maxTimelineDays: 365,
+  maxReasoningLength: 5000,
+  // A ticker or company name; it must resolve to a tradable asset (see trading/assets.js)
+  maxTickerLength: 100
+};
+
+/**
+ * Validate the top level of a normalized analysis result
+ * @param {object} result - { status, market_effect, trades, error_type, error_message }
+ * @returns {object} - Validation result with isValid and errors
+ */
+function validateAnalysisResult(result) {
+  const errors = [];
+
+  if (!result || typeof result !== 'object') {
+    return { isValid: false, errors: ['Result must be an object'] };
+  }
+
+  if (!['ok', 'error'].includes(result.status)) {
+    errors.push('status must be "ok" or "error"');
+  }
+
+  if (result.status === 'ok') {
+    if (!['yes', 'no'].includes(result.market_effect)) {
+      errors.push('market_effect must be "yes" or "no"');
+    }
+
+    if (result.trades !== undefined && result.trades !== null && !Array.isArray(result.trades)) {
+      errors.push('trades must be an array');
+    } else if (result.market_effect === 'yes' && (!result.trades || result.trades.length === 0)) {
+      errors.push('market_effect "yes" requires at least one trade');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate one trade of an analysis result
+ * @param {object} trade - { stock_ticker, timeline, reasoning, confidence, direction, instrument, target_expiry_date }
+ * @param {object} options - { today }: the New York date target_expiry_date must be after,
+ *   such as the day a backtested post was submitted (default: today)
+ * @returns {object} - Validation result with isValid and errors
+ */
+function validateTrade(trade, { today = getEasternDate() } = {}) {
+  const errors = [];
+
+  if (!trade || typeof trade !== 'object' || Array.isArray(trade)) {
+    return { isValid: false, errors: ['Trade must be an object'] };
+  }
+
+  const { stock_ticker, timeline, reasoning, confidence, target_expiry_date } = trade;
+
+  if (typeof stock_ticker !== 'string' || stock_ticker.trim() === '' || stock_ticker.length > RESULT_SCHEMA.maxTickerLength) {
+    errors.push(`stock_ticker must be a ticker symbol or company name of at most ${RESULT_SCHEMA.maxTickerLength} characters, got ${JSON.stringify(stock_ticker)}`);
+  }
+
+  if (!Number.isInteger(timeline) || timeline < RESULT_SCHEMA.minTimelineDays || timeline > RESULT_SCHEMA.maxTimelineDays) {
+    errors.push(`timeline must be a whole number of days between ${RESULT_SCHEMA.minTimelineDays} and ${RESULT_SCHEMA.maxTimelineDays}, got ${JSON.stringify(timeline)}`);
+  }
+
+  if (typeof confidence !== 'number' || !Number.isFinite(confidence) || confidence <= 0 || confidence > 1) {
+    errors.push(`confidence must be a number greater than 0 and at most 1, got ${JSON.stringify(confidence)}`);
+  }
+
+  if (typeof reasoning !== 'string' || reasoning.trim() === '') {
+    errors.push('reasoning is required');
+  } else if (reasoning.length > RESULT_SCHEMA.maxReasoningLength) {
+    errors.push(`reasoning must be at most ${RESULT_SCHEMA.maxReasoningLength} characters`);
+  }
+
+  if (!normalizeDirection(trade)) {
+    const direction = trade.direction ?? trade.side;
+    errors.push(String(direction).toLowerCase() === 'sell'
+      ? 'direction "sell" is not accepted; use "short" to open a short position'
+      : `direction must be "long" or "short", got ${JSON.stringify(direction)}`);
+  }
+
+  if (!normalizeInstrument(trade)) {
+    errors.push(`instrument must be "stock", "call" or "put", got ${JSON.stringify(trade.instrument)}`);
+  }
+
+  if (target_expiry_date !== undefined && target_expiry_date !== null) {
+    const isDate = typeof target_expiry_date === 'string'
+      && /^\d{4}-\d{2}-\d{2}$/.test(target_expiry_date)
+      && !isNaN(Date.parse(target_expiry_date))
+      && new Date(target_expiry_date).toISOString().startsWith(target_expiry_date);
+    if (!isDate) {
+      errors.push('target_expiry_date must be a date in YYYY-MM-DD format');
+    } else if (target_expiry_date <= today) {
+      // A contract expiring today or earlier cannot be held for the trade's timeline
+      errors.push(`target_expiry_date must be after today (${today}), got ${target_expiry_date}`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Split the trades of an analysis result into those that pass the schema and those that
+ * do not. Each ticker must then resolve to a broker asset that can be traded the way the
+ * trade needs, and accepted trades carry the resolved symbol in stock_ticker. Trades past
+ * the maximum per result are rejected in the order they were given.
+ * @param {Array} trades - Trades from the analysis result
+ * @returns {Promise<object>} - { accepted, rejected }; each rejection is { index, trade, errors }
+ */
+async function screenTrades(trades) {
+  const accepted = [];
+  const rejected = [];
+
+  for (const [index, trade] of (trades || []).entries()) {
+    const validation = validateTrade(trade);
+    if (!validation.isValid) {
+      rejected.push({ index, trade, errors: validation.errors });
+      continue;
+    }
+
+    const instrument = normalizeInstrument(trade);
+    const direction = instrument === 'stock' ? normalizeDirection(trade) : 'long';
+    // Workflow stock buys are placed by dollar amount
+    const tickerCheck = await verifyTicker(trade.stock_ticker, { direction, instrument, fractional: direction === 'long' });
+    if (!tickerCheck.verified) {
+      rejected.push({ index, trade, errors: tickerCheck.reasons });
+      continue;
+    }
+
+    if (accepted.length >= RESULT_SCHEMA.maxTrades) {
+      rejected.push({ index, trade, errors: [`Exceeds the maximum of ${RESULT_SCHEMA.maxTrades} trades per result`] });
+      continue;
+    }
+
+    if (tickerCheck.symbol !== trade.stock_ticker) {
+      console.log(`Resolved ticker "${trade.stock_ticker}" to ${tickerCheck.symbol} by ${tickerCheck.matchedBy}`);
+    }
+    accepted.push({ ...trade, stock_ticker: tickerCheck.symbol });
+  }
+
+  return { accepted, rejected };
+}
+
+module.exports = {
+  RESULT_SCHEMA,
+  validateAnalysisResult,
+  validateTrade,
+  screenTrades,
+};
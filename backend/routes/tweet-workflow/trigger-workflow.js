@@ -4,21 +4,33 @@ const router = express.Router();
 
 const sql = neon(process.env.DATABASE_URL);
 
+const { startWorkflowRun } = require('./workflow-runs');
+const { getAnalyzer } = require('../analyzers');
+
 /**
  * POST /api/process-tweet/trigger-workflow
- * Trigger the tweet processing workflow
+ * Trigger the tweet processing workflow with the configured analyzer (see ANALYZER).
+ * Analyzers that answer right away (openai, rule_based) have their result and trades
+ * recorded before the response, which then includes the outcome; the Dify workflow
+ * reports back later through /workflow-complete and the outcome is null.
+ * A dry run goes through the same analysis, sizing and risk checks but places no orders;
+ * the process is stored with what would have happened (see GET /api/tweets/processes/:id/dry-run)
+ * and is left out of trade volume, dashboard counts and author stats.
  * 
  * @param {string} tweet_author_id - UUID of the author (required)
  * @param {string} tweet_content - Content of the tweet to process (required)
+ * @param {boolean} dry_run - Preview the trades without placing orders (optional, default: false)
  * 
  * @returns {object} 200 - Workflow triggered successfully
  * @returns {object} 400 - Invalid parameters
  * @returns {object} 404 - Author not found
+ * @returns {object} 409 - Author is paused
+ * @returns {object} 502 - Workflow run could not be started (it is retried by the watchdog job)
  * @returns {object} 500 - Server error
  */
 router.post('/trigger-workflow', async (req, res) => {
   try {
-    const { tweet_author_id, tweet_content } = req.body;
+    const { tweet_author_id, tweet_content, dry_run = false } = req.body;
 
     if (!tweet_author_id || !tweet_content) {
       return res.status(400).json({
@@ -26,6 +38,12 @@ router.post('/trigger-workflow', async (req, res) => {
       });
     }
 
+    if (typeof dry_run !== 'boolean') {
+      return res.status(400).json({
+        error: "Invalid dry_run. Must be true or false."
+      });
+    }
+
     const uuidRegex = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
     if (!uuidRegex.test(tweet_author_id)) {
       return res.status(400).json({
@@ -34,8 +52,8 @@ router.post('/trigger-workflow', async (req, res) => {
     }
 
     const [referencedAuthor] = await sql`
-    SELECT id, name, author_context FROM subscribed_authors
-    WHERE id = ${tweet_author_id}
+    SELECT id, status FROM subscribed_authors
+    WHERE id = ${tweet_author_id} AND deleted_at IS NULL
     `;
 
     if (!referencedAuthor) {
@@ -44,13 +62,18 @@ router.post('/trigger-workflow', async (req, res) => {
       });
     }
 
-    const { id, name, author_context } = referencedAuthor;
+    if (referencedAuthor.status === 'paused') {
+      return res.status(409).json({
+        error: "This author is paused. Resume them to process their posts."
+      });
+    }
 
-    if (!process.env.DIFY_API_KEY) {
-      console.error("DIFY_API_KEY is not configured");
+    const analyzer = getAnalyzer();
+    if (!analyzer.isConfigured()) {
+      console.error(`The ${analyzer.name} analyzer is not configured`);
       return res.status(500).json({
-        error: "DIFY_API_KEY environment variable is not configured. Please add it to your .env file.",
-        setup_instructions: "Add DIFY_API_KEY=your_dify_api_key to your .env file",
+        error: `The ${analyzer.name} analyzer is not configured. Please add its settings to your .env file.`,
+        setup_instructions: analyzer.setupInstructions,
       });
     }
 
@@ -58,48 +81,32 @@ router.post('/trigger-workflow', async (req, res) => {
 
     await sql`
       INSERT INTO tweet_processes (
-        tweet_process_id, author_id, tweet_content, submitted_at, status
+        tweet_process_id, author_id, tweet_content, submitted_at, status, dry_run
       ) VALUES (
-        ${tweet_process_id}, ${tweet_author_id}, ${tweet_content}, NOW(), 'submitted'
+        ${tweet_process_id}, ${tweet_author_id}, ${tweet_content}, NOW(), 'submitted', ${dry_run}
       )
     `;
 
-    const authHeader = `Bearer ${process.env.DIFY_API_KEY}`;
-    const baseUrl = process.env.DEPLOYMENT_URL;
-    const completionUrl = baseUrl.startsWith("localhost")
-      ? `http://${baseUrl}/api/process-tweet/workflow-complete`
-      : `https://${baseUrl}/api/process-tweet/workflow-complete`;
-
-    const requestBody = {
-      inputs: {
-        author: name,
-        tweet_content,
-        author_context: author_context,
+    // A failed start leaves the process submitted, so the watchdog job retries it
+    let run;
+    try {
+      run = await startWorkflowRun({ tweet_process_id, author_id: tweet_author_id, tweet_content });
+    } catch (runError) {
+      console.error("Error starting workflow run:", runError);
+      return res.status(502).json({
+        error: "Failed to start workflow run; it will be retried",
         tweet_process_id,
-        completion_url: completionUrl,
-      },
-      response_mode: "streaming",
-      user: "wsilver",
-    };
-
-    const difyResponse = await fetch("https://api.dify.ai/v1/workflows/run", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: authHeader,
-      },
-      body: JSON.stringify(requestBody),
-    });
-
-    if (!difyResponse.ok) {
-      const errorText = await difyResponse.text();
-      console.error("Dify API error response:", errorText);
-      throw new Error(`Dify API error: ${difyResponse.status} - ${errorText}`);
+      });
     }
 
     res.json({
       success: true,
       tweet_process_id,
+      analyzer: analyzer.name,
+      workflow_run_id: run.workflowRunId,
+      outcome: run.outcome,
+      dry_run,
+      dry_run_preview: run.dryRunPreview,
     });
   } catch (error) {
     console.error("Error triggering workflow:", error);
@@ -107,4 +114,79 @@ router.post('/trigger-workflow', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/process-tweet/:id/retry
+ * Start a new analysis run for a tweet process that is stuck or ended in error.
+ * Manual retries are not limited by TWEET_PROCESS_MAX_ATTEMPTS.
+ *
+ * @param {string} id - Tweet process ID (required)
+ *
+ * @returns {object} 200 - Workflow run started
+ * @returns {object} 404 - Tweet process not found
+ * @returns {object} 409 - Process already completed, or author paused or deleted
+ * @returns {object} 502 - Workflow run could not be started
+ * @returns {object} 500 - Server error
+ */
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [tweetProcess] = await sql`
+      SELECT tp.tweet_process_id, tp.author_id, tp.tweet_content, tp.status, tp.attempts, tp.dry_run,
+        sa.status AS author_status, sa.deleted_at AS author_deleted_at
+      FROM tweet_processes tp
+      LEFT JOIN subscribed_authors sa ON sa.id = tp.author_id
+      WHERE tp.tweet_process_id = ${id}
+    `;
+
+    if (!tweetProcess) {
+      return res.status(404).json({
+        error: "No tweet process found with this ID"
+      });
+    }
+
+    if (tweetProcess.status === 'completed') {
+      return res.status(409).json({
+        error: "This tweet process is already completed"
+      });
+    }
+
+    if (tweetProcess.author_status !== 'active' || tweetProcess.author_deleted_at) {
+      return res.status(409).json({
+        error: "This tweet process's author is paused or deleted"
+      });
+    }
+
+    await sql`
+      UPDATE tweet_processes
+      SET status = 'submitted', error = NULL, completed_at = NULL
+      WHERE tweet_process_id = ${id}
+    `;
+
+    try {
+      const run = await startWorkflowRun(tweetProcess);
+
+      res.json({
+        success: true,
+        tweet_process_id: id,
+        workflow_run_id: run.workflowRunId,
+        outcome: run.outcome,
+        attempts: tweetProcess.attempts + 1,
+        dry_run: tweetProcess.dry_run,
+        dry_run_preview: run.dryRunPreview,
+      });
+    } catch (runError) {
+      console.error("Error retrying workflow run:", runError);
+      res.status(502).json({
+        error: "Failed to start workflow run",
+        message: runError.message,
+        tweet_process_id: id,
+      });
+    }
+  } catch (error) {
+    console.error("Error retrying tweet process:", error);
+    res.status(500).json({ error: "Failed to retry tweet process" });
+  }
+});
+
 module.exports = router;
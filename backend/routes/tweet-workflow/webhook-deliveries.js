@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+
+// Only these headers are kept in the delivery log; the bearer token never is
+const LOGGED_HEADERS = ['content-type', 'content-length', 'user-agent', SIGNATURE_HEADER];
+
+/**
+ * Verify the HMAC-SHA256 signature of a webhook body.
+ * Signing is optional: when WEBHOOK_SIGNING_SECRET is unset every delivery is accepted.
+ * The signature header holds the hex digest of the raw body, optionally prefixed with "sha256=".
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signatureHeader - Value of the X-Webhook-Signature header
+ * @returns {string} - 'valid', 'invalid', 'missing' or 'not_configured'
+ */
+function verifyWebhookSignature(rawBody, signatureHeader) {
+  const secret = process.env.WEBHOOK_SIGNING_SECRET;
+
+  if (!secret) {
+    return 'not_configured';
+  }
+
+  if (!signatureHeader) {
+    return 'missing';
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody || '').digest();
+  const received = Buffer.from(signatureHeader.replace(/^sha256=/, ''), 'hex');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected)
+    ? 'valid'
+    : 'invalid';
+}
+
+/**
+ * Record a webhook delivery with its raw payload
+ * @param {object} req - Express request (rawBody is set by the JSON body parser)
+ * @param {string} signatureStatus - Result of verifyWebhookSignature
+ * @returns {Promise<number|null>} - Delivery ID, or null if it could not be recorded
+ */
+async function recordDelivery(req, signatureStatus) {
+  const headers = Object.fromEntries(
+    LOGGED_HEADERS
+      .filter(name => req.headers[name] !== undefined)
+      .map(name => [name, req.headers[name]])
+  );
+
+  try {
+    const [delivery] = await sql`
+      INSERT INTO webhook_deliveries (raw_body, headers, signature_status)
+      VALUES (${req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body)}, ${JSON.stringify(headers)}, ${signatureStatus})
+      RETURNING id
+    `;
+    return delivery.id;
+  } catch (error) {
+    // The log is for debugging only, so a failure here must not reject the delivery
+    console.error('Error recording webhook delivery:', error);
+    return null;
+  }
+}
+
+/**
+ * Record how a webhook delivery was handled
+ * @param {number|null} deliveryId - Delivery ID from recordDelivery
+ * @param {object} result - { tweetProcessId, statusCode, outcome }
+ * @returns {Promise<void>}
+ */
+async function finishDelivery(deliveryId, { tweetProcessId, statusCode, outcome }) {
+  if (deliveryId === null) {
+    return;
+  }
+
+  try {
+    await sql`
+      UPDATE webhook_deliveries
+      SET
+        tweet_process_id = ${tweetProcessId ?? null},
+        status_code = ${statusCode},
+        outcome = ${outcome ?? null},
+        handled_at = NOW()
+      WHERE id = ${deliveryId}
+    `;
+  } catch (error) {
+    console.error(`Error recording outcome of webhook delivery ${deliveryId}:`, error);
+  }
+}
+
+/**
+ * Get recorded webhook deliveries, newest first
+ * @param {object} options - Options
+ * @param {string} options.tweetProcessId - Only deliveries for this tweet process (optional)
+ * @param {number} options.limit - Maximum number of deliveries
+ * @returns {Promise<Array>} - Delivery rows with raw payloads
+ */
+async function getDeliveries({ tweetProcessId = null, limit }) {
+  return sql`
+    SELECT id, tweet_process_id, received_at, handled_at, signature_status, status_code, outcome, headers, raw_body
+    FROM webhook_deliveries
+    WHERE ${tweetProcessId}::text IS NULL OR tweet_process_id = ${tweetProcessId}
+    ORDER BY received_at DESC
+    LIMIT ${limit}
+  `;
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  verifyWebhookSignature,
+  recordDelivery,
+  finishDelivery,
+  getDeliveries,
+};
@@ -0,0 +1,102 @@
+const { neon } = require('@neondatabase/serverless');
+
+const sql = neon(process.env.DATABASE_URL);
+
+const { getAuthorStats, describeTrackRecord } = require('../authors/author-stats');
+const { getAnalyzer } = require('../analyzers');
+const { recordAnalysisResult } = require('./analysis-results');
+
+/**
+ * Start an analysis run for a tweet process with the configured analyzer and record the
+ * attempt on its row: the attempt count and time, and the workflow_run_id or the error.
+ * The author's context and track record are looked up fresh for every attempt.
+ * Analyzers that return their result right away have it recorded here, trades included;
+ * the Dify analyzer's result arrives later through the completion webhook.
+ * @param {object} tweetProcess - { tweet_process_id, author_id, tweet_content }
+ * @returns {Promise<object>} - { workflowRunId, outcome, dryRunPreview }; outcome is null until
+ *   a result is recorded, otherwise the recordAnalysisResult outcome; dryRunPreview is only set
+ *   once the result of a dry-run process is recorded
+ * @throws {Error} - If the run could not be started
+ */
+async function startWorkflowRun(tweetProcess) {
+  const { tweet_process_id, author_id, tweet_content } = tweetProcess;
+
+  await sql`
+    UPDATE tweet_processes
+    SET attempts = attempts + 1, last_attempt_at = NOW(), workflow_run_id = NULL
+    WHERE tweet_process_id = ${tweet_process_id}
+  `;
+
+  try {
+    const analyzer = getAnalyzer();
+    if (!analyzer.isConfigured()) {
+      throw new Error(`The ${analyzer.name} analyzer is not configured. ${analyzer.setupInstructions}`);
+    }
+
+    const [author] = await sql`
+      SELECT id, name, author_context FROM subscribed_authors
+      WHERE id = ${author_id}
+    `;
+
+    if (!author) {
+      throw new Error(`No author found with ID: ${author_id}`);
+    }
+
+    // The author's track record is extra context for the analysis, so a failure here
+    // should not stop the post from being processed
+    let author_track_record = "";
+    try {
+      const [authorStats] = await getAuthorStats({ authorId: author.id });
+      author_track_record = authorStats ? describeTrackRecord(authorStats) : "";
+    } catch (error) {
+      console.error("Error fetching author track record:", error);
+    }
+
+    const { runId, result } = await analyzer.analyze({
+      tweetProcessId: tweet_process_id,
+      author: author.name,
+      authorContext: author.author_context,
+      authorTrackRecord: author_track_record,
+      tweetContent: tweet_content,
+    });
+
+    await sql`
+      UPDATE tweet_processes
+      SET workflow_run_id = ${runId}, last_error = NULL
+      WHERE tweet_process_id = ${tweet_process_id}
+    `;
+
+    if (!result) {
+      return { workflowRunId: runId, outcome: null, dryRunPreview: null };
+    }
+
+    const { outcome, error, dryRunPreview = null } = await recordAnalysisResult(tweet_process_id, result);
+    if (error) {
+      console.error(`Analysis of tweet process ${tweet_process_id} was not recorded: ${error}`);
+    }
+
+    return { workflowRunId: runId, outcome, dryRunPreview };
+  } catch (error) {
+    await sql`
+      UPDATE tweet_processes
+      SET last_error = ${error.message}
+      WHERE tweet_process_id = ${tweet_process_id}
+    `;
+    throw error;
+  }
+}
+
+/**
+ * Get the status of an analysis run from the configured analyzer
+ * @param {string} workflowRunId - Run ID
+ * @returns {Promise<object|null>} - Run details: { status, error, ... }, where status is
+ *   'running', 'succeeded', 'failed' or 'stopped'; null if the analyzer does not track runs
+ */
+async function getWorkflowRun(workflowRunId) {
+  return getAnalyzer().getRun(workflowRunId);
+}
+
+module.exports = {
+  startWorkflowRun,
+  getWorkflowRun,
+};
@@ -6,7 +6,7 @@ const sql = neon(process.env.DATABASE_URL);
 
 /**
  * GET /api/tweets/processes
- * Get all processed tweets with optional market_effect filter
+ * Get all processed tweets with optional market_effect filter. Dry runs are not included.
  * 
  * @param {boolean} market_effect - Filter by market effect (optional)
  * @param {number} limit - Maximum number of results (optional, default: 50, max: 100)
@@ -55,7 +55,7 @@ router.get('/processes', async (req, res) => {
     }
 
     // Validate status if provided
-    const validStatuses = ['pending', 'completed', 'error'];
+    const validStatuses = ['submitted', 'pending', 'completed', 'error'];
     if (status && !validStatuses.includes(status)) {
       return res.status(400).json({
         error: 'Invalid status parameter',
@@ -79,16 +79,22 @@ router.get('/processes', async (req, res) => {
           market_effect,
           trades,
           completed_at,
+          workflow_run_id,
+          attempts,
+          last_error,
+          trades_accepted,
+          trades_rejected,
+          trades_blocked,
           author_id
         FROM tweet_processes
-        WHERE market_effect = ${marketEffectFilter} AND status = ${status}
+        WHERE market_effect = ${marketEffectFilter} AND status = ${status} AND dry_run = false
         ORDER BY submitted_at DESC 
         LIMIT ${limitNum} OFFSET ${offsetNum}
       `;
       
       const countResult = await sql`
         SELECT COUNT(*) as total FROM tweet_processes 
-        WHERE market_effect = ${marketEffectFilter} AND status = ${status}
+        WHERE market_effect = ${marketEffectFilter} AND status = ${status} AND dry_run = false
       `;
       total = parseInt(countResult[0].total);
     } else if (marketEffectFilter !== null) {
@@ -103,16 +109,22 @@ router.get('/processes', async (req, res) => {
           market_effect,
           trades,
           completed_at,
+          workflow_run_id,
+          attempts,
+          last_error,
+          trades_accepted,
+          trades_rejected,
+          trades_blocked,
           author_id
         FROM tweet_processes
-        WHERE market_effect = ${marketEffectFilter}
+        WHERE market_effect = ${marketEffectFilter} AND dry_run = false
         ORDER BY submitted_at DESC 
         LIMIT ${limitNum} OFFSET ${offsetNum}
       `;
       
       const countResult = await sql`
         SELECT COUNT(*) as total FROM tweet_processes 
-        WHERE market_effect = ${marketEffectFilter}
+        WHERE market_effect = ${marketEffectFilter} AND dry_run = false
       `;
       total = parseInt(countResult[0].total);
     } else if (status) {
@@ -127,16 +139,22 @@ router.get('/processes', async (req, res) => {
           market_effect,
           trades,
           completed_at,
+          workflow_run_id,
+          attempts,
+          last_error,
+          trades_accepted,
+          trades_rejected,
+          trades_blocked,
           author_id
         FROM tweet_processes
-        WHERE status = ${status}
+        WHERE status = ${status} AND dry_run = false
         ORDER BY submitted_at DESC 
         LIMIT ${limitNum} OFFSET ${offsetNum}
       `;
       
       const countResult = await sql`
         SELECT COUNT(*) as total FROM tweet_processes 
-        WHERE status = ${status}
+        WHERE status = ${status} AND dry_run = false
       `;
       total = parseInt(countResult[0].total);
     } else {
@@ -151,14 +169,22 @@ router.get('/processes', async (req, res) => {
           market_effect,
           trades,
           completed_at,
+          workflow_run_id,
+          attempts,
+          last_error,
+          trades_accepted,
+          trades_rejected,
+          trades_blocked,
           author_id
         FROM tweet_processes
+        WHERE dry_run = false
         ORDER BY submitted_at DESC 
         LIMIT ${limitNum} OFFSET ${offsetNum}
       `;
       
       const countResult = await sql`
         SELECT COUNT(*) as total FROM tweet_processes
+        WHERE dry_run = false
       `;
       total = parseInt(countResult[0].total);
     }
@@ -189,7 +215,7 @@ router.get('/processes', async (req, res) => {
 
 /**
  * GET /api/tweets/processes/author/:author_id
- * Get all processed tweets from a specific author
+ * Get all processed tweets from a specific author. Dry runs are not included.
  * 
  * @param {string} author_id - Author UUID (required)
  * @param {number} limit - Maximum number of results (optional, default: 50, max: 100)
@@ -234,7 +260,7 @@ router.get('/processes/author/:author_id', async (req, res) => {
     }
 
     // Validate status if provided
-    const validStatuses = ['pending', 'completed', 'error'];
+    const validStatuses = ['submitted', 'pending', 'completed', 'error'];
     if (status && !validStatuses.includes(status)) {
       return res.status(400).json({
         error: 'Invalid status parameter',
@@ -270,16 +296,22 @@ router.get('/processes/author/:author_id', async (req, res) => {
           market_effect,
           trades,
           completed_at,
+          workflow_run_id,
+          attempts,
+          last_error,
+          trades_accepted,
+          trades_rejected,
+          trades_blocked,
           author_id
         FROM tweet_processes
-        WHERE author_id = ${author_id} AND status = ${status}
+        WHERE author_id = ${author_id} AND status = ${status} AND dry_run = false
         ORDER BY submitted_at DESC 
         LIMIT ${limitNum} OFFSET ${offsetNum}
       `;
       
       const countResult = await sql`
         SELECT COUNT(*) as total FROM tweet_processes 
-        WHERE author_id = ${author_id} AND status = ${status}
+        WHERE author_id = ${author_id} AND status = ${status} AND dry_run = false
       `;
       total = parseInt(countResult[0].total);
     } else {
@@ -294,16 +326,22 @@ router.get('/processes/author/:author_id', async (req, res) => {
           market_effect,
           trades,
           completed_at,
+          workflow_run_id,
+          attempts,
+          last_error,
+          trades_accepted,
+          trades_rejected,
+          trades_blocked,
           author_id
         FROM tweet_processes
-        WHERE author_id = ${author_id}
+        WHERE author_id = ${author_id} AND dry_run = false
         ORDER BY submitted_at DESC 
         LIMIT ${limitNum} OFFSET ${offsetNum}
       `;
       
       const countResult = await sql`
         SELECT COUNT(*) as total FROM tweet_processes 
-        WHERE author_id = ${author_id}
+        WHERE author_id = ${author_id} AND dry_run = false
       `;
       total = parseInt(countResult[0].total);
     }
@@ -334,7 +372,7 @@ router.get('/processes/author/:author_id', async (req, res) => {
 
 /**
  * GET /api/tweets/processes/count
- * Get the total count of tweets in the tweet_processes table
+ * Get the total count of tweets in the tweet_processes table, not counting dry runs
  * 
  * @param {boolean} market_effect - Filter by market effect (optional)
  * @param {string} status - Filter by status (optional: 'pending', 'completed', 'error')
@@ -363,7 +401,7 @@ router.get('/processes/count', async (req, res) => {
     }
 
     // Validate status if provided
-    const validStatuses = ['pending', 'completed', 'error'];
+    const validStatuses = ['submitted', 'pending', 'completed', 'error'];
     if (status && !validStatuses.includes(status)) {
       return res.status(400).json({
         error: 'Invalid status parameter',
@@ -378,24 +416,25 @@ router.get('/processes/count', async (req, res) => {
       // Both filters
       countResult = await sql`
         SELECT COUNT(*) as total FROM tweet_processes 
-        WHERE market_effect = ${marketEffectFilter} AND status = ${status}
+        WHERE market_effect = ${marketEffectFilter} AND status = ${status} AND dry_run = false
       `;
     } else if (marketEffectFilter !== null) {
       // Only market_effect filter
       countResult = await sql`
         SELECT COUNT(*) as total FROM tweet_processes 
-        WHERE market_effect = ${marketEffectFilter}
+        WHERE market_effect = ${marketEffectFilter} AND dry_run = false
       `;
     } else if (status) {
       // Only status filter
       countResult = await sql`
         SELECT COUNT(*) as total FROM tweet_processes 
-        WHERE status = ${status}
+        WHERE status = ${status} AND dry_run = false
       `;
     } else {
       // No filters - get total count
       countResult = await sql`
         SELECT COUNT(*) as total FROM tweet_processes
+        WHERE dry_run = false
       `;
     }
 
@@ -421,4 +460,111 @@ router.get('/processes/count', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tweets/processes/:id/rejected-trades
+ * Get the trades of a tweet process that were not processed, with their errors: those that
+ * failed schema validation (stage 'schema') and those blocked by the author's trading policy
+ * ('policy') or sized to $0 ('sizing')
+ *
+ * @param {string} id - Tweet process ID (required)
+ *
+ * @returns {object} 200 - Rejected trades retrieved successfully
+ * @returns {object} 404 - Tweet process not found
+ * @returns {object} 500 - Server error
+ */
+router.get('/processes/:id/rejected-trades', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [tweetProcess] = await sql`
+      SELECT tweet_process_id, trades_accepted, trades_rejected, trades_blocked
+      FROM tweet_processes
+      WHERE tweet_process_id = ${id}
+    `;
+
+    if (!tweetProcess) {
+      return res.status(404).json({
+        error: 'Tweet process not found',
+        message: `No tweet process found with ID: ${id}`
+      });
+    }
+
+    const rejections = await sql`
+      SELECT id, trade_index, stage, trade, errors, created_at
+      FROM trade_rejections
+      WHERE tweet_process_id = ${id}
+      ORDER BY trade_index ASC
+    `;
+
+    res.json({
+      success: true,
+      data: {
+        ...tweetProcess,
+        rejections
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching rejected trades:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch rejected trades'
+    });
+  }
+});
+
+/**
+ * GET /api/tweets/processes/:id/dry-run
+ * Get what a dry-run tweet process would have done: its analysis result, the sized trades,
+ * their risk checks and the order payloads that would have been submitted
+ *
+ * @param {string} id - Tweet process ID (required)
+ *
+ * @returns {object} 200 - Dry-run preview retrieved successfully; the preview is null until
+ *   the analysis result is recorded
+ * @returns {object} 404 - Tweet process not found, or not a dry run
+ * @returns {object} 500 - Server error
+ */
+router.get('/processes/:id/dry-run', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [tweetProcess] = await sql`
+      SELECT
+        tweet_process_id,
+        tweet_content,
+        submitted_at,
+        status,
+        error,
+        market_effect,
+        completed_at,
+        trades_accepted,
+        trades_rejected,
+        author_id,
+        dry_run_preview
+      FROM tweet_processes
+      WHERE tweet_process_id = ${id} AND dry_run = true
+    `;
+
+    if (!tweetProcess) {
+      return res.status(404).json({
+        error: 'Dry run not found',
+        message: `No dry-run tweet process found with ID: ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tweetProcess
+    });
+
+  } catch (error) {
+    console.error('Error fetching dry run:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch dry run'
+    });
+  }
+});
+
 module.exports = router;
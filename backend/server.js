@@ -5,6 +5,14 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const { requireAuth } = require('./middleware/auth');
+const { getTradingMode, validateTradingMode } = require('./routes/trading/trading-mode');
+
+// Refuse to start with unsafe trading mode settings
+const tradingModeErrors = validateTradingMode();
+if (tradingModeErrors.length > 0) {
+  console.error(`Invalid trading mode configuration: ${tradingModeErrors.join('; ')}`);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,7 +37,13 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so webhook signatures can be checked against the exact bytes sent
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Authorization middleware - protect all API routes
@@ -44,7 +58,12 @@ const tweetProcessesRoutes = require('./routes/tweets/tweet_processes');
 const executeOptionRoutes = require('./routes/trading/execute/option');
 const executeStockRoutes = require('./routes/trading/execute/stock');
 const accountRoutes = require('./routes/trading/account');
+const riskRoutes = require('./routes/trading/risk-controls');
 const tradesRoutes = require('./routes/trades/trades');
+const pnlRoutes = require('./routes/trades/pnl');
+const approvalRoutes = require('./routes/trades/approvals');
+const jobRoutes = require('./routes/jobs/jobs');
+const backtestRoutes = require('./routes/backtest/backtest');
 
 // Use routes
 app.use('/api/health', healthRoutes);
@@ -55,14 +74,21 @@ app.use('/api/tweets', tweetProcessesRoutes);
 app.use('/api/trading/execute/option', executeOptionRoutes);
 app.use('/api/trading/execute/stock', executeStockRoutes);
 app.use('/api/trading/account', accountRoutes);
+app.use('/api/trading/risk', riskRoutes);
+// Mounted before the trades routes so /pnl and /approvals are not taken as a tweet_process_id
+app.use('/api/trades/pnl', pnlRoutes);
+app.use('/api/trades/approvals', approvalRoutes);
 app.use('/api/trades', tradesRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/backtest', backtestRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
     message: 'Tweet Trade Backend API',
     version: '1.0.0',
-    status: 'running'
+    status: 'running',
+    trading_mode: getTradingMode()
   });
 });
 
@@ -83,6 +109,7 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`Trading mode: ${getTradingMode()}`);
 });
 
 module.exports = app;
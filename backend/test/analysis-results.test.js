@@ -0,0 +1,195 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeSql } = require('./helpers/fake-sql');
+const { startServer } = require('./helpers/server');
+
+// Run the whole workflow offline: rule-based analysis, the simulated broker and an in-memory database
+const db = installFakeSql();
+process.env.BROKER = 'simulated';
+process.env.ANALYZER = 'rule_based';
+process.env.ADMIN_API_KEY = 'test-key';
+process.env.TRADING_MODE = 'paper';
+
+let tweetProcess = null;
+// Stored trading policy overrides of the post's author
+let authorPolicy = null;
+
+/**
+ * Helper function to answer the queries the workflow runs against the database
+ * @param {string} text - Query text with placeholders collapsed
+ * @param {Array} values - Query parameters
+ * @returns {Array} - Rows
+ */
+function answerQuery(text, values) {
+  if (text.includes('SELECT tweet_process_id, status, dry_run FROM tweet_processes')) {
+    return tweetProcess ? [tweetProcess] : [];
+  }
+
+  if (text.includes("SET status = 'completed'")) {
+    const completed = tweetProcess && tweetProcess.status !== 'completed';
+    if (completed) {
+      tweetProcess.status = 'completed';
+    }
+    return completed ? [{ tweet_process_id: values[values.length - 1] }] : [];
+  }
+
+  if (text.includes('JOIN subscribed_authors')) {
+    return authorPolicy ? [{ trading_policy: authorPolicy }] : [];
+  }
+
+  return [];
+}
+
+const { getAnalyzer } = require('../routes/analyzers');
+const { getBroker } = require('../routes/trading/broker');
+const { recordAnalysisResult } = require('../routes/tweet-workflow/analysis-results');
+
+let server;
+
+/**
+ * Helper function to analyze a post and record the result on a new tweet process
+ * @param {string} tweetContent - Post text
+ * @returns {Promise<object>} - recordAnalysisResult's return value
+ */
+async function analyzeAndRecord(tweetContent) {
+  tweetProcess = { tweet_process_id: `test-${db.queries.length}`, status: 'processing', dry_run: false };
+
+  const { result } = await getAnalyzer().analyze({
+    tweetProcessId: tweetProcess.tweet_process_id,
+    author: 'Test Author',
+    tweetContent
+  });
+
+  return recordAnalysisResult(tweetProcess.tweet_process_id, result);
+}
+
+/**
+ * Helper function to find the trades the workflow logged as placed
+ * @returns {Array} - INSERT INTO trades queries
+ */
+function loggedTrades() {
+  return db.queries.filter(query => query.text.startsWith('INSERT INTO trades'));
+}
+
+before(async () => {
+  // The workflow places orders through the execute routes over HTTP
+  server = await startServer({
+    '/api/trading/execute/stock': require('../routes/trading/execute/stock'),
+    '/api/trading/execute/option': require('../routes/trading/execute/option')
+  });
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  db.reset();
+  db.respond = answerQuery;
+  authorPolicy = null;
+});
+
+test('a bullish post places a long stock order with the simulated broker', async () => {
+  const outcome = await analyzeAndRecord('$AAPL shares surge after a record quarter');
+
+  assert.equal(outcome.outcome, 'completed');
+  assert.equal(outcome.tradesAccepted, 1);
+  assert.equal(outcome.tradesRejected, 0);
+
+  const orders = await getBroker().listOrders({ status: 'all' });
+  const order = orders.find(candidate => candidate.symbol === 'AAPL');
+  assert.ok(order, 'expected an AAPL order at the broker');
+  assert.equal(order.side, 'buy');
+
+  const [logged] = loggedTrades();
+  assert.ok(logged, 'expected the placed trade to be logged');
+  assert.ok(logged.values.includes('AAPL'));
+  assert.ok(logged.values.includes(order.id));
+});
+
+test('a bearish post opens a short position', async () => {
+  const outcome = await analyzeAndRecord('$XOM faces a lawsuit and an investigation');
+
+  assert.equal(outcome.outcome, 'completed');
+  assert.equal(outcome.tradesAccepted, 1);
+
+  const orders = await getBroker().listOrders({ status: 'all' });
+  const order = orders.find(candidate => candidate.symbol === 'XOM');
+  assert.ok(order, 'expected an XOM order at the broker');
+  assert.equal(order.side, 'sell');
+  assert.equal(loggedTrades().length, 1);
+});
+
+test('a post without a market effect completes without trading', async () => {
+  const ordersBefore = (await getBroker().listOrders({ status: 'all' })).length;
+  const outcome = await analyzeAndRecord('Nice weather for a walk today');
+
+  assert.equal(outcome.outcome, 'completed');
+  assert.equal(outcome.tradesAccepted, 0);
+  assert.equal((await getBroker().listOrders({ status: 'all' })).length, ordersBefore);
+  assert.equal(loggedTrades().length, 0);
+});
+
+test('a result recorded twice only trades once', async () => {
+  const first = await analyzeAndRecord('$MSFT beats estimates on cloud growth');
+  const { result } = await getAnalyzer().analyze({ tweetContent: '$MSFT beats estimates on cloud growth' });
+  const second = await recordAnalysisResult(tweetProcess.tweet_process_id, result);
+
+  assert.equal(first.outcome, 'completed');
+  assert.equal(second.outcome, 'duplicate');
+  assert.equal(loggedTrades().length, 1);
+});
+
+/**
+ * Helper function to find the rejections the workflow stored
+ * @returns {Array} - INSERT INTO trade_rejections queries
+ */
+function storedRejections() {
+  return db.find('INSERT INTO trade_rejections');
+}
+
+test("a trade blocked by the author's policy is stored with the policy reasons", async () => {
+  authorPolicy = { ticker_denylist: ['NVDA'] };
+  const outcome = await analyzeAndRecord('$NVDA shares surge after a record quarter');
+
+  assert.equal(outcome.tradesAccepted, 1);
+  assert.equal(outcome.tradesBlocked, 1);
+  assert.equal(loggedTrades().length, 0);
+
+  const [rejection] = storedRejections();
+  assert.ok(rejection, 'expected the blocked trade to be stored');
+  assert.ok(rejection.values.includes('policy'));
+  assert.ok(rejection.values.includes(JSON.stringify(["NVDA is on the author's ticker denylist"])));
+
+  const [counted] = db.find('SET trades_blocked');
+  assert.equal(counted.values[0], 1);
+});
+
+test('a trade sized to $0 is stored with the sizing reason', async t => {
+  const broker = getBroker();
+  const { getAccount } = broker;
+  broker.getAccount = async () => {
+    throw new Error('account service unavailable');
+  };
+  t.after(() => {
+    broker.getAccount = getAccount;
+  });
+
+  const outcome = await analyzeAndRecord('$AMD shares surge after a record quarter');
+
+  assert.equal(outcome.tradesBlocked, 1);
+  assert.equal(loggedTrades().length, 0);
+
+  const [rejection] = storedRejections();
+  assert.ok(rejection.values.includes('sizing'));
+  assert.ok(rejection.values.includes(JSON.stringify(['Account could not be read for sizing: account service unavailable'])));
+});
+
+test('a placed trade is not counted as blocked', async () => {
+  const outcome = await analyzeAndRecord('$GOOGL shares surge after a record quarter');
+
+  assert.equal(outcome.tradesBlocked, 0);
+  assert.equal(storedRejections().length, 0);
+  assert.equal(db.find('SET trades_blocked')[0].values[0], 0);
+});
@@ -0,0 +1,111 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeSql } = require('./helpers/fake-sql');
+const { startServer } = require('./helpers/server');
+
+const db = installFakeSql();
+process.env.BROKER = 'simulated';
+process.env.SIM_STARTING_CASH = '100000';
+process.env.SIM_PRICES = JSON.stringify({ AMD: 100, NVDA: 100 });
+process.env.SIZING_MAX_PER_TICKER_PCT = '10';
+process.env.TRADING_MODE = 'paper';
+
+let server;
+// Stored trading policy overrides of the trade's author
+let authorPolicy = null;
+
+const pendingTrade = {
+  id: 7,
+  tweet_process_id: 'process-7',
+  ticker: 'AMD',
+  direction: 'long',
+  instrument: 'stock',
+  dollar_amount: '1000.00'
+};
+
+/**
+ * Helper function to answer the queries the approve route runs
+ * @param {string} text - Query text with placeholders collapsed
+ * @returns {Array} - Rows
+ */
+function answerQuery(text) {
+  if (text.startsWith('SELECT tweet_process_id, ticker, direction, instrument, dollar_amount FROM trades')) {
+    return [pendingTrade];
+  }
+
+  if (text.includes('JOIN subscribed_authors')) {
+    return authorPolicy ? [{ trading_policy: authorPolicy }] : [];
+  }
+
+  if (text.includes("SET status = 'queued'")) {
+    return [{ ...pendingTrade, confidence: 0.8, days_to_hold: 5, target_expiry_date: null, queued_at: new Date().toISOString() }];
+  }
+
+  return [];
+}
+
+/**
+ * Helper function to find the query that approved the trade
+ * @returns {object|undefined} - The approving UPDATE
+ */
+function approvingUpdate() {
+  return db.find("SET status = 'queued'")[0];
+}
+
+before(async () => {
+  server = await startServer({
+    '/api/trades/approvals': require('../routes/trades/approvals'),
+    '/api/trading/execute/stock': require('../routes/trading/execute/stock')
+  });
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  db.reset();
+  db.respond = answerQuery;
+  authorPolicy = null;
+});
+
+test("an edited amount above the author's max_dollars_per_trade is rejected", async () => {
+  authorPolicy = { max_dollars_per_trade: 500 };
+
+  const { status, body } = await server.post('/api/trades/approvals/7/approve', { dollar_amount: 800 });
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Amount not allowed');
+  assert.equal(body.max_dollar_amount, 500);
+  assert.equal(approvingUpdate(), undefined);
+});
+
+test('an edited amount above the per-ticker sizing cap is rejected', async () => {
+  const { status, body } = await server.post('/api/trades/approvals/7/approve', { dollar_amount: 20000 });
+
+  assert.equal(status, 400);
+  assert.match(body.message, /max_per_ticker sizing cap/);
+  assert.equal(body.max_dollar_amount, 10000);
+  assert.equal(approvingUpdate(), undefined);
+});
+
+test('a replacement ticker within the sizing caps is approved with the sized amount', async () => {
+  const { status, body } = await server.post('/api/trades/approvals/7/approve', { ticker: 'NVDA' });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.ok(approvingUpdate().values.includes('NVDA'));
+});
+
+test('an approved trade is requeued from the approval time with the edited amount', async () => {
+  authorPolicy = { max_dollars_per_trade: 5000 };
+
+  const { status } = await server.post('/api/trades/approvals/7/approve', { dollar_amount: 800, note: 'smaller' });
+
+  assert.equal(status, 200);
+  const update = approvingUpdate();
+  assert.ok(update.text.includes('queued_at = NOW()'));
+  assert.ok(update.values.includes(800));
+  assert.ok(update.values.includes('smaller'));
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.BROKER = 'simulated';
+
+const { getBroker } = require('../routes/trading/broker');
+const { normalizeTicker, resolveTicker, checkAssetForTrade, verifyTicker } = require('../routes/trading/assets');
+
+// List an APPLE symbol for another company, so "apple" and "APPLE" resolve differently.
+// Unlike the simulated assets, it cannot be borrowed for a short sale.
+// The asset list is loaded once and cached, so this must be in place before the first lookup.
+const broker = getBroker();
+const { listAssets } = broker;
+broker.listAssets = async params => [
+  ...await listAssets.call(broker, params),
+  { symbol: 'APPLE', name: 'Apple Hospitality REIT', class: 'us_equity', status: 'active', tradable: true, fractionable: true, shortable: true, easy_to_borrow: false }
+];
+
+/**
+ * Helper function to resolve a ticker or name and keep what the tests compare
+ * @param {string} input - Ticker or company name
+ * @returns {Promise<object>} - { symbol, matchedBy } or { reason }
+ */
+async function resolve(input) {
+  const resolution = await resolveTicker(input);
+  return resolution.resolved
+    ? { symbol: resolution.symbol, matchedBy: resolution.matchedBy }
+    : { reason: resolution.reason };
+}
+
+test('tickers are normalized the way Alpaca writes them', () => {
+  assert.equal(normalizeTicker('$aapl'), 'AAPL');
+  assert.equal(normalizeTicker(' tsla '), 'TSLA');
+  assert.equal(normalizeTicker('BRK-B'), 'BRK.B');
+  assert.equal(normalizeTicker('BRK/B'), 'BRK.B');
+  assert.equal(normalizeTicker('brk b'), 'BRK.B');
+  assert.equal(normalizeTicker('BRK.B'), 'BRK.B');
+  // Only a one or two letter suffix is a share class
+  assert.equal(normalizeTicker('Apple Inc'), 'APPLE INC');
+});
+
+test('tickers resolve as symbols, however they are written', async () => {
+  assert.deepEqual(await resolve('$AAPL'), { symbol: 'AAPL', matchedBy: 'symbol' });
+  assert.deepEqual(await resolve('brk-b'), { symbol: 'BRK.B', matchedBy: 'symbol' });
+});
+
+test('company names resolve without corporate suffixes or share descriptions', async () => {
+  assert.deepEqual(await resolve('Apple'), { symbol: 'AAPL', matchedBy: 'name' });
+  assert.deepEqual(await resolve('Tesla, Inc.'), { symbol: 'TSLA', matchedBy: 'name' });
+  assert.deepEqual(await resolve('Alibaba'), { symbol: 'BABA', matchedBy: 'name' });
+  assert.deepEqual(await resolve('Coca-Cola'), { symbol: 'KO', matchedBy: 'name' });
+  assert.deepEqual(await resolve('AT&T'), { symbol: 'T', matchedBy: 'name' });
+});
+
+test('a name of two or more words matches the leading words of a longer name', async () => {
+  assert.deepEqual(await resolve('Taiwan Semiconductor'), { symbol: 'TSM', matchedBy: 'name' });
+});
+
+test('a single word never matches as the start of a longer name', async () => {
+  assert.deepEqual(await resolve('General'), { reason: '"General" is not a known ticker or company name' });
+  assert.deepEqual(await resolve('Taiwan'), { reason: '"Taiwan" is not a known ticker or company name' });
+});
+
+test('a name shared by several share classes is not resolved', async () => {
+  assert.deepEqual(await resolve('Alphabet'), { reason: '"Alphabet" matches several assets: GOOGL, GOOG' });
+  // Share classes are dropped from names, so only the symbol picks one
+  assert.deepEqual(await resolve('Berkshire Hathaway Class B'), { reason: '"Berkshire Hathaway Class B" matches several assets: BRK.A, BRK.B' });
+});
+
+test('a lower-case company name that spells another symbol resolves to the company', async () => {
+  assert.deepEqual(await resolve('apple'), { symbol: 'AAPL', matchedBy: 'name' });
+  assert.deepEqual(await resolve('APPLE'), { symbol: 'APPLE', matchedBy: 'symbol' });
+  assert.deepEqual(await resolve('Apple Hospitality'), { symbol: 'APPLE', matchedBy: 'name' });
+});
+
+test('empty input is not resolved', async () => {
+  assert.deepEqual(await resolve('  '), { reason: 'Ticker must be a non-empty string' });
+  assert.deepEqual(await resolveTicker(null), { resolved: false, reason: 'Ticker must be a non-empty string' });
+});
+
+test('an asset must support the way the trade is placed', async () => {
+  const asset = { symbol: 'XYZ', tradable: true, status: 'active', shortable: true, easy_to_borrow: false, fractionable: false };
+
+  assert.deepEqual(checkAssetForTrade(asset, { direction: 'short' }).reasons, ['XYZ is not easy to borrow']);
+  assert.deepEqual(checkAssetForTrade(asset, { fractional: true }).reasons, ['XYZ is not fractionable, so it cannot be bought by dollar amount']);
+  // Options on the asset are not limited by how its shares trade
+  assert.equal(checkAssetForTrade(asset, { direction: 'short', instrument: 'put' }).allowed, true);
+  assert.deepEqual(checkAssetForTrade({ ...asset, tradable: false }).reasons, ['XYZ is not tradable']);
+});
+
+test('a ticker is verified against the asset it resolves to', async () => {
+  assert.deepEqual(
+    await verifyTicker('APPLE', { direction: 'short', instrument: 'stock' }),
+    { verified: false, reasons: ['APPLE is not easy to borrow'] }
+  );
+
+  const verified = await verifyTicker('Apple', { direction: 'short', instrument: 'stock' });
+  assert.equal(verified.verified, true);
+  assert.equal(verified.symbol, 'AAPL');
+});
@@ -0,0 +1,139 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeSql } = require('./helpers/fake-sql');
+
+const db = installFakeSql();
+process.env.BROKER = 'simulated';
+process.env.SIM_PRICES = JSON.stringify({ AAPL: 120 });
+
+const { getTradePnL, rollUpPnL, summarizePnL } = require('../routes/trades/attribution');
+
+/**
+ * Helper function to build a trade row as getTradePnL selects it
+ * @param {object} fields - Fields to override
+ * @returns {object} - Trade row
+ */
+function buildTradeRow(fields) {
+  return {
+    id: 1,
+    tweet_process_id: 'process-1',
+    author_id: 'author-1',
+    author_name: 'Author',
+    ticker: 'AAPL',
+    instrument: 'stock',
+    option_symbol: null,
+    direction: 'long',
+    status: 'executed',
+    order_id: 'order-1',
+    filled_qty: '10',
+    entry_price: '100',
+    entry_filled_at: null,
+    exit_price: null,
+    exited_at: null,
+    realized_pl: null,
+    partial_exit_qty: '0',
+    partial_exit_value: '0',
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  db.reset();
+});
+
+test('an open lot has unrealized P&L on its whole quantity', async () => {
+  db.respond = () => [buildTradeRow({})];
+
+  const [trade] = await getTradePnL('paper');
+
+  assert.equal(trade.lot, 'open');
+  assert.equal(trade.cost_basis, 1000);
+  assert.equal(trade.unrealized_pl, 200);
+  assert.equal(trade.realized_pl, null);
+  assert.equal(trade.total_pl, 200);
+});
+
+test('a partly sold lot splits its P&L between the part sold and the part still held', async () => {
+  // 6 of 10 shares were sold at 110 before the exit order was canceled
+  db.respond = () => [buildTradeRow({ partial_exit_qty: '6', partial_exit_value: '660' })];
+
+  const [trade] = await getTradePnL('paper');
+
+  assert.equal(trade.lot, 'open');
+  assert.equal(trade.open_qty, 4);
+  assert.equal(trade.cost_basis, 400);
+  assert.equal(trade.realized_pl, 60);
+  assert.equal(trade.unrealized_pl, 80);
+  assert.equal(trade.total_pl, 140);
+});
+
+test('a closed lot reports its recorded realized P&L', async () => {
+  db.respond = () => [buildTradeRow({ status: 'closed', exit_price: '112', realized_pl: '120', partial_exit_qty: '8', partial_exit_value: '880' })];
+
+  const [trade] = await getTradePnL('paper');
+
+  assert.equal(trade.lot, 'closed');
+  assert.equal(trade.realized_pl, 120);
+  assert.equal(trade.unrealized_pl, null);
+});
+
+/**
+ * Helper function to build a trade P&L row as getTradePnL returns it
+ * @param {object} fields - Fields to override
+ * @returns {object} - Trade P&L row
+ */
+function buildPnLRow(fields) {
+  return {
+    author_id: 'author-1',
+    author_name: 'Author',
+    ticker: 'AAPL',
+    lot: 'closed',
+    cost_basis: 1000,
+    realized_pl: null,
+    unrealized_pl: null,
+    total_pl: 0,
+    ...fields
+  };
+}
+
+test('P&L rolls up by group with lot counts, winners and losers, best total first', () => {
+  const rows = [
+    buildPnLRow({ author_id: 'a', author_name: 'A', lot: 'closed', realized_pl: 50, total_pl: 50 }),
+    buildPnLRow({ author_id: 'a', author_name: 'A', lot: 'closed', realized_pl: -20, total_pl: -20 }),
+    buildPnLRow({ author_id: 'a', author_name: 'A', lot: 'open', cost_basis: 400, realized_pl: 60, unrealized_pl: 80, total_pl: 140 }),
+    buildPnLRow({ author_id: 'b', author_name: 'B', lot: 'unfilled', cost_basis: null }),
+    buildPnLRow({ author_id: 'b', author_name: 'B', lot: 'closed', realized_pl: 300, total_pl: 300 })
+  ];
+
+  const [b, a] = rollUpPnL(rows, ['author_id', 'author_name']);
+
+  assert.deepEqual(a, {
+    author_id: 'a',
+    author_name: 'A',
+    trades: 3,
+    open_lots: 1,
+    closed_lots: 2,
+    unfilled_lots: 0,
+    winners: 1,
+    losers: 1,
+    open_cost_basis: 400,
+    realized_pl: 90,
+    unrealized_pl: 80,
+    total_pl: 170
+  });
+  assert.equal(b.author_id, 'b');
+  assert.equal(b.unfilled_lots, 1);
+  assert.equal(b.total_pl, 300);
+});
+
+test('a summary totals every trade, and is zeroed when there are none', () => {
+  const summary = summarizePnL([
+    buildPnLRow({ ticker: 'AAPL', realized_pl: 10, total_pl: 10 }),
+    buildPnLRow({ ticker: 'MSFT', realized_pl: 5, total_pl: 5 })
+  ]);
+
+  assert.equal(summary.trades, 2);
+  assert.equal(summary.total_pl, 15);
+  assert.equal(summarizePnL([]).trades, 0);
+});
@@ -0,0 +1,65 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeSql } = require('./helpers/fake-sql');
+
+const db = installFakeSql();
+
+const { getAuthorStats, calculateCredibilityScore, describeTrackRecord } = require('../routes/authors/author-stats');
+
+beforeEach(() => {
+  db.reset();
+  delete process.env.AUTHOR_CREDIBILITY_PRIOR_TRADES;
+});
+
+afterEach(() => {
+  delete process.env.AUTHOR_CREDIBILITY_PRIOR_TRADES;
+});
+
+test('an author without closed trades scores 50', () => {
+  assert.equal(calculateCredibilityScore(0, 0), 50);
+});
+
+test('the win rate is shrunk towards 50% by the prior trades', () => {
+  // 10 wins of 10, plus 10 neutral prior trades: (10 + 5) / 20
+  assert.equal(calculateCredibilityScore(10, 10), 75);
+  // 0 wins of 10: (0 + 5) / 20
+  assert.equal(calculateCredibilityScore(10, 0), 25);
+  // A long record outweighs the prior
+  assert.equal(calculateCredibilityScore(1000, 900), 90);
+});
+
+test('the prior can be changed, or turned off to score the raw win rate', () => {
+  process.env.AUTHOR_CREDIBILITY_PRIOR_TRADES = '0';
+  assert.equal(calculateCredibilityScore(4, 3), 75);
+  assert.equal(calculateCredibilityScore(0, 0), 50);
+
+  process.env.AUTHOR_CREDIBILITY_PRIOR_TRADES = 'not a number';
+  assert.equal(calculateCredibilityScore(10, 10), 75);
+});
+
+test('author stats rows are converted to rates and scores', async () => {
+  db.respond = () => [{
+    author_id: 'author-1',
+    name: 'Author',
+    platform: 'twitter',
+    posts: '12',
+    completed_posts: '10',
+    market_effect_posts: '4',
+    trades_generated: '6',
+    executed_trades: '5',
+    closed_trades: '4',
+    winning_trades: '3',
+    average_return: '0.025',
+    realized_pl: '123.456'
+  }];
+
+  const [stats] = await getAuthorStats({ tradingMode: 'paper' });
+
+  assert.equal(stats.market_effect_rate, 0.4);
+  assert.equal(stats.win_rate, 0.75);
+  assert.equal(stats.average_return_pct, 2.5);
+  assert.equal(stats.realized_pl, 123.46);
+  assert.equal(stats.credibility_score, calculateCredibilityScore(4, 3));
+  assert.match(describeTrackRecord(stats), /4 closed trades .* won 75% of the time, with an average return of \+2\.50%/);
+});
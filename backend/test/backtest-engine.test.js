@@ -0,0 +1,172 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { installFakeSql } = require('./helpers/fake-sql');
+
+const db = installFakeSql();
+const csvDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-bars-'));
+process.env.BACKTEST_CSV_DIR = csvDir;
+
+const { runBacktest } = require('../routes/backtest/engine');
+const { getBarSource } = require('../routes/backtest/bar-sources');
+const { getSizingConfig } = require('../routes/trading/sizing');
+
+/**
+ * Helper function to write a daily bar CSV file for a ticker
+ * @param {string} ticker - Stock ticker
+ * @param {Array} bars - [date, open, close] rows
+ */
+function writeBars(ticker, bars) {
+  const rows = bars.map(([date, open, close]) => `${date},${open},${Math.max(open, close)},${Math.min(open, close)},${close},1000`);
+  fs.writeFileSync(path.join(csvDir, `${ticker}.csv`), ['date,open,high,low,close,volume', ...rows].join('\n'));
+}
+
+/**
+ * Helper function to build a stored tweet process as loadTweetProcesses selects it
+ * @param {string} id - Tweet process ID
+ * @param {string} submittedAt - Submission time (ISO)
+ * @param {Array} trades - Stored trades
+ * @returns {object} - Tweet process row
+ */
+function buildProcess(id, submittedAt, trades) {
+  return { tweet_process_id: id, author_id: 'author-1', author_name: 'Author', submitted_at: submittedAt, trades };
+}
+
+/**
+ * Helper function to run a backtest over January 2025 with fixed sizing
+ * @param {Array} processes - Tweet process rows the database returns
+ * @returns {Promise<object>} - Backtest result
+ */
+function runJanuaryBacktest(processes) {
+  db.respond = text => (text.includes('FROM tweet_processes') ? processes : []);
+
+  return runBacktest({
+    start: '2025-01-01',
+    end: '2025-01-31',
+    barSource: getBarSource('csv'),
+    sizingConfig: { ...getSizingConfig(), mode: 'fixed', fixedBaseAmount: 1000, maxPerTickerPct: 100 },
+    startingEquity: 10000
+  });
+}
+
+before(() => {
+  writeBars('AAPL', [
+    ['2025-01-06', 100, 101],
+    ['2025-01-07', 102, 103],
+    ['2025-01-08', 104, 105],
+    ['2025-01-09', 110, 111],
+    ['2025-01-10', 112, 112]
+  ]);
+  writeBars('XOM', [
+    ['2025-01-06', 50, 50],
+    ['2025-01-07', 50, 50],
+    ['2025-01-08', 48, 48],
+    ['2025-01-09', 45, 45],
+    ['2025-01-10', 45, 45]
+  ]);
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+after(() => {
+  fs.rmSync(csvDir, { recursive: true, force: true });
+});
+
+test('a signal before the open enters at the open and exits at the open after days_to_hold', async () => {
+  // 08:00 in New York, before the session opens
+  const result = await runJanuaryBacktest([
+    buildProcess('p1', '2025-01-06T13:00:00Z', [{ stock_ticker: 'AAPL', timeline: 3, reasoning: 'r', confidence: 1 }])
+  ]);
+
+  const [trade] = result.trades;
+  assert.equal(trade.entry_date, '2025-01-06');
+  assert.equal(trade.entry_price, 100);
+  assert.equal(trade.exit_date, '2025-01-09');
+  assert.equal(trade.exit_price, 110);
+  assert.equal(trade.realized_pl, 100);
+  assert.equal(result.summary.ending_equity, 10100);
+});
+
+test('a short signal during the session enters at the close and profits from a fall', async () => {
+  // 10:00 in New York, during the session
+  const result = await runJanuaryBacktest([
+    buildProcess('p2', '2025-01-07T15:00:00Z', [{ stock_ticker: 'XOM', timeline: 2, reasoning: 'r', confidence: 0.5, direction: 'short' }])
+  ]);
+
+  const [trade] = result.trades;
+  assert.equal(trade.direction, 'short');
+  assert.equal(trade.entry_price, 50);
+  assert.equal(trade.dollar_amount, 500);
+  assert.equal(trade.exit_price, 45);
+  assert.equal(trade.realized_pl, 50);
+  assert.equal(result.summary.hit_rate, 1);
+});
+
+test('a position still held at the end of the data is marked at the last close', async () => {
+  const result = await runJanuaryBacktest([
+    buildProcess('p3', '2025-01-09T13:00:00Z', [{ stock_ticker: 'AAPL', timeline: 30, reasoning: 'r', confidence: 1 }])
+  ]);
+
+  const [trade] = result.trades;
+  assert.equal(trade.status, 'open');
+  assert.equal(trade.exit_price, 112);
+  assert.equal(result.summary.open_trades, 1);
+});
+
+test('options trades and tickers without bars are skipped with a reason', async () => {
+  const result = await runJanuaryBacktest([
+    buildProcess('p4', '2025-01-06T13:00:00Z', [
+      { stock_ticker: 'AAPL', timeline: 3, reasoning: 'r', confidence: 1, instrument: 'call' },
+      { stock_ticker: 'MSFT', timeline: 3, reasoning: 'r', confidence: 1 }
+    ])
+  ]);
+
+  assert.equal(result.trades.length, 0);
+  assert.deepEqual(result.skipped.map(skip => skip.reason), ['Options trades are not backtested', 'No price data after the post']);
+  assert.equal(result.summary.signals, 2);
+});
+
+test('stored trades are validated like workflow trades and their tickers normalized', async () => {
+  const result = await runJanuaryBacktest([
+    buildProcess('p5', '2025-01-06T13:00:00Z', [
+      { stock_ticker: '$aapl', timeline: 3, reasoning: 'r', confidence: 1 },
+      { stock_ticker: 'XOM', timeline: '3', reasoning: 'r', confidence: 1 },
+      { stock_ticker: 'XOM', timeline: 3, reasoning: ' ', confidence: 1 },
+      { stock_ticker: 'XOM', timeline: 3, reasoning: 'r', confidence: 1, direction: 'sell' }
+    ])
+  ]);
+
+  assert.deepEqual(result.trades.map(trade => trade.ticker), ['AAPL']);
+  assert.deepEqual(result.skipped.map(skip => skip.reason), [
+    'timeline must be a whole number of days between 1 and 365, got "3"',
+    'reasoning is required',
+    'direction "sell" is not accepted; use "short" to open a short position'
+  ]);
+  assert.equal(result.summary.signals, 4);
+});
+
+test('an options expiry is checked against the day of the post, not today', async () => {
+  const result = await runJanuaryBacktest([
+    buildProcess('p6', '2025-01-06T13:00:00Z', [
+      { stock_ticker: 'AAPL', timeline: 3, reasoning: 'r', confidence: 1, instrument: 'call', target_expiry_date: '2025-01-17' },
+      { stock_ticker: 'AAPL', timeline: 3, reasoning: 'r', confidence: 1, instrument: 'call', target_expiry_date: '2025-01-06' }
+    ])
+  ]);
+
+  assert.deepEqual(result.skipped.map(skip => skip.reason), [
+    'Options trades are not backtested',
+    'target_expiry_date must be after today (2025-01-06), got 2025-01-06'
+  ]);
+});
+
+test('dry-run processes are left out of the replay', async () => {
+  await runJanuaryBacktest([]);
+
+  const [query] = db.find('FROM tweet_processes');
+  assert.match(query.text, /tp\.dry_run = false/);
+});
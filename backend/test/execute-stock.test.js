@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeSql } = require('./helpers/fake-sql');
+const { startServer } = require('./helpers/server');
+
+installFakeSql();
+process.env.BROKER = 'simulated';
+process.env.SIM_PRICES = JSON.stringify({ XOM: 100, MSFT: 100, NVDA: 100 });
+
+const { getBroker } = require('../routes/trading/broker');
+
+let server;
+
+before(async () => {
+  server = await startServer({ '/api/trading/execute/stock': require('../routes/trading/execute/stock') });
+});
+
+after(() => {
+  server.close();
+});
+
+test('a buy opens a long position', async () => {
+  const { status, body } = await server.post('/api/trading/execute/stock/buy', { ticker: 'MSFT', qty: 3 });
+
+  assert.equal(status, 200);
+  assert.equal(body.order.side, 'buy');
+  assert.equal((await getBroker().getPosition('MSFT')).qty, '3');
+});
+
+test('a sell without a long position is refused', async () => {
+  const { status, body } = await server.post('/api/trading/execute/stock/sell', { ticker: 'NVDA', qty: 1 });
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'No long position');
+});
+
+test('a short is refused while the ticker is held long', async () => {
+  const { status, body } = await server.post('/api/trading/execute/stock/short', { ticker: 'MSFT', qty: 1 });
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Long position open');
+});
+
+test('a buy is refused while the ticker is held short, so it never covers another lot', async () => {
+  const short = await server.post('/api/trading/execute/stock/short', { ticker: 'XOM', qty: 5 });
+  assert.equal(short.status, 200);
+
+  const { status, body } = await server.post('/api/trading/execute/stock/buy', { ticker: 'XOM', dollarAmount: 200 });
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Short position open');
+  assert.equal((await getBroker().getPosition('XOM')).qty, '-5');
+});
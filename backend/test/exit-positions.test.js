@@ -0,0 +1,150 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeSql } = require('./helpers/fake-sql');
+
+const db = installFakeSql();
+process.env.BROKER = 'simulated';
+
+const { getBroker } = require('../routes/trading/broker');
+const { calculateRealizedPL, combineExitFills, exitExpiredPositions } = require('../routes/jobs/exit-positions');
+
+beforeEach(() => {
+  db.reset();
+});
+
+test('realized P&L of a long lot is the price gain times the quantity', () => {
+  assert.equal(calculateRealizedPL('long', 100, 110, 10), 100);
+  assert.equal(calculateRealizedPL('long', 100, 90, 10), -100);
+});
+
+test('realized P&L of a short lot is the price drop times the quantity', () => {
+  assert.equal(calculateRealizedPL('short', 100, 90, 10), 100);
+  assert.equal(calculateRealizedPL('short', 100, 110, 10), -100);
+});
+
+test('options P&L counts 100 shares per contract', () => {
+  assert.equal(calculateRealizedPL('long', 2.5, 3, 2, 'call'), 100);
+});
+
+test('an exit fill is averaged with the part of the lot sold earlier', () => {
+  const trade = { partial_exit_qty: '8', partial_exit_value: '880' };
+
+  assert.deepEqual(combineExitFills(trade, 2, 120), { qty: 10, avgPrice: 112 });
+});
+
+test('an exit without earlier partial fills keeps its own price', () => {
+  assert.deepEqual(combineExitFills({ partial_exit_qty: '0', partial_exit_value: '0' }, 5, 50), { qty: 5, avgPrice: 50 });
+  assert.deepEqual(combineExitFills({}, 0, 50), { qty: 0, avgPrice: null });
+});
+
+/**
+ * Helper function to build a due bracket trade as exitExpiredPositions selects it
+ * @returns {object} - Trade row
+ */
+function buildBracketTrade() {
+  return {
+    id: 7,
+    ticker: 'AAPL',
+    direction: 'long',
+    instrument: 'stock',
+    option_symbol: null,
+    order_id: 'entry-1',
+    order_class: 'bracket',
+    filled_qty: '10',
+    entry_price: '100',
+    partial_exit_qty: '0',
+    partial_exit_value: '0'
+  };
+}
+
+/**
+ * Helper function to replace broker methods for one test
+ * @param {object} t - Test context
+ * @param {object} methods - Methods to replace
+ */
+function stubBroker(t, methods) {
+  const broker = getBroker();
+  const originals = Object.fromEntries(Object.keys(methods).map(name => [name, broker[name]]));
+  Object.assign(broker, methods);
+  t.after(() => Object.assign(broker, originals));
+}
+
+/**
+ * Helper function to stub a bracket entry order whose legs report the given status
+ * once canceled, and a position with the given quantities
+ * @param {object} t - Test context
+ * @param {object} options - { legStatusAfterCancel, position }
+ * @returns {object} - { canceled, submitted } order IDs and payloads seen by the broker
+ */
+function stubBracketBroker(t, { legStatusAfterCancel, position }) {
+  const seen = { canceled: [], submitted: [] };
+
+  stubBroker(t, {
+    async getOrder(orderId) {
+      if (orderId === 'entry-1') {
+        return { id: 'entry-1', status: 'filled', legs: [{ id: 'take-profit', status: 'new' }, { id: 'stop-loss', status: 'held' }] };
+      }
+      return { id: orderId, status: seen.canceled.includes(orderId) ? legStatusAfterCancel : 'new' };
+    },
+    async cancelOrder(orderId) {
+      seen.canceled.push(orderId);
+    },
+    async getPosition() {
+      if (!position) {
+        throw Object.assign(new Error('position does not exist'), { response: { status: 404 } });
+      }
+      return { side: 'long', ...position };
+    },
+    async submitOrder(payload) {
+      seen.submitted.push(payload);
+      return { id: 'exit-1', ...payload };
+    }
+  });
+
+  return seen;
+}
+
+test('a bracket lot is sold once its legs are confirmed canceled', async t => {
+  db.respond = text => (text.includes("WHERE status = 'executed'") ? [buildBracketTrade()] : []);
+  const seen = stubBracketBroker(t, { legStatusAfterCancel: 'canceled', position: { qty: '10', qty_available: '10' } });
+
+  const { submitted } = await exitExpiredPositions();
+
+  assert.deepEqual(seen.canceled, ['take-profit', 'stop-loss']);
+  assert.equal(submitted[0].submitted, true);
+  assert.equal(seen.submitted[0].qty, '10');
+  assert.equal(db.find("SET status = 'exiting'").length, 1);
+});
+
+test('a bracket lot whose leg cancels are still pending stays executed', async t => {
+  db.respond = text => (text.includes("WHERE status = 'executed'") ? [buildBracketTrade()] : []);
+  const seen = stubBracketBroker(t, { legStatusAfterCancel: 'pending_cancel', position: { qty: '10', qty_available: '0' } });
+
+  const { submitted } = await exitExpiredPositions();
+
+  assert.equal(submitted[0].submitted, false);
+  assert.equal(submitted[0].reason, 'Bracket legs are still being canceled');
+  assert.equal(seen.submitted.length, 0);
+  assert.equal(db.find("SET status = 'closed'").length, 0);
+});
+
+test('an open position whose shares are all held by other orders is not marked closed', async t => {
+  db.respond = text => (text.includes("WHERE status = 'executed'") ? [buildBracketTrade()] : []);
+  stubBracketBroker(t, { legStatusAfterCancel: 'canceled', position: { qty: '10', qty_available: '0' } });
+
+  const { submitted } = await exitExpiredPositions();
+
+  assert.equal(submitted[0].reason, 'Position shares are held by open orders');
+  assert.equal(db.find("SET status = 'closed'").length, 0);
+});
+
+test('a lot whose position is gone is marked closed', async t => {
+  db.respond = text => (text.includes("WHERE status = 'executed'") ? [buildBracketTrade()] : []);
+  stubBracketBroker(t, { legStatusAfterCancel: 'canceled', position: null });
+
+  const { submitted } = await exitExpiredPositions();
+
+  assert.equal(submitted[0].reason, 'Position no longer open');
+  assert.equal(db.find("SET status = 'closed'").length, 1);
+});
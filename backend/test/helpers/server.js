@@ -0,0 +1,52 @@
+const express = require('express');
+
+/**
+ * Serve routers on a local port, the way server.js mounts them but without authentication.
+ * DEPLOYMENT_URL is pointed at the server, so internal calls to the execute routes
+ * (placeTradeOrder) reach it.
+ * @param {object} routes - Routers keyed by mount path, e.g. { '/api/trading/execute/stock': router }
+ * @returns {Promise<object>} - { baseUrl, post, close }
+ */
+async function startServer(routes) {
+  const app = express();
+  // Keep the raw body like server.js, so webhook signatures can be checked
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  const host = `localhost:${server.address().port}`;
+  process.env.DEPLOYMENT_URL = host;
+  const baseUrl = `http://${host}`;
+
+  return {
+    baseUrl,
+
+    // POST a JSON body (a string is sent as is) with any extra headers, and resolve with { status, body }
+    async post(path, body, headers = {}) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+
+    close() {
+      server.close();
+    }
+  };
+}
+
+module.exports = {
+  startServer,
+};
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.BROKER = 'simulated';
+
+const { RESULT_SCHEMA, validateAnalysisResult, validateTrade, screenTrades } = require('../routes/tweet-workflow/result-schema');
+
+/**
+ * Helper function to build a valid trade
+ * @param {object} fields - Fields to override
+ * @returns {object} - Trade
+ */
+function buildTrade(fields = {}) {
+  return { stock_ticker: 'AAPL', timeline: 5, reasoning: 'Record quarter', confidence: 0.8, ...fields };
+}
+
+test('a result must have a known status and market_effect, and trades when it has an effect', () => {
+  assert.equal(validateAnalysisResult({ status: 'ok', market_effect: 'no' }).isValid, true);
+  assert.equal(validateAnalysisResult({ status: 'error', error_type: 'timeout' }).isValid, true);
+
+  assert.deepEqual(validateAnalysisResult({ status: 'done', market_effect: 'no' }).errors, ['status must be "ok" or "error"']);
+  assert.deepEqual(validateAnalysisResult({ status: 'ok', market_effect: 'yes', trades: [] }).errors, ['market_effect "yes" requires at least one trade']);
+  assert.deepEqual(validateAnalysisResult({ status: 'ok', market_effect: 'yes', trades: 'AAPL' }).errors, ['trades must be an array']);
+  assert.deepEqual(validateAnalysisResult(null).errors, ['Result must be an object']);
+});
+
+test('a complete trade passes', () => {
+  assert.deepEqual(validateTrade(buildTrade()), { isValid: true, errors: [] });
+  assert.equal(validateTrade(buildTrade({ direction: 'short' })).isValid, true);
+});
+
+test('timeline, confidence and reasoning are held to the schema limits', () => {
+  assert.equal(validateTrade(buildTrade({ timeline: 0 })).isValid, false);
+  assert.equal(validateTrade(buildTrade({ timeline: RESULT_SCHEMA.maxTimelineDays + 1 })).isValid, false);
+  assert.equal(validateTrade(buildTrade({ timeline: 2.5 })).isValid, false);
+  assert.equal(validateTrade(buildTrade({ confidence: 0 })).isValid, false);
+  assert.equal(validateTrade(buildTrade({ confidence: 1.2 })).isValid, false);
+  assert.equal(validateTrade(buildTrade({ confidence: '0.8' })).isValid, false);
+  assert.equal(validateTrade(buildTrade({ reasoning: 'x'.repeat(RESULT_SCHEMA.maxReasoningLength + 1) })).isValid, false);
+});
+
+test('every failed field is reported', () => {
+  const validation = validateTrade({ stock_ticker: '', timeline: '5', confidence: null, direction: 'sideways', instrument: 'future' });
+
+  assert.equal(validation.isValid, false);
+  assert.equal(validation.errors.length, 6);
+  assert.deepEqual(validateTrade([]).errors, ['Trade must be an object']);
+});
+
+test('"sell" is refused with a pointer to "short"', () => {
+  assert.deepEqual(validateTrade(buildTrade({ direction: 'sell' })).errors, ['direction "sell" is not accepted; use "short" to open a short position']);
+});
+
+test('an options expiry must be a real date after today', () => {
+  const call = buildTrade({ instrument: 'call' });
+
+  assert.equal(validateTrade({ ...call, target_expiry_date: '2025-02-30' }).isValid, false);
+  assert.equal(validateTrade({ ...call, target_expiry_date: '2025-01-17' }, { today: '2025-01-06' }).isValid, true);
+  assert.deepEqual(
+    validateTrade({ ...call, target_expiry_date: '2025-01-06' }, { today: '2025-01-06' }).errors,
+    ['target_expiry_date must be after today (2025-01-06), got 2025-01-06']
+  );
+  assert.equal(validateTrade({ ...call, target_expiry_date: '2000-01-21' }).isValid, false);
+});
+
+test('screened trades carry the resolved symbol and rejections keep their index', async () => {
+  const { accepted, rejected } = await screenTrades([
+    buildTrade({ stock_ticker: 'BRK-B' }),
+    buildTrade({ timeline: 0 }),
+    buildTrade({ stock_ticker: 'Not A Listed Company' }),
+    buildTrade({ stock_ticker: 'Tesla' })
+  ]);
+
+  assert.deepEqual(accepted.map(trade => trade.stock_ticker), ['BRK.B', 'TSLA']);
+  assert.deepEqual(rejected.map(rejection => rejection.index), [1, 2]);
+  assert.match(rejected[1].errors[0], /is not a known ticker or company name/);
+});
+
+test('trades past the maximum per result are rejected in order', async () => {
+  const trades = Array.from({ length: RESULT_SCHEMA.maxTrades + 2 }, () => buildTrade());
+  const { accepted, rejected } = await screenTrades(trades);
+
+  assert.equal(accepted.length, RESULT_SCHEMA.maxTrades);
+  assert.deepEqual(rejected.map(rejection => rejection.index), [RESULT_SCHEMA.maxTrades, RESULT_SCHEMA.maxTrades + 1]);
+  assert.deepEqual(rejected[0].errors, [`Exceeds the maximum of ${RESULT_SCHEMA.maxTrades} trades per result`]);
+});
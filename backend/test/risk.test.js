@@ -0,0 +1,76 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeSql } = require('./helpers/fake-sql');
+
+const db = installFakeSql();
+process.env.BROKER = 'simulated';
+process.env.SIM_STARTING_CASH = '100000';
+process.env.TRADING_MODE = 'paper';
+
+const { checkOrderRisk, enforceOrderRisk } = require('../routes/trading/risk');
+
+/**
+ * Helper function to answer the risk_settings query with a stored row
+ * @param {object} stored - Stored settings
+ */
+function storeSettings(stored) {
+  db.respond = text => (text.includes('FROM risk_settings') ? [stored] : []);
+}
+
+beforeEach(() => {
+  db.reset();
+});
+
+test('an order within the default limits is approved', async () => {
+  const { approved, reasons } = await checkOrderRisk({ symbol: 'AAPL', notional: 1000 });
+
+  assert.equal(approved, true);
+  assert.deepEqual(reasons, []);
+});
+
+test('the kill switch rejects every order', async () => {
+  storeSettings({ kill_switch: true, kill_switch_reason: 'maintenance' });
+
+  const { approved, reasons } = await checkOrderRisk({ symbol: 'AAPL', notional: 1 });
+
+  assert.equal(approved, false);
+  assert.deepEqual(reasons, ['Kill switch is on: maintenance']);
+});
+
+test('the settings row is chosen by trading mode', async () => {
+  await checkOrderRisk({ symbol: 'AAPL', notional: 1 });
+
+  const [settingsQuery] = db.find('FROM risk_settings');
+  assert.deepEqual(settingsQuery.values, [1]);
+});
+
+test('a blocked symbol is rejected, options included through their underlying', async () => {
+  storeSettings({ blocked_symbols: ['TSLA'] });
+
+  const stock = await checkOrderRisk({ symbol: 'TSLA', notional: 100 });
+  const option = await checkOrderRisk({ symbol: 'TSLA261218C00250000', notional: 100 });
+
+  assert.equal(stock.approved, false);
+  assert.match(stock.reasons[0], /TSLA is on the blocked symbol list/);
+  assert.equal(option.approved, false);
+});
+
+test('an order above the per-ticker concentration limit is rejected', async () => {
+  // Paper accounts allow 20% of equity per ticker by default
+  const { approved, reasons } = await checkOrderRisk({ symbol: 'AAPL', notional: 25000 });
+
+  assert.equal(approved, false);
+  assert.match(reasons[0], /AAPL exposure would be \$25000\.00/);
+});
+
+test('a rejection is recorded once, and not at all when recording is turned off', async () => {
+  storeSettings({ kill_switch: true });
+
+  await enforceOrderRisk({ symbol: 'AAPL', notional: 100, source: 'workflow' });
+  await enforceOrderRisk({ symbol: 'AAPL', notional: 100, source: 'stock_buy', recordRejection: false });
+
+  const rejections = db.find('INSERT INTO risk_rejections');
+  assert.equal(rejections.length, 1);
+  assert.equal(rejections[0].values[2], 'workflow');
+});
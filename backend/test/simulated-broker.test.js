@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SIM_STARTING_CASH = '10000';
+process.env.SIM_PRICES = JSON.stringify({ AAPL: 100 });
+
+const { createSimulatedBroker } = require('../routes/trading/broker/simulated');
+
+test('a market buy by notional fills at the feed price', async () => {
+  const broker = createSimulatedBroker();
+
+  const order = await broker.submitOrder({ symbol: 'aapl', notional: 250, side: 'buy', type: 'market', time_in_force: 'day' });
+
+  assert.equal(order.status, 'filled');
+  assert.equal(order.symbol, 'AAPL');
+  assert.equal(order.filled_qty, '2.5');
+  assert.equal(order.filled_avg_price, '100');
+
+  const position = await broker.getPosition('AAPL');
+  assert.equal(position.qty, '2.5');
+  assert.equal(position.side, 'long');
+
+  const account = await broker.getAccount();
+  assert.equal(parseFloat(account.cash), 9750);
+});
+
+test('a sell short opens a short position', async () => {
+  const broker = createSimulatedBroker();
+
+  await broker.submitOrder({ symbol: 'AAPL', qty: 3, side: 'sell', type: 'market', time_in_force: 'day' });
+
+  const position = await broker.getPosition('AAPL');
+  assert.equal(position.qty, '-3');
+  assert.equal(position.side, 'short');
+});
+
+test('a buy above the cash balance is refused like Alpaca refuses it', async () => {
+  const broker = createSimulatedBroker();
+
+  await assert.rejects(
+    broker.submitOrder({ symbol: 'AAPL', qty: 101, side: 'buy', type: 'market', time_in_force: 'day' }),
+    error => error.response.status === 403
+  );
+});
+
+test('a limit order waits until the price reaches its limit', async () => {
+  const broker = createSimulatedBroker();
+
+  const order = await broker.submitOrder({ symbol: 'AAPL', qty: 1, side: 'buy', type: 'limit', limit_price: 90, time_in_force: 'day' });
+  assert.equal(order.status, 'accepted');
+
+  broker.setPrice('AAPL', 89);
+  const filled = await broker.getOrder(order.id);
+  assert.equal(filled.status, 'filled');
+  assert.equal(filled.filled_avg_price, '89');
+});
+
+test('a bracket leg that fills cancels the other leg', async () => {
+  const broker = createSimulatedBroker();
+
+  const entry = await broker.submitOrder({
+    symbol: 'AAPL',
+    qty: 2,
+    side: 'buy',
+    type: 'market',
+    time_in_force: 'gtc',
+    order_class: 'bracket',
+    take_profit: { limit_price: 110 },
+    stop_loss: { stop_price: 95 }
+  });
+
+  broker.setPrice('AAPL', 111);
+  const { legs } = await broker.getOrder(entry.id, { nested: true });
+
+  assert.equal(legs[0].status, 'filled');
+  assert.equal(legs[1].status, 'canceled');
+  await assert.rejects(broker.getPosition('AAPL'), error => error.response.status === 404);
+});
+
+test('an open order can be canceled, a filled one cannot', async () => {
+  const broker = createSimulatedBroker();
+
+  const open = await broker.submitOrder({ symbol: 'AAPL', qty: 1, side: 'buy', type: 'limit', limit_price: 50, time_in_force: 'day' });
+  await broker.cancelOrder(open.id);
+  assert.equal((await broker.getOrder(open.id)).status, 'canceled');
+
+  const filled = await broker.submitOrder({ symbol: 'AAPL', qty: 1, side: 'buy', type: 'market', time_in_force: 'day' });
+  await assert.rejects(broker.cancelOrder(filled.id), error => error.response.status === 422);
+});
+
+test('options contracts are priced and filled per 100 shares', async () => {
+  const broker = createSimulatedBroker();
+  const dayMs = 24 * 60 * 60 * 1000;
+  const from = new Date(Date.now() + 30 * dayMs).toISOString().split('T')[0];
+  const to = new Date(Date.now() + 37 * dayMs).toISOString().split('T')[0];
+  const { option_contracts: contracts } = await broker.listOptionContracts({
+    underlying_symbols: 'AAPL',
+    type: 'call',
+    expiration_date_gte: from,
+    expiration_date_lte: to
+  });
+  const [contract] = contracts;
+
+  const order = await broker.submitOrder({ symbol: contract.symbol, qty: 1, side: 'buy', type: 'market', time_in_force: 'day' });
+  const account = await broker.getAccount();
+
+  assert.equal(order.status, 'filled');
+  assert.equal(parseFloat(account.cash), 10000 - parseFloat(order.filled_avg_price) * 100);
+});
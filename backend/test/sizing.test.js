@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeSql } = require('./helpers/fake-sql');
+
+installFakeSql();
+process.env.BROKER = 'simulated';
+process.env.SIM_STARTING_CASH = '100000';
+delete process.env.SIZING_MODE;
+
+const { getBroker } = require('../routes/trading/broker');
+const { getSizingConfig, calculateDailyVolatility, sizeTradeForAccount, sizeTrade } = require('../routes/trading/sizing');
+
+const ACCOUNT = { equity: 100000, buyingPower: 100000, existingExposure: 0 };
+
+/**
+ * Helper function to get the default sizing configuration with overrides
+ * @param {object} overrides - Fields to override
+ * @returns {object} - Sizing configuration
+ */
+function buildConfig(overrides) {
+  return { ...getSizingConfig(), ...overrides };
+}
+
+test('fixed sizing scales the base amount by confidence', async () => {
+  const sizing = await sizeTradeForAccount(buildConfig({ mode: 'fixed' }), 'AAPL', 0.6, ACCOUNT);
+
+  assert.equal(sizing.mode, 'fixed');
+  assert.equal(sizing.dollarAmount, 600);
+  assert.deepEqual(sizing.details.caps_applied, []);
+});
+
+test('fixed fractional sizing uses a share of equity', async () => {
+  const sizing = await sizeTradeForAccount(buildConfig({ mode: 'fixed_fractional', equityFraction: 0.02 }), 'AAPL', 0.5, ACCOUNT);
+
+  assert.equal(sizing.dollarAmount, 1000);
+});
+
+test('kelly sizing bets nothing without an edge', async () => {
+  const config = buildConfig({ mode: 'kelly', kellyPayoffRatio: 1, kellyMultiplier: 0.25, maxPerTickerPct: 100 });
+
+  const withEdge = await sizeTradeForAccount(config, 'AAPL', 0.75, ACCOUNT);
+  assert.equal(withEdge.details.kelly_fraction, 0.5);
+  assert.equal(withEdge.dollarAmount, 12500);
+
+  const withoutEdge = await sizeTradeForAccount(config, 'AAPL', 0.5, ACCOUNT);
+  assert.equal(withoutEdge.dollarAmount, 0);
+  assert.equal(withoutEdge.details.below_minimum, true);
+});
+
+test('volatility target sizing risks the target share of equity on a one-deviation move', async () => {
+  const config = buildConfig({ mode: 'volatility_target', targetDailyRiskPct: 0.5, maxPerTickerPct: 100 });
+  const sizing = await sizeTradeForAccount(config, 'AAPL', 1, { ...ACCOUNT, dailyVolatility: 0.02 });
+
+  assert.equal(sizing.dollarAmount, 25000);
+});
+
+test('every mode is capped per ticker, counting what is already held', async () => {
+  const config = buildConfig({ mode: 'fixed', fixedBaseAmount: 5000, maxPerTickerPct: 10 });
+  const sizing = await sizeTradeForAccount(config, 'AAPL', 1, { equity: 20000, buyingPower: 20000, existingExposure: 1500 });
+
+  assert.equal(sizing.dollarAmount, 500);
+  assert.deepEqual(sizing.details.caps_applied, ['max_per_ticker']);
+});
+
+test('every mode is capped by buying power', async () => {
+  const config = buildConfig({ mode: 'fixed_fractional', equityFraction: 0.5, maxPerTickerPct: 100 });
+  const sizing = await sizeTradeForAccount(config, 'AAPL', 1, { equity: 100000, buyingPower: 300, existingExposure: 0 });
+
+  assert.equal(sizing.dollarAmount, 300);
+  assert.deepEqual(sizing.details.caps_applied, ['buying_power']);
+});
+
+test('an amount below the minimum order is sized to $0', async () => {
+  const sizing = await sizeTradeForAccount(buildConfig({ mode: 'fixed', fixedBaseAmount: 1 }), 'AAPL', 0.5, ACCOUNT);
+
+  assert.equal(sizing.dollarAmount, 0);
+  assert.equal(sizing.details.below_minimum, true);
+});
+
+test('sizing without an account is refused in every mode', async () => {
+  await assert.rejects(sizeTradeForAccount(buildConfig({ mode: 'fixed' }), 'AAPL', 0.5), /account equity and buying power/);
+});
+
+test('daily volatility is the deviation of daily log returns', () => {
+  const flat = calculateDailyVolatility('AAPL', [{ c: 100 }, { c: 100 }, { c: 100 }, { c: 100 }]);
+  assert.equal(flat, 0);
+
+  const moving = calculateDailyVolatility('AAPL', [{ c: 100 }, { c: 110 }, { c: 100 }, { c: 110 }]);
+  assert.ok(moving > 0.09 && moving < 0.12);
+
+  assert.throws(() => calculateDailyVolatility('AAPL', [{ c: 100 }, { c: 101 }]), /Not enough daily bars/);
+});
+
+test('a trade is sized against the broker account', async () => {
+  const sizing = await sizeTrade('AAPL', 0.5);
+
+  assert.equal(sizing.mode, 'fixed');
+  assert.equal(sizing.dollarAmount, 500);
+  assert.equal(sizing.details.equity, 100000);
+});
+
+test('a trade is sized to $0 when the account cannot be read', async t => {
+  const broker = getBroker();
+  const getAccount = broker.getAccount;
+  broker.getAccount = async () => {
+    throw new Error('broker unavailable');
+  };
+  t.after(() => {
+    broker.getAccount = getAccount;
+  });
+
+  const sizing = await sizeTrade('AAPL', 0.9);
+
+  assert.equal(sizing.dollarAmount, 0);
+  assert.equal(sizing.details.account_unavailable, 'broker unavailable');
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeSql } = require('./helpers/fake-sql');
+
+installFakeSql();
+process.env.BROKER = 'simulated';
+delete process.env.TRADE_EXECUTION_MODE;
+
+const {
+  getDefaultTradingPolicy,
+  checkTradingPolicy,
+  resolvePolicyTickers
+} = require('../routes/authors/trading-policy');
+
+/**
+ * Helper function to build a complete policy from the defaults
+ * @param {object} overrides - Policy fields to set
+ * @returns {object} - Trading policy
+ */
+function policyWith(overrides) {
+  return { ...getDefaultTradingPolicy(), ...overrides };
+}
+
+test('the default policy allows any ticker, instrument and confidence', () => {
+  const check = checkTradingPolicy(getDefaultTradingPolicy(), { ticker: 'AAPL', instrument: 'call', confidence: 0.1 });
+
+  assert.deepEqual(check, { allowed: true, reasons: [] });
+});
+
+test('a signal below the minimum confidence is blocked', () => {
+  const check = checkTradingPolicy(policyWith({ min_confidence: 0.6 }), { ticker: 'AAPL', instrument: 'stock', confidence: 0.5 });
+
+  assert.equal(check.allowed, false);
+  assert.deepEqual(check.reasons, ["Confidence 0.5 is below the author's minimum of 0.6"]);
+});
+
+test('calls and puts count as options for allowed_instruments', () => {
+  const policy = policyWith({ allowed_instruments: ['stock'] });
+
+  assert.equal(checkTradingPolicy(policy, { ticker: 'AAPL', instrument: 'stock', confidence: 0.8 }).allowed, true);
+  assert.deepEqual(
+    checkTradingPolicy(policy, { ticker: 'AAPL', instrument: 'put', confidence: 0.8 }).reasons,
+    ['options trades are not allowed for this author']
+  );
+});
+
+test('allowlist and denylist entries match however the ticker is written', () => {
+  const allowlisted = policyWith({ ticker_allowlist: ['BRK-B'] });
+  assert.equal(checkTradingPolicy(allowlisted, { ticker: 'BRK.B', instrument: 'stock', confidence: 0.8 }).allowed, true);
+  assert.deepEqual(
+    checkTradingPolicy(allowlisted, { ticker: 'AAPL', instrument: 'stock', confidence: 0.8 }).reasons,
+    ["AAPL is not on the author's ticker allowlist"]
+  );
+
+  const denylisted = policyWith({ ticker_denylist: ['tsla'] });
+  assert.deepEqual(
+    checkTradingPolicy(denylisted, { ticker: '$TSLA', instrument: 'stock', confidence: 0.8 }).reasons,
+    ["TSLA is on the author's ticker denylist"]
+  );
+});
+
+test('every failed rule is reported', () => {
+  const policy = policyWith({ min_confidence: 0.9, allowed_instruments: ['options'], ticker_denylist: ['AAPL'] });
+  const check = checkTradingPolicy(policy, { ticker: 'AAPL', instrument: 'stock', confidence: 0.5 });
+
+  assert.equal(check.allowed, false);
+  assert.equal(check.reasons.length, 3);
+});
+
+test('policy tickers are stored as the broker symbols', async () => {
+  const resolution = await resolvePolicyTickers({ ticker_allowlist: ['BRK-B', 'Apple'], ticker_denylist: null, min_confidence: 0.5 });
+
+  assert.equal(resolution.isValid, true);
+  assert.deepEqual(resolution.policy.ticker_allowlist, ['BRK.B', 'AAPL']);
+  assert.equal(resolution.policy.ticker_denylist, null);
+  assert.equal(resolution.policy.min_confidence, 0.5);
+});
+
+test('a policy ticker that does not resolve to one asset is rejected', async () => {
+  const resolution = await resolvePolicyTickers({ ticker_denylist: ['Berkshire Hathaway'] });
+
+  assert.equal(resolution.isValid, false);
+  assert.match(resolution.errors[0], /^ticker_denylist: .* matches several assets: BRK\.A, BRK\.B$/);
+});
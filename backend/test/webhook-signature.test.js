@@ -0,0 +1,104 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { installFakeSql } = require('./helpers/fake-sql');
+const { startServer } = require('./helpers/server');
+
+const db = installFakeSql();
+process.env.BROKER = 'simulated';
+process.env.WEBHOOK_SIGNING_SECRET = 'test-signing-secret';
+
+const { verifyWebhookSignature } = require('../routes/tweet-workflow/webhook-deliveries');
+
+let server;
+
+// A Dify completion for a process the database does not have
+const DELIVERY = JSON.stringify({
+  text: JSON.stringify({ tweet_process_id: 'unknown-process', status: 'ok', market_effect: 'no' }),
+  source: 'dify',
+  timestamp: '2026-10-16T14:00:00Z'
+});
+
+/**
+ * Helper function to sign a body the way the sender must
+ * @param {string} body - Raw request body
+ * @param {string} secret - Signing secret (default: the configured one)
+ * @returns {string} - Hex HMAC-SHA256 digest
+ */
+function sign(body, secret = process.env.WEBHOOK_SIGNING_SECRET) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Helper function to find the signature status the delivery log recorded
+ * @returns {string|undefined} - signature_status of the logged delivery
+ */
+function loggedSignatureStatus() {
+  const [delivery] = db.find('INSERT INTO webhook_deliveries');
+  return delivery?.values[2];
+}
+
+before(async () => {
+  server = await startServer({ '/api/process-tweet': require('../routes/tweet-workflow/complete-workflow') });
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  db.reset();
+  db.respond = text => text.startsWith('INSERT INTO webhook_deliveries') ? [{ id: 1 }] : [];
+});
+
+test('a signature is checked against the raw body, with or without the sha256= prefix', () => {
+  const body = Buffer.from(DELIVERY);
+
+  assert.equal(verifyWebhookSignature(body, sign(DELIVERY)), 'valid');
+  assert.equal(verifyWebhookSignature(body, `sha256=${sign(DELIVERY)}`), 'valid');
+  assert.equal(verifyWebhookSignature(body, sign(DELIVERY, 'another-secret')), 'invalid');
+  assert.equal(verifyWebhookSignature(Buffer.from(`${DELIVERY} `), sign(DELIVERY)), 'invalid');
+  assert.equal(verifyWebhookSignature(body, 'not-hex'), 'invalid');
+  assert.equal(verifyWebhookSignature(body, undefined), 'missing');
+});
+
+test('every delivery is accepted when no signing secret is set', t => {
+  delete process.env.WEBHOOK_SIGNING_SECRET;
+  t.after(() => {
+    process.env.WEBHOOK_SIGNING_SECRET = 'test-signing-secret';
+  });
+
+  assert.equal(verifyWebhookSignature(Buffer.from(DELIVERY), undefined), 'not_configured');
+});
+
+test('an unsigned delivery gets 401 and is logged', async () => {
+  const { status, body } = await server.post('/api/process-tweet/workflow-complete', DELIVERY);
+
+  assert.equal(status, 401);
+  assert.equal(body.error, 'Missing webhook signature');
+  assert.equal(loggedSignatureStatus(), 'missing');
+  assert.equal(db.find('FROM tweet_processes').length, 0);
+});
+
+test('a mis-signed delivery gets 401 before its result is read', async () => {
+  const { status, body } = await server.post('/api/process-tweet/workflow-complete', DELIVERY, {
+    'X-Webhook-Signature': sign(DELIVERY, 'another-secret')
+  });
+
+  assert.equal(status, 401);
+  assert.equal(body.error, 'Invalid webhook signature');
+  assert.equal(loggedSignatureStatus(), 'invalid');
+  assert.equal(db.find('FROM tweet_processes').length, 0);
+});
+
+test('a correctly signed delivery is processed', async () => {
+  const { status, body } = await server.post('/api/process-tweet/workflow-complete', DELIVERY, {
+    'X-Webhook-Signature': `sha256=${sign(DELIVERY)}`
+  });
+
+  // The signature passes, so the result is looked up and its process is not found
+  assert.equal(status, 404);
+  assert.equal(body.error, 'No submitted process found for this tweet_process_id');
+  assert.equal(loggedSignatureStatus(), 'valid');
+});